@@ -1,6 +1,7 @@
 /**
  * admin.js — Admin dashboard for Intel Portal
- * User management + real-time activity feed.
+ * User management, report schema migrations, duplicate reports, trash
+ * (restore / purge) + real-time activity feed.
  */
 
 (async function () {
@@ -281,6 +282,447 @@
       });
   });
 
+  // ---- Report Schema Migrations ----
+
+  var schemaStatus = document.getElementById("schema-status");
+  var schemaSteps = document.getElementById("schema-steps");
+  var schemaMsg = document.getElementById("schema-msg");
+  var runMigrationsBtn = document.getElementById("run-migrations-btn");
+
+  ReportSchema.MIGRATIONS.forEach(function (step) {
+    var li = document.createElement("li");
+    li.value = step.version;
+    li.textContent = step.description;
+    schemaSteps.appendChild(li);
+  });
+
+  function checkSchema() {
+    schemaStatus.textContent = "Checking reports...";
+    StorageDB.listOutdatedReports().then(function (outdated) {
+      runMigrationsBtn.disabled = outdated.length === 0;
+      if (outdated.length === 0) {
+        schemaStatus.textContent = "All reports are on schema v" + ReportSchema.VERSION + ".";
+        return;
+      }
+      var byVersion = {};
+      outdated.forEach(function (r) {
+        byVersion[r.schemaVersion] = (byVersion[r.schemaVersion] || 0) + 1;
+      });
+      schemaStatus.textContent = outdated.length + " report(s) below schema v" + ReportSchema.VERSION + " (" +
+        Object.keys(byVersion).map(function (v) { return "v" + v + ": " + byVersion[v]; }).join(", ") +
+        "). They are upgraded when opened, or all at once here.";
+    }).catch(function (err) {
+      schemaStatus.textContent = "Error checking reports: " + err.message;
+    });
+  }
+
+  runMigrationsBtn.addEventListener("click", function () {
+    runMigrationsBtn.disabled = true;
+    schemaMsg.hidden = true;
+    StorageDB.migrateAllReports(function (done, total) {
+      schemaStatus.textContent = "Upgrading " + done + " of " + total + "...";
+    }).then(function (summary) {
+      ActivityLog.log("report_migrate", { upgraded: summary.upgraded.length, failed: summary.failed.length });
+      schemaMsg.textContent = summary.failed.length
+        ? "Upgraded " + summary.upgraded.length + "; failed: " + summary.failed.map(function (f) {
+            return f.id + " (" + f.error + ")";
+          }).join(", ")
+        : "Upgraded " + summary.upgraded.length + " report(s).";
+      schemaMsg.className = "admin-msg" + (summary.failed.length ? " admin-msg-error" : " admin-msg-success");
+      schemaMsg.hidden = false;
+      checkSchema();
+    }).catch(function (err) {
+      schemaMsg.textContent = "Migration failed: " + err.message;
+      schemaMsg.className = "admin-msg admin-msg-error";
+      schemaMsg.hidden = false;
+      runMigrationsBtn.disabled = false;
+    });
+  });
+
+  checkSchema();
+
+  // ---- Trash ----
+
+  var trashTbody = document.getElementById("trash-tbody");
+  var trashMsg = document.getElementById("trash-msg");
+  var refreshTrashBtn = document.getElementById("refresh-trash-btn");
+
+  function showTrashMsg(text, isError) {
+    trashMsg.textContent = text;
+    trashMsg.className = "admin-msg" + (isError ? " admin-msg-error" : " admin-msg-success");
+    trashMsg.hidden = false;
+  }
+
+  function trashDetails(entry) {
+    return { reportId: entry.reportId, kind: entry.kind, name: entry.name };
+  }
+
+  function renderTrashRow(entry) {
+    var tr = document.createElement("tr");
+
+    var tdItem = document.createElement("td");
+    var kind = document.createElement("span");
+    kind.className = "admin-role-badge admin-trash-" + entry.kind;
+    kind.textContent = entry.kind.toUpperCase();
+    var label = document.createElement("div");
+    label.style.fontFamily = "var(--font-mono)";
+    label.textContent = entry.reportId;
+    var name = document.createElement("div");
+    name.style.cssText = "font-size:0.75rem;color:var(--text-muted);";
+    name.textContent = entry.name || "";
+    tdItem.appendChild(kind);
+    tdItem.appendChild(label);
+    tdItem.appendChild(name);
+
+    var tdDeleted = document.createElement("td");
+    tdDeleted.textContent = new Date(entry.deletedAt).toLocaleString() + " by " + (entry.deletedBy || "unknown");
+
+    var tdPurge = document.createElement("td");
+    tdPurge.textContent = entry.purgeAfter ? new Date(entry.purgeAfter).toLocaleDateString() : "\u2014";
+
+    var tdActions = document.createElement("td");
+    var restoreBtn = document.createElement("button");
+    restoreBtn.className = "btn-action";
+    restoreBtn.textContent = "Restore";
+    restoreBtn.style.cssText = "padding:0.3rem 0.8rem;font-size:0.65rem;margin-right:0.4rem;";
+    restoreBtn.addEventListener("click", function () {
+      restoreBtn.disabled = true;
+      StorageDB.restoreTrashItem(entry.id).then(function () {
+        ActivityLog.log("trash_restore", trashDetails(entry));
+        showTrashMsg("Restored " + (entry.kind === "report" ? entry.reportId : entry.name + " to " + entry.reportId) + ".", false);
+        loadTrash();
+      }).catch(function (err) {
+        showTrashMsg("Restore failed: " + err.message, true);
+        restoreBtn.disabled = false;
+      });
+    });
+
+    var purgeBtn = document.createElement("button");
+    purgeBtn.className = "btn-delete";
+    purgeBtn.textContent = "Purge";
+    purgeBtn.style.cssText = "padding:0.3rem 0.8rem;font-size:0.65rem;";
+    purgeBtn.addEventListener("click", function () {
+      confirmPurge(entry);
+    });
+
+    tdActions.appendChild(restoreBtn);
+    tdActions.appendChild(purgeBtn);
+
+    tr.appendChild(tdItem);
+    tr.appendChild(tdDeleted);
+    tr.appendChild(tdPurge);
+    tr.appendChild(tdActions);
+    return tr;
+  }
+
+  function confirmPurge(entry) {
+    var overlay = document.createElement("div");
+    overlay.className = "confirm-overlay";
+    var box = document.createElement("div");
+    box.className = "confirm-box";
+    var h3 = document.createElement("h3");
+    h3.textContent = "Purge " + (entry.kind === "report" ? "Report" : "Attachment");
+    var p = document.createElement("p");
+    p.textContent = entry.kind === "report"
+      ? "Permanently delete " + entry.reportId + " (" + entry.name + "), its files and its revision history? This cannot be undone."
+      : "Permanently delete " + entry.name + " from " + entry.reportId + "? This cannot be undone.";
+    var actions = document.createElement("div");
+    actions.className = "confirm-actions";
+    var cancelBtn = document.createElement("button");
+    cancelBtn.className = "btn-cancel";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", function () { overlay.remove(); });
+    var confirmBtn = document.createElement("button");
+    confirmBtn.className = "btn-confirm-delete";
+    confirmBtn.textContent = "Purge";
+    confirmBtn.addEventListener("click", function () {
+      confirmBtn.disabled = true;
+      confirmBtn.textContent = "Purging...";
+      StorageDB.purgeTrashItem(entry.id).then(function () {
+        ActivityLog.log("trash_purge", trashDetails(entry));
+        overlay.remove();
+        loadTrash();
+      }).catch(function (err) {
+        alert("Error purging: " + err.message);
+        overlay.remove();
+      });
+    });
+    actions.appendChild(cancelBtn);
+    actions.appendChild(confirmBtn);
+    box.appendChild(h3);
+    box.appendChild(p);
+    box.appendChild(actions);
+    overlay.appendChild(box);
+    overlay.addEventListener("click", function (e) { if (e.target === overlay) overlay.remove(); });
+    document.body.appendChild(overlay);
+  }
+
+  function setTrashEmptyRow(text, color) {
+    clearTable(trashTbody);
+    var tr = document.createElement("tr");
+    var td = document.createElement("td");
+    td.colSpan = 4;
+    td.style.textAlign = "center";
+    td.style.color = color || "var(--text-muted)";
+    td.textContent = text;
+    tr.appendChild(td);
+    trashTbody.appendChild(tr);
+  }
+
+  function loadTrash() {
+    StorageDB.listTrash().then(function (entries) {
+      if (entries.length === 0) {
+        setTrashEmptyRow("Trash is empty.");
+        return;
+      }
+      clearTable(trashTbody);
+      entries.forEach(function (entry) {
+        trashTbody.appendChild(renderTrashRow(entry));
+      });
+    }).catch(function (err) {
+      setTrashEmptyRow("Error loading trash: " + err.message, "var(--danger)");
+    });
+  }
+
+  // Anything past its retention window goes for good before the list is shown
+  StorageDB.purgeExpiredTrash().then(function (purged) {
+    purged.forEach(function (entry) {
+      if (!entry) return;
+      var details = trashDetails(entry);
+      details.expired = true;
+      ActivityLog.log("trash_purge", details);
+    });
+  }).catch(function (err) {
+    console.error("Purging expired trash failed:", err);
+  }).then(loadTrash);
+
+  refreshTrashBtn.addEventListener("click", function () {
+    trashMsg.hidden = true;
+    loadTrash();
+  });
+
+  // ---- Duplicates (duplicates.js; flags kept in StorageDB) ----
+
+  var duplicatesTbody = document.getElementById("duplicates-tbody");
+  var duplicatesMsg = document.getElementById("duplicates-msg");
+  var scanDuplicatesBtn = document.getElementById("scan-duplicates-btn");
+  var CONFIDENCE_BADGES = { high: "admin-trash-report", medium: "admin-trash-attachment", low: "admin-role-analyst" };
+  var STATUS_ORDER = { open: 0, linked: 1, merged: 2, dismissed: 3 };
+
+  function showDuplicatesMsg(text, isError) {
+    duplicatesMsg.textContent = text;
+    duplicatesMsg.className = "admin-msg" + (isError ? " admin-msg-error" : " admin-msg-success");
+    duplicatesMsg.hidden = false;
+  }
+
+  function setDuplicatesEmptyRow(text, color) {
+    clearTable(duplicatesTbody);
+    var tr = document.createElement("tr");
+    var td = document.createElement("td");
+    td.colSpan = 4;
+    td.style.textAlign = "center";
+    td.style.color = color || "var(--text-muted)";
+    td.textContent = text;
+    tr.appendChild(td);
+    duplicatesTbody.appendChild(tr);
+  }
+
+  function duplicateButton(label, className, onClick) {
+    var btn = document.createElement("button");
+    btn.className = className;
+    btn.textContent = label;
+    btn.style.cssText = "padding:0.3rem 0.8rem;font-size:0.65rem;margin:0 0.4rem 0.3rem 0;";
+    btn.addEventListener("click", function () { onClick(btn); });
+    return btn;
+  }
+
+  function renderDuplicateRow(flag) {
+    var tr = document.createElement("tr");
+    var ids = flag.reportIds;
+
+    var tdReports = document.createElement("td");
+    (flag.reports || ids.map(function (id) { return { id: id }; })).forEach(function (r) {
+      var label = document.createElement("div");
+      label.style.fontFamily = "var(--font-mono)";
+      label.textContent = r.id;
+      var name = document.createElement("div");
+      name.style.cssText = "font-size:0.75rem;color:var(--text-muted);margin-bottom:0.3rem;";
+      name.textContent = r.subjectName || "";
+      tdReports.appendChild(label);
+      tdReports.appendChild(name);
+    });
+
+    var tdWhy = document.createElement("td");
+    var badge = document.createElement("span");
+    badge.className = "admin-role-badge " + (CONFIDENCE_BADGES[flag.confidence] || "");
+    badge.textContent = flag.confidence.toUpperCase();
+    tdWhy.appendChild(badge);
+    flag.reasons.forEach(function (reason) {
+      var div = document.createElement("div");
+      div.style.cssText = "font-size:0.75rem;margin-top:0.2rem;";
+      div.textContent = reason.text;
+      tdWhy.appendChild(div);
+    });
+
+    var tdStatus = document.createElement("td");
+    tdStatus.textContent = flag.status + (flag.resolvedBy ? " by " + flag.resolvedBy : "");
+
+    var tdActions = document.createElement("td");
+    function resolve(logAction, task) {
+      return function (btn) {
+        btn.disabled = true;
+        task().then(function () {
+          ActivityLog.log(logAction, { reportId: ids[0], otherId: ids[1] });
+          loadDuplicates();
+        }).catch(function (err) {
+          showDuplicatesMsg("Could not update " + ids.join(" / ") + ": " + err.message, true);
+          btn.disabled = false;
+        });
+      };
+    }
+    if (flag.status === "open") {
+      // Merging needs a look at both, so it happens in the report viewer
+      var review = document.createElement("a");
+      review.className = "btn-action";
+      review.textContent = "Review";
+      review.href = "dashboard.html?q=" + encodeURIComponent(ids.map(function (id) { return "id:" + id; }).join(" OR "));
+      review.style.cssText = "display:inline-block;padding:0.3rem 0.8rem;font-size:0.65rem;margin:0 0.4rem 0.3rem 0;text-decoration:none;";
+      tdActions.appendChild(review);
+      tdActions.appendChild(duplicateButton("Link", "btn-action", resolve("report_link", function () {
+        return StorageDB.linkReports(ids[0], ids[1]);
+      })));
+      tdActions.appendChild(duplicateButton("Not a duplicate", "btn-delete", resolve("duplicate_dismiss", function () {
+        return StorageDB.resolveDuplicate(ids[0], ids[1], "dismissed");
+      })));
+    } else if (flag.status === "dismissed") {
+      tdActions.appendChild(duplicateButton("Reopen", "btn-action", function (btn) {
+        btn.disabled = true;
+        StorageDB.resolveDuplicate(ids[0], ids[1], "open").then(loadDuplicates).catch(function (err) {
+          showDuplicatesMsg("Could not reopen " + ids.join(" / ") + ": " + err.message, true);
+          btn.disabled = false;
+        });
+      }));
+    }
+
+    tr.appendChild(tdReports);
+    tr.appendChild(tdWhy);
+    tr.appendChild(tdStatus);
+    tr.appendChild(tdActions);
+    return tr;
+  }
+
+  function loadDuplicates() {
+    StorageDB.listDuplicates().then(function (flags) {
+      if (flags.length === 0) {
+        setDuplicatesEmptyRow("No duplicates flagged. Scan to check all reports.");
+        return;
+      }
+      flags.sort(function (a, b) { return STATUS_ORDER[a.status] - STATUS_ORDER[b.status]; });
+      clearTable(duplicatesTbody);
+      flags.forEach(function (flag) {
+        duplicatesTbody.appendChild(renderDuplicateRow(flag));
+      });
+    }).catch(function (err) {
+      setDuplicatesEmptyRow("Error loading duplicates: " + err.message, "var(--danger)");
+    });
+  }
+
+  scanDuplicatesBtn.addEventListener("click", function () {
+    scanDuplicatesBtn.disabled = true;
+    duplicatesMsg.hidden = true;
+    var count = 0;
+    StorageDB.getAllReports().then(function (reports) {
+      count = reports.length;
+      return StorageDB.recordDuplicates(Duplicates.findAll(reports), reports);
+    }).then(function (flags) {
+      var open = flags.filter(function (f) { return f.status === "open"; }).length;
+      ActivityLog.log("duplicate_scan", { reports: count, pairs: flags.length, open: open });
+      showDuplicatesMsg("Checked " + count + " report(s): " + flags.length + " likely duplicate pair(s), " + open + " unresolved.", false);
+      loadDuplicates();
+    }).catch(function (err) {
+      showDuplicatesMsg("Scan failed: " + err.message, true);
+    }).then(function () {
+      scanDuplicatesBtn.disabled = false;
+    });
+  });
+
+  loadDuplicates();
+
+  // ---- Entities (entities.js; entities/{reportId} in StorageDB) ----
+
+  var entitiesStatus = document.getElementById("entities-status");
+  var entitiesMsg = document.getElementById("entities-msg");
+  var extractEntitiesBtn = document.getElementById("extract-entities-btn");
+
+  function showEntitiesMsg(text, isError) {
+    entitiesMsg.textContent = text;
+    entitiesMsg.className = "admin-msg" + (isError ? " admin-msg-error" : " admin-msg-success");
+    entitiesMsg.hidden = false;
+  }
+
+  function loadEntitiesStatus() {
+    Promise.all([StorageDB.getAllReports(), StorageDB.listEntities()]).then(function (loaded) {
+      var extracted = {};
+      var total = 0;
+      loaded[1].forEach(function (doc) {
+        extracted[doc.id] = true;
+        total += (doc.entities || []).length;
+      });
+      var done = loaded[0].filter(function (r) { return extracted[r.id]; }).length;
+      entitiesStatus.textContent = done + " of " + loaded[0].length + " report(s) extracted, " + total + " entities.";
+      extractEntitiesBtn.disabled = loaded[0].length === 0;
+    }).catch(function (err) {
+      entitiesStatus.textContent = "Error checking entities: " + err.message;
+    });
+  }
+
+  // A report's full text where this browser can read it, else its list entry
+  function extractReport(entry) {
+    return StorageDB.getReport(entry.id).catch(function (err) {
+      if (err.code !== "locked") throw err;
+      return entry;
+    }).then(function (report) {
+      return fetch("reports/" + entry.id + ".html").then(function (resp) {
+        return resp.ok ? resp.text() : null;
+      }, function () {
+        return null;
+      }).then(function (assessment) {
+        return StorageDB.saveEntities(entry.id, Entities.extract({
+          report: report, content: report.content, attachments: report.attachments, assessment: assessment,
+        }));
+      });
+    });
+  }
+
+  extractEntitiesBtn.addEventListener("click", function () {
+    extractEntitiesBtn.disabled = true;
+    entitiesMsg.hidden = true;
+    var failed = [];
+    var found = 0;
+    StorageDB.getAllReports().then(function (reports) {
+      // One at a time: each reads the report, its files' text and its assessment
+      return reports.reduce(function (chain, entry, i) {
+        return chain.then(function () {
+          entitiesStatus.textContent = "Extracting " + entry.id + " (" + (i + 1) + " of " + reports.length + ")...";
+          return extractReport(entry).then(function (doc) {
+            found += doc.entities.length;
+          }, function (err) {
+            console.error("Entity extraction for " + entry.id + " failed:", err);
+            failed.push(entry.id);
+          });
+        });
+      }, Promise.resolve()).then(function () {
+        ActivityLog.log("entity_extract", { reports: reports.length, entities: found, failed: failed.length });
+        showEntitiesMsg("Extracted " + found + " entities from " + (reports.length - failed.length) + " report(s)." +
+          (failed.length ? " Failed: " + failed.join(", ") + "." : ""), failed.length > 0);
+      });
+    }).catch(function (err) {
+      showEntitiesMsg("Extraction failed: " + err.message, true);
+    }).then(loadEntitiesStatus);
+  });
+
+  loadEntitiesStatus();
+
   // ---- Activity Feed ----
 
   var activityFeed = document.getElementById("activity-feed");
@@ -303,6 +745,20 @@
       report_create: "admin-action-create",
       report_edit: "admin-action-edit",
       report_delete: "admin-action-delete",
+      report_restore: "admin-action-edit",
+      report_migrate: "admin-action-edit",
+      attachment_delete: "admin-action-delete",
+      trash_restore: "admin-action-edit",
+      trash_purge: "admin-action-delete",
+      duplicate_scan: "admin-action-search",
+      report_link: "admin-action-edit",
+      report_merge: "admin-action-edit",
+      duplicate_dismiss: "admin-action-edit",
+      subject_view: "admin-action-view",
+      subject_edit: "admin-action-edit",
+      entity_extract: "admin-action-edit",
+      graph_view: "admin-action-view",
+      map_view: "admin-action-view",
       report_export: "admin-action-export",
       search: "admin-action-search",
       page_view: "admin-action-pageview",
@@ -328,7 +784,15 @@
     if (data.details) {
       var parts = [];
       if (data.details.reportId) parts.push(data.details.reportId);
+      if (data.details.subjectId) parts.push(data.details.subjectId);
       if (data.details.subject) parts.push(data.details.subject);
+      if (data.details.name) parts.push(data.details.name);
+      if (data.details.expired) parts.push("retention expired");
+      if (data.details.upgraded != null) parts.push(data.details.upgraded + " upgraded");
+      if (data.details.entities != null) parts.push(data.details.entities + " entities");
+      if (data.details.node) parts.push(data.details.node);
+      if (data.details.failed) parts.push(data.details.failed + " failed");
+      if (data.details.revision != null) parts.push("rev " + data.details.revision);
       if (data.details.query) parts.push('"' + data.details.query + '"');
       if (data.details.method) parts.push(data.details.method);
       if (data.details.page) parts.push(data.details.page);
@@ -470,6 +934,12 @@
               if (d.details.page) parts.push("page:" + d.details.page);
               if (d.details.reportId) parts.push("report:" + d.details.reportId);
               if (d.details.subject) parts.push("subject:" + d.details.subject);
+              if (d.details.kind) parts.push("kind:" + d.details.kind);
+              if (d.details.name) parts.push("name:" + d.details.name);
+              if (d.details.expired) parts.push("expired:true");
+              if (d.details.upgraded != null) parts.push("upgraded:" + d.details.upgraded);
+              if (d.details.failed) parts.push("failed:" + d.details.failed);
+              if (d.details.revision != null) parts.push("revision:" + d.details.revision);
               if (d.details.query) parts.push("query:" + d.details.query);
               if (d.details.method) parts.push("method:" + d.details.method);
               if (d.details.seconds != null) parts.push("duration:" + d.details.seconds + "s");
@@ -1,7 +1,7 @@
 /**
  * dashboard.js — Executive Briefing Dashboard
  * Auto-expands all documents for immediate review.
- * Uses DOMPurify for XSS protection. Persists via Firestore + Firebase Storage.
+ * Uses DOMPurify for XSS protection. Persists via StorageDB (see storage-config.js).
  */
 
 (async function () {
@@ -38,8 +38,12 @@
   const reportActionsEl = document.getElementById("report-actions");
   const reportMetaEl = document.getElementById("report-meta");
   const reportBodyEl = document.getElementById("report-body");
+  const areaFilterEl = document.getElementById("area-filter");
+  const areaFilterLabel = document.getElementById("area-filter-label");
 
   let activeMap = null; // Track Leaflet map instance for cleanup
+  let activeGraph = null; // LinkGraph view shown in the viewer (link-graph.js)
+  let viewerObjectUrls = []; // decrypted attachments shown in the viewer; revoked on the next open
 
   const uploadBtn = document.getElementById("upload-btn");
   const uploadModal = document.getElementById("upload-modal");
@@ -50,25 +54,31 @@
   const fileInput = document.getElementById("file-input");
   const fileListEl = document.getElementById("file-list");
 
+  const idPrefixGroup = document.getElementById("rpt-prefix-group");
+  const idPrefixSelect = document.getElementById("rpt-prefix");
+
   let activeReportId = null;
+  let activeSubjectId = null; // subject profile shown in the viewer
+  let mapArea = null; // area drawn on the recovery map; narrows the report list (report-map.js)
+  const offListReports = new Map(); // id -> list entry of reports opened from outside the loaded pages
   let pendingFiles = [];
+  let existingAttachments = []; // shown read-only in the file list while editing
   let editingReportId = null; // null = creating new, string = editing existing
-
-  // ---- Load reports from Firestore (with timeout to prevent hang) ----
-  try {
-    const dbTimeout = new Promise((_, reject) => setTimeout(() => reject(new Error("DB timeout")), 3000));
-    const saved = await Promise.race([StorageDB.getAllReports(), dbTimeout]);
-    if (saved && saved.length > 0) {
-      REPORTS.length = 0;
-      REPORTS.push(...saved);
-      console.log("Loaded " + saved.length + " report(s) from storage.");
-    }
-  } catch (e) {
-    console.error("Failed to load from Firestore:", e);
-  }
+  let pendingReportId = null; // ID reserved for a new report once its uploads start
+  const uploadStates = new Map(); // File -> { status, loaded, error, att, task, reportId, row }
+
+  // ---- Seed reports: look them up directly, the list only holds loaded pages ----
+  var seeded = {};
+  await Promise.all(["RPT-2026-0012", "RPT-2026-0013", "RPT-2026-0014", "RPT-2026-0015"].map(function (id) {
+    return StorageDB.getReport(id).then(function (r) {
+      seeded[id] = r;
+    }).catch(function (e) {
+      console.error("Failed to look up " + id + " (" + StorageDB.backend + "):", e);
+    });
+  }));
 
   // ---- Seed RPT-2026-0012 if not already present ----
-  if (!REPORTS.find(function (r) { return r.id === "RPT-2026-0012"; })) {
+  if (!seeded["RPT-2026-0012"]) {
     var seedReport = {
       id: "RPT-2026-0012",
       passportNumber: "D10005432",
@@ -80,22 +90,12 @@
       content: "",
       attachments: []
     };
-    REPORTS.push(seedReport);
     StorageDB.saveReport(seedReport).catch(function (e) { console.error("Failed to seed RPT-2026-0012:", e); });
   }
 
-  // ---- Seed/fix RPT-2026-0013 ----
+  // ---- Seed RPT-2026-0013 (its old bad longitude is repaired by schema migration 2) ----
   (function () {
-    var existing = REPORTS.find(function (r) { return r.id === "RPT-2026-0013"; });
-    if (existing) {
-      // Fix bad longitude if present
-      if (existing.lng && (existing.lng < -180 || existing.lng > 180)) {
-        existing.lat = 32.607553;
-        existing.lng = -116.243793;
-        existing.locationName = "Campo, CA";
-        StorageDB.saveReport(existing).catch(function (e) { console.error("Failed to fix RPT-2026-0013:", e); });
-      }
-    } else {
+    if (!seeded["RPT-2026-0013"]) {
       var seedReport2 = {
         id: "RPT-2026-0013",
         passportNumber: "E84248574",
@@ -110,13 +110,12 @@
         content: "",
         attachments: []
       };
-      REPORTS.push(seedReport2);
       StorageDB.saveReport(seedReport2).catch(function (e) { console.error("Failed to seed RPT-2026-0013:", e); });
     }
   })();
 
   // ---- Seed RPT-2026-0014 (ASSEIR, Mohamud Mohamed) ----
-  if (!REPORTS.find(function (r) { return r.id === "RPT-2026-0014"; })) {
+  if (!seeded["RPT-2026-0014"]) {
     var seedReport3 = {
       id: "RPT-2026-0014",
       passportNumber: "SEGOB-INM-00100135",
@@ -128,7 +127,6 @@
       content: "",
       attachments: []
     };
-    REPORTS.push(seedReport3);
     // Save report first, then upload the PDF attachment from local file
     StorageDB.saveReport(seedReport3).then(function () {
       return fetch("attachments/RPT-2026-0014_Asseir_Mohamud_Mohamed.pdf");
@@ -152,7 +150,7 @@
   }
 
   // ---- Seed RPT-2026-0015 (BAKHRITDINOVA, Zilola) ----
-  if (!REPORTS.find(function (r) { return r.id === "RPT-2026-0015"; })) {
+  if (!seeded["RPT-2026-0015"]) {
     var seedReport4 = {
       id: "RPT-2026-0015",
       passportNumber: "0000002804753",
@@ -164,7 +162,6 @@
       content: "",
       attachments: []
     };
-    REPORTS.push(seedReport4);
     StorageDB.saveReport(seedReport4).then(function () {
       return fetch("attachments/RPT-2026-0015_Bakhritdinova_Zilola.pdf");
     }).then(function (resp) {
@@ -186,29 +183,53 @@
     });
   }
 
-  // ---- Check which reports have intel assessments ----
+  // ---- Check which reports have intel assessments (as each report arrives) ----
   var reportsWithAssessment = {};
-  await Promise.all(REPORTS.map(function (r) {
-    return fetch("reports/" + r.id + ".html", { method: "HEAD" }).then(function (resp) {
-      if (resp.ok) reportsWithAssessment[r.id] = true;
+  var assessmentChecked = {};
+  function checkAssessment(id) {
+    if (assessmentChecked[id]) return;
+    assessmentChecked[id] = true;
+    fetch("reports/" + id + ".html", { method: "HEAD" }).then(function (resp) {
+      if (resp.ok) {
+        reportsWithAssessment[id] = true;
+        scheduleListRender();
+      }
     }).catch(function () {});
-  }));
+  }
 
-  // ---- Populate country filter dropdown ----
-  (function populateCountryFilter() {
-    var nationalities = [];
-    REPORTS.forEach(function (r) {
-      if (r.nationality && nationalities.indexOf(r.nationality) === -1) {
-        nationalities.push(r.nationality);
-      }
-    });
-    nationalities.sort();
-    nationalities.forEach(function (n) {
+  // ---- Country filter dropdown (grows as reports load) ----
+  function addCountryOption(nationality) {
+    if (!nationality) return;
+    var options = Array.from(countryFilter.options).slice(1);
+    if (options.some(function (o) { return o.value === nationality; })) return;
+    var opt = document.createElement("option");
+    opt.value = nationality;
+    opt.textContent = nationality;
+    var before = options.find(function (o) { return o.value.localeCompare(nationality) > 0; });
+    countryFilter.insertBefore(opt, before || null);
+    // Bookmarked ?country= — select it once that country has loaded
+    if (nationality === pendingCountry) {
+      countryFilter.value = nationality;
+      pendingCountry = null;
+    }
+  }
+
+  // ---- Search and country from the URL (?q=&country=) ----
+  const urlParams = new URLSearchParams(location.search);
+  let pendingCountry = urlParams.get("country");
+  if (urlParams.get("q")) searchInput.value = urlParams.get("q");
+
+  // ---- Populate report ID prefix choices (one per team/office) ----
+  (function populateIdPrefixes() {
+    var prefixes = (STORAGE_CONFIG.reportIds && STORAGE_CONFIG.reportIds.prefixes) || [];
+    prefixes.forEach(function (p) {
       var opt = document.createElement("option");
-      opt.value = n;
-      opt.textContent = n;
-      countryFilter.appendChild(opt);
+      opt.value = p.value;
+      opt.textContent = p.label ? p.label + " (" + p.value + ")" : p.value;
+      idPrefixSelect.appendChild(opt);
     });
+    // Only worth asking when there is more than one to choose from
+    idPrefixGroup.hidden = prefixes.length < 2;
   })();
 
   // ---- Helpers ----
@@ -236,8 +257,9 @@
 
   // ---- PDF Renderer (uses PDF.js to render each page as a canvas) ----
 
-  async function renderPDFPages(source, container) {
-    // source can be a storageUrl (https://...) or a legacy data URL
+  async function renderPDFPages(att, container, report) {
+    // storageUrl (https://...), encrypted in storage when att.iv is set, or a legacy data URL
+    const source = att.storageUrl || att.dataUrl;
     const loading = document.createElement("div");
     loading.style.cssText = "padding:2rem;text-align:center;color:var(--text-muted);font-size:0.9rem;";
     loading.textContent = "Rendering PDF pages...";
@@ -249,7 +271,11 @@
       if (!window.pdfjsLib) throw new Error("PDF.js not available");
 
       var pdfData;
-      if (source.startsWith("data:")) {
+      if (att.iv) {
+        // Encrypted — fetch and decrypt with the report's data key
+        var blob = await StorageDB.readAttachment(report, att);
+        pdfData = new Uint8Array(await blob.arrayBuffer());
+      } else if (source.startsWith("data:")) {
         // Legacy data URL — decode base64
         var base64 = source.split(",")[1];
         if (!base64) throw new Error("Invalid data URL");
@@ -302,9 +328,385 @@
     }
   }
 
+  // URL to show an attachment from — decrypted into a local object URL when encrypted
+  function attachmentUrl(report, att) {
+    if (!att.iv) return Promise.resolve(att.storageUrl || att.dataUrl);
+    return StorageDB.readAttachment(report, att).then((blob) => {
+      const url = URL.createObjectURL(blob);
+      viewerObjectUrls.push(url);
+      return url;
+    });
+  }
+
+  // Encrypted report and no unlocked team key can read it — ask for a passphrase
+  function renderLockedReport(report) {
+    const panel = document.createElement("div");
+    panel.className = "report-locked";
+
+    const h2 = document.createElement("h2");
+    h2.textContent = report.subjectName;
+    panel.appendChild(h2);
+
+    const idLine = document.createElement("div");
+    idLine.className = "report-title-id";
+    idLine.textContent = report.id + " \u2022 " + report.passportNumber;
+    panel.appendChild(idLine);
+
+    const msg = document.createElement("p");
+    msg.textContent = "This report is encrypted. Unlock your team key to read it.";
+    panel.appendChild(msg);
+
+    const teams = ReportCrypto.teams();
+    if (teams.length === 0) {
+      msg.textContent = "This report is encrypted and no team keys are configured on this portal.";
+      reportMetaEl.appendChild(panel);
+      return;
+    }
+
+    const form = document.createElement("form");
+    form.className = "report-locked-form";
+    const teamSelect = document.createElement("select");
+    teams.forEach((t) => {
+      const opt = document.createElement("option");
+      opt.value = t.id;
+      opt.textContent = t.label;
+      teamSelect.appendChild(opt);
+    });
+    const passphrase = document.createElement("input");
+    passphrase.type = "password";
+    passphrase.placeholder = "Team passphrase";
+    passphrase.autocomplete = "off";
+    passphrase.required = true;
+    const unlockBtn = document.createElement("button");
+    unlockBtn.type = "submit";
+    unlockBtn.className = "btn-action";
+    unlockBtn.textContent = "Unlock";
+    const error = document.createElement("div");
+    error.className = "report-locked-error";
+
+    form.appendChild(teamSelect);
+    form.appendChild(passphrase);
+    form.appendChild(unlockBtn);
+    panel.appendChild(form);
+    panel.appendChild(error);
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      unlockBtn.disabled = true;
+      error.textContent = "";
+      ReportCrypto.unlockTeam(teamSelect.value, passphrase.value).then(() => {
+        if (fullTextEnabled) indexFullText();
+        openReport(report.id);
+      }).catch((err) => {
+        error.textContent = err.message;
+        unlockBtn.disabled = false;
+        passphrase.select();
+      });
+    });
+
+    reportMetaEl.appendChild(panel);
+    passphrase.focus();
+  }
+
+  // ---- Full-text search (search-index.js) ----
+  //
+  // Metadata, summary and Markdown body are indexed as reports arrive. The
+  // first search also pulls in each report's attachment text (decrypted when
+  // a team key is unlocked) and its reports/{id}.html assessment, a couple
+  // of reports at a time, and results refine as they come in.
+
+  const searchIndex = SearchIndex.create();
+  const searchSources = {}; // report id -> { report, full, assessment, version, locked }
+  const fullTextPending = new Set();
+  const fullTextQueue = [];
+  const FULL_TEXT_CONCURRENCY = 2;
+  let fullTextEnabled = false;
+  let fullTextRunning = 0;
+
+  function markdownText(md) {
+    return md
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/[#>*_`~|]+/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function assessmentText(html) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    doc.querySelectorAll("script, style, noscript, template").forEach((el) => el.remove());
+    return (doc.body ? doc.body.textContent : "").replace(/\s+/g, " ").trim();
+  }
+
+  function updateSearchIndex(id) {
+    const src = searchSources[id];
+    const report = src.full || src.report;
+    const sections = [
+      {
+        key: "details", label: "Details", weight: 3,
+        text: [report.id, report.passportNumber, report.subjectName, report.nationality, report.locationName].filter(Boolean).join(" "),
+      },
+      { key: "summary", label: "Summary", weight: 2, text: report.summary || "" },
+      { key: "content", label: "Report", text: report.content ? markdownText(report.content) : "" },
+    ];
+    (report.attachments || []).forEach((att) => {
+      if (att.textContent) sections.push({ key: "attachment:" + att.name, label: att.name, text: att.textContent });
+    });
+    if (src.assessment) sections.push({ key: "assessment", label: "Intel Assessment", text: src.assessment });
+    searchIndex.set(id, sections);
+  }
+
+  function indexReport(report) {
+    const src = searchSources[report.id] || (searchSources[report.id] = { assessment: null, version: 0 });
+    src.report = report;
+    src.full = null;
+    src.version++;
+    updateSearchIndex(report.id);
+    queueFullText(report.id);
+  }
+
+  function unindexReport(id) {
+    delete searchSources[id];
+    searchIndex.remove(id);
+  }
+
+  function queueFullText(id) {
+    const src = searchSources[id];
+    if (!src || fullTextPending.has(id) || (!fullTextEnabled && !pendingAlerts.has(id))) return;
+    if (!currentUserIsAdmin && src.report.classification === "top-secret") {
+      pendingAlerts.delete(id);
+      return;
+    }
+    fullTextPending.add(id);
+    fullTextQueue.push(id);
+    pumpFullText();
+  }
+
+  function pumpFullText() {
+    while (fullTextRunning < FULL_TEXT_CONCURRENCY && fullTextQueue.length > 0) {
+      const id = fullTextQueue.shift();
+      fullTextRunning++;
+      loadFullText(id).catch((e) => {
+        console.error("Could not index the full text of " + id + ":", e);
+      }).then(() => {
+        fullTextRunning--;
+        fullTextPending.delete(id);
+        const src = searchSources[id];
+        if (src && src.stale) {
+          src.stale = false;
+          queueFullText(id);
+        } else if (pendingAlerts.has(id)) {
+          checkSearchAlerts(id);
+        }
+        if (parsedQuery) scheduleListRender();
+        pumpFullText();
+      });
+    }
+  }
+
+  function loadFullText(id) {
+    const src = searchSources[id];
+    const version = src.version;
+    const full = StorageDB.getReport(id).then((report) => {
+      if (searchSources[id] !== src) return;
+      // Changed while loading — index what was loaded, then go again
+      if (src.version !== version) src.stale = true;
+      src.locked = false;
+      src.full = report;
+    }, (e) => {
+      if (e.code !== "locked") throw e;
+      src.locked = true;
+    });
+    const assessment = src.assessment !== null ? null : fetch("reports/" + id + ".html").then((resp) => {
+      return resp.ok ? resp.text() : "";
+    }).then((html) => {
+      src.assessment = html ? assessmentText(html) : "";
+    });
+    return Promise.all([full, assessment]).then(() => {
+      if (searchSources[id] === src) updateSearchIndex(id);
+    });
+  }
+
+  // Start on the first search; also picks up reports a newly unlocked team key can read
+  function indexFullText() {
+    fullTextEnabled = true;
+    Object.keys(searchSources).forEach((id) => {
+      const src = searchSources[id];
+      if (!src.full || src.locked) queueFullText(id);
+    });
+  }
+
+  // ---- Structured search (report-query.js) ----
+
+  const searchErrorEl = document.getElementById("search-error");
+  let parsedText = null;
+  let parsedQuery = null; // last query that parsed; kept while the box holds a broken one
+
+  function parseSearch(text) {
+    if (text === parsedText) return parsedQuery;
+    parsedText = text;
+    try {
+      parsedQuery = ReportQuery.parse(text);
+      searchErrorEl.hidden = true;
+      searchInput.classList.remove("invalid");
+    } catch (e) {
+      if (e.code !== "invalid-query") throw e;
+      searchErrorEl.textContent = e.message + " (column " + (e.position + 1) + ")";
+      searchErrorEl.hidden = false;
+      searchInput.classList.add("invalid");
+    }
+    return parsedQuery;
+  }
+
+  // Full-text terms of a query, folded as the index stores them
+  function queryTerms(ast) {
+    return SearchIndex.parseQuery(ReportQuery.textTerms(ast).join(" "));
+  }
+
+  /**
+   * How closely the name-like parts of a search match the subject's name
+   * (name-match.js): the query words and name: values that match it on their
+   * own, scored together. 0 when none do.
+   */
+  function nameScore(report, queries) {
+    const hits = queries.filter((q) => NameMatch.matches(q, report.subjectName));
+    return hits.length ? NameMatch.score(hits.join(" "), report.subjectName) : 0;
+  }
+
+  /**
+   * Reports in `visible` matching the parsed query. Reports whose subject
+   * name matches under another spelling come first, closest first, then the
+   * rest by their full-text terms (equal scores keep the list order).
+   * Searching full text starts indexing it, unless `background` is set.
+   */
+  function searchReports(ast, visible, background) {
+    const terms = queryTerms(ast);
+    if (terms.length && !fullTextEnabled && !background) indexFullText();
+    const lookups = new Map();
+    const context = {
+      text(report, node) {
+        const words = SearchIndex.tokenize(node.value);
+        if (words.length === 0) return true;
+        if (node.phrase || words.length > 1) {
+          return searchIndex.containsPhrase(report.id, words) || NameMatch.matches(node.value, report.subjectName);
+        }
+        if (!lookups.has(words[0])) lookups.set(words[0], new Set(searchIndex.lookup(words[0])));
+        if (lookups.get(words[0]).has(report.id)) return true;
+        if (NameMatch.matches(node.value, report.subjectName)) return true;
+        // Partial IDs and passport numbers match anywhere, not just at word starts
+        const q = node.value.toLowerCase();
+        return report.id.toLowerCase().includes(q) || report.passportNumber.toLowerCase().includes(q);
+      },
+      has(report, what) {
+        if (what === "assessment") return !!reportsWithAssessment[report.id];
+        if (what === "content") {
+          const src = searchSources[report.id];
+          return !!(src && src.full && src.full.content);
+        }
+        return false;
+      },
+      name(report, value) {
+        return NameMatch.matches(value, report.subjectName);
+      },
+      entity(report, type, value) {
+        return Entities.matches(reportEntities[report.id], type, value);
+      },
+    };
+    const matched = visible.filter((r) => ReportQuery.matches(ast, r, context));
+    const nameQueries = ReportQuery.textTerms(ast).concat(ReportQuery.nameTerms(ast));
+    const scores = new Map(matched.map((r) => [r.id, nameScore(r, nameQueries)]));
+    const results = searchIndex.rank(matched.map((r) => r.id), terms);
+    results.forEach((res) => { res.nameScore = scores.get(res.id); });
+    return results.sort((a, b) => b.nameScore - a.nameScore);
+  }
+
+  // Mirror the search into the address bar so a filtered view can be bookmarked
+  function updateSearchUrl() {
+    const params = new URLSearchParams(location.search);
+    const q = ReportQuery.format(parsedQuery);
+    if (q) params.set("q", q);
+    else params.delete("q");
+    if (countryFilter.value) params.set("country", countryFilter.value);
+    else params.delete("country");
+    const search = params.toString();
+    history.replaceState(history.state, "", location.pathname + (search ? "?" + search : "") + location.hash);
+  }
+
+  // Wrap matches of terms under root in <mark class="search-hit">; returns the marks in order
+  function highlightTerms(root, terms) {
+    const doc = root.ownerDocument;
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => node.parentElement && node.parentElement.closest("script, style, select, textarea, mark.search-hit")
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT,
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    const marks = [];
+    nodes.forEach((node) => {
+      const ranges = SearchIndex.matchRanges(node.nodeValue, terms);
+      const nodeMarks = [];
+      for (let i = ranges.length - 1; i >= 0; i--) {
+        const hit = node.splitText(ranges[i][0]);
+        hit.splitText(ranges[i][1] - ranges[i][0]);
+        const mark = doc.createElement("mark");
+        mark.className = "search-hit";
+        hit.parentNode.replaceChild(mark, hit);
+        mark.appendChild(hit);
+        nodeMarks.unshift(mark);
+      }
+      marks.push(...nodeMarks);
+    });
+    return marks;
+  }
+
+  function focusSearchHit(mark) {
+    if (!mark) return;
+    mark.classList.add("search-hit-active");
+    mark.scrollIntoView({ block: "center" });
+  }
+
+  // Highlight a search in the opened report and scroll to the section it was found in
+  function showSearchHits(jump) {
+    const metaMarks = highlightTerms(reportMetaEl, jump.terms);
+    const bodyMarks = highlightTerms(reportBodyEl, jump.terms);
+    if (!jump.section || jump.section === "assessment") return;
+    let target = null;
+    if (jump.section === "details" || jump.section === "summary") {
+      target = metaMarks[0];
+    } else if (jump.section === "content") {
+      target = bodyMarks.find((m) => m.closest(".report-body-section"));
+    } else if (jump.section.indexOf("attachment:") === 0) {
+      const name = jump.section.slice("attachment:".length);
+      target = bodyMarks.find((m) => {
+        const embed = m.closest(".document-embed");
+        return embed && embed.dataset.attachment === name;
+      });
+    }
+    focusSearchHit(target || metaMarks[0] || bodyMarks[0]);
+  }
+
+  function showAssessmentHits(iframe, jump) {
+    let doc;
+    try { doc = iframe.contentDocument; } catch (e) { return; }
+    if (!doc || !doc.body) return;
+    const style = doc.createElement("style");
+    style.textContent =
+      "mark.search-hit { background: #facc15; color: #111; border-radius: 2px; }" +
+      "mark.search-hit-active { outline: 2px solid #f97316; }";
+    doc.head.appendChild(style);
+    const marks = highlightTerms(doc.body, jump.terms);
+    if (jump.section !== "assessment" || marks.length === 0) return;
+    marks[0].classList.add("search-hit-active");
+    // The iframe is sized to its content, so scroll the viewer rather than the frame
+    const viewer = document.querySelector(".report-viewer");
+    const offset = iframe.getBoundingClientRect().top + marks[0].getBoundingClientRect().top - viewer.getBoundingClientRect().top;
+    viewer.scrollTop += offset - viewer.clientHeight / 3;
+  }
+
   // ---- Sidebar ----
 
-  function buildReportListItem(report) {
+  function buildReportListItem(report, result, terms) {
     const li = document.createElement("li");
     li.className = "report-item" + (report.id === activeReportId ? " active" : "");
 
@@ -321,6 +723,13 @@
     const name = document.createElement("div");
     name.className = "report-item-name";
     name.textContent = report.subjectName;
+    if (result && result.nameScore) {
+      const similarity = document.createElement("span");
+      similarity.className = "report-item-name-score";
+      similarity.textContent = Math.round(result.nameScore * 100) + "%";
+      similarity.title = "Name similarity to the search";
+      name.appendChild(similarity);
+    }
 
     const date = document.createElement("div");
     date.className = "report-item-date";
@@ -342,177 +751,975 @@
       li.appendChild(badge);
     }
 
-    li.addEventListener("click", () => openReport(report.id));
+    // Search hits: each snippet jumps to its place in the report
+    if (result) {
+      result.snippets.forEach((snippet) => {
+        const hit = document.createElement("div");
+        hit.className = "report-item-snippet";
+        const label = document.createElement("span");
+        label.className = "report-item-snippet-label";
+        label.textContent = snippet.label;
+        hit.appendChild(label);
+        appendHighlighted(hit, snippet.text, snippet.ranges);
+        hit.addEventListener("click", (e) => {
+          e.stopPropagation();
+          openReport(report.id, { terms, section: snippet.key });
+        });
+        li.appendChild(hit);
+      });
+    }
+
+    li.addEventListener("click", () => openReport(report.id, result ? { terms, section: result.snippets.length ? result.snippets[0].key : null } : null));
     return li;
   }
 
-  function renderReportList(filter, country) {
-    const query = (filter || "").toLowerCase();
-    const countryVal = (country || "").toLowerCase();
-    reportListEl.replaceChildren();
+  function appendHighlighted(el, text, ranges) {
+    let pos = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > pos) el.appendChild(document.createTextNode(text.slice(pos, start)));
+      const mark = document.createElement("mark");
+      mark.textContent = text.slice(start, end);
+      el.appendChild(mark);
+      pos = end;
+    });
+    if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+  }
 
-    const filtered = REPORTS.filter((r) => {
+  // Reports the user may see, narrowed to a country ("" for all)
+  function visibleReports(reports, country) {
+    const countryVal = (country || "").toLowerCase();
+    return reports.filter((r) => {
       if (!currentUserIsAdmin && r.classification === "top-secret") return false;
       if (countryVal && r.nationality.toLowerCase() !== countryVal) return false;
-      if (!query) return true;
-      return (
-        r.passportNumber.toLowerCase().includes(query) ||
-        r.subjectName.toLowerCase().includes(query) ||
-        r.id.toLowerCase().includes(query) ||
-        r.summary.toLowerCase().includes(query) ||
-        r.nationality.toLowerCase().includes(query)
-      );
+      return true;
     });
+  }
+
+  function renderReportList(filter, country) {
+    const ast = parseSearch(filter || "");
+    reportListEl.replaceChildren();
+    renderSavedSearches();
+
+    loadAllPagesIfFiltered();
+    const visible = visibleReports(REPORTS, country).filter((r) => ReportMap.contains(mapArea, r.lat, r.lng));
+    const ranked = ast ? searchReports(ast, visible) : null;
+    const terms = ast ? queryTerms(ast) : [];
+    const searched = ranked ? ranked.map((res) => visible.find((r) => r.id === res.id)) : visible;
+
+    // Facet counts follow the search; the list follows the facets too
+    renderFacetPanel(ReportFacets.counts(searched, facetState, facetContext));
+    const passes = searched.map((r) => ReportFacets.matches(r, facetState, facetContext));
+    const results = ranked ? ranked.filter((res, i) => passes[i]) : null;
+    const filtered = searched.filter((r, i) => passes[i]);
+    renderAreaFilter(filtered.length);
+
+    if (results && fullTextPending.size > 0) {
+      const status = document.createElement("li");
+      status.className = "report-search-status";
+      status.textContent = "Indexing report text\u2026 " + fullTextPending.size + " to go";
+      reportListEl.appendChild(status);
+    }
 
-    if (filtered.length === 0) {
+    if (filtered.length === 0 && !feedHasMore) {
       const empty = document.createElement("li");
       empty.style.cssText = "padding:2rem;color:var(--text-muted);text-align:center;font-size:0.85rem;";
-      empty.textContent = "No reports match your search.";
+      empty.textContent = feedError ? "Could not load reports." :
+        mapArea ? "No reports inside the map area." :
+        ReportFacets.activeCount(facetState) > 0 ? "No reports match your search and filters." : "No reports match your search.";
       reportListEl.appendChild(empty);
+      reportListEl.appendChild(listSentinel);
       return;
     }
 
-    // Pin reports with intel assessments to top, sorted by ID
-    var withAssessment = [];
-    var without = [];
-    filtered.forEach(function (r) {
-      if (reportsWithAssessment[r.id]) { withAssessment.push(r); }
-      else { without.push(r); }
-    });
-    withAssessment.sort(function (a, b) { return a.id.localeCompare(b.id); });
-    withAssessment.concat(without).forEach((r) => reportListEl.appendChild(buildReportListItem(r)));
+    // Search results stay in rank order unless a sort is picked
+    const rows = results
+      ? results.map((res, i) => ({ report: filtered[i], result: res }))
+      : filtered.map((r) => ({ report: r }));
+    if (!results || listView.sort !== "default") sortListRows(rows);
+    appendListRows(rows, terms);
+    reportListEl.appendChild(listSentinel);
   }
 
-  // ---- Report Viewer (executive layout, auto-expanded docs) ----
-
-  async function openReport(id) {
-    const reportMeta = REPORTS.find((r) => r.id === id);
-    if (!reportMeta) return;
-    if (!currentUserIsAdmin && reportMeta.classification === "top-secret") return;
-
-    activeReportId = id;
-    ActivityLog.log("report_view", { reportId: id, subject: reportMeta.subjectName });
-    renderReportList(searchInput.value, countryFilter.value);
-
-    reportPlaceholder.hidden = true;
-    reportContentEl.hidden = false;
+  // ---- Report list order and grouping, kept per user across reloads ----
 
-    // Mobile: switch to report view
-    document.querySelector(".dashboard-layout").classList.add("mobile-report-open");
+  const sortSelect = document.getElementById("sort-select");
+  const sortDirBtn = document.getElementById("sort-dir");
+  const groupSelect = document.getElementById("group-select");
+  const LIST_VIEW_KEY = "intel_portal_list_view:" + (session ? session.username : "");
+  const VIEWED_KEY = "intel_portal_viewed:" + (session ? session.username : "");
+  const CLASSIFICATION_RANK = { "top-secret": 0, secret: 1, confidential: 2 };
 
-    // Fetch full report data (with attachment blobs) on demand
-    var report;
+  function loadStored(key, fallback) {
     try {
-      report = await StorageDB.getReport(id);
-      if (!report) report = reportMeta;
+      return JSON.parse(localStorage.getItem(key)) || fallback;
     } catch (e) {
-      console.error("Failed to fetch full report:", e);
-      report = reportMeta;
+      return fallback;
     }
+  }
 
-    const viewer = document.querySelector(".report-viewer");
-    viewer.scrollTop = 0;
+  function store(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.warn("Could not remember " + key + ":", e);
+    }
+  }
 
-    const classMap = {
-      "top-secret": "classification-top-secret",
-      secret: "classification-secret",
-      confidential: "classification-confidential",
+  function loadListView() {
+    const saved = loadStored(LIST_VIEW_KEY, {});
+    return {
+      sort: LIST_SORTS[saved.sort] ? saved.sort : "default",
+      reverse: !!saved.reverse,
+      group: LIST_GROUPS[saved.group] ? saved.group : "none",
+      collapsed: Array.isArray(saved.collapsed) ? saved.collapsed : [], // "group:key" entries
     };
+  }
 
-    // Destroy previous Leaflet map to prevent "already initialized" crash
-    if (activeMap) {
-      try { activeMap.remove(); } catch (e) { /* ignore */ }
-      activeMap = null;
-    }
+  function setListView(changes) {
+    listView = Object.assign({}, listView, changes);
+    store(LIST_VIEW_KEY, listView);
+    renderListControls();
+    renderReportList(searchInput.value, countryFilter.value);
+  }
 
-    // Clear previous content
-    reportActionsEl.replaceChildren();
-    reportMetaEl.replaceChildren();
-    reportBodyEl.replaceChildren();
+  function recordView(id) {
+    lastViewed[id] = new Date().toISOString();
+    store(VIEWED_KEY, lastViewed);
+  }
 
-    // ---- Mobile back button ----
-    const backBtn = document.createElement("button");
-    backBtn.className = "mobile-back-btn";
-    backBtn.textContent = "\u2190 All Reports";
-    backBtn.addEventListener("click", function () {
-      document.querySelector(".dashboard-layout").classList.remove("mobile-report-open");
-      activeReportId = null;
-      reportContentEl.hidden = true;
-      reportPlaceholder.hidden = false;
-      renderReportList(searchInput.value, countryFilter.value);
-    });
-    reportMetaEl.appendChild(backBtn);
+  function classificationRank(c) {
+    return c in CLASSIFICATION_RANK ? CLASSIFICATION_RANK[c] : 3;
+  }
 
-    // ---- Header Banner ----
-    const banner = document.createElement("div");
-    banner.className = "report-header-banner";
+  function compareText(a, b) {
+    return (a || "").localeCompare(b || "", undefined, { sensitivity: "base", numeric: true });
+  }
 
-    // Top row: title + delete
-    const topRow = document.createElement("div");
-    topRow.className = "report-header-top";
+  // Newest first; reports without the value go last
+  function compareNewest(a, b) {
+    if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+    return a < b ? 1 : a > b ? -1 : 0;
+  }
 
-    const titleBlock = document.createElement("div");
-    titleBlock.className = "report-title-block";
+  const LIST_SORTS = {
+    // Reports with intel assessments pinned to the top by ID, the rest in feed order
+    default: (a, b) => {
+      const pinA = reportsWithAssessment[a.id] ? 0 : 1;
+      const pinB = reportsWithAssessment[b.id] ? 0 : 1;
+      return pinA - pinB || (pinA === 0 ? a.id.localeCompare(b.id) : 0);
+    },
+    date: (a, b) => compareNewest(a.date, b.date),
+    id: (a, b) => compareText(a.id, b.id),
+    subject: (a, b) => compareText(a.subjectName, b.subjectName),
+    classification: (a, b) => classificationRank(a.classification) - classificationRank(b.classification),
+    modified: (a, b) => compareNewest(a.updatedAt || a.createdAt, b.updatedAt || b.createdAt),
+    viewed: (a, b) => compareNewest(lastViewed[a.id], lastViewed[b.id]),
+  };
+
+  function monthLabel(month) {
+    const [y, m] = month.split("-").map(Number);
+    return new Date(y, m - 1, 1).toLocaleDateString("en-US", { month: "long", year: "numeric" });
+  }
 
-    const h1 = document.createElement("h1");
-    h1.textContent = report.subjectName;
+  // key(report) -> group key; label(key); compare orders the groups
+  const LIST_GROUPS = {
+    none: null,
+    nationality: {
+      key: (r) => r.nationality || "",
+      label: (k) => k || "Unknown nationality",
+      compare: (a, b) => (a ? 0 : 1) - (b ? 0 : 1) || compareText(a, b),
+    },
+    classification: {
+      key: (r) => r.classification || "",
+      label: (k) => k ? k.replace("-", " ").replace(/\b\w/g, (c) => c.toUpperCase()) : "Unclassified",
+      compare: (a, b) => classificationRank(a) - classificationRank(b),
+    },
+    month: {
+      key: (r) => /^\d{4}-\d{2}/.test(r.date || "") ? r.date.slice(0, 7) : "",
+      label: (k) => k ? monthLabel(k) : "No date",
+      compare: compareNewest,
+    },
+  };
+
+  let listView = loadListView();
+  let lastViewed = loadStored(VIEWED_KEY, {}); // report id -> ISO time this user last opened it
+
+  function sortListRows(rows) {
+    const compare = LIST_SORTS[listView.sort];
+    // Ties keep their current order (feed or rank)
+    rows.sort((a, b) => compare(a.report, b.report) || 0);
+    if (listView.reverse && listView.sort !== "default") rows.reverse();
+  }
 
-    const idLine = document.createElement("div");
-    idLine.className = "report-title-id";
-    idLine.textContent = report.id + " \u2022 " + report.passportNumber;
+  function appendListRows(rows, terms) {
+    const grouping = LIST_GROUPS[listView.group];
+    if (!grouping) {
+      rows.forEach((row) => reportListEl.appendChild(buildReportListItem(row.report, row.result, terms)));
+      return;
+    }
+    const groups = new Map();
+    rows.forEach((row) => {
+      const key = grouping.key(row.report);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    Array.from(groups.keys()).sort(grouping.compare).forEach((key) => {
+      const id = listView.group + ":" + key;
+      const collapsed = listView.collapsed.includes(id);
+      reportListEl.appendChild(buildGroupHeader(grouping.label(key), groups.get(key).length, collapsed, id));
+      if (collapsed) return;
+      groups.get(key).forEach((row) => reportListEl.appendChild(buildReportListItem(row.report, row.result, terms)));
+    });
+  }
 
-    titleBlock.appendChild(h1);
-    titleBlock.appendChild(idLine);
+  function buildGroupHeader(label, count, collapsed, id) {
+    const li = document.createElement("li");
+    li.className = "report-group" + (collapsed ? " collapsed" : "");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "report-group-header";
+    btn.setAttribute("aria-expanded", String(!collapsed));
+    const caret = document.createElement("span");
+    caret.className = "report-group-caret";
+    caret.textContent = collapsed ? "\u25B8" : "\u25BE";
+    const name = document.createElement("span");
+    name.className = "report-group-label";
+    name.textContent = label;
+    const total = document.createElement("span");
+    total.className = "report-group-count";
+    total.textContent = count;
+    btn.appendChild(caret);
+    btn.appendChild(name);
+    btn.appendChild(total);
+    btn.addEventListener("click", () => {
+      const rest = listView.collapsed.filter((c) => c !== id);
+      setListView({ collapsed: collapsed ? rest : rest.concat(id) });
+    });
+    li.appendChild(btn);
+    return li;
+  }
 
-    const actionsDiv = document.createElement("div");
-    actionsDiv.className = "report-header-actions";
+  function renderListControls() {
+    sortSelect.value = listView.sort;
+    groupSelect.value = listView.group;
+    sortDirBtn.disabled = listView.sort === "default";
+    sortDirBtn.textContent = listView.reverse ? "\u2191" : "\u2193";
+    sortDirBtn.title = listView.reverse ? "Reversed order" : "Usual order (newest, A\u2013Z, highest classification first)";
+  }
 
-    const isUserAdmin = await isAdmin();
+  sortSelect.addEventListener("change", () => setListView({ sort: sortSelect.value, reverse: false }));
+  sortDirBtn.addEventListener("click", () => setListView({ reverse: !listView.reverse }));
+  groupSelect.addEventListener("change", () => setListView({ group: groupSelect.value }));
+  renderListControls();
+
+  // ---- Facet filters (report-facets.js), kept per user across reloads ----
+
+  const facetPanel = document.getElementById("facet-panel");
+  const facetGroupsEl = document.getElementById("facet-groups");
+  const facetActiveEl = document.getElementById("facet-active");
+  const facetClearBtn = document.getElementById("facet-clear");
+  const FACET_STORAGE_KEY = "intel_portal_facets:" + (session ? session.username : "");
+  const FACET_PREVIEW = 6; // values listed before "Show all"
+  const facetContext = {
+    hasAssessment: (r) => !!reportsWithAssessment[r.id],
+    entities: (r, type) => Entities.valuesOf(reportEntities[r.id], type),
+  };
+  const facetSections = new Map(); // facet key -> { section, body }; built once so inputs keep focus
+  const expandedFacets = new Set();
+  let facetState = loadFacetState();
+
+  function loadFacetState() {
+    try {
+      return ReportFacets.normalize(JSON.parse(localStorage.getItem(FACET_STORAGE_KEY) || "{}"));
+    } catch (e) {
+      return {};
+    }
+  }
 
-    if (isUserAdmin) {
-      const editBtn = document.createElement("button");
-      editBtn.type = "button";
-      editBtn.className = "btn-action";
-      editBtn.textContent = "Edit";
-      editBtn.addEventListener("click", () => editReport(report));
-      actionsDiv.appendChild(editBtn);
+  function storeFacetState(next) {
+    facetState = ReportFacets.normalize(next);
+    try {
+      localStorage.setItem(FACET_STORAGE_KEY, JSON.stringify(facetState));
+    } catch (e) {
+      console.warn("Could not remember filters:", e);
     }
+  }
 
-    const isMobile = window.innerWidth <= 768;
+  function setFacetState(next) {
+    storeFacetState(next);
+    renderReportList(searchInput.value, countryFilter.value);
+  }
 
-    if (!isMobile) {
-      const printBtn = document.createElement("button");
-      printBtn.type = "button";
-      printBtn.className = "btn-action";
-      printBtn.textContent = "Print";
-      printBtn.addEventListener("click", () => { ActivityLog.log("report_export", { reportId: report.id, method: "print" }); window.print(); });
-      actionsDiv.appendChild(printBtn);
-    }
+  function toggleFacetValue(key, value, on) {
+    const values = (facetState[key] || []).filter((v) => v !== value);
+    if (on) values.push(value);
+    setFacetState(Object.assign({}, facetState, { [key]: values }));
+  }
 
-    if (isUserAdmin) {
-      const deleteBtn = document.createElement("button");
-      deleteBtn.type = "button";
-      deleteBtn.className = "btn-delete";
-      deleteBtn.textContent = "Delete";
-      deleteBtn.addEventListener("click", () => confirmDelete(report));
-      actionsDiv.appendChild(deleteBtn);
+  function facetSection(group) {
+    if (!facetSections.has(group.key)) {
+      const section = document.createElement("div");
+      section.className = "facet-group";
+      const title = document.createElement("div");
+      title.className = "facet-title";
+      title.textContent = group.label;
+      const body = document.createElement("div");
+      section.appendChild(title);
+      section.appendChild(body);
+      facetGroupsEl.appendChild(section);
+      facetSections.set(group.key, { section, body });
+      if (group.range) buildDateRange(body);
     }
+    return facetSections.get(group.key);
+  }
 
-    topRow.appendChild(titleBlock);
-    topRow.appendChild(actionsDiv);
-    banner.appendChild(topRow);
+  function buildDateRange(body) {
+    body.className = "facet-range";
+    ["from", "to"].forEach((end) => {
+      const input = document.createElement("input");
+      input.type = "date";
+      input.className = "facet-date";
+      input.dataset.end = end;
+      input.title = end === "from" ? "Reports on or after" : "Reports on or before";
+      input.addEventListener("change", () => {
+        const range = Object.assign({ from: "", to: "" }, facetState.date, { [end]: input.value });
+        setFacetState(Object.assign({}, facetState, { date: range }));
+      });
+      body.appendChild(input);
+    });
+    const count = document.createElement("span");
+    count.className = "facet-count";
+    body.appendChild(count);
+  }
 
-    // Meta grid
-    const grid = document.createElement("div");
-    grid.className = "report-meta-grid";
+  function renderFacetPanel(counts) {
+    const active = ReportFacets.activeCount(facetState);
+    facetActiveEl.hidden = active === 0;
+    facetActiveEl.textContent = active;
+    facetClearBtn.hidden = active === 0;
+
+    counts.forEach((group) => {
+      const { section, body } = facetSection(group);
+      if (group.range) {
+        body.querySelectorAll(".facet-date").forEach((input) => {
+          // Leave a date being typed alone
+          if (document.activeElement !== input) input.value = (facetState.date && facetState.date[input.dataset.end]) || "";
+        });
+        body.querySelector(".facet-count").textContent = group.count;
+        return;
+      }
+      section.hidden = group.values.length === 0;
+      const expanded = expandedFacets.has(group.key);
+      body.replaceChildren();
+      group.values.forEach((v, i) => {
+        if (!expanded && i >= FACET_PREVIEW && !v.selected) return;
+        const option = document.createElement("label");
+        option.className = "facet-option" + (v.count === 0 ? " empty" : "");
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.checked = v.selected;
+        box.addEventListener("change", () => toggleFacetValue(group.key, v.value, box.checked));
+        const label = document.createElement("span");
+        label.className = "facet-value";
+        label.textContent = v.label;
+        const count = document.createElement("span");
+        count.className = "facet-count";
+        count.textContent = v.count;
+        option.appendChild(box);
+        option.appendChild(label);
+        option.appendChild(count);
+        body.appendChild(option);
+      });
+      if (group.values.length > FACET_PREVIEW) {
+        const more = document.createElement("button");
+        more.type = "button";
+        more.className = "facet-more";
+        more.textContent = expanded ? "Show fewer" : "Show all (" + group.values.length + ")";
+        more.addEventListener("click", () => {
+          if (expanded) expandedFacets.delete(group.key);
+          else expandedFacets.add(group.key);
+          renderReportList(searchInput.value, countryFilter.value);
+        });
+        body.appendChild(more);
+      }
+    });
+  }
 
-    const fields = [
+  facetClearBtn.addEventListener("click", () => setFacetState({}));
+  facetPanel.open = ReportFacets.activeCount(facetState) > 0;
+  // Live counts are over every report, so opening the panel loads them all
+  facetPanel.addEventListener("toggle", loadAllPagesIfFiltered);
+
+  // ---- Saved searches (per user: unread counts, alerts on new matches) ----
+
+  const savedSearchListEl = document.getElementById("saved-search-list");
+  const saveSearchBtn = document.getElementById("save-search-btn");
+  const toastStackEl = document.getElementById("toast-stack");
+  const pageOpenedAt = new Date().toISOString();
+  const MAX_TOASTS = 4;
+  const TOAST_MS = 15000;
+  let savedSearches = [];
+  const savedSearchAsts = new Map(); // query -> { ast } or { error }
+  const unreadCounts = new Map(); // saved search -> count, refreshed when the feed or the search changes
+  const pendingAlerts = new Map(); // report id -> searches its old version matched, until its full text is in
+  const changedReports = new Map(); // id -> every report changed since the oldest lastSeenAt, on any page
+
+  function savedSearchAst(search) {
+    if (!savedSearchAsts.has(search.query)) {
+      try {
+        savedSearchAsts.set(search.query, { ast: ReportQuery.parse(search.query) });
+      } catch (e) {
+        console.warn("Saved search \u201c" + search.name + "\u201d no longer parses:", e.message);
+        savedSearchAsts.set(search.query, { error: e });
+      }
+    }
+    return savedSearchAsts.get(search.query);
+  }
+
+  function savedSearchCountry(search) {
+    return (search.filters && search.filters.country) || "";
+  }
+
+  function savedSearchFacets(search) {
+    return ReportFacets.normalize(search.filters && search.filters.facets);
+  }
+
+  // Reports among `reports` that a saved search matches
+  function savedSearchMatches(search, reports) {
+    const parsed = savedSearchAst(search);
+    if (parsed.error) return [];
+    const facets = savedSearchFacets(search);
+    const visible = visibleReports(reports, savedSearchCountry(search))
+      .filter((r) => ReportFacets.matches(r, facets, facetContext));
+    if (!parsed.ast) return visible;
+    const ids = new Set(searchReports(parsed.ast, visible, true).map((res) => res.id));
+    return visible.filter((r) => ids.has(r.id));
+  }
+
+  function matchingSavedSearches(report) {
+    return savedSearches.filter((search) => savedSearchMatches(search, [report]).length > 0);
+  }
+
+  // Created or edited by someone else since this page was opened
+  function isNewsToUser(report) {
+    const changed = report.updatedAt || report.createdAt || "";
+    return changed > pageOpenedAt && !(session && report.updatedBy === session.username);
+  }
+
+  // Matches changed by someone else since the user last opened the search
+  function unreadCount(search) {
+    return savedSearchMatches(search, Array.from(changedReports.values())).filter((r) => {
+      const changed = r.updatedAt || r.createdAt || "";
+      return changed > search.lastSeenAt && !(session && r.updatedBy === session.username);
+    }).length;
+  }
+
+  function countUnread() {
+    unreadCounts.clear();
+    savedSearches.forEach((search) => unreadCounts.set(search, unreadCount(search)));
+  }
+
+  // A changed report's full text is indexed: alert the searches it newly matches
+  function checkSearchAlerts(id) {
+    const matchedBefore = pendingAlerts.get(id);
+    pendingAlerts.delete(id);
+    const src = searchSources[id];
+    if (!src) return;
+    matchingSavedSearches(src.report)
+      .filter((search) => matchedBefore.indexOf(search) === -1)
+      .forEach((search) => showSearchAlert(search, src.report));
+    countUnread();
+    renderSavedSearches();
+  }
+
+  // Before a changed report is re-indexed: remember the searches its old
+  // version matched; the new one is checked once its full text is indexed
+  function noteSearchAlert(report) {
+    if (!savedSearches.length || pendingAlerts.has(report.id) || !isNewsToUser(report)) return;
+    const src = searchSources[report.id];
+    if (src && src.report.updatedAt === report.updatedAt) return;
+    pendingAlerts.set(report.id, src ? matchingSavedSearches(src.report) : []);
+  }
+
+  // The report feed and the changed-since watch both deliver edits: index each version once
+  function indexChangedReport(report) {
+    const src = searchSources[report.id];
+    if (src && src.report.updatedAt === report.updatedAt && src.report.revision === report.revision) {
+      src.report = report;
+      return;
+    }
+    noteSearchAlert(report);
+    indexReport(report);
+  }
+
+  // Reports changed since the oldest lastSeenAt, wherever they fall in the
+  // paged list, so unread counts and alerts don't depend on what's loaded
+  function applyChangedReports(changes) {
+    changes.forEach((change) => {
+      if (change.type === "removed") {
+        changedReports.delete(change.id);
+        if (!REPORTS.some((r) => r.id === change.id)) {
+          unindexReport(change.id);
+          pendingAlerts.delete(change.id);
+        }
+        return;
+      }
+      changedReports.set(change.id, change.report);
+      indexChangedReport(change.report);
+    });
+    countUnread();
+    renderSavedSearches();
+  }
+
+  function watchChangedReports() {
+    const since = savedSearches.reduce((min, s) => (s.lastSeenAt && s.lastSeenAt < min ? s.lastSeenAt : min), pageOpenedAt);
+    StorageDB.watchChangedSince(since, applyChangedReports);
+  }
+
+  function sameSearch(search, query, country, facets) {
+    return search.query === query && savedSearchCountry(search) === country &&
+      JSON.stringify(savedSearchFacets(search)) === JSON.stringify(facets);
+  }
+
+  function isCurrentSearch(search) {
+    return sameSearch(search, ReportQuery.format(parsedQuery), countryFilter.value, facetState);
+  }
+
+  function renderSavedSearches() {
+    savedSearchListEl.replaceChildren();
+    savedSearches.forEach((search) => {
+      const li = document.createElement("li");
+      li.className = "saved-search" + (isCurrentSearch(search) ? " active" : "");
+      li.title = [search.query, savedSearchCountry(search), ReportFacets.describe(savedSearchFacets(search))].filter(Boolean).join(" \u2014 ");
+
+      const name = document.createElement("span");
+      name.className = "saved-search-name";
+      name.textContent = search.name;
+      li.appendChild(name);
+
+      const unread = unreadCounts.get(search) || 0;
+      if (unread > 0) {
+        const badge = document.createElement("span");
+        badge.className = "saved-search-unread";
+        badge.textContent = unread;
+        badge.title = unread + " new or updated since you last opened this search";
+        li.appendChild(badge);
+      }
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "saved-search-remove";
+      remove.textContent = "\u00d7";
+      remove.title = "Delete saved search";
+      remove.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (!confirm("Delete the saved search \u201c" + search.name + "\u201d?")) return;
+        StorageDB.deleteSavedSearch(search.id).then(() => {
+          savedSearches = savedSearches.filter((s) => s !== search);
+          unreadCounts.delete(search);
+          renderSavedSearches();
+        }).catch((err) => alert("Could not delete the saved search: " + err.message));
+      });
+      li.appendChild(remove);
+
+      li.addEventListener("click", () => applySavedSearch(search));
+      savedSearchListEl.appendChild(li);
+    });
+  }
+
+  function applySavedSearch(search) {
+    const country = savedSearchCountry(search);
+    searchInput.value = search.query;
+    addCountryOption(country);
+    countryFilter.value = country;
+    pendingCountry = null;
+    storeFacetState(savedSearchFacets(search));
+    search.lastSeenAt = new Date().toISOString();
+    unreadCounts.set(search, 0);
+    renderReportList(searchInput.value, countryFilter.value);
+    updateSearchUrl();
+    StorageDB.markSearchSeen(search.id).then((doc) => {
+      if (doc) search.lastSeenAt = doc.lastSeenAt;
+    }).catch((e) => console.error("Could not mark saved search as seen:", e));
+  }
+
+  function saveCurrentSearch() {
+    let query;
+    try {
+      query = ReportQuery.format(ReportQuery.parse(searchInput.value));
+    } catch (e) {
+      alert("Fix the search before saving it: " + e.message);
+      return;
+    }
+    const country = countryFilter.value;
+    const facets = facetState;
+    if (!query && !country && ReportFacets.activeCount(facets) === 0) {
+      alert("Type a search, pick a country or set a filter to save.");
+      return;
+    }
+    const existing = savedSearches.find((s) => sameSearch(s, query, country, facets));
+    const name = prompt("Name this search", existing ? existing.name : query || country || ReportFacets.describe(facets));
+    if (!name || !name.trim()) return;
+    const search = Object.assign({}, existing, { name: name.trim(), query, filters: { country, facets } });
+    StorageDB.saveSearch(search).then((doc) => {
+      savedSearches = savedSearches.filter((s) => s !== existing).concat([doc]);
+      savedSearches.sort((a, b) => a.name.localeCompare(b.name));
+      unreadCounts.delete(existing);
+      unreadCounts.set(doc, unreadCount(doc));
+      renderSavedSearches();
+    }).catch((e) => alert("Could not save the search: " + e.message));
+  }
+
+  function showSearchAlert(search, report) {
+    const toast = document.createElement("div");
+    toast.className = "toast";
+    const text = document.createElement("div");
+    text.className = "toast-text";
+    const title = document.createElement("strong");
+    title.textContent = search.name;
+    text.appendChild(title);
+    text.appendChild(document.createTextNode(
+      report.id + " \u2014 " + report.subjectName + (report.revision > 1 ? " was updated and now matches" : " is new")));
+    toast.appendChild(text);
+
+    const dismiss = () => toast.remove();
+    const open = document.createElement("button");
+    open.type = "button";
+    open.className = "file-action";
+    open.textContent = "Open";
+    open.addEventListener("click", () => {
+      dismiss();
+      applySavedSearch(search);
+      openReport(report.id);
+    });
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "toast-close";
+    close.textContent = "\u00d7";
+    close.title = "Dismiss";
+    close.addEventListener("click", dismiss);
+    toast.appendChild(open);
+    toast.appendChild(close);
+
+    toastStackEl.appendChild(toast);
+    while (toastStackEl.children.length > MAX_TOASTS) toastStackEl.firstChild.remove();
+    setTimeout(dismiss, TOAST_MS);
+  }
+
+  saveSearchBtn.addEventListener("click", saveCurrentSearch);
+
+  // ---- Live report list: pages load as #report-list scrolls, changes stream in ----
+
+  let reportFeed = null;
+  let feedHasMore = true;
+  let feedError = null;
+  let sentinelVisible = false;
+  let renderPending = false;
+  let pageLoading = false;
+
+  // Last item in the list; scrolling it into view fetches the next page
+  const listSentinel = document.createElement("li");
+  listSentinel.className = "report-list-sentinel";
+
+  function updateSentinel() {
+    listSentinel.replaceChildren();
+    listSentinel.hidden = !feedHasMore && !feedError;
+    if (feedError) {
+      const msg = document.createElement("span");
+      msg.textContent = "Failed to load reports. ";
+      const retry = document.createElement("button");
+      retry.type = "button";
+      retry.className = "file-action";
+      retry.textContent = "Retry";
+      retry.addEventListener("click", loadNextPage);
+      listSentinel.appendChild(msg);
+      listSentinel.appendChild(retry);
+    } else if (feedHasMore) {
+      listSentinel.textContent = "Loading reports\u2026";
+    }
+  }
+
+  function scheduleListRender() {
+    if (renderPending) return;
+    renderPending = true;
+    requestAnimationFrame(function () {
+      renderPending = false;
+      renderReportList(searchInput.value, countryFilter.value);
+      updateThreatLevel();
+    });
+  }
+
+  // A map area and the facets (with their counts) apply to every report, not
+  // just the pages scrolled to, so while one is in use the rest are loaded too
+  function filtersNeedAllPages() {
+    return !!mapArea || facetPanel.open || ReportFacets.activeCount(facetState) > 0;
+  }
+
+  function loadAllPagesIfFiltered() {
+    if (reportFeed && feedHasMore && !feedError && !pageLoading && filtersNeedAllPages()) loadNextPage();
+  }
+
+  function loadNextPage() {
+    if (pageLoading) return;
+    pageLoading = true;
+    feedError = null;
+    updateSentinel();
+    reportFeed.loadMore().then(function (more) {
+      pageLoading = false;
+      feedHasMore = more;
+      updateSentinel();
+      scheduleListRender();
+      // Filters can hide a whole page — keep going while the end is still on screen
+      if (more && (sentinelVisible || filtersNeedAllPages())) requestAnimationFrame(loadNextPage);
+      if (!more) updateGlobe();
+    }).catch(function (e) {
+      pageLoading = false;
+      console.error("Failed to load reports from storage (" + StorageDB.backend + "):", e);
+      feedError = e;
+      updateSentinel();
+      scheduleListRender();
+    });
+  }
+
+  // Newest first, ties broken by ID — the order the feed pages in
+  function compareReports(a, b) {
+    if ((a.date || "") !== (b.date || "")) return (a.date || "") < (b.date || "") ? 1 : -1;
+    return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+  }
+
+  function applyReportChanges(changes) {
+    changes.forEach(function (change) {
+      const idx = REPORTS.findIndex((r) => r.id === change.id);
+      if (idx !== -1) REPORTS.splice(idx, 1);
+
+      if (change.type === "removed") {
+        // Still tracked for saved searches until the changed-since watch drops it
+        if (!changedReports.has(change.id)) {
+          unindexReport(change.id);
+          pendingAlerts.delete(change.id);
+        }
+        if (change.id === activeReportId) closeReportView();
+        return;
+      }
+      indexChangedReport(change.report);
+
+      const pos = REPORTS.findIndex((r) => compareReports(change.report, r) < 0);
+      REPORTS.splice(pos === -1 ? REPORTS.length : pos, 0, change.report);
+      checkAssessment(change.id);
+      addCountryOption(change.report.nationality);
+
+      if (change.type === "modified" && change.id === activeReportId &&
+          change.report.updatedBy && session && change.report.updatedBy !== session.username) {
+        showStaleNotice(change.report);
+      }
+    });
+    // Pages scrolled into view hold nothing new for the globe; edits and new reports do
+    if (changes.some((c) => c.type !== "added" || (c.report.createdAt || "") > pageOpenedAt)) updateGlobe();
+    scheduleListRender();
+  }
+
+  function startReportFeed() {
+    reportFeed = StorageDB.openReportFeed(applyReportChanges);
+    new IntersectionObserver(function (entries) {
+      sentinelVisible = entries[entries.length - 1].isIntersecting;
+      if (sentinelVisible && feedHasMore && !feedError) loadNextPage();
+    }, { root: reportListEl, rootMargin: "200px" }).observe(listSentinel);
+    updateSentinel();
+    loadNextPage();
+  }
+
+  // Another analyst changed the report being read — offer to reload it
+  function showStaleNotice(report) {
+    if (reportMetaEl.querySelector(".report-stale-notice")) return;
+    const notice = document.createElement("div");
+    notice.className = "report-stale-notice";
+    notice.textContent = "Updated by " + report.updatedBy + " since you opened it. ";
+    const reload = document.createElement("button");
+    reload.type = "button";
+    reload.className = "file-action";
+    reload.textContent = "Reload";
+    reload.addEventListener("click", () => openReport(report.id));
+    notice.appendChild(reload);
+    reportMetaEl.insertBefore(notice, reportMetaEl.firstChild);
+  }
+
+  function closeReportView() {
+    document.querySelector(".dashboard-layout").classList.remove("mobile-report-open");
+    activeReportId = null;
+    activeSubjectId = null;
+    closeGraph();
+    closeReportMap();
+    reportContentEl.hidden = true;
+    reportPlaceholder.hidden = false;
+    renderReportList(searchInput.value, countryFilter.value);
+  }
+
+  // ---- Report Viewer (executive layout, auto-expanded docs) ----
+
+  function clearViewer() {
+    // Destroy previous Leaflet map to prevent "already initialized" crash
+    if (activeMap) {
+      try { activeMap.remove(); } catch (e) { /* ignore */ }
+      activeMap = null;
+    }
+    closeGraph();
+    closeReportMap();
+
+    // Clear previous content
+    reportActionsEl.replaceChildren();
+    reportMetaEl.replaceChildren();
+    reportBodyEl.replaceChildren();
+    viewerObjectUrls.forEach((url) => URL.revokeObjectURL(url));
+    viewerObjectUrls = [];
+  }
+
+  // jump: { terms, section } — highlight a search hit and scroll to it
+  async function openReport(id, jump) {
+    let reportMeta = REPORTS.find((r) => r.id === id) || offListReports.get(id);
+    if (!reportMeta) {
+      // Not on a loaded page (opened from a subject profile or a duplicate flag);
+      // the entry isn't decrypted, so a locked report still gets the unlock view below
+      try {
+        reportMeta = await StorageDB.getReportEntry(id);
+      } catch (e) {
+        console.error("Failed to load report " + id + ":", e);
+        alert("Could not open report " + id + ": " + e.message);
+        return;
+      }
+      if (!reportMeta) {
+        alert("Report " + id + " no longer exists.");
+        return;
+      }
+      offListReports.set(id, reportMeta);
+    }
+    if (!currentUserIsAdmin && reportMeta.classification === "top-secret") return;
+
+    activeReportId = id;
+    activeSubjectId = null;
+    recordView(id);
+    ActivityLog.log("report_view", { reportId: id, subject: reportMeta.subjectName });
+    renderReportList(searchInput.value, countryFilter.value);
+
+    reportPlaceholder.hidden = true;
+    reportContentEl.hidden = false;
+
+    // Mobile: switch to report view
+    document.querySelector(".dashboard-layout").classList.add("mobile-report-open");
+
+    // Fetch full report data (with attachment blobs) on demand
+    var report;
+    var locked = false;
+    try {
+      report = await StorageDB.getReport(id);
+      if (!report) report = reportMeta;
+    } catch (e) {
+      console.error("Failed to fetch full report:", e);
+      report = reportMeta;
+      locked = e.code === "locked";
+    }
+
+    const viewer = document.querySelector(".report-viewer");
+    viewer.scrollTop = 0;
+
+    const classMap = {
+      "top-secret": "classification-top-secret",
+      secret: "classification-secret",
+      confidential: "classification-confidential",
+    };
+
+    clearViewer();
+
+    // ---- Mobile back button ----
+    const backBtn = document.createElement("button");
+    backBtn.className = "mobile-back-btn";
+    backBtn.textContent = "\u2190 All Reports";
+    backBtn.addEventListener("click", closeReportView);
+    reportMetaEl.appendChild(backBtn);
+
+    if (locked) {
+      renderLockedReport(report);
+      return;
+    }
+
+    // ---- Header Banner ----
+    const banner = document.createElement("div");
+    banner.className = "report-header-banner";
+
+    // Top row: title + delete
+    const topRow = document.createElement("div");
+    topRow.className = "report-header-top";
+
+    const titleBlock = document.createElement("div");
+    titleBlock.className = "report-title-block";
+
+    const h1 = document.createElement("h1");
+    h1.textContent = report.subjectName;
+
+    const idLine = document.createElement("div");
+    idLine.className = "report-title-id";
+    idLine.textContent = report.id + " \u2022 " + report.passportNumber;
+
+    titleBlock.appendChild(h1);
+    titleBlock.appendChild(idLine);
+
+    const actionsDiv = document.createElement("div");
+    actionsDiv.className = "report-header-actions";
+
+    const isUserAdmin = await isAdmin();
+
+    if (isUserAdmin) {
+      const editBtn = document.createElement("button");
+      editBtn.type = "button";
+      editBtn.className = "btn-action";
+      editBtn.textContent = "Edit";
+      editBtn.addEventListener("click", () => editReport(report));
+      actionsDiv.appendChild(editBtn);
+    }
+
+    const historyBtn = document.createElement("button");
+    historyBtn.type = "button";
+    historyBtn.className = "btn-action";
+    historyBtn.textContent = "History";
+    historyBtn.addEventListener("click", () => openHistory(report, isUserAdmin));
+    actionsDiv.appendChild(historyBtn);
+
+    const isMobile = window.innerWidth <= 768;
+
+    if (!isMobile) {
+      const printBtn = document.createElement("button");
+      printBtn.type = "button";
+      printBtn.className = "btn-action";
+      printBtn.textContent = "Print";
+      printBtn.addEventListener("click", () => { ActivityLog.log("report_export", { reportId: report.id, method: "print" }); window.print(); });
+      actionsDiv.appendChild(printBtn);
+    }
+
+    if (isUserAdmin) {
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "btn-delete";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.addEventListener("click", () => confirmDelete(report));
+      actionsDiv.appendChild(deleteBtn);
+    }
+
+    topRow.appendChild(titleBlock);
+    topRow.appendChild(actionsDiv);
+    banner.appendChild(topRow);
+
+    // Meta grid
+    const grid = document.createElement("div");
+    grid.className = "report-meta-grid";
+
+    const fields = [
       ["Passport No.", report.passportNumber, true],
       ["Nationality", report.nationality, false],
       ["Report Date", report.date, false],
       ["Classification", report.classification.replace("-", " ").toUpperCase(), false],
       ["Summary", report.summary, false],
     ];
+    const passportDates = [["Date of Birth", report.dateOfBirth, false], ["Passport Expiry", report.passportExpiry, false]];
+    fields.splice(2, 0, ...passportDates.filter(([, value]) => value));
 
     fields.forEach(([label, value, isMono]) => {
       const item = document.createElement("div");
@@ -567,9 +1774,26 @@
       grid.appendChild(item);
     });
 
+    // Before the full-width summary
+    grid.insertBefore(buildSubjectMetaItem(report), grid.lastElementChild);
+
     banner.appendChild(grid);
     reportMetaEl.appendChild(banner);
 
+    // ---- Linked reports and possible duplicates ----
+    const relations = document.createElement("div");
+    relations.id = "report-relations";
+    relations.className = "report-relations";
+    reportMetaEl.appendChild(relations);
+    renderRelations(report, relations, isUserAdmin);
+
+    // ---- Extracted entities ----
+    const entitiesEl = document.createElement("div");
+    entitiesEl.id = "report-entities";
+    entitiesEl.className = "report-entities relations-section";
+    reportMetaEl.appendChild(entitiesEl);
+    renderEntities(report, entitiesEl);
+
     // ---- Auto-expanded documents ----
     if (report.attachments && report.attachments.length > 0) {
       const docsSection = document.createElement("div");
@@ -583,6 +1807,7 @@
       report.attachments.forEach((att) => {
         const embed = document.createElement("div");
         embed.className = "document-embed";
+        embed.dataset.attachment = att.name;
 
         // Header bar
         const embedHeader = document.createElement("div");
@@ -607,15 +1832,18 @@
         removeBtn.addEventListener("click", function () {
           const idx = report.attachments.indexOf(att);
           if (idx > -1) {
-            // Delete file from Firebase Storage
-            var deletePromise = att.storagePath
-              ? StorageDB.deleteAttachment(att.storagePath)
-              : Promise.resolve();
-            report.attachments.splice(idx, 1);
-            deletePromise.then(function () {
+            // Keep a restorable copy in the trash; the file stays until it is purged
+            removeBtn.disabled = true;
+            StorageDB.trashAttachment(report.id, att).then(function () {
+              report.attachments.splice(idx, 1);
               return StorageDB.saveReport(report);
             }).then(function () {
+              ActivityLog.log("attachment_delete", { reportId: report.id, name: att.name });
               openReport(report.id);
+            }).catch(function (e) {
+              console.error("Failed to remove " + att.name + ":", e);
+              alert("Could not remove " + att.name + ": " + e.message);
+              removeBtn.disabled = false;
             });
           }
         });
@@ -624,20 +1852,68 @@
         downloadBtn.className = "btn-action";
         downloadBtn.textContent = "Download";
         downloadBtn.style.cssText = "margin-left:auto;padding:0.25rem 0.7rem;font-size:0.65rem;flex-shrink:0;";
-        downloadBtn.addEventListener("click", function () {
-          var dlSrc = att.storageUrl || att.dataUrl;
-          if (!dlSrc) return;
+        // Content hash, re-checked against the downloaded bytes
+        const hashEl = document.createElement("span");
+        hashEl.className = "document-embed-hash";
+        if (att.sha256) {
+          hashEl.textContent = "SHA-256 " + att.sha256.slice(0, 12) + "\u2026";
+          hashEl.title = att.sha256;
+        }
+
+        function triggerDownload(href) {
           var a = document.createElement("a");
-          a.href = dlSrc;
+          a.href = href;
           a.download = att.name;
           document.body.appendChild(a);
           a.click();
           document.body.removeChild(a);
+        }
+
+        downloadBtn.addEventListener("click", function () {
+          var dlSrc = att.storageUrl || att.dataUrl;
+          if (!dlSrc) return;
+          if (!att.storageUrl || !att.sha256) {
+            triggerDownload(dlSrc);
+            return;
+          }
+          downloadBtn.disabled = true;
+          downloadBtn.textContent = "Verifying...";
+          StorageDB.verifyAttachment(att, report).then(function (result) {
+            if (result.verified) {
+              hashEl.classList.remove("hash-mismatch");
+              hashEl.classList.add("hash-verified");
+              hashEl.title = att.sha256 + " (verified)";
+              var url = URL.createObjectURL(result.blob);
+              triggerDownload(url);
+              setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+            } else {
+              hashEl.classList.add("hash-mismatch");
+              hashEl.textContent = "SHA-256 mismatch";
+              hashEl.title = "Expected " + att.sha256 + "\nReceived " + result.sha256;
+              alert("Integrity check failed for " + att.name + ".\n\nThe downloaded file does not match the hash recorded at upload, so it was not saved.\n\nExpected: " + att.sha256 + "\nReceived: " + result.sha256);
+            }
+          }).catch(function (err) {
+            // Fetching the file can fail where following a link doesn't (no CORS on the
+            // bucket) — download it unchecked then, unless it is encrypted and needs the page
+            if (err.code === "fetch-failed" && !att.iv) {
+              console.warn("Could not verify " + att.name + ", downloading it unchecked:", err);
+              hashEl.classList.add("hash-unverified");
+              hashEl.title = att.sha256 + " (not verified: the file could not be fetched for checking)";
+              triggerDownload(att.storageUrl);
+              return;
+            }
+            console.error("Download failed:", err);
+            alert("Download failed: " + err.message);
+          }).then(function () {
+            downloadBtn.disabled = false;
+            downloadBtn.textContent = "Download";
+          });
         });
 
         embedHeader.appendChild(icon);
         embedHeader.appendChild(nameEl);
         embedHeader.appendChild(sizeEl);
+        if (att.sha256) embedHeader.appendChild(hashEl);
         embedHeader.appendChild(downloadBtn);
         if (isUserAdmin) {
           embedHeader.appendChild(removeBtn);
@@ -652,14 +1928,16 @@
         if (!src) {
           const msg = document.createElement("div");
           msg.style.cssText = "padding:1.5rem;text-align:center;color:var(--text-muted);font-size:0.85rem;";
-          msg.textContent = "Attachment data not available.";
+          msg.textContent = att.missingReason || "Attachment data not available.";
           body.appendChild(msg);
         } else if (att.type === "application/pdf") {
-          renderPDFPages(src, body);
+          renderPDFPages(att, body, report);
         } else if (att.type && att.type.startsWith("image/")) {
           const img = document.createElement("img");
-          img.src = src;
           img.alt = att.name;
+          attachmentUrl(report, att).then((url) => { img.src = url; }).catch((e) => {
+            console.error("Could not load " + att.name + ":", e);
+          });
           body.appendChild(img);
         } else if (
           (att.type && att.type.startsWith("text/")) ||
@@ -672,7 +1950,10 @@
             body.appendChild(pre);
           } else {
             // Fetch text content from Storage URL
-            fetch(src).then(function (r) { return r.text(); }).then(function (text) {
+            var textFetch = att.iv
+              ? StorageDB.readAttachment(report, att).then(function (blob) { return blob.text(); })
+              : fetch(src).then(function (r) { return r.text(); });
+            textFetch.then(function (text) {
               const pre = document.createElement("pre");
               pre.textContent = text;
               body.appendChild(pre);
@@ -686,7 +1967,9 @@
           const dl = document.createElement("div");
           dl.style.cssText = "padding:1.5rem;text-align:center;";
           const link = document.createElement("a");
-          link.href = src;
+          attachmentUrl(report, att).then((url) => { link.href = url; }).catch((e) => {
+            console.error("Could not load " + att.name + ":", e);
+          });
           link.download = att.name;
           link.textContent = "Download " + att.name;
           link.style.cssText = "color:var(--accent);font-weight:600;text-decoration:none;";
@@ -729,10 +2012,7 @@
         try {
         activeMap = L.map(mapContainer).setView([report.lat, report.lng], 13);
         const map = activeMap;
-        L.tileLayer("https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}", {
-          attribution: "&copy; Esri, Maxar, Earthstar Geographics",
-          maxZoom: 19,
-        }).addTo(map);
+        MapTiles.addTo(map, mapTileOptions());
         L.marker([report.lat, report.lng])
           .addTo(map)
           .bindPopup(
@@ -757,6 +2037,8 @@
       reportBodyEl.appendChild(section);
     }
 
+    if (jump && jump.terms.length) showSearchHits(jump);
+
     // ---- Inline Intel Assessment (iframe for full JS/CSS support) ----
     var assessmentUrl = "reports/" + report.id + ".html";
     fetch(assessmentUrl, { method: "HEAD" }).then(function (resp) {
@@ -867,6 +2149,8 @@
           var h2 = iframe.contentDocument.documentElement.scrollHeight;
           iframe.style.height = h2 + "px";
         } catch (e) { /* ignore */ }
+
+        if (jump && jump.terms.length) showAssessmentHits(iframe, jump);
       });
       reportBodyEl.appendChild(iframe);
     }).catch(function () { /* no assessment available */ });
@@ -889,7 +2173,7 @@
     container.innerHTML = el.innerHTML + bodyEl.innerHTML;
 
     // Remove buttons, interactive elements, and iframes
-    container.querySelectorAll("button, .btn-action, .btn-delete, .mobile-back-btn, .remove-btn, iframe").forEach(function (b) { b.remove(); });
+    container.querySelectorAll("button, .btn-action, .btn-delete, .mobile-back-btn, .remove-btn, .relations-duplicates, iframe").forEach(function (b) { b.remove(); });
 
     var filename = (report.id || "report") + ".pdf";
 
@@ -904,100 +2188,1477 @@
   }
 
 
-  // ---- Edit Report ----
+  // ---- Revision History ----
 
-  function editReport(report) {
-    editingReportId = report.id;
+  function formatRevisionTime(iso) {
+    if (!iso) return "\u2014";
+    var d = new Date(iso);
+    return d.toLocaleDateString() + " " + d.toLocaleTimeString();
+  }
 
-    // Pre-fill the form
-    document.getElementById("rpt-passport").value = report.passportNumber || "";
-    document.getElementById("rpt-name").value = report.subjectName || "";
-    document.getElementById("rpt-nationality").value = report.nationality || "";
-    document.getElementById("rpt-date").value = report.date || "";
-    document.getElementById("rpt-classification").value = report.classification || "secret";
-    document.getElementById("rpt-summary").value = report.summary || "";
-    document.getElementById("rpt-content").value = report.content || "";
-    document.getElementById("rpt-location").value = report.locationName || "";
+  function formatRevisionValue(field, value) {
+    if (value == null || value === "") return "\u2014";
+    if (field === "attachments" && Array.isArray(value)) {
+      return value.map(function (a) { return a.name + " (" + formatFileSize(a.size || 0) + ")"; }).join("\n") || "\u2014";
+    }
+    if (typeof value === "object") return JSON.stringify(value, null, 2);
+    return String(value);
+  }
+
+  function renderRevisionDiff(container, older, newer) {
+    container.replaceChildren();
+    const heading = document.createElement("div");
+    heading.className = "documents-section-header";
+    heading.textContent = "Rev " + older.revision + " \u2192 Rev " + newer.revision;
+    container.appendChild(heading);
+
+    const changes = StorageDB.diffReports(older.snapshot, newer.snapshot);
+    if (changes.length === 0) {
+      const none = document.createElement("div");
+      none.className = "history-empty";
+      none.textContent = "No field differences between these revisions.";
+      container.appendChild(none);
+      return;
+    }
+
+    const table = document.createElement("table");
+    table.className = "history-diff";
+    const head = document.createElement("tr");
+    ["Field", "Before", "After"].forEach(function (t) {
+      const th = document.createElement("th");
+      th.textContent = t;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    changes.forEach(function (c) {
+      const tr = document.createElement("tr");
+      const f = document.createElement("td");
+      f.className = "history-diff-field";
+      f.textContent = c.field;
+      const before = document.createElement("td");
+      const beforePre = document.createElement("pre");
+      beforePre.className = "history-diff-before";
+      beforePre.textContent = formatRevisionValue(c.field, c.before);
+      before.appendChild(beforePre);
+      const after = document.createElement("td");
+      const afterPre = document.createElement("pre");
+      afterPre.className = "history-diff-after";
+      afterPre.textContent = formatRevisionValue(c.field, c.after);
+      after.appendChild(afterPre);
+      tr.appendChild(f);
+      tr.appendChild(before);
+      tr.appendChild(after);
+      table.appendChild(tr);
+    });
+    container.appendChild(table);
+  }
+
+  async function openHistory(report, canRestore) {
+    const overlay = document.createElement("div");
+    overlay.className = "modal-overlay";
+    const modal = document.createElement("div");
+    modal.className = "modal history-modal";
+
+    const header = document.createElement("div");
+    header.className = "modal-header";
+    const h2 = document.createElement("h2");
+    h2.textContent = "Revision History \u2014 " + report.id;
+    const closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.className = "modal-close";
+    closeBtn.innerHTML = "&times;";
+    closeBtn.addEventListener("click", () => overlay.remove());
+    header.appendChild(h2);
+    header.appendChild(closeBtn);
+    modal.appendChild(header);
+
+    const listEl = document.createElement("div");
+    listEl.className = "history-list";
+    listEl.textContent = "Loading revisions...";
+    modal.appendChild(listEl);
+
+    const diffEl = document.createElement("div");
+    diffEl.className = "history-diff-panel";
+    modal.appendChild(diffEl);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener("click", (e) => { if (e.target === overlay) overlay.remove(); });
+    document.body.appendChild(overlay);
+
+    let revisions;
+    try {
+      revisions = await StorageDB.getRevisions(report.id);
+    } catch (e) {
+      console.error("Failed to load revisions:", e);
+      listEl.textContent = "Unable to load revision history: " + e.message;
+      return;
+    }
+    listEl.replaceChildren();
+    if (revisions.length === 0) {
+      listEl.textContent = "No revisions recorded yet. History starts with the next save.";
+      return;
+    }
+
+    // Compare the two most recent revisions by default
+    let fromRev = revisions[Math.min(1, revisions.length - 1)];
+    let toRev = revisions[0];
+
+    function refreshDiff() {
+      if (fromRev.revision > toRev.revision) renderRevisionDiff(diffEl, toRev, fromRev);
+      else renderRevisionDiff(diffEl, fromRev, toRev);
+    }
+
+    const hint = document.createElement("div");
+    hint.className = "history-hint";
+    hint.textContent = "Pick an A and B revision to compare.";
+    listEl.appendChild(hint);
+
+    revisions.forEach(function (rev, i) {
+      const row = document.createElement("div");
+      row.className = "history-row";
+
+      const pickA = document.createElement("input");
+      pickA.type = "radio";
+      pickA.name = "history-a";
+      pickA.title = "Compare from";
+      pickA.checked = rev === fromRev;
+      pickA.addEventListener("change", () => { fromRev = rev; refreshDiff(); });
+
+      const pickB = document.createElement("input");
+      pickB.type = "radio";
+      pickB.name = "history-b";
+      pickB.title = "Compare to";
+      pickB.checked = rev === toRev;
+      pickB.addEventListener("change", () => { toRev = rev; refreshDiff(); });
+
+      const num = document.createElement("span");
+      num.className = "history-rev";
+      num.textContent = "Rev " + rev.revision;
+
+      const action = document.createElement("span");
+      action.className = "history-action history-action-" + rev.action;
+      action.textContent = rev.action + (rev.restoredFrom != null ? " of rev " + rev.restoredFrom : "");
+
+      const who = document.createElement("span");
+      who.className = "history-author";
+      who.textContent = rev.author + " \u2022 " + formatRevisionTime(rev.timestamp);
+
+      const fieldsEl = document.createElement("span");
+      fieldsEl.className = "history-fields";
+      fieldsEl.textContent = rev.changedFields && rev.changedFields.length ? rev.changedFields.join(", ") : "\u2014";
+
+      row.appendChild(pickA);
+      row.appendChild(pickB);
+      row.appendChild(num);
+      row.appendChild(action);
+      row.appendChild(who);
+      row.appendChild(fieldsEl);
+
+      if (canRestore && i > 0) {
+        const restoreBtn = document.createElement("button");
+        restoreBtn.type = "button";
+        restoreBtn.className = "btn-action history-restore";
+        restoreBtn.textContent = "Restore";
+        let armed = false;
+        restoreBtn.addEventListener("click", async function () {
+          // Two-step: first click arms, second click restores
+          if (!armed) {
+            armed = true;
+            restoreBtn.textContent = "Confirm restore";
+            return;
+          }
+          restoreBtn.disabled = true;
+          restoreBtn.textContent = "Restoring...";
+          try {
+            const restored = await StorageDB.restoreRevision(report.id, rev.revision);
+            const idx = REPORTS.findIndex((r) => r.id === report.id);
+            if (idx !== -1) REPORTS[idx] = Object.assign({}, REPORTS[idx], restored);
+            ActivityLog.log("report_restore", { reportId: report.id, revision: rev.revision });
+            overlay.remove();
+            renderReportList(searchInput.value, countryFilter.value);
+            openReport(report.id);
+          } catch (e) {
+            console.error("Failed to restore revision:", e);
+            restoreBtn.disabled = false;
+            restoreBtn.textContent = "Restore failed";
+          }
+        });
+        row.appendChild(restoreBtn);
+      }
+
+      listEl.appendChild(row);
+    });
+
+    if (revisions.length > 1) refreshDiff();
+  }
+
+  // ---- Edit Report ----
+
+  function editReport(report) {
+    editingReportId = report.id;
+
+    // Pre-fill the form
+    document.getElementById("rpt-passport").value = report.passportNumber || "";
+    document.getElementById("rpt-name").value = report.subjectName || "";
+    document.getElementById("rpt-nationality").value = report.nationality || "";
+    document.getElementById("rpt-dob").value = report.dateOfBirth || "";
+    document.getElementById("rpt-expiry").value = report.passportExpiry || "";
+    document.getElementById("rpt-date").value = report.date || "";
+    document.getElementById("rpt-classification").value = report.classification || "secret";
+    document.getElementById("rpt-summary").value = report.summary || "";
+    document.getElementById("rpt-content").value = report.content || "";
+    document.getElementById("rpt-location").value = report.locationName || "";
     document.getElementById("rpt-lat").value = report.lat != null ? report.lat : "";
     document.getElementById("rpt-lng").value = report.lng != null ? report.lng : "";
 
-    // Pre-populate the file list display with existing attachments
-    pendingFiles = [];
-    fileListEl.replaceChildren();
-    if (report.attachments && report.attachments.length > 0) {
-      report.attachments.forEach(function (att) {
-        const li = document.createElement("li");
-        li.className = "file-list-item";
+    // Pre-populate the file list display with existing attachments
+    discardUploads();
+    existingAttachments = report.attachments || [];
+    renderFileList();
+    resetMrz();
+    existingAttachments.forEach(readMrzFromAttachment);
+
+    // Existing reports keep their ID
+    idPrefixGroup.hidden = true;
+
+    // Update modal title
+    uploadModal.querySelector(".modal-header h2").textContent = "Edit Report \u2014 " + report.id;
+
+    // Show modal
+    uploadModal.hidden = false;
+  }
+
+  // ---- Delete ----
+
+  function confirmDelete(report) {
+    const overlay = document.createElement("div");
+    overlay.className = "confirm-overlay";
+
+    const box = document.createElement("div");
+    box.className = "confirm-box";
+
+    const h3 = document.createElement("h3");
+    h3.textContent = "Delete Report";
+
+    const p = document.createElement("p");
+    p.textContent = "Move " + report.id + " (" + report.subjectName + ") to the trash? An admin can restore it within " +
+      StorageDB.trashRetentionDays + " days; after that it is purged for good.";
+
+    const actions = document.createElement("div");
+    actions.className = "confirm-actions";
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "btn-cancel";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", () => overlay.remove());
+
+    const confirmBtn = document.createElement("button");
+    confirmBtn.type = "button";
+    confirmBtn.className = "btn-confirm-delete";
+    confirmBtn.textContent = "Delete";
+    confirmBtn.addEventListener("click", async () => {
+      confirmBtn.disabled = true;
+      confirmBtn.textContent = "Deleting...";
+      try {
+        await StorageDB.deleteReport(report.id);
+      } catch (e) {
+        console.error("Failed to delete " + report.id + ":", e);
+        p.textContent = "Could not delete " + report.id + ": " + e.message;
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = "Retry";
+        return;
+      }
+      ActivityLog.log("report_delete", { reportId: report.id, subject: report.subjectName });
+      const idx = REPORTS.findIndex((r) => r.id === report.id);
+      if (idx !== -1) REPORTS.splice(idx, 1);
+      offListReports.delete(report.id);
+      overlay.remove();
+      closeReportView();
+    });
+
+    actions.appendChild(cancelBtn);
+    actions.appendChild(confirmBtn);
+    box.appendChild(h3);
+    box.appendChild(p);
+    box.appendChild(actions);
+    overlay.appendChild(box);
+    overlay.addEventListener("click", (e) => { if (e.target === overlay) overlay.remove(); });
+    document.body.appendChild(overlay);
+  }
+
+  // ---- Linked reports and possible duplicates (duplicates.js) ----
+
+  const CONFIDENCE_LABELS = { high: "Likely duplicate", medium: "Possible duplicate", low: "Worth a look" };
+
+  // A report this user may see, from the flag's copy of its name and classification
+  function flagReport(flag, id) {
+    const entry = (flag.reports || []).find((r) => r.id === id) || { id };
+    if (!currentUserIsAdmin && entry.classification === "top-secret") return null;
+    return entry;
+  }
+
+  // Compare a saved report with all others and record what looks like the same subject
+  async function checkDuplicates(report) {
+    try {
+      const all = await StorageDB.getAllReports();
+      await StorageDB.recordDuplicates(Duplicates.findFor(report, all), all, { reportId: report.id });
+    } catch (e) {
+      console.error("Duplicate check for " + report.id + " failed:", e);
+      return;
+    }
+    const container = document.getElementById("report-relations");
+    if (container && activeReportId === report.id) renderRelations(report, container, await isAdmin());
+  }
+
+  function relationButton(label, className, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = className;
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  function buildLinkedList(report) {
+    const section = document.createElement("div");
+    section.className = "relations-section";
+    const title = document.createElement("div");
+    title.className = "relations-title";
+    title.textContent = "Linked reports";
+    section.appendChild(title);
+    report.linkedReports.forEach((link) => {
+      const row = document.createElement("div");
+      row.className = "relation-row";
+      const id = document.createElement("span");
+      id.className = "relation-id";
+      id.textContent = link.id;
+      const note = document.createElement("span");
+      note.className = "relation-note";
+      note.textContent = (link.relation === "merged" ? "merged into this report" : "same subject") +
+        (link.by ? " \u2022 " + link.by : "") + (link.at ? " \u2022 " + link.at.slice(0, 10) : "");
+      row.appendChild(id);
+      row.appendChild(note);
+      // A merged report lives on in the trash only
+      if (link.relation === "linked") row.appendChild(relationButton("Open", "btn-action relation-open", () => openReport(link.id)));
+      section.appendChild(row);
+    });
+    return section;
+  }
+
+  function buildDuplicateRow(report, flag, other, canResolve) {
+    const row = document.createElement("div");
+    row.className = "relation-row duplicate-" + flag.confidence;
+
+    const badge = document.createElement("span");
+    badge.className = "duplicate-badge";
+    badge.textContent = CONFIDENCE_LABELS[flag.confidence] || flag.confidence;
+    const id = document.createElement("span");
+    id.className = "relation-id";
+    id.textContent = other.id;
+    const name = document.createElement("span");
+    name.className = "relation-note";
+    name.textContent = other.subjectName || "";
+    row.appendChild(badge);
+    row.appendChild(id);
+    row.appendChild(name);
+
+    const reasons = document.createElement("ul");
+    reasons.className = "duplicate-reasons";
+    flag.reasons.forEach((reason) => {
+      const li = document.createElement("li");
+      li.textContent = reason.text;
+      reasons.appendChild(li);
+    });
+    row.appendChild(reasons);
+
+    const actions = document.createElement("div");
+    actions.className = "relation-actions";
+    actions.appendChild(relationButton("Open", "btn-action", () => openReport(other.id)));
+    if (canResolve) {
+      // Each action saves, then reopens this report to show the outcome
+      const action = (label, busyLabel, className, logAction, task, question) => {
+        const btn = relationButton(label, className, async () => {
+          if (question && !confirm(question)) return;
+          btn.disabled = true;
+          btn.textContent = busyLabel;
+          try {
+            await task();
+          } catch (e) {
+            console.error("Failed to resolve " + flag.id + ":", e);
+            alert("Could not update " + report.id + " and " + other.id + ": " + e.message);
+            openReport(report.id);
+            return;
+          }
+          ActivityLog.log(logAction, { reportId: report.id, otherId: other.id });
+          openReport(report.id);
+        });
+        return btn;
+      };
+      const linkBtn = action("Link", "Linking\u2026", "btn-action", "report_link",
+        () => StorageDB.linkReports(report.id, other.id));
+      linkBtn.title = "Keep both reports and show each on the other";
+      const mergeBtn = action("Merge here", "Merging\u2026", "btn-action", "report_merge", async () => {
+        await StorageDB.mergeReports(report.id, other.id);
+        const idx = REPORTS.findIndex((r) => r.id === other.id);
+        if (idx !== -1) REPORTS.splice(idx, 1);
+        offListReports.delete(other.id);
+        extractEntities(report.id);
+      }, "Merge " + other.id + " into " + report.id + "?\n\nEmpty fields are filled from it, its content and " +
+        "attachments are added here, and " + other.id + " moves to the trash.");
+      mergeBtn.title = "Fold " + other.id + " into this report and move it to the trash";
+      const dismissBtn = action("Not a duplicate", "Saving\u2026", "btn-cancel", "duplicate_dismiss",
+        () => StorageDB.resolveDuplicate(report.id, other.id, "dismissed"));
+      actions.appendChild(linkBtn);
+      actions.appendChild(mergeBtn);
+      actions.appendChild(dismissBtn);
+    }
+    row.appendChild(actions);
+    return row;
+  }
+
+  async function renderRelations(report, container, canResolve) {
+    let flags = [];
+    try {
+      flags = await StorageDB.duplicatesFor(report.id);
+    } catch (e) {
+      console.error("Could not load duplicate flags for " + report.id + ":", e);
+    }
+    if (activeReportId !== report.id) return;
+
+    container.replaceChildren();
+    if (report.linkedReports && report.linkedReports.length) container.appendChild(buildLinkedList(report));
+
+    const open = flags.filter((f) => f.status === "open")
+      .map((f) => ({ flag: f, other: flagReport(f, f.reportIds.find((id) => id !== report.id)) }))
+      .filter((d) => d.other);
+    if (open.length === 0) return;
+    const section = document.createElement("div");
+    section.className = "relations-section relations-duplicates";
+    const title = document.createElement("div");
+    title.className = "relations-title";
+    title.textContent = "Possible duplicates (" + open.length + ")";
+    section.appendChild(title);
+    open.forEach((d) => section.appendChild(buildDuplicateRow(report, d.flag, d.other, canResolve)));
+    container.appendChild(section);
+  }
+
+  // ---- Extracted entities (entities.js; entities/{id} in StorageDB) ----
+
+  const reportEntities = {}; // report id -> entities, for reports extracted so far
+  // Search field per entity type; dates are searched by their YYYY-MM-DD form
+  const ENTITY_FIELDS = { person: "person", place: "place", borderPost: "border", date: "entity", document: "docnum" };
+  const ENTITY_PREVIEW = 12; // chips shown per type before "more"
+
+  function loadEntities() {
+    StorageDB.listEntities().then((docs) => {
+      docs.forEach((doc) => { reportEntities[doc.id] = doc.entities || []; });
+      scheduleListRender();
+    }).catch((e) => console.error("Failed to load extracted entities (" + StorageDB.backend + "):", e));
+  }
+
+  /**
+   * Extract a saved report's entities from its fields, Markdown, attachment
+   * text and assessment, and store them. Runs after every save; failures are
+   * logged and never reach the user.
+   */
+  async function extractEntities(id) {
+    let entities;
+    try {
+      let report;
+      try {
+        report = await StorageDB.getReport(id);
+      } catch (e) {
+        // Locked: the plaintext fields and the assessment still count
+        if (e.code !== "locked") throw e;
+        report = REPORTS.find((r) => r.id === id);
+      }
+      if (!report) return;
+      const resp = await fetch("reports/" + id + ".html").catch(() => null);
+      const assessment = resp && resp.ok ? await resp.text() : null;
+      const doc = await StorageDB.saveEntities(id, Entities.extract({
+        report, content: report.content, attachments: report.attachments, assessment,
+      }));
+      entities = doc.entities;
+    } catch (e) {
+      console.error("Entity extraction for " + id + " failed:", e);
+      return;
+    }
+    reportEntities[id] = entities;
+    scheduleListRender();
+    const container = document.getElementById("report-entities");
+    if (container && activeReportId === id) renderEntities({ id }, container);
+  }
+
+  // Show every report mentioning an entity
+  function searchEntity(entity) {
+    const value = entity.type === "date" ? entity.key : entity.value;
+    searchInput.value = ReportQuery.format({ type: "field", field: ENTITY_FIELDS[entity.type], op: ":", value });
+    renderReportList(searchInput.value, countryFilter.value);
+    updateSearchUrl();
+  }
+
+  function renderEntities(report, container) {
+    container.replaceChildren();
+    const entities = reportEntities[report.id];
+    const header = document.createElement("div");
+    header.className = "relations-title";
+    header.textContent = "Extracted entities";
+    const redo = document.createElement("button");
+    redo.type = "button";
+    redo.className = "entity-extract";
+    redo.textContent = entities ? "Re-extract" : "Extract now";
+    redo.title = "Read people, places, border posts, dates and document numbers from the report, its attachments and assessment";
+    redo.addEventListener("click", () => {
+      redo.disabled = true;
+      redo.textContent = "Extracting\u2026";
+      extractEntities(report.id).then(() => { redo.disabled = false; });
+    });
+    header.appendChild(redo);
+    container.appendChild(header);
+
+    if (!entities || entities.length === 0) {
+      const note = document.createElement("div");
+      note.className = "relation-note";
+      note.textContent = entities ? "Nothing found." : "Not extracted yet.";
+      container.appendChild(note);
+      return;
+    }
+    Entities.TYPES.forEach((type) => {
+      const ofType = entities.filter((e) => e.type === type.key);
+      if (ofType.length === 0) return;
+      const row = document.createElement("div");
+      row.className = "entity-row";
+      const label = document.createElement("span");
+      label.className = "entity-type";
+      label.textContent = type.label + " (" + ofType.length + ")";
+      row.appendChild(label);
+      const chips = document.createElement("div");
+      chips.className = "entity-chips";
+      ofType.forEach((entity, i) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "entity-chip entity-" + entity.type;
+        chip.textContent = entity.type === "date" ? entity.key : entity.value;
+        chip.title = "Found in " + entity.sources.map((src) => src.replace(/^attachment:/, "")).join(", ") +
+          " \u2014 click for every report that mentions it";
+        chip.hidden = i >= ENTITY_PREVIEW;
+        chip.addEventListener("click", () => searchEntity(entity));
+        chips.appendChild(chip);
+      });
+      if (ofType.length > ENTITY_PREVIEW) {
+        const more = document.createElement("button");
+        more.type = "button";
+        more.className = "entity-more";
+        more.textContent = "+" + (ofType.length - ENTITY_PREVIEW) + " more";
+        more.addEventListener("click", () => {
+          chips.querySelectorAll(".entity-chip").forEach((chip) => { chip.hidden = false; });
+          more.remove();
+        });
+        chips.appendChild(more);
+      }
+      row.appendChild(chips);
+      container.appendChild(row);
+    });
+  }
+
+  // ---- Subject profiles (subjects.js): every report on one person ----
+
+  const TIMELINE_LABELS = { report: "Report", location: "Recovery", attachment: "Attachment", assessment: "Assessment" };
+  const FINDING_MAX_CHARS = 280;
+
+  // Put a report on its subject before it is saved; a failure here never blocks the save
+  async function attachSubject(report) {
+    try {
+      await StorageDB.assignSubject(report);
+    } catch (e) {
+      console.error("Could not link " + (report.id || "the new report") + " to a subject:", e);
+    }
+  }
+
+  function buildSubjectMetaItem(report) {
+    const item = document.createElement("div");
+    item.className = "meta-item";
+    const lbl = document.createElement("span");
+    lbl.className = "meta-label";
+    lbl.textContent = "Subject Profile";
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "subject-link";
+    btn.textContent = report.subjectId ? "View profile \u2192" : "Create profile";
+    btn.title = report.subjectId ? "Everything on this person across reports" : "Start a subject profile from this report";
+    btn.addEventListener("click", async () => {
+      if (!report.subjectId) {
+        // Reports saved before subjects existed get one on request
+        btn.disabled = true;
+        try {
+          await StorageDB.assignSubject(report);
+          await StorageDB.saveReport(report);
+        } catch (e) {
+          console.error("Failed to create a subject for " + report.id + ":", e);
+          alert("Could not create a subject profile: " + e.message);
+          btn.disabled = false;
+          return;
+        }
+      }
+      openSubjectProfile(report.subjectId, report.id);
+    });
+    item.appendChild(lbl);
+    item.appendChild(btn);
+    return item;
+  }
+
+  // reports/{id}.html findings of each report that has an assessment
+  async function subjectFindings(reports) {
+    const findings = {};
+    await Promise.all(reports.map((r) => fetch("reports/" + r.id + ".html")
+      .then((resp) => (resp.ok ? resp.text() : null))
+      .then((html) => { if (html) findings[r.id] = Subjects.assessmentFindings(html); })
+      .catch(() => {})));
+    return findings;
+  }
+
+  // fromReportId: the report the profile was opened from, for the way back
+  async function openSubjectProfile(subjectId, fromReportId) {
+    activeReportId = null;
+    activeSubjectId = subjectId;
+    ActivityLog.log("subject_view", { subjectId });
+    renderReportList(searchInput.value, countryFilter.value);
+
+    reportPlaceholder.hidden = true;
+    reportContentEl.hidden = false;
+    document.querySelector(".dashboard-layout").classList.add("mobile-report-open");
+    document.querySelector(".report-viewer").scrollTop = 0;
+    clearViewer();
+    const status = document.createElement("div");
+    status.className = "subject-status";
+    status.textContent = "Loading subject profile\u2026";
+    reportMetaEl.appendChild(status);
+
+    let subject;
+    let reports;
+    let findings;
+    try {
+      [subject, reports] = await Promise.all([StorageDB.getSubject(subjectId), StorageDB.subjectReports(subjectId)]);
+      reports = reports.filter((r) => currentUserIsAdmin || r.classification !== "top-secret");
+      findings = await subjectFindings(reports);
+    } catch (e) {
+      console.error("Failed to load subject " + subjectId + ":", e);
+      if (activeSubjectId === subjectId) status.textContent = "Could not load the subject profile: " + e.message;
+      return;
+    }
+    if (activeSubjectId !== subjectId) return;
+    if (!subject) {
+      status.textContent = "This subject profile no longer exists.";
+      return;
+    }
+    reports.forEach((r) => {
+      if (!REPORTS.some((loaded) => loaded.id === r.id)) offListReports.set(r.id, r);
+    });
+    clearViewer();
+    renderSubjectProfile(subject, reports, findings, fromReportId);
+  }
+
+  function renderSubjectProfile(subject, reports, findings, fromReportId) {
+    const backBtn = document.createElement("button");
+    backBtn.className = "mobile-back-btn";
+    backBtn.textContent = "\u2190 All Reports";
+    backBtn.addEventListener("click", closeReportView);
+    reportMetaEl.appendChild(backBtn);
+
+    const dates = reports.map((r) => r.date).filter(Boolean).sort();
+
+    // ---- Header Banner ----
+    const banner = document.createElement("div");
+    banner.className = "report-header-banner";
+    const topRow = document.createElement("div");
+    topRow.className = "report-header-top";
+    const titleBlock = document.createElement("div");
+    titleBlock.className = "report-title-block";
+    const h1 = document.createElement("h1");
+    h1.textContent = subject.name;
+    const idLine = document.createElement("div");
+    idLine.className = "report-title-id";
+    idLine.textContent = "Subject profile \u2022 " + reports.length + " report(s)";
+    titleBlock.appendChild(h1);
+    titleBlock.appendChild(idLine);
+
+    const actionsDiv = document.createElement("div");
+    actionsDiv.className = "report-header-actions";
+    if (fromReportId) {
+      const returnBtn = document.createElement("button");
+      returnBtn.type = "button";
+      returnBtn.className = "btn-action";
+      returnBtn.textContent = "\u2190 " + fromReportId;
+      returnBtn.addEventListener("click", () => openReport(fromReportId));
+      actionsDiv.appendChild(returnBtn);
+    }
+    const graphBtn = document.createElement("button");
+    graphBtn.type = "button";
+    graphBtn.className = "btn-action";
+    graphBtn.textContent = "Link graph";
+    graphBtn.title = "This subject and everything connected to it";
+    graphBtn.addEventListener("click", () => openLinkGraph("subject:" + subject.id));
+    actionsDiv.appendChild(graphBtn);
+    if (currentUserIsAdmin) {
+      const editBtn = document.createElement("button");
+      editBtn.type = "button";
+      editBtn.className = "btn-action";
+      editBtn.textContent = "Edit";
+      editBtn.addEventListener("click", () => editSubject(subject, fromReportId));
+      actionsDiv.appendChild(editBtn);
+    }
+    topRow.appendChild(titleBlock);
+    topRow.appendChild(actionsDiv);
+    banner.appendChild(topRow);
+
+    const grid = document.createElement("div");
+    grid.className = "report-meta-grid";
+    [
+      ["Aliases", (subject.aliases || []).join(", ") || "\u2014", false],
+      ["Passport Numbers", (subject.passportNumbers || []).join(", ") || "\u2014", true],
+      ["Nationality", subject.nationality || "\u2014", false],
+      ["Date of Birth", subject.dateOfBirth || "\u2014", false],
+      ["Reported", dates.length ? dates[0] + (dates.length > 1 ? " \u2013 " + dates[dates.length - 1] : "") : "\u2014", false],
+    ].forEach(([label, value, isMono]) => {
+      const item = document.createElement("div");
+      item.className = "meta-item";
+      const lbl = document.createElement("span");
+      lbl.className = "meta-label";
+      lbl.textContent = label;
+      const val = document.createElement("span");
+      val.className = isMono ? "meta-value mono" : "meta-value";
+      val.textContent = value;
+      item.appendChild(lbl);
+      item.appendChild(val);
+      grid.appendChild(item);
+    });
+    banner.appendChild(grid);
+    reportMetaEl.appendChild(banner);
+
+    renderSubjectMap(reports);
+    renderSubjectTimeline(Subjects.timeline(reports, findings));
+  }
+
+  function renderSubjectMap(reports) {
+    const located = reports.filter((r) => r.lat != null && r.lng != null);
+    if (located.length === 0) return;
+    const mapSection = document.createElement("div");
+    mapSection.className = "map-section";
+    const mapHeader = document.createElement("div");
+    mapHeader.className = "documents-section-header";
+    mapHeader.textContent = "Recovery Locations (" + located.length + ")";
+    mapSection.appendChild(mapHeader);
+    const mapContainer = document.createElement("div");
+    mapContainer.className = "map-container";
+    mapSection.appendChild(mapContainer);
+    reportBodyEl.appendChild(mapSection);
+
+    // Initialize Leaflet map after DOM insertion
+    setTimeout(function () {
+      if (typeof L === "undefined" || !mapContainer.isConnected) return;
+      try {
+        activeMap = L.map(mapContainer);
+        MapTiles.addTo(activeMap, mapTileOptions());
+        located.forEach((r) => {
+          const popup = document.createElement("div");
+          const title = document.createElement("strong");
+          title.textContent = r.locationName || "Recovery Site";
+          popup.appendChild(title);
+          popup.appendChild(document.createElement("br"));
+          popup.appendChild(document.createTextNode(r.id + " \u2022 " + (r.date || "")));
+          L.marker([r.lat, r.lng]).addTo(activeMap).bindPopup(popup);
+        });
+        activeMap.fitBounds(L.latLngBounds(located.map((r) => [r.lat, r.lng])), { padding: [30, 30], maxZoom: 13 });
+      } catch (e) { console.error("Map init error:", e); }
+    }, 100);
+  }
+
+  function renderSubjectTimeline(events) {
+    const section = document.createElement("div");
+    section.className = "subject-timeline";
+    const header = document.createElement("div");
+    header.className = "documents-section-header";
+    header.textContent = "Timeline";
+    section.appendChild(header);
+
+    let day = null;
+    events.forEach((event) => {
+      if (!day || day.dataset.date !== event.date) {
+        day = document.createElement("div");
+        day.className = "timeline-day";
+        day.dataset.date = event.date;
+        const date = document.createElement("div");
+        date.className = "timeline-date";
+        date.textContent = event.date || "No date";
+        day.appendChild(date);
+        section.appendChild(day);
+      }
+      const row = document.createElement("div");
+      row.className = "timeline-event timeline-" + event.kind;
+      row.title = "Open " + event.reportId;
+      row.addEventListener("click", () => openReport(event.reportId));
+      const kind = document.createElement("span");
+      kind.className = "timeline-kind";
+      kind.textContent = TIMELINE_LABELS[event.kind];
+      const title = document.createElement("span");
+      title.className = "timeline-title";
+      title.textContent = event.title;
+      row.appendChild(kind);
+      row.appendChild(title);
+      if (event.detail) {
+        const detail = document.createElement("div");
+        detail.className = "timeline-detail";
+        detail.textContent = event.detail;
+        row.appendChild(detail);
+      }
+      if (event.findings && event.findings.length) {
+        const list = document.createElement("dl");
+        list.className = "timeline-findings";
+        event.findings.forEach((finding) => {
+          const dt = document.createElement("dt");
+          dt.textContent = finding.label;
+          const dd = document.createElement("dd");
+          dd.textContent = finding.value.length > FINDING_MAX_CHARS
+            ? finding.value.slice(0, FINDING_MAX_CHARS) + "\u2026" : finding.value;
+          list.appendChild(dt);
+          list.appendChild(dd);
+        });
+        row.appendChild(list);
+      }
+      day.appendChild(row);
+    });
+    reportBodyEl.appendChild(section);
+  }
+
+  async function editSubject(subject, fromReportId) {
+    const name = prompt("Subject name", subject.name);
+    if (name === null) return;
+    const aliases = prompt("Aliases, separated by commas", (subject.aliases || []).join(", "));
+    if (aliases === null) return;
+    const next = Object.assign({}, subject, {
+      name: name.trim() || subject.name,
+      aliases: aliases.split(",").map((a) => a.trim()).filter(Boolean),
+    });
+    try {
+      await StorageDB.saveSubject(next);
+    } catch (e) {
+      console.error("Failed to save subject " + subject.id + ":", e);
+      alert("Could not save the subject: " + e.message);
+      return;
+    }
+    ActivityLog.log("subject_edit", { subjectId: subject.id });
+    openSubjectProfile(subject.id, fromReportId);
+  }
+
+  // ---- Map base layers (map-tiles.js): the last one picked is kept per user ----
+
+  const MAP_LAYER_KEY = "intel_portal_map_layer:" + (session ? session.username : "");
+
+  function mapTileOptions() {
+    return {
+      layer: loadStored(MAP_LAYER_KEY, null),
+      onChange: (id) => store(MAP_LAYER_KEY, id),
+    };
+  }
+
+  // ---- Recovery map (report-map.js): every located report, area filter ----
+
+  let workspaceOpens = 0; // bumped by each map / graph open, so a slow load can tell it was superseded
+  let reportMapView = null;
+  let compareMapView = null; // right-hand map when comparing two periods
+  let unsyncCompareMap = null;
+  let heatTimer = null;
+  const HEAT_STEP_MS = 1200;
+
+  function closeCompareMap() {
+    if (!compareMapView) return;
+    unsyncCompareMap();
+    compareMapView.map.remove();
+    compareMapView = null;
+    unsyncCompareMap = null;
+  }
+
+  // Stop playback and drop the second map; the main one goes with activeMap
+  function closeReportMap() {
+    clearInterval(heatTimer);
+    heatTimer = null;
+    closeCompareMap();
+  }
+
+  function setMapArea(area) {
+    mapArea = area;
+    if (reportMapView && activeMap === reportMapView.map) reportMapView.setArea(area);
+    scheduleListRender();
+  }
+
+  function renderAreaFilter(count) {
+    areaFilterEl.hidden = !mapArea;
+    if (mapArea) {
+      areaFilterLabel.textContent = "Map area: " + ReportMap.describe(mapArea) + " \u2014 " +
+        count + " report" + (count === 1 ? "" : "s") + (feedHasMore ? " so far\u2026" : "");
+    }
+  }
+
+  document.getElementById("area-filter-clear").addEventListener("click", () => setMapArea(null));
+
+  async function openReportMap() {
+    const token = ++workspaceOpens;
+    activeReportId = null;
+    activeSubjectId = null;
+    ActivityLog.log("map_view", {});
+    renderReportList(searchInput.value, countryFilter.value);
+
+    reportPlaceholder.hidden = true;
+    reportContentEl.hidden = false;
+    document.querySelector(".dashboard-layout").classList.add("mobile-report-open");
+    document.querySelector(".report-viewer").scrollTop = 0;
+    clearViewer();
+    const status = document.createElement("div");
+    status.className = "subject-status";
+    status.textContent = "Loading reports\u2026";
+    reportMetaEl.appendChild(status);
+
+    let reports;
+    try {
+      [reports] = await Promise.all([StorageDB.getAllReports(), window.leafletReady]);
+    } catch (e) {
+      console.error("Failed to load reports for the map:", e);
+      if (token === workspaceOpens) status.textContent = "Could not load reports: " + e.message;
+      return;
+    }
+    // Opened something else meanwhile
+    if (token !== workspaceOpens || activeReportId || activeSubjectId || reportContentEl.hidden) return;
+    if (typeof L === "undefined") {
+      status.textContent = "The map library could not be loaded.";
+      return;
+    }
+    reports = reports.filter((r) => currentUserIsAdmin || r.classification !== "top-secret");
+    reports.forEach((r) => {
+      if (!REPORTS.some((loaded) => loaded.id === r.id)) offListReports.set(r.id, r);
+    });
+    clearViewer();
+    renderReportMap(reports);
+  }
+
+  function renderReportMap(reports) {
+    const backBtn = document.createElement("button");
+    backBtn.className = "mobile-back-btn";
+    backBtn.textContent = "\u2190 All Reports";
+    backBtn.addEventListener("click", closeReportView);
+    reportMetaEl.appendChild(backBtn);
+
+    const located = ReportMap.located(reports);
+    const months = ReportMap.monthRange(located);
+    const toolbar = document.createElement("div");
+    toolbar.className = "graph-toolbar";
+    const title = document.createElement("h1");
+    title.className = "graph-title";
+    title.textContent = "Recovery Map";
+    toolbar.appendChild(title);
+
+    // ---- Markers / heatmap / side-by-side periods ----
+    const modes = document.createElement("div");
+    modes.className = "map-modes";
+    const modeBtns = {};
+    [["markers", "Markers"], ["heat", "Heatmap"], ["compare", "Compare periods"]].forEach(([key, label]) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "map-mode";
+      btn.textContent = label;
+      if (key !== "markers" && !ReportMap.heatAvailable()) {
+        btn.disabled = true;
+        btn.title = "The heatmap library could not be loaded";
+      } else if (key !== "markers" && !months.length) {
+        btn.disabled = true;
+        btn.title = "No dated reports with coordinates";
+      }
+      btn.addEventListener("click", () => setMode(key));
+      modeBtns[key] = btn;
+      modes.appendChild(btn);
+    });
+    toolbar.appendChild(modes);
+
+    const actions = document.createElement("div");
+    actions.className = "graph-actions";
+    const countEl = document.createElement("span");
+    countEl.className = "graph-count";
+    countEl.textContent = located.length + " of " + reports.length + " reports located";
+    actions.appendChild(countEl);
+    [
+      ["Clear area", "Stop filtering the report list by area", () => setMapArea(null)],
+      ["Fit", "Zoom to the area, or to every report", () => { if (reportMapView) reportMapView.fit(); }],
+    ].forEach(([label, hint, onClick]) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn-action";
+      btn.textContent = label;
+      btn.title = hint;
+      btn.addEventListener("click", onClick);
+      actions.appendChild(btn);
+    });
+    toolbar.appendChild(actions);
+    reportBodyEl.appendChild(toolbar);
+
+    const legend = document.createElement("div");
+    legend.className = "graph-legend";
+    Object.keys(ReportMap.CLASSIFICATIONS).forEach((key) => {
+      if (key === "top-secret" && !currentUserIsAdmin) return;
+      const item = document.createElement("span");
+      const dot = document.createElement("span");
+      dot.className = "graph-legend-dot";
+      dot.style.background = ReportMap.CLASSIFICATIONS[key].color;
+      item.appendChild(dot);
+      item.appendChild(document.createTextNode(ReportMap.CLASSIFICATIONS[key].label));
+      legend.appendChild(item);
+    });
+    const hint = document.createElement("span");
+    hint.className = "graph-hint";
+    hint.textContent = "Draw a rectangle or polygon (top right) to filter the report list to the reports inside it";
+    legend.appendChild(hint);
+    reportBodyEl.appendChild(legend);
+
+    // ---- Heatmap time slider: a window of months, played forward ----
+    const last = Math.max(months.length - 1, 0);
+    const timeBar = document.createElement("div");
+    timeBar.className = "map-timebar";
+    timeBar.hidden = true;
+    const playBtn = document.createElement("button");
+    playBtn.type = "button";
+    playBtn.className = "btn-action";
+    playBtn.textContent = "Play";
+    playBtn.addEventListener("click", () => (heatTimer ? stopHeatPlayback() : playHeat()));
+    timeBar.appendChild(playBtn);
+    const fromRange = document.createElement("input");
+    const toRange = document.createElement("input");
+    [fromRange, toRange].forEach((range, i) => {
+      range.type = "range";
+      range.min = "0";
+      range.max = String(last);
+      range.value = String(i === 0 ? 0 : last);
+      range.setAttribute("aria-label", i === 0 ? "First month" : "Last month");
+      range.addEventListener("input", () => {
+        // The ends push each other rather than cross
+        if (Number(fromRange.value) > Number(toRange.value)) {
+          if (range === fromRange) toRange.value = fromRange.value;
+          else fromRange.value = toRange.value;
+        }
+        updateHeat();
+      });
+      timeBar.appendChild(range);
+    });
+    const timeLabel = document.createElement("span");
+    timeLabel.className = "map-period";
+    timeBar.appendChild(timeLabel);
+    reportBodyEl.appendChild(timeBar);
+
+    // ---- Compare: period A on the left map, period B on the right ----
+    const compareBar = document.createElement("div");
+    compareBar.className = "map-timebar";
+    compareBar.hidden = true;
+    const half = Math.floor(months.length / 2);
+    const periods = [
+      { name: "A", from: months[0], to: months[Math.max(half - 1, 0)] },
+      { name: "B", from: months[Math.min(half, last)], to: months[last] },
+    ];
+    periods.forEach((period) => {
+      const group = document.createElement("span");
+      group.className = "map-compare-period";
+      const name = document.createElement("strong");
+      name.textContent = "Period " + period.name;
+      group.appendChild(name);
+      ["from", "to"].forEach((end) => {
+        const input = document.createElement("input");
+        input.type = "month";
+        input.className = "facet-date";
+        input.min = months[0] || "";
+        input.max = months[last] || "";
+        input.value = period[end] || "";
+        input.setAttribute("aria-label", "Period " + period.name + " " + end);
+        input.addEventListener("change", () => {
+          if (!input.value) return;
+          period[end] = input.value;
+          updateHeat();
+        });
+        group.appendChild(input);
+      });
+      compareBar.appendChild(group);
+    });
+    reportBodyEl.appendChild(compareBar);
+
+    const panes = document.createElement("div");
+    panes.className = "report-map-panes";
+    const paneLabels = [];
+    const mapContainers = [0, 1].map((i) => {
+      const pane = document.createElement("div");
+      pane.className = "report-map-pane";
+      pane.hidden = i === 1;
+      const label = document.createElement("div");
+      label.className = "map-pane-label";
+      label.hidden = true;
+      const container = document.createElement("div");
+      container.className = "map-container report-map-stage";
+      pane.appendChild(container);
+      pane.appendChild(label);
+      panes.appendChild(pane);
+      paneLabels.push(label);
+      return container;
+    });
+    reportBodyEl.appendChild(panes);
+
+    let mode = "markers";
 
-        const n = document.createElement("span");
-        n.className = "file-name";
-        n.textContent = att.name + " (existing)";
+    function periodText(from, to, count) {
+      return (from === to ? from : from + " \u2013 " + to) + " \u2022 " + count + " report" + (count === 1 ? "" : "s");
+    }
 
-        const s = document.createElement("span");
-        s.className = "file-size";
-        s.textContent = formatFileSize(att.size);
+    function inPeriod(from, to) {
+      return located.filter((r) => ReportMap.inMonths(r, from, to));
+    }
 
-        li.appendChild(n);
-        li.appendChild(s);
-        fileListEl.appendChild(li);
-      });
+    function updateHeat() {
+      if (!reportMapView) return;
+      if (mode === "heat") {
+        const from = months[Number(fromRange.value)];
+        const to = months[Number(toRange.value)];
+        const shown = inPeriod(from, to);
+        reportMapView.setHeat(shown);
+        timeLabel.textContent = periodText(from, to, shown.length);
+      } else if (mode === "compare" && compareMapView) {
+        [reportMapView, compareMapView].forEach((view, i) => {
+          const period = periods[i];
+          const from = period.from <= period.to ? period.from : period.to;
+          const to = period.from <= period.to ? period.to : period.from;
+          const shown = inPeriod(from, to);
+          view.setHeat(shown);
+          paneLabels[i].textContent = "Period " + period.name + ": " + periodText(from, to, shown.length);
+        });
+      }
     }
 
-    // Update modal title
-    uploadModal.querySelector(".modal-header h2").textContent = "Edit Report \u2014 " + report.id;
+    // Slide the window forward a month at a time, wrapping at the end
+    function playHeat() {
+      if (Number(fromRange.value) === 0 && Number(toRange.value) === last && last > 2) toRange.value = "2";
+      heatTimer = setInterval(() => {
+        const width = Number(toRange.value) - Number(fromRange.value);
+        let from = Number(fromRange.value) + 1;
+        if (from + width > last) from = 0;
+        fromRange.value = String(from);
+        toRange.value = String(from + width);
+        updateHeat();
+      }, HEAT_STEP_MS);
+      playBtn.textContent = "Pause";
+      updateHeat();
+    }
 
-    // Show modal
-    uploadModal.hidden = false;
+    function stopHeatPlayback() {
+      clearInterval(heatTimer);
+      heatTimer = null;
+      playBtn.textContent = "Play";
+    }
+
+    function setMode(next) {
+      mode = next;
+      Object.keys(modeBtns).forEach((key) => modeBtns[key].classList.toggle("active", key === mode));
+      if (heatTimer && mode !== "heat") stopHeatPlayback();
+      timeBar.hidden = mode !== "heat";
+      compareBar.hidden = mode !== "compare";
+      paneLabels.forEach((label) => { label.hidden = mode !== "compare"; });
+      panes.classList.toggle("compare", mode === "compare");
+      mapContainers[1].parentNode.hidden = mode !== "compare";
+      if (!reportMapView) return;
+      reportMapView.setMode(mode === "markers" ? "markers" : "heat");
+      if (mode === "compare" && !compareMapView) {
+        compareMapView = ReportMap.create(mapContainers[1], { draw: false, tiles: mapTileOptions() });
+        compareMapView.setMode("heat");
+        unsyncCompareMap = ReportMap.sync(reportMapView.map, compareMapView.map);
+      } else if (mode !== "compare") {
+        closeCompareMap();
+      }
+      reportMapView.map.invalidateSize();
+      if (compareMapView) compareMapView.map.invalidateSize();
+      updateHeat();
+    }
+
+    // Initialize Leaflet map after DOM insertion
+    setTimeout(function () {
+      if (!mapContainers[0].isConnected) return;
+      try {
+        reportMapView = ReportMap.create(mapContainers[0], {
+          tiles: mapTileOptions(),
+          area: mapArea,
+          onOpen: (id) => openReport(id),
+          onArea: (area) => setMapArea(area),
+        });
+        activeMap = reportMapView.map;
+        reportMapView.setReports(reports);
+        reportMapView.fit();
+        setMode(mode);
+      } catch (e) { console.error("Map init error:", e); }
+    }, 100);
   }
 
-  // ---- Delete ----
+  // ---- Link analysis graph (link-graph.js) ----
 
-  function confirmDelete(report) {
-    const overlay = document.createElement("div");
-    overlay.className = "confirm-overlay";
+  const GRAPH_KEY = "intel_portal_graph:" + (session ? session.username : "");
+  const GRAPH_CLASSES = [["top-secret", "Top Secret"], ["secret", "Secret"], ["confidential", "Confidential"]];
+  let graphClasses = loadStored(GRAPH_KEY, GRAPH_CLASSES.map(([value]) => value));
 
-    const box = document.createElement("div");
-    box.className = "confirm-box";
+  function closeGraph() {
+    if (!activeGraph) return;
+    activeGraph.destroy();
+    activeGraph = null;
+  }
 
-    const h3 = document.createElement("h3");
-    h3.textContent = "Delete Report";
+  /**
+   * Open the graph workspace in the viewer, built from every report (not
+   * just the loaded pages). With `focusId` (a node id such as
+   * "subject:SUBJ-…") it starts from that node and its neighbours;
+   * otherwise from all subjects and the links between them.
+   */
+  async function openLinkGraph(focusId) {
+    const token = ++workspaceOpens;
+    activeReportId = null;
+    activeSubjectId = null;
+    ActivityLog.log("graph_view", focusId ? { node: focusId } : {});
+    renderReportList(searchInput.value, countryFilter.value);
 
-    const p = document.createElement("p");
-    p.textContent = 'Permanently delete ' + report.id + ' (' + report.subjectName + ')? This cannot be undone.';
+    reportPlaceholder.hidden = true;
+    reportContentEl.hidden = false;
+    document.querySelector(".dashboard-layout").classList.add("mobile-report-open");
+    document.querySelector(".report-viewer").scrollTop = 0;
+    clearViewer();
+    const status = document.createElement("div");
+    status.className = "subject-status";
+    status.textContent = "Loading reports\u2026";
+    reportMetaEl.appendChild(status);
+
+    let reports;
+    try {
+      reports = await StorageDB.getAllReports();
+    } catch (e) {
+      console.error("Failed to load reports for the link graph:", e);
+      if (token === workspaceOpens) status.textContent = "Could not load reports: " + e.message;
+      return;
+    }
+    // Opened something else meanwhile
+    if (token !== workspaceOpens || activeReportId || activeSubjectId || reportContentEl.hidden) return;
+    reports = reports.filter((r) => currentUserIsAdmin || r.classification !== "top-secret");
+    reports.forEach((r) => {
+      if (!REPORTS.some((loaded) => loaded.id === r.id)) offListReports.set(r.id, r);
+    });
+    clearViewer();
+    renderLinkGraph(reports, focusId);
+  }
+
+  function renderLinkGraph(reports, focusId) {
+    const backBtn = document.createElement("button");
+    backBtn.className = "mobile-back-btn";
+    backBtn.textContent = "\u2190 All Reports";
+    backBtn.addEventListener("click", closeReportView);
+    reportMetaEl.appendChild(backBtn);
 
+    const workspace = document.createElement("div");
+    workspace.className = "graph-workspace";
+
+    // ---- Toolbar: classification filter, layout actions ----
+    const toolbar = document.createElement("div");
+    toolbar.className = "graph-toolbar";
+    const title = document.createElement("h1");
+    title.className = "graph-title";
+    title.textContent = "Link Analysis";
+    toolbar.appendChild(title);
+    const classes = document.createElement("div");
+    classes.className = "graph-classes";
+    GRAPH_CLASSES.forEach(([value, label]) => {
+      if (value === "top-secret" && !currentUserIsAdmin) return;
+      const option = document.createElement("label");
+      option.className = "graph-class";
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = graphClasses.indexOf(value) !== -1;
+      box.addEventListener("change", () => {
+        graphClasses = box.checked ? graphClasses.concat(value) : graphClasses.filter((c) => c !== value);
+        store(GRAPH_KEY, graphClasses);
+        rebuild(true);
+      });
+      option.appendChild(box);
+      option.appendChild(document.createTextNode(" " + label));
+      classes.appendChild(option);
+    });
+    toolbar.appendChild(classes);
     const actions = document.createElement("div");
-    actions.className = "confirm-actions";
+    actions.className = "graph-actions";
+    const countEl = document.createElement("span");
+    countEl.className = "graph-count";
+    actions.appendChild(countEl);
+    [
+      ["Expand all", "Show every node", () => { activeGraph.expandAll(); updateCount(); }],
+      ["Subjects only", "Start over from the subjects and their links", () => rebuild(false, true)],
+      ["Fit", "Zoom to show everything", () => activeGraph.fit()],
+    ].forEach(([label, hint, onClick]) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn-action";
+      btn.textContent = label;
+      btn.title = hint;
+      btn.addEventListener("click", onClick);
+      actions.appendChild(btn);
+    });
+    toolbar.appendChild(actions);
+    workspace.appendChild(toolbar);
+
+    // ---- Legend ----
+    const legend = document.createElement("div");
+    legend.className = "graph-legend";
+    Object.keys(LinkGraph.NODE_TYPES).forEach((type) => {
+      const item = document.createElement("span");
+      const dot = document.createElement("span");
+      dot.className = "graph-legend-dot";
+      dot.style.background = LinkGraph.NODE_TYPES[type].color;
+      item.appendChild(dot);
+      item.appendChild(document.createTextNode(LinkGraph.NODE_TYPES[type].label));
+      legend.appendChild(item);
+    });
+    ["corridor", "colocated", "document"].forEach((kind) => {
+      const item = document.createElement("span");
+      const line = document.createElement("span");
+      line.className = "graph-legend-line" + (kind === "colocated" ? " dashed" : "");
+      line.style.borderColor = LinkGraph.EDGE_KINDS[kind].color;
+      item.appendChild(line);
+      item.appendChild(document.createTextNode(LinkGraph.EDGE_KINDS[kind].label));
+      legend.appendChild(item);
+    });
+    const hint = document.createElement("span");
+    hint.className = "graph-hint";
+    hint.textContent = "Drag to pan, scroll to zoom, double-click a ringed node to expand its neighbours";
+    legend.appendChild(hint);
+    workspace.appendChild(legend);
+
+    // ---- Canvas and details panel ----
+    const body = document.createElement("div");
+    body.className = "graph-body";
+    const stage = document.createElement("div");
+    stage.className = "graph-stage";
+    const canvas = document.createElement("canvas");
+    stage.appendChild(canvas);
+    body.appendChild(stage);
+    const details = document.createElement("div");
+    details.className = "graph-details";
+    body.appendChild(details);
+    workspace.appendChild(body);
+    reportBodyEl.appendChild(workspace);
+
+    let graph = null;
+    activeGraph = LinkGraph.createView(canvas, { onSelect: (node) => renderGraphDetails(node) });
+
+    function updateCount() {
+      const shown = activeGraph.visibleIds().length;
+      const total = Object.keys(graph.nodes).length;
+      countEl.textContent = shown + " of " + total + " nodes";
+    }
 
-    const cancelBtn = document.createElement("button");
-    cancelBtn.type = "button";
-    cancelBtn.className = "btn-cancel";
-    cancelBtn.textContent = "Cancel";
-    cancelBtn.addEventListener("click", () => overlay.remove());
+    function subjectsWithLinks() {
+      return Object.keys(graph.nodes).filter((id) => graph.nodes[id].type === "subject");
+    }
 
-    const confirmBtn = document.createElement("button");
-    confirmBtn.type = "button";
-    confirmBtn.className = "btn-confirm-delete";
-    confirmBtn.textContent = "Delete";
-    confirmBtn.addEventListener("click", async () => {
-      ActivityLog.log("report_delete", { reportId: report.id, subject: report.subjectName });
-      const idx = REPORTS.findIndex((r) => r.id === report.id);
-      if (idx !== -1) REPORTS.splice(idx, 1);
-      try { await StorageDB.deleteReport(report.id); } catch (e) {}
-      overlay.remove();
-      activeReportId = null;
-      reportContentEl.hidden = true;
-      reportPlaceholder.hidden = false;
-      renderReportList(searchInput.value, countryFilter.value);
-    });
+    // keepVisible: stay on the current nodes where they still exist
+    function rebuild(keepVisible, subjectsOnly) {
+      const previous = keepVisible ? activeGraph.visibleIds() : null;
+      graph = LinkGraph.build(
+        reports.filter((r) => graphClasses.indexOf(r.classification) !== -1),
+        (r) => reportEntities[r.id]
+      );
+      let start;
+      if (previous) {
+        start = previous.filter((id) => graph.nodes[id]);
+        // Newly allowed reports bring their subjects in
+        subjectsWithLinks().forEach((id) => { if (start.indexOf(id) === -1) start.push(id); });
+      } else if (focusId && graph.nodes[focusId] && !subjectsOnly) {
+        start = [focusId].concat(LinkGraph.neighbors(graph, focusId));
+      } else {
+        start = subjectsWithLinks();
+      }
+      activeGraph.setGraph(graph, start);
+      updateCount();
+      if (!previous) setTimeout(() => { if (activeGraph) activeGraph.fit(); }, 1500);
+      if (!previous && focusId && graph.nodes[focusId] && !subjectsOnly) activeGraph.select(focusId);
+    }
 
-    actions.appendChild(cancelBtn);
-    actions.appendChild(confirmBtn);
-    box.appendChild(h3);
-    box.appendChild(p);
-    box.appendChild(actions);
-    overlay.appendChild(box);
-    overlay.addEventListener("click", (e) => { if (e.target === overlay) overlay.remove(); });
-    document.body.appendChild(overlay);
+    function renderGraphDetails(node) {
+      details.replaceChildren();
+      if (!node) {
+        const empty = document.createElement("div");
+        empty.className = "graph-details-empty";
+        empty.textContent = "Select a node to see its reports and links.";
+        details.appendChild(empty);
+        return;
+      }
+      const type = document.createElement("div");
+      type.className = "relations-title";
+      type.textContent = LinkGraph.NODE_TYPES[node.type].label;
+      const name = document.createElement("div");
+      name.className = "graph-details-name";
+      name.textContent = node.label;
+      details.appendChild(type);
+      details.appendChild(name);
+
+      const expandBtn = document.createElement("button");
+      expandBtn.type = "button";
+      expandBtn.className = "btn-action";
+      expandBtn.textContent = "Expand neighbours";
+      expandBtn.addEventListener("click", () => {
+        const added = activeGraph.expand(node.id);
+        expandBtn.textContent = added ? "Added " + added : "Nothing hidden";
+        updateCount();
+      });
+      details.appendChild(expandBtn);
+
+      const links = graph.edges.filter((e) => e.source === node.id || e.target === node.id);
+      const linked = links.filter((e) => e.kind !== "attribute");
+      if (linked.length) {
+        const head = document.createElement("div");
+        head.className = "relations-title";
+        head.textContent = "Links (" + linked.length + ")";
+        details.appendChild(head);
+        linked.forEach((e) => {
+          const other = graph.nodes[e.source === node.id ? e.target : e.source];
+          const row = document.createElement("button");
+          row.type = "button";
+          row.className = "graph-link";
+          row.style.borderLeftColor = LinkGraph.EDGE_KINDS[e.kind].color;
+          row.textContent = other.label + " \u2014 " + LinkGraph.EDGE_KINDS[e.kind].label.toLowerCase() + (e.label ? ": " + e.label : "");
+          row.addEventListener("click", () => {
+            activeGraph.expand(node.id);
+            activeGraph.select(other.id);
+            updateCount();
+          });
+          details.appendChild(row);
+        });
+      }
+
+      const head = document.createElement("div");
+      head.className = "relations-title";
+      head.textContent = "Reports (" + node.reportIds.length + ")";
+      details.appendChild(head);
+      node.reportIds.forEach((id) => {
+        const r = reports.find((x) => x.id === id);
+        const row = document.createElement("button");
+        row.type = "button";
+        row.className = "graph-report";
+        const rid = document.createElement("span");
+        rid.className = "relation-id";
+        rid.textContent = id;
+        row.appendChild(rid);
+        row.appendChild(document.createTextNode(" " + (r ? r.subjectName : "")));
+        row.addEventListener("click", () => openReport(id));
+        details.appendChild(row);
+      });
+    }
+
+    rebuild(false);
+    renderGraphDetails(null);
   }
 
   // ---- Upload Modal ----
@@ -1005,22 +3666,27 @@
   function openModal() {
     editingReportId = null;
     uploadModal.hidden = false;
-    pendingFiles = [];
+    discardUploads();
     fileListEl.replaceChildren();
     uploadForm.reset();
+    resetMrz();
     document.getElementById("rpt-date").valueAsDate = new Date();
+    idPrefixGroup.hidden = idPrefixSelect.options.length < 2;
     uploadModal.querySelector(".modal-header h2").textContent = "Create New Report";
   }
 
   function closeModal() {
     editingReportId = null;
     uploadModal.hidden = true;
-    pendingFiles = [];
+    discardUploads();
     fileListEl.replaceChildren();
     uploadForm.reset();
+    resetMrz();
     uploadModal.querySelector(".modal-header h2").textContent = "Create New Report";
   }
 
+  document.getElementById("map-btn").addEventListener("click", () => openReportMap());
+  document.getElementById("graph-btn").addEventListener("click", () => openLinkGraph());
   uploadBtn.addEventListener("click", openModal);
   modalClose.addEventListener("click", closeModal);
   modalCancel.addEventListener("click", closeModal);
@@ -1051,6 +3717,144 @@
     });
   }
 
+  // ---- Passport MRZ (mrz.js): fill the form, flag what disagrees ----
+
+  const mrzPanel = document.getElementById("mrz-panel");
+  const mrzInput = document.getElementById("rpt-mrz");
+  const mrzResultEl = document.getElementById("mrz-result");
+  let mrzData = null; // last MRZ read for the open form
+  let mrzSource = null; // attachment it came from, if any
+
+  const MRZ_CHECK_LABELS = {
+    passportNumber: "passport number",
+    dateOfBirth: "date of birth",
+    expiryDate: "expiry date",
+    personalNumber: "personal number",
+    composite: "whole line (composite)",
+  };
+
+  // Form inputs the MRZ covers, with its value and whether a typed value agrees
+  function mrzFields(mrz) {
+    return [
+      { id: "rpt-passport", label: "Passport number", value: mrz.passportNumber,
+        same: (typed) => typed.replace(/\s+/g, "").toUpperCase() === mrz.passportNumber },
+      { id: "rpt-name", label: "Subject name", value: mrz.name,
+        same: (typed) => NameMatch.matches(typed, mrz.name) },
+      { id: "rpt-nationality", label: "Nationality", value: MRZ.nationalityName(mrz.nationality),
+        same: (typed) => MRZ.nationalityMatches(mrz.nationality, typed) },
+      { id: "rpt-dob", label: "Date of birth", value: mrz.dateOfBirth, same: (typed) => typed === mrz.dateOfBirth },
+      { id: "rpt-expiry", label: "Passport expiry", value: mrz.expiryDate, same: (typed) => typed === mrz.expiryDate },
+    ].filter((f) => f.value);
+  }
+
+  // Fields whose typed value differs from the MRZ
+  function mrzDisagreements() {
+    if (!mrzData) return [];
+    return mrzFields(mrzData).filter((f) => {
+      const typed = document.getElementById(f.id).value.trim();
+      return typed && !f.same(typed);
+    });
+  }
+
+  function addMrzLine(className, text) {
+    const li = document.createElement("li");
+    li.className = className;
+    li.textContent = text;
+    mrzResultEl.appendChild(li);
+    return li;
+  }
+
+  function renderMrzResult() {
+    mrzResultEl.replaceChildren();
+    mrzResultEl.hidden = !mrzData;
+    uploadForm.querySelectorAll(".mrz-mismatch").forEach((el) => el.classList.remove("mrz-mismatch"));
+    if (!mrzData) return;
+
+    const failed = Object.keys(mrzData.checks).filter((k) => !mrzData.checks[k]);
+    failed.forEach((k) => {
+      addMrzLine("mrz-error", "Check digit fails for the " + MRZ_CHECK_LABELS[k] + " \u2014 the MRZ may be misread or altered");
+    });
+
+    const disagreements = mrzDisagreements();
+    mrzFields(mrzData).forEach((f) => {
+      const input = document.getElementById(f.id);
+      if (disagreements.indexOf(f) === -1) return;
+      input.classList.add("mrz-mismatch");
+      const li = addMrzLine("mrz-warning", f.label + ": typed \u201c" + input.value.trim() + "\u201d, MRZ has \u201c" + f.value + "\u201d ");
+      const use = document.createElement("button");
+      use.type = "button";
+      use.className = "file-action";
+      use.textContent = "Use MRZ";
+      use.addEventListener("click", () => {
+        input.value = f.value;
+        input.classList.add("mrz-filled");
+        renderMrzResult();
+      });
+      li.appendChild(use);
+    });
+
+    if (failed.length === 0 && disagreements.length === 0) {
+      addMrzLine("mrz-ok", "Check digits valid" + (mrzSource ? " (read from " + mrzSource + ")" : "") + "; the form matches the passport.");
+    } else if (mrzSource) {
+      addMrzLine("mrz-source", "Read from " + mrzSource);
+    }
+    if (mrzData.nationality !== mrzData.issuingState) {
+      addMrzLine("mrz-source", "Issued by " + MRZ.countryName(mrzData.issuingState) + " to a " + MRZ.nationalityName(mrzData.nationality) + " national");
+    }
+  }
+
+  /**
+   * Read an MRZ into the form: empty fields are filled from it, typed ones
+   * are compared with it. source names the attachment it came from.
+   */
+  function readMrz(text, source) {
+    let mrz;
+    try {
+      mrz = MRZ.parse(text);
+    } catch (e) {
+      if (e.code !== "invalid-mrz") throw e;
+      mrzData = null;
+      renderMrzResult();
+      mrzResultEl.hidden = false;
+      addMrzLine("mrz-error", e.message);
+      return;
+    }
+    mrzData = mrz;
+    mrzSource = source || null;
+    mrzInput.value = mrz.lines.join("\n");
+    mrzPanel.open = true;
+    mrzFields(mrz).forEach((f) => {
+      const input = document.getElementById(f.id);
+      if (input.value.trim()) return;
+      input.value = f.value;
+      input.classList.add("mrz-filled");
+    });
+    renderMrzResult();
+  }
+
+  // An attached text file holding an MRZ is read unless one is already in
+  function readMrzFromAttachment(att) {
+    if (mrzInput.value.trim() || !att.textContent || !MRZ.find(att.textContent)) return;
+    readMrz(att.textContent, att.name);
+  }
+
+  function resetMrz() {
+    mrzData = null;
+    mrzSource = null;
+    mrzInput.value = "";
+    mrzPanel.open = false;
+    renderMrzResult();
+    uploadForm.querySelectorAll(".mrz-filled").forEach((el) => el.classList.remove("mrz-filled"));
+  }
+
+  document.getElementById("btn-read-mrz").addEventListener("click", () => readMrz(mrzInput.value, null));
+  ["rpt-passport", "rpt-name", "rpt-nationality", "rpt-dob", "rpt-expiry"].forEach((id) => {
+    document.getElementById(id).addEventListener("input", (e) => {
+      e.target.classList.remove("mrz-filled");
+      if (mrzData) renderMrzResult();
+    });
+  });
+
   // ---- Drag & drop ----
 
   dropZone.addEventListener("click", () => fileInput.click());
@@ -1064,17 +3868,177 @@
   fileInput.addEventListener("change", () => { handleFiles(fileInput.files); fileInput.value = ""; });
 
   function handleFiles(list) {
+    const added = [];
     Array.from(list).forEach((f) => {
       if (!pendingFiles.some((p) => p.name === f.name && p.size === f.size)) {
         pendingFiles.push(f);
+        added.push(f);
+      }
+    });
+    renderFileList();
+    added.forEach(checkDuplicateContent);
+    added.forEach((f) => {
+      readPendingFile(f).then(readMrzFromAttachment, (e) => {
+        console.error("Failed to read " + f.name + ":", e);
+        const state = uploadStates.get(f);
+        if (!state) return; // removed meanwhile
+        state.warning = "Could not read this file: " + e.message;
+        updateFileRow(f);
+      }).catch((e) => console.error("MRZ read from " + f.name + " failed:", e));
+    });
+  }
+
+  /**
+   * Hash a newly added file and warn on its row when the same content is
+   * already attached here or on another report (it will be stored only once).
+   */
+  async function checkDuplicateContent(file) {
+    const state = getUploadState(file);
+    try {
+      await readPendingFile(file);
+    } catch (e) {
+      return; // shown on the row by handleFiles
+    }
+    const sha256 = state.att.sha256;
+    if (!sha256) return;
+
+    const warnings = [];
+    const ownId = editingReportId || pendingReportId;
+    const sameHere = existingAttachments.find((a) => a.sha256 === sha256);
+    if (sameHere) warnings.push("Identical to existing attachment " + sameHere.name);
+    pendingFiles.forEach((other) => {
+      const o = uploadStates.get(other);
+      if (other !== file && o && o.att && o.att.sha256 === sha256 && pendingFiles.indexOf(other) < pendingFiles.indexOf(file)) {
+        warnings.push("Identical to " + other.name + " in this upload");
       }
     });
+
+    try {
+      const refs = await StorageDB.findAttachmentsByHash(sha256);
+      const elsewhere = refs.filter((r) => r.reportId !== ownId);
+      if (elsewhere.length > 0) {
+        warnings.push("Same file already attached to " + elsewhere.map((r) =>
+          r.reportId + (r.name !== file.name ? " (as " + r.name + ")" : "")).join(", "));
+      }
+    } catch (e) {
+      console.error("Duplicate lookup failed:", e);
+    }
+
+    state.warning = warnings.join(". ");
+    updateFileRow(file);
+  }
+
+  // Hash/read each pending file once, however many callers ask for it
+  function readPendingFile(file) {
+    const state = getUploadState(file);
+    if (!state.reading) {
+      state.reading = readFileAsAttachment(file).then((att) => { state.att = att; return att; });
+    }
+    return state.reading;
+  }
+
+  function getUploadState(file) {
+    if (!uploadStates.has(file)) {
+      uploadStates.set(file, { status: "queued", loaded: 0, error: null, warning: "", att: null, reading: null, task: null, reportId: null, row: null });
+    }
+    return uploadStates.get(file);
+  }
+
+  function removePendingFile(file) {
+    const state = uploadStates.get(file);
+    if (state) {
+      if (state.task) state.task.cancel();
+      // Already in storage but never saved on a report — don't leave it orphaned
+      if (state.status === "done" && state.att && state.att.storagePath) {
+        StorageDB.removeAttachment(state.reportId, state.att).catch(function (e) {
+          console.error("Failed to remove uploaded file:", e);
+        });
+      }
+      uploadStates.delete(file);
+    }
+    pendingFiles = pendingFiles.filter((f) => f !== file);
     renderFileList();
   }
 
+  // Cancel anything in flight and drop uploads that were never saved on a report
+  function discardUploads() {
+    pendingFiles.slice().forEach(removePendingFile);
+    pendingFiles = [];
+    existingAttachments = [];
+    pendingReportId = null;
+    idPrefixSelect.disabled = false;
+  }
+
+  // The report now references the uploaded files — forget them without deleting
+  function commitUploads() {
+    uploadStates.clear();
+    pendingFiles = [];
+  }
+
+  function updateFileRow(file) {
+    const state = uploadStates.get(file);
+    if (!state || !state.row) return;
+    const ui = state.row;
+    const pct = file.size ? Math.round((state.loaded / file.size) * 100) : 100;
+
+    ui.li.className = "file-list-item upload-" + state.status;
+    ui.progress.hidden = state.status === "queued";
+    ui.bar.style.width = (state.status === "done" ? 100 : pct) + "%";
+
+    var labels = {
+      queued: "",
+      uploading: pct + "%",
+      paused: "Paused " + pct + "%",
+      done: "Uploaded",
+      canceled: "Canceled",
+      failed: "Failed" + (state.error ? ": " + state.error : ""),
+    };
+    ui.status.textContent = labels[state.status];
+    ui.status.title = state.error || "";
+    ui.warning.hidden = !state.warning;
+    ui.warning.textContent = state.warning || "";
+
+    ui.controls.replaceChildren();
+    function control(label, onClick) {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "file-action";
+      b.textContent = label;
+      b.addEventListener("click", onClick);
+      ui.controls.appendChild(b);
+    }
+    if (state.status === "uploading") {
+      control("Pause", () => { state.task.pause(); state.status = "paused"; updateFileRow(file); });
+      control("Cancel", () => state.task.cancel());
+    } else if (state.status === "paused") {
+      control("Resume", () => { state.task.resume(); state.status = "uploading"; updateFileRow(file); });
+      control("Cancel", () => state.task.cancel());
+    } else if (state.status === "failed" || state.status === "canceled") {
+      control("Retry", () => uploadPendingFile(file, state.reportId));
+    }
+    ui.remove.hidden = state.status === "uploading" || state.status === "paused";
+  }
+
   function renderFileList() {
     fileListEl.replaceChildren();
-    pendingFiles.forEach((file, i) => {
+    existingAttachments.forEach(function (att) {
+      const li = document.createElement("li");
+      li.className = "file-list-item";
+
+      const n = document.createElement("span");
+      n.className = "file-name";
+      n.textContent = att.name + " (existing)";
+
+      const s = document.createElement("span");
+      s.className = "file-size";
+      s.textContent = formatFileSize(att.size);
+
+      li.appendChild(n);
+      li.appendChild(s);
+      fileListEl.appendChild(li);
+    });
+
+    pendingFiles.forEach((file) => {
       const li = document.createElement("li");
       li.className = "file-list-item";
 
@@ -1086,17 +4050,91 @@
       s.className = "file-size";
       s.textContent = formatFileSize(file.size);
 
+      const status = document.createElement("span");
+      status.className = "file-status";
+
+      const controls = document.createElement("span");
+      controls.className = "file-controls";
+
       const r = document.createElement("button");
       r.type = "button";
       r.className = "file-remove";
       r.textContent = "\u00D7";
-      r.addEventListener("click", () => { pendingFiles.splice(i, 1); renderFileList(); });
+      r.addEventListener("click", () => removePendingFile(file));
+
+      const progress = document.createElement("div");
+      progress.className = "file-progress";
+      const bar = document.createElement("div");
+      bar.className = "file-progress-bar";
+      progress.appendChild(bar);
+
+      const warning = document.createElement("div");
+      warning.className = "file-warning";
 
       li.appendChild(n);
       li.appendChild(s);
+      li.appendChild(status);
+      li.appendChild(controls);
       li.appendChild(r);
+      li.appendChild(progress);
+      li.appendChild(warning);
       fileListEl.appendChild(li);
+
+      getUploadState(file).row = { li, status, controls, remove: r, progress, bar, warning };
+      updateFileRow(file);
+    });
+  }
+
+  /**
+   * Upload one pending file as an attachment of reportId. Resolves with the
+   * stored attachment, or null if it failed or was canceled (shown on its row).
+   */
+  async function uploadPendingFile(file, reportId) {
+    const state = getUploadState(file);
+    if (state.status === "done") return state.att;
+    if (state.task) return null;
+
+    await readPendingFile(file);
+    state.reportId = reportId;
+    state.status = "uploading";
+    state.loaded = 0;
+    state.error = null;
+    state.task = StorageDB.startAttachmentUpload(reportId, file.name, file, {
+      sha256: state.att.sha256,
+      onProgress: function (loaded) {
+        state.loaded = loaded;
+        updateFileRow(file);
+      },
     });
+    updateFileRow(file);
+
+    try {
+      const result = await state.task.promise;
+      state.att.storageUrl = result.storageUrl;
+      state.att.storagePath = result.storagePath;
+      state.att.sha256 = result.sha256;
+      if (result.iv) state.att.iv = result.iv;
+      delete state.att.file;
+      state.status = "done";
+      return state.att;
+    } catch (err) {
+      console.error("Upload failed for " + file.name + ":", err);
+      state.status = err.code === "canceled" ? "canceled" : "failed";
+      state.error = err.code === "canceled" ? null : err.message;
+      return null;
+    } finally {
+      state.task = null;
+      updateFileRow(file);
+    }
+  }
+
+  /**
+   * Upload every pending file in parallel. Resolves with their attachments,
+   * or null if any of them did not make it.
+   */
+  async function uploadPendingFiles(reportId) {
+    const results = await Promise.all(pendingFiles.map((file) => uploadPendingFile(file, reportId)));
+    return results.every(Boolean) ? results : null;
   }
 
   // ---- Submit ----
@@ -1107,6 +4145,8 @@
     const passport = document.getElementById("rpt-passport").value.trim();
     const name = document.getElementById("rpt-name").value.trim();
     const nationality = document.getElementById("rpt-nationality").value.trim();
+    const dateOfBirth = document.getElementById("rpt-dob").value || null;
+    const passportExpiry = document.getElementById("rpt-expiry").value || null;
     const date = document.getElementById("rpt-date").value;
     const classification = document.getElementById("rpt-classification").value;
     const summary = document.getElementById("rpt-summary").value.trim();
@@ -1117,71 +4157,125 @@
     const lat = latVal ? parseFloat(latVal) : null;
     const lng = lngVal ? parseFloat(lngVal) : null;
 
-    // Read any newly added files
-    const newAttachments = await Promise.all(pendingFiles.map(readFileAsAttachment));
+    const disagreements = mrzDisagreements();
+    if (disagreements.length > 0 && !confirm("The form disagrees with the passport MRZ on: " +
+        disagreements.map((f) => f.label.toLowerCase()).join(", ") + ".\n\nSave anyway?")) {
+      return;
+    }
+
+    // Uploads are stored under the report's ID, so a new report reserves one first
+    if (!editingReportId && !pendingReportId) {
+      try {
+        pendingReportId = await StorageDB.allocateReportId(idPrefixSelect.value);
+        idPrefixSelect.disabled = true;
+      } catch (err) {
+        console.error("Failed to allocate report ID:", err);
+        alert("Report could not be created.\n\nError: " + err.message);
+        return;
+      }
+    }
+
+    const submitBtn = uploadForm.querySelector('button[type="submit"]');
+    const submitLabel = submitBtn.textContent;
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Uploading...";
+    const newAttachments = await uploadPendingFiles(editingReportId || pendingReportId);
+    submitBtn.disabled = false;
+    submitBtn.textContent = submitLabel;
+    // Failures are shown on each file — retry or remove them, then submit again
+    if (!newAttachments) return;
 
     if (editingReportId) {
       // ---- EDIT existing report ----
-      const existing = REPORTS.find((r) => r.id === editingReportId);
-      if (existing) {
-        existing.passportNumber = passport.toUpperCase();
-        existing.subjectName = name;
-        existing.nationality = nationality;
-        existing.date = date;
-        existing.classification = classification;
-        existing.summary = summary;
-        existing.locationName = locationName || null;
-        existing.lat = lat;
-        existing.lng = lng;
-        existing.content = content || existing.content;
-
-        // Append new files to existing attachments
-        if (newAttachments.length > 0) {
-          if (!existing.attachments) existing.attachments = [];
-          existing.attachments.push(...newAttachments);
-        }
-
-        ActivityLog.log("report_edit", { reportId: existing.id, subject: existing.subjectName });
-        try {
-          await StorageDB.saveReport(existing);
-          console.log("Report " + existing.id + " updated successfully.");
-        } catch (err) {
-          console.error("Failed to update report:", err);
-          alert("Warning: Changes could not be saved to storage.\n\nError: " + err.message);
-        }
+      // Reports opened from a profile or a flag may not be on a loaded page
+      let existing = REPORTS.find((r) => r.id === editingReportId) || offListReports.get(editingReportId);
+      if (!existing) {
+        existing = await StorageDB.getReportEntry(editingReportId).catch((err) => {
+          console.error("Could not load " + editingReportId + " for saving:", err);
+          return null;
+        });
+        if (existing) offListReports.set(existing.id, existing);
+      }
+      if (!existing) {
+        alert("Changes could not be saved: report " + editingReportId + " could not be found. It may have been deleted.");
+        return;
+      }
+      existing.passportNumber = passport.toUpperCase();
+      existing.subjectName = name;
+      existing.nationality = nationality;
+      existing.dateOfBirth = dateOfBirth;
+      existing.passportExpiry = passportExpiry;
+      existing.date = date;
+      existing.classification = classification;
+      existing.summary = summary;
+      existing.locationName = locationName || null;
+      existing.lat = lat;
+      existing.lng = lng;
+      existing.content = content || existing.content;
+
+      // Append new files to existing attachments
+      if (newAttachments.length > 0) {
+        if (!existing.attachments) existing.attachments = [];
+        existing.attachments.push(...newAttachments);
+      }
 
-        const id = editingReportId;
-        closeModal();
-        renderReportList(searchInput.value, countryFilter.value);
-        openReport(id);
+      ActivityLog.log("report_edit", { reportId: existing.id, subject: existing.subjectName });
+      try {
+        await attachSubject(existing);
+        await StorageDB.saveReport(existing);
+        console.log("Report " + existing.id + " updated successfully.");
+        checkDuplicates(existing);
+        extractEntities(existing.id);
+      } catch (err) {
+        console.error("Failed to update report:", err);
+        alert("Warning: Changes could not be saved to storage.\n\nError: " + err.message);
       }
+
+      const id = editingReportId;
+      commitUploads();
+      closeModal();
+      renderReportList(searchInput.value, countryFilter.value);
+      openReport(id);
     } else {
       // ---- CREATE new report ----
-      const year = new Date().getFullYear();
-      const seq = String(REPORTS.length + 1).padStart(4, "0");
-      const id = "RPT-" + year + "-" + seq;
+      function defaultContent(r) {
+        if (!content) r.content = "# Report: " + r.id + "\n\nNo detailed content provided.";
+      }
 
       const report = {
-        id, passportNumber: passport.toUpperCase(), subjectName: name,
-        nationality, date, classification, summary,
+        id: pendingReportId, passportNumber: passport.toUpperCase(), subjectName: name,
+        nationality, dateOfBirth, passportExpiry, date, classification, summary,
         locationName: locationName || null,
         lat: lat,
         lng: lng,
-        content: content || "# Report: " + id + "\n\nNo detailed content provided.",
+        content: content,
         attachments: newAttachments,
       };
-
-      REPORTS.unshift(report);
-      ActivityLog.log("report_create", { reportId: id, subject: name });
+      defaultContent(report);
+      await attachSubject(report);
 
       try {
-        await StorageDB.saveReport(report);
-        console.log("Report " + id + " saved successfully.");
+        try {
+          await StorageDB.saveReport(report, { create: true });
+        } catch (err) {
+          if (err.code !== "already-exists") throw err;
+          // Claimed by someone else while uploading — files are stored, just take a new ID
+          await StorageDB.createReport(report, { prefix: idPrefixSelect.value, build: defaultContent });
+        }
+        console.log("Report " + report.id + " saved successfully.");
       } catch (err) {
         console.error("Failed to save report:", err);
-        alert("Warning: Report created but could not be saved to persistent storage.\n\nError: " + err.message);
+        alert("Report could not be created.\n\nError: " + err.message);
+        return;
       }
 
+      const id = report.id;
+      REPORTS.unshift(report);
+      ActivityLog.log("report_create", { reportId: id, subject: name });
+      checkDuplicates(report);
+      extractEntities(id);
+
+      commitUploads();
       closeModal();
       renderReportList(searchInput.value, countryFilter.value);
       openReport(id);
@@ -1189,33 +4283,45 @@
   });
 
   function readFileAsAttachment(file) {
-    return new Promise((resolve) => {
-      const att = {
-        name: file.name,
-        size: file.size,
-        type: file.type || "application/octet-stream",
-        file: file, // Raw File object — uploaded to Firebase Storage on save
-        textContent: null,
-      };
+    const att = {
+      name: file.name,
+      size: file.size,
+      type: file.type || "application/octet-stream",
+      file: file, // Raw File object — uploaded to attachment storage on save
+      sha256: null,
+      textContent: null,
+    };
+
+    const hashed = StorageDB.hashBlob(file).then((sha256) => {
+      att.sha256 = sha256;
+    }).catch((e) => {
+      console.error("Could not hash " + file.name + ":", e);
+    });
 
+    const text = new Promise((resolve) => {
       if (file.type.startsWith("text/") || file.name.endsWith(".md") || file.name.endsWith(".csv")) {
         const tr = new FileReader();
-        tr.onload = () => { att.textContent = tr.result; resolve(att); };
-        tr.onerror = () => resolve(att);
+        tr.onload = () => { att.textContent = tr.result; resolve(); };
+        tr.onerror = () => resolve();
         tr.readAsText(file);
       } else {
-        resolve(att);
+        resolve();
       }
     });
+
+    return Promise.all([hashed, text]).then(() => att);
   }
 
   // ---- Search & Country Filter ----
   searchInput.addEventListener("input", () => {
     renderReportList(searchInput.value, countryFilter.value);
+    updateSearchUrl();
     ActivityLog.logSearch(searchInput.value);
   });
   countryFilter.addEventListener("change", () => {
+    pendingCountry = null;
     renderReportList(searchInput.value, countryFilter.value);
+    updateSearchUrl();
   });
 
   // ---- Field Override Functions (inline editing of assessment fields) ----
@@ -1407,9 +4513,64 @@
     el.className = highest >= 3 ? "hud-danger" : highest >= 2 ? "hud-amber" : "hud-blink";
   }
 
+  // ---- Placeholder globe (globe.js): hotspots from every report ----
+
+  let globeLoading = false;
+  let globeAgain = false;
+
+  function showGlobe(reports) {
+    const data = Globe.summarize(visibleReports(reports, ""));
+    Globe.setData(data);
+    const el = document.getElementById("hud-hotspots");
+    if (el) el.textContent = data.hotspots.length.toLocaleString();
+  }
+
+  // The loaded pages once they are all in, the full listing (like the recovery map's) until then
+  function updateGlobe() {
+    if (!feedHasMore && !feedError) {
+      showGlobe(REPORTS);
+      return;
+    }
+    if (globeLoading) {
+      globeAgain = true;
+      return;
+    }
+    globeLoading = true;
+    StorageDB.getAllReports().then(showGlobe).catch((e) => {
+      console.error("Failed to load reports for the globe:", e);
+    }).then(() => {
+      globeLoading = false;
+      if (globeAgain) {
+        globeAgain = false;
+        updateGlobe();
+      }
+    });
+  }
+
+  // A hotspot filters the list to the reports around it, like an area drawn on the recovery map
+  Globe.onSelect((hotspot) => {
+    setMapArea({
+      type: "rectangle",
+      south: hotspot.south,
+      west: hotspot.west,
+      north: hotspot.north,
+      east: hotspot.east,
+      label: hotspot.label,
+    });
+  });
+
   // ---- Init ----
   // Wait for admin check so top-secret filtering is applied on first render
   await adminReady;
-  renderReportList("", "");
+  renderReportList(searchInput.value, countryFilter.value);
   updateThreatLevel();
+  updateGlobe();
+  startReportFeed();
+  loadEntities();
+  StorageDB.listSavedSearches().then((list) => {
+    savedSearches = list;
+    countUnread();
+    renderSavedSearches();
+    watchChangedReports();
+  }).catch((e) => console.error("Failed to load saved searches (" + StorageDB.backend + "):", e));
 })();
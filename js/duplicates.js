@@ -0,0 +1,105 @@
+/**
+ * duplicates.js — Likely duplicate reports (same passport or same person)
+ *
+ * Two reports are flagged when they share a passport number, when their
+ * subject names match fuzzily (name-match.js) and the nationality agrees,
+ * or when the date of birth agrees and something else does too (the
+ * nationality or a loosely similar name) — a birthday alone is shared by
+ * too many people to mean anything.
+ */
+
+const Duplicates = (function () {
+  "use strict";
+
+  // A name this close is worth a look when the birthday matches as well
+  var LOOSE_NAME = 0.7;
+
+  var CONFIDENCE_ORDER = { high: 0, medium: 1, low: 2 };
+
+  function passportKey(report) {
+    var key = String(report.passportNumber || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+    // "0000", "N/A" and the like are placeholders, not numbers
+    return key.length >= 5 && /[1-9]/.test(key) ? key : "";
+  }
+
+  function nationalityKey(report) {
+    return String(report.nationality || "").trim().toLowerCase();
+  }
+
+  /**
+   * Why `a` and `b` look like the same subject, or null if they don't:
+   * { confidence: "high" | "medium" | "low", reasons: [{ kind, text }] }
+   * with kind "passport", "name" or "dateOfBirth".
+   */
+  function compare(a, b) {
+    if (!a || !b || a.id === b.id) return null;
+    var reasons = [];
+    var passport = passportKey(a);
+    var sameNationality = !!nationalityKey(a) && nationalityKey(a) === nationalityKey(b);
+    var sameBirth = !!a.dateOfBirth && a.dateOfBirth === b.dateOfBirth;
+
+    if (passport && passport === passportKey(b)) {
+      reasons.push({ kind: "passport", text: "Same passport number (" + a.passportNumber + ")" });
+    }
+    // Name similarity only counts alongside another match, so skip the scoring otherwise
+    var nameScore = sameNationality || sameBirth ? NameMatch.compareNames(a.subjectName, b.subjectName) : 0;
+    if (sameNationality && nameScore >= NameMatch.THRESHOLD) {
+      reasons.push({
+        kind: "name",
+        text: "Similar name (" + Math.round(nameScore * 100) + "%) and same nationality (" + a.nationality + ")",
+      });
+    }
+    if (sameBirth && (sameNationality || nameScore >= LOOSE_NAME)) {
+      reasons.push({ kind: "dateOfBirth", text: "Same date of birth (" + a.dateOfBirth + ")" });
+    }
+    if (reasons.length === 0) return null;
+
+    var kinds = reasons.map(function (r) { return r.kind; });
+    var confidence = kinds.indexOf("passport") !== -1 || kinds.length > 1 ? "high"
+      : kinds[0] === "name" ? "medium" : "low";
+    return { confidence: confidence, reasons: reasons };
+  }
+
+  function byConfidence(x, y) {
+    return CONFIDENCE_ORDER[x.confidence] - CONFIDENCE_ORDER[y.confidence] ||
+      x.reportIds.join().localeCompare(y.reportIds.join());
+  }
+
+  function pair(a, b, match) {
+    var ids = [a.id, b.id].sort();
+    return { reportIds: ids, confidence: match.confidence, reasons: match.reasons };
+  }
+
+  /**
+   * Likely duplicates of `report` among `reports`, most certain first:
+   * [{ reportIds: [idA, idB] (sorted), confidence, reasons }].
+   */
+  function findFor(report, reports) {
+    var found = [];
+    reports.forEach(function (other) {
+      var match = compare(report, other);
+      if (match) found.push(pair(report, other, match));
+    });
+    return found.sort(byConfidence);
+  }
+
+  /**
+   * Every likely duplicate pair among `reports`, most certain first.
+   */
+  function findAll(reports) {
+    var found = [];
+    for (var i = 0; i < reports.length; i++) {
+      for (var j = i + 1; j < reports.length; j++) {
+        var match = compare(reports[i], reports[j]);
+        if (match) found.push(pair(reports[i], reports[j], match));
+      }
+    }
+    return found.sort(byConfidence);
+  }
+
+  return {
+    compare: compare,
+    findFor: findFor,
+    findAll: findAll,
+  };
+})();
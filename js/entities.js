@@ -0,0 +1,397 @@
+/**
+ * entities.js — Entity extraction from report text and assessment tables
+ *
+ * Pulls people, places, border posts, dates and document numbers out of a
+ * report's own fields, its Markdown, its attachment text and its
+ * reports/{id}.html assessment. Table cells are typed by their label
+ * (td.field-label rows, "Label | Value" Markdown rows, "Label: value"
+ * lines) or by their column heading ("Border Post", "Visa Number", "Date");
+ * any other text is scanned for dates, labelled document numbers and known
+ * border crossings. Each entity is { type, value, key, sources }: `key` is
+ * the normalized form entities are merged and searched by, `sources` says
+ * where it was found ("report", "content", "attachment:{name}",
+ * "assessment").
+ */
+
+const Entities = (function () {
+  "use strict";
+
+  var TYPES = [
+    { key: "person", label: "People" },
+    { key: "place", label: "Places" },
+    { key: "borderPost", label: "Border posts" },
+    { key: "date", label: "Dates" },
+    { key: "document", label: "Document numbers" },
+  ];
+
+  // Crossings on the corridors the reports cover, with the spellings stamps
+  // and visas use (folded). Column values not listed here are kept as written.
+  var BORDER_POSTS = {
+    "Serakhs": ["serakhs", "sarakhs", "sarahs", "saragt"],
+    "Artyk": ["artyk"],
+    "Lotfabad": ["lotfabad"],
+    "Farap": ["farap"],
+    "Gorogly": ["gorogly"],
+    "Kerki": ["kerki"],
+    "Serhetabat": ["serhetabat"],
+    "Konurgench": ["konurgench", "konurgenc", "koneurgench"],
+    "Dashoguz": ["dashoguz", "dasoguz"],
+    "Garabogaz": ["garabogaz"],
+    "Magdanly": ["magdanly"],
+    "Hojambaz": ["hojambaz"],
+    "Gaudan": ["gaudan"],
+    "Bajgiran": ["bajgiran"],
+    "Buxoro": ["buxoro", "bukhara"],
+    "Gürbulak": ["gurbulak"],
+    "Bazargan": ["bazargan"],
+    "Kapıköy": ["kapikoy"],
+    "Esendere": ["esendere"],
+    "Habur": ["habur"],
+    "Ibrahim Khalil": ["ibrahim khalil"],
+    "Dilucu": ["dilucu"],
+    "Sadarak": ["sadarak"],
+    "Sahtaxti": ["sahtaxti", "shahtakhti"],
+  };
+
+  // Folded label or column heading -> entity type; first match wins
+  var LABEL_RULES = [
+    { type: "borderPost", test: /border post|crossings?\b|checkpoint/ },
+    { type: "document", test: /number|\bno\b|serial|kimlik|\bnni\b|\bnin\b|reference|registration/ },
+    { type: "date", test: /\bdate\b|^issued$|^valid (from|to)$|expiry/ },
+    { type: "person", test: /^(subject|full name|name|holder|father'?s name|mother'?s name)$/ },
+    { type: "place", test: /place|^(recovery )?location$|location of|address|domicile|country|province|city/ },
+  ];
+
+  var MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+  var MONTH = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+
+  // Each pattern's groups, in order, are day / month / year ("m" is a month name)
+  var DATE_PATTERNS = [
+    { re: /\b(\d{4})-(\d{2})-(\d{2})\b/g, order: ["y", "n", "d"] },
+    { re: new RegExp("\\b(\\d{1,2})\\s+" + MONTH + "\\.?,?\\s+(\\d{4})\\b", "gi"), order: ["d", "m", "y"] },
+    { re: new RegExp("\\b" + MONTH + "\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})\\b", "gi"), order: ["m", "d", "y"] },
+    // Stamps and civil documents write the day first
+    { re: /\b(\d{1,2})[./](\d{1,2})[./](\d{4})\b/g, order: ["d", "n", "y"] },
+  ];
+
+  // "Visa #F00179638", "passport no. U24623262", "Ref: 000948206/SME/22"
+  var LABELLED_DOCUMENT = /\b(?:passport|visa|document|doc|ref(?:erence)?|serial|file|registration|kimlik|permit|licen[cs]e)\b\.?(?:\s*(?:no\.?|number|num\.?|#))?\s*[:#]?\s*([A-Z0-9](?:[A-Z0-9/-]*[A-Z0-9])?)/gi;
+  var DOCUMENT_TOKEN = /\b[A-Z0-9][A-Z0-9/-]{4,}[A-Z0-9]\b/gi;
+
+  function fold(text) {
+    return String(text == null ? "" : text).normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+      .replace(/\u0131/g, "i").toLowerCase().replace(/\s+/g, " ").trim();
+  }
+
+  function clean(text) {
+    return String(text == null ? "" : text).replace(/\s+/g, " ").trim();
+  }
+
+  function documentLike(value) {
+    return value.length >= 6 && (value.match(/\d/g) || []).length >= 4;
+  }
+
+  function keyOf(type, value) {
+    if (type === "document") return value.toUpperCase().replace(/[^A-Z0-9]/g, "");
+    // Word order doesn't matter for names ("OK, VELAT" is "Velat Ok")
+    if (type === "person") return fold(value).replace(/[^\p{L}\p{N}\s]/gu, " ").split(/\s+/).filter(Boolean).sort().join(" ");
+    return fold(value);
+  }
+
+  // ---- Collecting ----
+
+  function collector() {
+    var byKey = {};
+    var list = [];
+    function add(type, value, source, key) {
+      value = clean(value);
+      if (!value) return;
+      key = key || keyOf(type, value);
+      if (!key) return;
+      var id = type + "|" + key;
+      var entity = byKey[id];
+      if (!entity) {
+        entity = byKey[id] = { type: type, value: value, key: key, sources: [] };
+        list.push(entity);
+      }
+      if (entity.sources.indexOf(source) === -1) entity.sources.push(source);
+    }
+    return { add: add, list: list };
+  }
+
+  function dates(text) {
+    var found = [];
+    DATE_PATTERNS.forEach(function (pattern) {
+      pattern.re.lastIndex = 0;
+      var m;
+      while ((m = pattern.re.exec(text)) !== null) {
+        var parts = {};
+        pattern.order.forEach(function (part, i) { parts[part] = m[i + 1]; });
+        var month = parts.m ? MONTHS.indexOf(parts.m.slice(0, 3).toLowerCase()) + 1 : parseInt(parts.n, 10);
+        var day = parseInt(parts.d, 10);
+        var year = parseInt(parts.y, 10);
+        var check = new Date(Date.UTC(year, month - 1, day));
+        if (year < 1900 || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) continue;
+        found.push({ value: m[0], key: check.toISOString().slice(0, 10) });
+      }
+    });
+    return found;
+  }
+
+  function canonicalPost(name) {
+    var folded = fold(name);
+    var known = Object.keys(BORDER_POSTS).filter(function (post) {
+      return BORDER_POSTS[post].indexOf(folded) !== -1;
+    })[0];
+    return known || name;
+  }
+
+  // "Artyk 02", "Buxoro N017", "Serakhs (assessed)", "Artyk/Lotfabad (Quadruple)"
+  function borderPostNames(cell) {
+    return cell.replace(/\([^)]*\)/g, " ").split(/[/,;&]|\band\b/).map(function (part) {
+      return clean(part.replace(/\b(?:N?\d+|border|entrance|enterance|entry)\b/gi, " "));
+    }).filter(function (name) {
+      // A post is a name, not a note ("same crossings as above")
+      return /\p{L}{3}/u.test(name) && name.split(" ").length <= 3;
+    }).map(canonicalPost);
+  }
+
+  // Known crossings mentioned anywhere in the text
+  function knownPosts(text) {
+    var folded = " " + fold(text).replace(/[^\p{L}\p{N}]+/gu, " ") + " ";
+    return Object.keys(BORDER_POSTS).filter(function (post) {
+      return BORDER_POSTS[post].some(function (spelling) { return folded.indexOf(" " + spelling + " ") !== -1; });
+    });
+  }
+
+  // Dates, labelled document numbers and known crossings in free text
+  function scanText(text, source, out) {
+    if (!text) return;
+    dates(text).forEach(function (d) { out.add("date", d.value, source, d.key); });
+    LABELLED_DOCUMENT.lastIndex = 0;
+    var m;
+    while ((m = LABELLED_DOCUMENT.exec(text)) !== null) {
+      if (documentLike(m[1])) out.add("document", m[1], source);
+    }
+    knownPosts(text).forEach(function (post) { out.add("borderPost", post, source); });
+  }
+
+  function ruleFor(label) {
+    var folded = fold(label);
+    var rule = LABEL_RULES.filter(function (r) { return r.test.test(folded); })[0];
+    return rule ? rule.type : null;
+  }
+
+  // Up to the first dash, bracket or semicolon: "OK, Velat — TRA-2022-2023-001" -> "OK, Velat"
+  function headOf(value) {
+    return clean(value.split(/\s[—–-]\s|[(;]/)[0]);
+  }
+
+  // A table value under a label or heading that says what it holds
+  function addTyped(type, value, source, out) {
+    switch (type) {
+      case "borderPost":
+        borderPostNames(value).forEach(function (post) { out.add("borderPost", post, source); });
+        break;
+      case "document":
+        (value.match(DOCUMENT_TOKEN) || []).filter(documentLike).forEach(function (doc) {
+          out.add("document", doc, source);
+        });
+        break;
+      case "date":
+        dates(value).forEach(function (d) { out.add("date", d.value, source, d.key); });
+        break;
+      case "person": {
+        var name = headOf(value);
+        if (name.length <= 60 && /\p{L}{2}/u.test(name)) out.add("person", name, source);
+        break;
+      }
+      case "place":
+        value.split(/\s*(?:→|->)\s*/).map(headOf).forEach(function (place) {
+          if (place.length <= 80 && /\p{L}{3}/u.test(place) && !/^(unknown|none|n\/a|pending)$/i.test(place)) {
+            out.add("place", place, source);
+          }
+        });
+        break;
+    }
+    // Notes packed into a typed cell ("Ankara, 24 Oct 2022") still count
+    if (type !== "date") dates(value).forEach(function (d) { out.add("date", d.value, source, d.key); });
+  }
+
+  /**
+   * Label/value pairs and headed columns, the way both HTML and Markdown
+   * tables come out: { pairs: [{ label, value }], columns: [{ heading, value }], text: [] }.
+   */
+  function addFacts(facts, source, out) {
+    var surname = null;
+    var given = null;
+    facts.pairs.forEach(function (pair) {
+      var label = fold(pair.label);
+      if (label === "surname") surname = pair.value;
+      else if (/^given names?$/.test(label)) given = pair.value;
+      var type = ruleFor(pair.label);
+      if (type) addTyped(type, pair.value, source, out);
+      else scanText(pair.value, source, out);
+    });
+    if (surname && given) out.add("person", clean(surname) + ", " + clean(given), source);
+    facts.columns.forEach(function (cell) {
+      var type = ruleFor(cell.heading);
+      if (type) addTyped(type, cell.value, source, out);
+      else scanText(cell.value, source, out);
+    });
+    facts.text.forEach(function (text) { scanText(text, source, out); });
+  }
+
+  // ---- Markdown ----
+
+  function splitRow(line) {
+    return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map(function (c) {
+      return clean(c.replace(/[*_`]+/g, ""));
+    });
+  }
+
+  function markdownFacts(md) {
+    var facts = { pairs: [], columns: [], text: [] };
+    var lines = md.split(/\r?\n/);
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i];
+      if (/^\s*\|/.test(line)) {
+        var table = [];
+        while (i < lines.length && /^\s*\|/.test(lines[i])) table.push(lines[i++]);
+        i--;
+        var headed = table.length > 1 && /^\s*\|?\s*:?-{2,}/.test(table[1]);
+        var headings = headed ? splitRow(table[0]) : null;
+        table.slice(headed ? 2 : 0).forEach(function (row) {
+          var cells = splitRow(row);
+          if (headings && headings.length > 2) {
+            cells.forEach(function (value, c) {
+              if (value) facts.columns.push({ heading: headings[c] || "", value: value });
+            });
+          } else if (cells.length >= 2 && cells[0] && cells[1]) {
+            facts.pairs.push({ label: cells[0], value: cells.slice(1).join(" ") });
+          } else {
+            facts.text.push(cells.join(" "));
+          }
+        });
+        continue;
+      }
+      // "**Place of Birth:** Diyarbakir", "- Visa number: F00179638"
+      var labelled = /^\s*(?:[-*+]\s+)?\**([A-Za-z][\w .'/]{1,40}?)\**\s*:\**\s*(.+)$/.exec(line);
+      if (labelled && ruleFor(labelled[1])) {
+        facts.pairs.push({ label: labelled[1], value: labelled[2].replace(/[*_`]+/g, "") });
+      } else if (line.trim()) {
+        facts.text.push(line);
+      }
+    }
+    return facts;
+  }
+
+  // ---- Assessment HTML ----
+
+  function cellText(el) {
+    return clean(el.textContent);
+  }
+
+  function assessmentFacts(html) {
+    var doc = new DOMParser().parseFromString(html, "text/html");
+    doc.querySelectorAll("script, style, noscript, template").forEach(function (el) { el.remove(); });
+    var facts = { pairs: [], columns: [], text: [] };
+    doc.querySelectorAll("table").forEach(function (table) {
+      var headRow = table.querySelector("thead tr") || table.querySelector("tr");
+      var headings = headRow && headRow.querySelector("th")
+        ? Array.prototype.map.call(headRow.querySelectorAll("th"), cellText)
+        : null;
+      table.querySelectorAll("tr").forEach(function (tr) {
+        if (tr === headRow && headings) return;
+        var cells = tr.querySelectorAll("td");
+        var label = tr.querySelector("td.field-label, th");
+        if (label && label.nextElementSibling) {
+          facts.pairs.push({ label: cellText(label), value: cellText(label.nextElementSibling) });
+        } else if (headings) {
+          Array.prototype.forEach.call(cells, function (td, c) {
+            facts.columns.push({ heading: headings[c] || "", value: cellText(td) });
+          });
+        } else {
+          facts.text.push(cellText(tr));
+        }
+      });
+      table.remove();
+    });
+    // Narrative around the tables: crossings named in passing
+    var rest = doc.body ? doc.body.textContent : "";
+    knownPosts(rest).forEach(function (post) { facts.text.push(post); });
+    return facts;
+  }
+
+  // ---- Public ----
+
+  /**
+   * Entities of one report, grouped in TYPES order. `sources` may hold
+   * { report, content, attachments: [{ name, textContent }], assessment }
+   * (assessment: the reports/{id}.html text); anything missing is skipped.
+   */
+  function extract(sources) {
+    var out = collector();
+    var report = sources.report;
+    if (report) {
+      out.add("person", report.subjectName, "report");
+      if (report.passportNumber && documentLike(report.passportNumber)) out.add("document", report.passportNumber, "report");
+      if (report.locationName && report.locationName !== "None") out.add("place", report.locationName, "report");
+    }
+    if (sources.content) addFacts(markdownFacts(sources.content), "content", out);
+    (sources.attachments || []).forEach(function (att) {
+      if (att.textContent) addFacts(markdownFacts(att.textContent), "attachment:" + att.name, out);
+    });
+    if (sources.assessment) addFacts(assessmentFacts(sources.assessment), "assessment", out);
+
+    var order = TYPES.map(function (t) { return t.key; });
+    return out.list.sort(function (a, b) {
+      return order.indexOf(a.type) - order.indexOf(b.type) ||
+        (a.type === "date" ? a.key.localeCompare(b.key) : a.value.localeCompare(b.value));
+    });
+  }
+
+  /**
+   * Does any entity (of `type`, or of any type when null) contain `value`?
+   * Dates also match by their YYYY-MM-DD form, names in any word order
+   * and border posts under any known spelling.
+   */
+  function matches(entities, type, value) {
+    var q = fold(value);
+    if (!q) return false;
+    var words = keyOf("person", value).split(" ");
+    var post = fold(canonicalPost(value));
+    return (entities || []).some(function (e) {
+      if (type && e.type !== type) return false;
+      if (fold(e.value).indexOf(q) !== -1 || e.key.toLowerCase().indexOf(q) !== -1) return true;
+      if (e.type === "borderPost") return e.key === post;
+      if (e.type === "person") {
+        var names = e.key.split(" ");
+        return words.every(function (w) {
+          return names.some(function (n) { return n.indexOf(w) === 0; });
+        });
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Display values of the entities of one type.
+   */
+  function valuesOf(entities, type) {
+    return (entities || []).filter(function (e) { return e.type === type; }).map(function (e) { return e.value; });
+  }
+
+  function typeLabel(type) {
+    var t = TYPES.filter(function (x) { return x.key === type; })[0];
+    return t ? t.label : type;
+  }
+
+  return {
+    TYPES: TYPES,
+    extract: extract,
+    matches: matches,
+    valuesOf: valuesOf,
+    typeLabel: typeLabel,
+  };
+})();
@@ -18,3 +18,19 @@ firebase.initializeApp(firebaseConfig);
 const fbAuth = firebase.auth();
 const fbDb = firebase.firestore();
 const fbStorage = firebase.storage();
+
+// Local Firebase emulator suite (firebase emulators:start) — set enabled to
+// run the portal against emulated Auth, Firestore and Storage.
+const FIREBASE_EMULATOR = {
+  enabled: false,
+  host: "localhost",
+  authPort: 9099,
+  firestorePort: 8080,
+  storagePort: 9199,
+};
+
+if (FIREBASE_EMULATOR.enabled) {
+  fbAuth.useEmulator("http://" + FIREBASE_EMULATOR.host + ":" + FIREBASE_EMULATOR.authPort);
+  fbDb.useEmulator(FIREBASE_EMULATOR.host, FIREBASE_EMULATOR.firestorePort);
+  fbStorage.useEmulator(FIREBASE_EMULATOR.host, FIREBASE_EMULATOR.storagePort);
+}
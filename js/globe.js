@@ -1,14 +1,16 @@
 /**
  * globe.js — 3D Dot Globe for Intel Portal placeholder
  * Pure canvas renderer, no dependencies. Renders landmass dots on a rotating sphere.
+ *
+ * summarize() turns report list entries into hotspots (recovery locations
+ * within HOTSPOT_KM of each other, sized by report count) and arcs — from
+ * each subject's nationality to where they were recovered, and between the
+ * recoveries of one subject in date order (their reconstructed route).
+ * setData() shows them; onSelect(fn) is called with a clicked hotspot.
  */
-(function () {
+const Globe = (function () {
   "use strict";
 
-  var canvas = document.getElementById("globe-canvas");
-  if (!canvas) return;
-  var ctx = canvas.getContext("2d");
-
   // Simplified world landmass coordinates [lat, lng] — major continents
   var LAND = [
     // North America
@@ -122,29 +124,192 @@
     [78,16],[77,15],[76,16],[80,50],[79,55],[78,60],
   ];
 
+  // Approximate centroids [lat, lng] by ICAO code, for nationality arcs (names via mrz.js)
+  var CENTROIDS = {
+    AFG: [33.9, 67.7], ALB: [41.2, 20.2], DZA: [28.0, 1.7], AGO: [-11.2, 17.9], ARG: [-38.4, -63.6],
+    ARM: [40.1, 45.0], AUS: [-25.3, 133.8], AUT: [47.5, 14.6], AZE: [40.1, 47.6], BHR: [26.0, 50.6],
+    BGD: [23.7, 90.4], BLR: [53.7, 28.0], BEL: [50.5, 4.5], BEN: [9.3, 2.3], BOL: [-16.3, -63.6],
+    BIH: [43.9, 17.7], BRA: [-14.2, -51.9], BGR: [42.7, 25.5], BFA: [12.2, -1.6], BDI: [-3.4, 29.9],
+    KHM: [12.6, 105.0], CMR: [7.4, 12.4], CAN: [56.1, -106.3], CAF: [6.6, 20.9], TCD: [15.5, 18.7],
+    CHL: [-35.7, -71.5], CHN: [35.9, 104.2], COL: [4.6, -74.3], COD: [-4.0, 21.8], COG: [-0.2, 15.8],
+    CRI: [9.7, -83.8], CIV: [7.5, -5.5], HRV: [45.1, 15.2], CUB: [21.5, -77.8], CYP: [35.1, 33.4],
+    CZE: [49.8, 15.5], DNK: [56.3, 9.5], DJI: [11.8, 42.6], DOM: [18.7, -70.2], ECU: [-1.8, -78.2],
+    EGY: [26.8, 30.8], SLV: [13.8, -88.9], ERI: [15.2, 39.8], EST: [58.6, 25.0], ETH: [9.1, 40.5],
+    FIN: [61.9, 25.7], FRA: [46.2, 2.2], GAB: [-0.8, 11.6], GMB: [13.4, -15.3], GEO: [42.3, 43.4],
+    DEU: [51.2, 10.5], GHA: [7.9, -1.0], GRC: [39.1, 21.8], GTM: [15.8, -90.2], GIN: [9.9, -9.7],
+    GNB: [11.8, -15.2], HTI: [19.0, -72.3], HND: [15.2, -86.2], HUN: [47.2, 19.5], IND: [20.6, 79.0],
+    IDN: [-0.8, 113.9], IRN: [32.4, 53.7], IRQ: [33.2, 43.7], IRL: [53.4, -8.2], ISR: [31.0, 34.9],
+    ITA: [41.9, 12.6], JAM: [18.1, -77.3], JPN: [36.2, 138.3], JOR: [30.6, 36.2], KAZ: [48.0, 66.9],
+    KEN: [-0.0, 37.9], PRK: [40.3, 127.5], KOR: [35.9, 127.8], RKS: [42.6, 20.9], KWT: [29.3, 47.5],
+    KGZ: [41.2, 74.8], LAO: [19.9, 102.5], LVA: [56.9, 24.6], LBN: [33.9, 35.9], LBR: [6.4, -9.4],
+    LBY: [26.3, 17.2], LTU: [55.2, 23.9], MKD: [41.6, 21.7], MDG: [-18.8, 46.9], MWI: [-13.3, 34.3],
+    MYS: [4.2, 101.98], MLI: [17.6, -4.0], MRT: [21.0, -10.9], MEX: [23.6, -102.6], MDA: [47.4, 28.4],
+    MNG: [46.9, 103.8], MNE: [42.7, 19.4], MAR: [31.8, -7.1], MOZ: [-18.7, 35.5], MMR: [21.9, 95.96],
+    NPL: [28.4, 84.1], NLD: [52.1, 5.3], NZL: [-40.9, 174.9], NIC: [12.9, -85.2], NER: [17.6, 8.1],
+    NGA: [9.1, 8.7], NOR: [60.5, 8.5], OMN: [21.5, 55.9], PAK: [30.4, 69.3], PSE: [31.9, 35.2],
+    PAN: [8.5, -80.8], PRY: [-23.4, -58.4], PER: [-9.2, -75.0], PHL: [12.9, 121.8], POL: [51.9, 19.1],
+    PRT: [39.4, -8.2], QAT: [25.4, 51.2], ROU: [45.9, 24.97], RUS: [61.5, 105.3], RWA: [-1.9, 29.9],
+    SAU: [23.9, 45.1], SEN: [14.5, -14.5], SRB: [44.0, 21.0], SLE: [8.5, -11.8], SGP: [1.35, 103.8],
+    SVK: [48.7, 19.7], SVN: [46.2, 14.99], SOM: [5.2, 46.2], ZAF: [-30.6, 22.9], SSD: [6.9, 31.3],
+    ESP: [40.5, -3.7], LKA: [7.9, 80.8], SDN: [12.9, 30.2], SWE: [60.1, 18.6], CHE: [46.8, 8.2],
+    SYR: [34.8, 39.0], TWN: [23.7, 121.0], TJK: [38.9, 71.3], TZA: [-6.4, 34.9], THA: [15.9, 100.99],
+    TGO: [8.6, 0.8], TUN: [33.9, 9.5], TUR: [38.96, 35.2], TKM: [38.97, 59.6], UGA: [1.4, 32.3],
+    UKR: [48.4, 31.2], ARE: [23.4, 53.8], GBR: [55.4, -3.4], USA: [37.1, -95.7], URY: [-32.5, -55.8],
+    UZB: [41.4, 64.6], VEN: [6.4, -66.6], VNM: [14.1, 108.3], ESH: [24.2, -12.9], YEM: [15.6, 48.5],
+    ZMB: [-13.1, 27.8], ZWE: [-19.0, 29.2],
+  };
+
+  var HOTSPOT_KM = 50;
+
+  function distanceKm(a, b) {
+    var rad = Math.PI / 180;
+    var dLat = (b.lat - a.lat) * rad;
+    var dLng = (b.lng - a.lng) * rad;
+    var h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  }
+
+  function hasCoords(r) {
+    return r.lat != null && r.lng != null && !isNaN(r.lat) && !isNaN(r.lng);
+  }
+
+  var originCache = {};
+
+  // "Turkish", "TURKEY" or "tur" -> { code, name, lat, lng }; null when unknown
+  function nationalityOrigin(nationality) {
+    var typed = String(nationality || "").trim();
+    if (!typed || typeof MRZ === "undefined") return null;
+    if (!(typed in originCache)) {
+      var code = Object.keys(CENTROIDS).filter(function (c) { return MRZ.nationalityMatches(c, typed); })[0];
+      originCache[typed] = code
+        ? { code: code, name: MRZ.countryName(code), lat: CENTROIDS[code][0], lng: CENTROIDS[code][1] }
+        : null;
+    }
+    return originCache[typed];
+  }
+
+  function top(counts) {
+    return Object.keys(counts).sort(function (a, b) { return counts[b] - counts[a]; });
+  }
+
+  /**
+   * Hotspots and arcs for report list entries:
+   *   { hotspots: [{ lat, lng, label, count, reportIds, nationalities,
+   *                  south, west, north, east }],
+   *     arcs: [{ from, to, kind: "origin" | "route", count, label }],
+   *     origins: [{ lat, lng, label, count }] }
+   * A hotspot's bounds cover its reports; nationalities maps names to counts.
+   */
+  function summarize(reports) {
+    var hotspots = [];
+    var hotspotOf = {}; // report id -> hotspot
+    var names = []; // per hotspot: location name -> count
+
+    reports.filter(hasCoords).forEach(function (r) {
+      var point = { lat: Number(r.lat), lng: Number(r.lng) };
+      var nearest = null;
+      var best = HOTSPOT_KM;
+      hotspots.forEach(function (h) {
+        var d = distanceKm(h, point);
+        if (d <= best) { best = d; nearest = h; }
+      });
+      if (!nearest) {
+        nearest = { lat: point.lat, lng: point.lng, label: "", count: 0, reportIds: [], nationalities: {},
+          south: point.lat, west: point.lng, north: point.lat, east: point.lng };
+        hotspots.push(nearest);
+        names.push({});
+      }
+      var h = nearest;
+      h.lat = (h.lat * h.count + point.lat) / (h.count + 1);
+      h.lng = (h.lng * h.count + point.lng) / (h.count + 1);
+      h.count++;
+      h.reportIds.push(r.id);
+      h.south = Math.min(h.south, point.lat);
+      h.north = Math.max(h.north, point.lat);
+      h.west = Math.min(h.west, point.lng);
+      h.east = Math.max(h.east, point.lng);
+      var place = names[hotspots.indexOf(h)];
+      if (r.locationName) place[r.locationName] = (place[r.locationName] || 0) + 1;
+      var origin = nationalityOrigin(r.nationality);
+      var nationality = origin ? origin.name : String(r.nationality || "").trim();
+      if (nationality) h.nationalities[nationality] = (h.nationalities[nationality] || 0) + 1;
+      hotspotOf[r.id] = h;
+    });
+    hotspots.forEach(function (h, i) {
+      h.label = top(names[i])[0] || h.lat.toFixed(2) + ", " + h.lng.toFixed(2);
+    });
+
+    var arcs = {};
+    var origins = {};
+    function arc(key, from, to, kind, label) {
+      var a = arcs[key] || (arcs[key] = { from: from, to: to, kind: kind, count: 0, label: label });
+      a.count++;
+    }
+
+    // Nationality -> recovery point
+    reports.forEach(function (r) {
+      var h = hotspotOf[r.id];
+      var origin = h && nationalityOrigin(r.nationality);
+      if (!origin) return;
+      var o = origins[origin.code] ||
+        (origins[origin.code] = { lat: origin.lat, lng: origin.lng, label: origin.name, count: 0 });
+      o.count++;
+      arc("origin|" + origin.code + "|" + hotspots.indexOf(h), o, h, "origin", origin.name + " \u2192 " + h.label);
+    });
+
+    // One subject's recoveries in date order
+    var bySubject = {};
+    reports.forEach(function (r) {
+      if (r.subjectId && hotspotOf[r.id]) (bySubject[r.subjectId] = bySubject[r.subjectId] || []).push(r);
+    });
+    Object.keys(bySubject).forEach(function (subjectId) {
+      var steps = bySubject[subjectId].sort(function (a, b) { return (a.date || "").localeCompare(b.date || ""); });
+      for (var i = 1; i < steps.length; i++) {
+        var from = hotspotOf[steps[i - 1].id];
+        var to = hotspotOf[steps[i].id];
+        if (from === to) continue;
+        arc("route|" + hotspots.indexOf(from) + "|" + hotspots.indexOf(to), from, to, "route", from.label + " \u2192 " + to.label);
+      }
+    });
+
+    return {
+      hotspots: hotspots,
+      arcs: Object.keys(arcs).map(function (k) { return arcs[k]; }),
+      origins: Object.keys(origins).map(function (k) { return origins[k]; }),
+    };
+  }
+
+  var api = {
+    HOTSPOT_KM: HOTSPOT_KM,
+    summarize: summarize,
+    setData: function () {},
+    onSelect: function () {},
+  };
+
+  var canvas = document.getElementById("globe-canvas");
+  if (!canvas) return api;
+  var ctx = canvas.getContext("2d");
+
   var SIZE, CX, CY, R;
   var rotation = 0;
   var tilt = 0.4; // radians
   var DPR = window.devicePixelRatio || 1;
 
-  // Hotspots — blinking threat indicators
-  var hotspots = [
-    { lat: 38.9, lng: -77, label: "DC" },
-    { lat: 51.5, lng: 0, label: "LON" },
-    { lat: 35.7, lng: 51.4, label: "THR" },
-    { lat: 10.5, lng: -66.9, label: "CCS" },
-    { lat: 33.3, lng: 44.4, label: "BGW" },
-    { lat: 25.3, lng: 55.3, label: "DXB" },
-    { lat: 39.9, lng: 116.4, label: "BJS" },
-    { lat: 55.8, lng: 37.6, label: "MOW" },
-    { lat: 33.9, lng: 35.5, label: "BEY" },
-    { lat: -34.6, lng: -58.4, label: "BUE" },
-  ];
+  // Hotspots — blinking threat indicators; arcs and their origin points (setData)
+  var hotspots = [];
+  var arcs = [];
+  var origins = [];
+  var hovered = null;
+  var selectHandler = null;
 
-  // Connection arcs between hotspots
-  var arcs = [
-    [0, 2], [0, 1], [2, 4], [2, 3], [1, 7], [5, 6], [0, 6], [3, 9], [2, 8],
-  ];
+  var ROUTE_COLOR = "212, 168, 83"; // gold, as the border posts in the link graph
+  var ORIGIN_COLOR = "52, 211, 153";
+
+  // Grows with the square root of the report count, so one busy site doesn't swamp the rest
+  function hotspotRadius(h) {
+    return 2.5 + Math.min(Math.sqrt(h.count) - 1, 6) * 1.2;
+  }
 
   function resize() {
     var rect = canvas.parentElement.getBoundingClientRect();
@@ -249,8 +414,9 @@
     // Connection arcs
     var pulse = Math.sin(time * 0.002) * 0.5 + 0.5;
     for (var ai = 0; ai < arcs.length; ai++) {
-      var h1 = hotspots[arcs[ai][0]];
-      var h2 = hotspots[arcs[ai][1]];
+      var h1 = arcs[ai].from;
+      var h2 = arcs[ai].to;
+      var color = arcs[ai].kind === "route" ? ROUTE_COLOR : ORIGIN_COLOR;
       var p1 = project(h1.lat, h1.lng);
       var p2 = project(h2.lat, h2.lng);
       if (!p1.visible || !p2.visible) continue;
@@ -268,8 +434,8 @@
       ctx.moveTo(p1.x, p1.y);
       ctx.quadraticCurveTo(cpX, cpY, p2.x, p2.y);
       var arcAlpha = 0.08 + pulse * 0.12;
-      ctx.strokeStyle = "rgba(52, 211, 153, " + arcAlpha.toFixed(2) + ")";
-      ctx.lineWidth = 0.8;
+      ctx.strokeStyle = "rgba(" + color + ", " + arcAlpha.toFixed(2) + ")";
+      ctx.lineWidth = 0.8 + Math.min(arcs[ai].count - 1, 4) * 0.4;
       ctx.stroke();
 
       // Traveling dot along arc
@@ -278,22 +444,35 @@
       var ty = (1 - t) * (1 - t) * p1.y + 2 * (1 - t) * t * cpY + t * t * p2.y;
       ctx.beginPath();
       ctx.arc(tx, ty, 1.5, 0, Math.PI * 2);
-      ctx.fillStyle = "rgba(52, 211, 153, 0.8)";
+      ctx.fillStyle = "rgba(" + color + ", 0.8)";
       ctx.fill();
     }
 
+    // Nationality origins — dim, they are context rather than findings
+    for (var oi = 0; oi < origins.length; oi++) {
+      var op = project(origins[oi].lat, origins[oi].lng);
+      if (!op.visible) continue;
+      ctx.beginPath();
+      ctx.arc(op.x, op.y, 2, 0, Math.PI * 2);
+      ctx.strokeStyle = "rgba(52, 211, 153, 0.5)";
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+
     // Hotspot markers
     for (var hi = 0; hi < hotspots.length; hi++) {
       var hp = project(hotspots[hi].lat, hotspots[hi].lng);
       if (!hp.visible) continue;
 
       var blink = Math.sin(time * 0.003 + hi * 1.5) * 0.5 + 0.5;
+      var hr = hotspotRadius(hotspots[hi]);
+      if (hotspots[hi] === hovered) blink = 1;
 
       // Ping ring
       var pingPhase = ((time * 0.001 + hi * 0.7) % 2);
       if (pingPhase < 1) {
         ctx.beginPath();
-        ctx.arc(hp.x, hp.y, 3 + pingPhase * 12, 0, Math.PI * 2);
+        ctx.arc(hp.x, hp.y, hr + 0.5 + pingPhase * (9 + hr), 0, Math.PI * 2);
         ctx.strokeStyle = "rgba(52, 211, 153, " + (0.3 * (1 - pingPhase)).toFixed(2) + ")";
         ctx.lineWidth = 0.5;
         ctx.stroke();
@@ -301,14 +480,14 @@
 
       // Core dot
       ctx.beginPath();
-      ctx.arc(hp.x, hp.y, 2.5, 0, Math.PI * 2);
+      ctx.arc(hp.x, hp.y, hr, 0, Math.PI * 2);
       ctx.fillStyle = "rgba(52, 211, 153, " + (0.5 + blink * 0.5).toFixed(2) + ")";
       ctx.fill();
 
       // Glow
       ctx.beginPath();
-      ctx.arc(hp.x, hp.y, 5, 0, Math.PI * 2);
-      var hg = ctx.createRadialGradient(hp.x, hp.y, 0, hp.x, hp.y, 5);
+      ctx.arc(hp.x, hp.y, hr * 2, 0, Math.PI * 2);
+      var hg = ctx.createRadialGradient(hp.x, hp.y, 0, hp.x, hp.y, hr * 2);
       hg.addColorStop(0, "rgba(52, 211, 153, " + (0.2 + blink * 0.2).toFixed(2) + ")");
       hg.addColorStop(1, "transparent");
       ctx.fillStyle = hg;
@@ -330,12 +509,94 @@
   }
 
   function animate(time) {
-    rotation += 0.003;
+    // Hold still under the pointer so a hotspot can be clicked
+    if (!hovered) rotation += 0.003;
     drawGlobe(time);
     requestAnimationFrame(animate);
   }
 
+  // ---- Hover tooltip and click ----
+
+  var tooltip = document.createElement("div");
+  tooltip.className = "globe-tooltip";
+  tooltip.hidden = true;
+  canvas.parentElement.appendChild(tooltip);
+
+  function hotspotAt(e) {
+    var rect = canvas.getBoundingClientRect();
+    var x = e.clientX - rect.left;
+    var y = e.clientY - rect.top;
+    var found = null;
+    var best = Infinity;
+    hotspots.forEach(function (h) {
+      var p = project(h.lat, h.lng);
+      if (!p.visible) return;
+      var d = Math.sqrt((p.x - x) * (p.x - x) + (p.y - y) * (p.y - y));
+      if (d <= hotspotRadius(h) + 5 && d < best) {
+        best = d;
+        found = h;
+      }
+    });
+    return found;
+  }
+
+  function showTooltip(h, e) {
+    tooltip.replaceChildren();
+    var title = document.createElement("strong");
+    title.textContent = h.label;
+    tooltip.appendChild(title);
+    var count = document.createElement("div");
+    count.textContent = h.count + " report" + (h.count === 1 ? "" : "s");
+    tooltip.appendChild(count);
+    var nationalities = top(h.nationalities).slice(0, 3);
+    if (nationalities.length) {
+      var from = document.createElement("div");
+      from.textContent = nationalities.map(function (n) { return n + " " + h.nationalities[n]; }).join(", ");
+      tooltip.appendChild(from);
+    }
+    var hint = document.createElement("div");
+    hint.className = "globe-tooltip-hint";
+    hint.textContent = "Click to filter the report list";
+    tooltip.appendChild(hint);
+    var box = canvas.parentElement.getBoundingClientRect();
+    tooltip.style.left = (e.clientX - box.left + 14) + "px";
+    tooltip.style.top = (e.clientY - box.top + 14) + "px";
+    tooltip.hidden = false;
+  }
+
+  function onMove(e) {
+    hovered = hotspotAt(e);
+    canvas.style.cursor = hovered ? "pointer" : "";
+    if (hovered) showTooltip(hovered, e);
+    else tooltip.hidden = true;
+  }
+
+  canvas.addEventListener("mousemove", onMove);
+  canvas.addEventListener("mouseleave", function () {
+    hovered = null;
+    canvas.style.cursor = "";
+    tooltip.hidden = true;
+  });
+  canvas.addEventListener("click", function (e) {
+    var h = hotspotAt(e);
+    if (h && selectHandler) selectHandler(h);
+  });
+
   resize();
   window.addEventListener("resize", resize);
   requestAnimationFrame(animate);
+
+  api.setData = function (data) {
+    hotspots = data.hotspots || [];
+    arcs = data.arcs || [];
+    origins = data.origins || [];
+    if (hovered && hotspots.indexOf(hovered) === -1) {
+      hovered = null;
+      tooltip.hidden = true;
+    }
+  };
+  api.onSelect = function (fn) {
+    selectHandler = fn;
+  };
+  return api;
 })();
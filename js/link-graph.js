@@ -0,0 +1,524 @@
+/**
+ * link-graph.js — Link-analysis graph of subjects, routes and documents
+ *
+ * build() turns report list entries (and their extracted entities, see
+ * entities.js) into a graph. Nodes are subjects, passports, nationalities,
+ * border posts and recovery locations; a subject is tied to each of its
+ * attributes, and subjects are tied to each other when they crossed at the
+ * same border posts (a shared transit corridor), were recovered within
+ * COLOCATED_KM of each other, or carry the same visa or document number.
+ * createView() draws a graph on a canvas with a force layout, pan / zoom,
+ * node dragging and neighbour expansion.
+ */
+
+const LinkGraph = (function () {
+  "use strict";
+
+  var NODE_TYPES = {
+    subject: { label: "Subject", color: "#34d399", radius: 9 },
+    passport: { label: "Passport", color: "#60a5fa", radius: 6 },
+    nationality: { label: "Nationality", color: "#a78bfa", radius: 7 },
+    borderPost: { label: "Border post", color: "#d4a853", radius: 7 },
+    location: { label: "Recovery location", color: "#f87171", radius: 6 },
+  };
+
+  var EDGE_KINDS = {
+    corridor: { label: "Shared transit corridor", color: "rgba(212, 168, 83, 0.8)", width: 2 },
+    colocated: { label: "Co-located recovery", color: "rgba(248, 113, 113, 0.8)", width: 2 },
+    document: { label: "Shared visa / document", color: "rgba(96, 165, 250, 0.9)", width: 2.5 },
+    attribute: { label: "Attribute", color: "rgba(156, 163, 175, 0.3)", width: 1 },
+  };
+
+  var COLOCATED_KM = 25;
+
+  function fold(text) {
+    return String(text == null ? "" : text).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+  }
+
+  function distanceKm(a, b) {
+    var rad = Math.PI / 180;
+    var dLat = (b.lat - a.lat) * rad;
+    var dLng = (b.lng - a.lng) * rad;
+    var h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  }
+
+  function hasCoords(r) {
+    return r.lat != null && r.lng != null && !isNaN(r.lat) && !isNaN(r.lng);
+  }
+
+  // ---- Building ----
+
+  /**
+   * Graph of `reports` (list entries). entitiesOf(report) gives a report's
+   * extracted entities (or nothing). Returns
+   *   { nodes: { id: { id, type, label, reportIds } },
+   *     edges: [{ id, source, target, kind, label, reportIds }] }
+   * Reports without a subjectId stand for a subject of their own.
+   */
+  function build(reports, entitiesOf) {
+    var nodes = {};
+    var edges = {};
+    var subjects = {}; // subject node id -> { posts: {}, documents: {}, recoveries: [] }
+
+    function node(id, type, label, reportId) {
+      var n = nodes[id] || (nodes[id] = { id: id, type: type, label: label, reportIds: [] });
+      if (n.reportIds.indexOf(reportId) === -1) n.reportIds.push(reportId);
+      return n;
+    }
+
+    function edge(a, b, kind, label, reportIds) {
+      var ends = [a, b].sort();
+      var id = ends[0] + "|" + ends[1] + "|" + kind;
+      var e = edges[id] || (edges[id] = { id: id, source: ends[0], target: ends[1], kind: kind, label: [], reportIds: [] });
+      if (label && e.label.indexOf(label) === -1) e.label.push(label);
+      reportIds.forEach(function (rid) { if (e.reportIds.indexOf(rid) === -1) e.reportIds.push(rid); });
+    }
+
+    var passports = {};
+    reports.forEach(function (r) {
+      if (r.passportNumber) passports[String(r.passportNumber).toUpperCase().replace(/[^A-Z0-9]/g, "")] = true;
+    });
+
+    reports.forEach(function (r) {
+      var sid = "subject:" + (r.subjectId || r.id);
+      var subject = node(sid, "subject", r.subjectName || r.id, r.id);
+      var facts = subjects[sid] || (subjects[sid] = { posts: {}, documents: {}, recoveries: [] });
+
+      if (r.passportNumber) {
+        var passport = node("passport:" + String(r.passportNumber).toUpperCase(), "passport", r.passportNumber, r.id);
+        edge(subject.id, passport.id, "attribute", "holds", [r.id]);
+      }
+      if (r.nationality) {
+        var nationality = node("nationality:" + fold(r.nationality), "nationality", r.nationality, r.id);
+        edge(subject.id, nationality.id, "attribute", "nationality", [r.id]);
+      }
+      if (hasCoords(r) || (r.locationName && r.locationName !== "None")) {
+        var place = r.locationName && r.locationName !== "None"
+          ? r.locationName
+          : Number(r.lat).toFixed(2) + ", " + Number(r.lng).toFixed(2);
+        var location = node("location:" + fold(place), "location", place, r.id);
+        edge(subject.id, location.id, "attribute", "recovered at", [r.id]);
+        if (hasCoords(r)) facts.recoveries.push({ lat: Number(r.lat), lng: Number(r.lng), reportId: r.id });
+      }
+      (entitiesOf(r) || []).forEach(function (e) {
+        if (e.type === "borderPost") {
+          var post = node("post:" + e.key, "borderPost", e.value, r.id);
+          edge(subject.id, post.id, "attribute", "crossed at", [r.id]);
+          (facts.posts[e.key] = facts.posts[e.key] || { label: e.value, reportIds: [] }).reportIds.push(r.id);
+        } else if (e.type === "document" && !passports[e.key]) {
+          (facts.documents[e.key] = facts.documents[e.key] || { label: e.value, reportIds: [] }).reportIds.push(r.id);
+        }
+      });
+    });
+
+    // Subject-to-subject links
+    var ids = Object.keys(subjects);
+    for (var i = 0; i < ids.length; i++) {
+      for (var j = i + 1; j < ids.length; j++) {
+        var a = subjects[ids[i]];
+        var b = subjects[ids[j]];
+        Object.keys(a.posts).forEach(function (key) {
+          if (b.posts[key]) edge(ids[i], ids[j], "corridor", a.posts[key].label, a.posts[key].reportIds.concat(b.posts[key].reportIds));
+        });
+        Object.keys(a.documents).forEach(function (key) {
+          if (b.documents[key]) edge(ids[i], ids[j], "document", a.documents[key].label, a.documents[key].reportIds.concat(b.documents[key].reportIds));
+        });
+        a.recoveries.forEach(function (ra) {
+          b.recoveries.forEach(function (rb) {
+            var km = distanceKm(ra, rb);
+            if (km <= COLOCATED_KM) edge(ids[i], ids[j], "colocated", Math.round(km) + " km apart", [ra.reportId, rb.reportId]);
+          });
+        });
+      }
+    }
+
+    return {
+      nodes: nodes,
+      edges: Object.keys(edges).map(function (id) {
+        var e = edges[id];
+        e.label = e.label.join(", ");
+        return e;
+      }),
+    };
+  }
+
+  /**
+   * Nodes joined to `id` by an edge.
+   */
+  function neighbors(graph, id) {
+    var out = [];
+    graph.edges.forEach(function (e) {
+      var other = e.source === id ? e.target : e.target === id ? e.source : null;
+      if (other && out.indexOf(other) === -1) out.push(other);
+    });
+    return out;
+  }
+
+  // ---- View ----
+
+  var REPULSION = 1800;
+  var SPRING = 0.04;
+  var SPRING_LENGTH = { attribute: 55, corridor: 120, colocated: 110, document: 100 };
+  var GRAVITY = 0.012;
+  var DAMPING = 0.82;
+  var MIN_ZOOM = 0.15;
+  var MAX_ZOOM = 4;
+
+  /**
+   * Draw a graph on `canvas`, sized to its parent. options.onSelect(node |
+   * null) is called as the selection changes. Returns the view:
+   *   setGraph(graph, visibleIds), expand(id), expandAll(), select(id),
+   *   fit(), visibleIds(), destroy()
+   * Only visible nodes (and edges between them) are drawn and laid out.
+   */
+  function createView(canvas, options) {
+    options = options || {};
+    var ctx = canvas.getContext("2d");
+    var graph = { nodes: {}, edges: [] };
+    var visible = {};
+    var adjacency = {}; // node id -> neighbour ids
+    var pos = {}; // node id -> { x, y, vx, vy, fixed }
+    var view = { x: 0, y: 0, k: 1 };
+    var selected = null;
+    var hovered = null;
+    var alpha = 0;
+    var frame = null;
+    var drag = null; // { node, startX, startY, moved } or { pan, startX, startY, viewX, viewY, moved }
+    var width = 0;
+    var height = 0;
+
+    function around(id) {
+      return adjacency[id] || [];
+    }
+
+    function resize() {
+      var rect = canvas.parentNode.getBoundingClientRect();
+      var ratio = window.devicePixelRatio || 1;
+      width = rect.width;
+      height = rect.height;
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      canvas.style.width = width + "px";
+      canvas.style.height = height + "px";
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      draw();
+    }
+
+    function visibleEdges() {
+      return graph.edges.filter(function (e) { return visible[e.source] && visible[e.target]; });
+    }
+
+    // New nodes start around a visible neighbour (or the middle), so expanding doesn't scatter the layout
+    function place(id) {
+      if (pos[id]) return;
+      var anchor = around(id).filter(function (n) { return pos[n] && visible[n]; })[0];
+      var base = anchor ? pos[anchor] : { x: 0, y: 0 };
+      var angle = Math.random() * Math.PI * 2;
+      var r = anchor ? 40 + Math.random() * 30 : Math.random() * 200;
+      pos[id] = { x: base.x + Math.cos(angle) * r, y: base.y + Math.sin(angle) * r, vx: 0, vy: 0, fixed: false };
+    }
+
+    function reheat() {
+      alpha = 1;
+      if (!frame) frame = requestAnimationFrame(tick);
+    }
+
+    function step() {
+      var ids = Object.keys(visible);
+      ids.forEach(function (a, i) {
+        var pa = pos[a];
+        for (var j = i + 1; j < ids.length; j++) {
+          var pb = pos[ids[j]];
+          var dx = pa.x - pb.x;
+          var dy = pa.y - pb.y;
+          var d2 = dx * dx + dy * dy || 0.01;
+          var f = REPULSION / d2 * alpha;
+          var d = Math.sqrt(d2);
+          pa.vx += dx / d * f;
+          pa.vy += dy / d * f;
+          pb.vx -= dx / d * f;
+          pb.vy -= dy / d * f;
+        }
+      });
+      visibleEdges().forEach(function (e) {
+        var ps = pos[e.source];
+        var pt = pos[e.target];
+        var dx = pt.x - ps.x;
+        var dy = pt.y - ps.y;
+        var d = Math.sqrt(dx * dx + dy * dy) || 0.01;
+        var f = (d - SPRING_LENGTH[e.kind]) * SPRING * alpha;
+        ps.vx += dx / d * f;
+        ps.vy += dy / d * f;
+        pt.vx -= dx / d * f;
+        pt.vy -= dy / d * f;
+      });
+      ids.forEach(function (id) {
+        var p = pos[id];
+        if (p.fixed) {
+          p.vx = p.vy = 0;
+          return;
+        }
+        p.vx = (p.vx - p.x * GRAVITY * alpha) * DAMPING;
+        p.vy = (p.vy - p.y * GRAVITY * alpha) * DAMPING;
+        p.x += p.vx;
+        p.y += p.vy;
+      });
+      alpha *= 0.985;
+    }
+
+    function tick() {
+      frame = null;
+      step();
+      draw();
+      if (alpha > 0.02) frame = requestAnimationFrame(tick);
+    }
+
+    // ---- Drawing ----
+
+    function toScreen(p) {
+      return { x: width / 2 + view.x + p.x * view.k, y: height / 2 + view.y + p.y * view.k };
+    }
+
+    function toWorld(x, y) {
+      return { x: (x - width / 2 - view.x) / view.k, y: (y - height / 2 - view.y) / view.k };
+    }
+
+    function draw() {
+      if (!width) return;
+      ctx.clearRect(0, 0, width, height);
+      var focus = selected || hovered;
+      var near = focus ? around(focus) : [];
+
+      visibleEdges().forEach(function (e) {
+        var style = EDGE_KINDS[e.kind];
+        var a = toScreen(pos[e.source]);
+        var b = toScreen(pos[e.target]);
+        var lit = focus && (e.source === focus || e.target === focus);
+        ctx.globalAlpha = focus && !lit ? 0.25 : 1;
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.width * (lit ? 1.6 : 1);
+        ctx.setLineDash(e.kind === "colocated" ? [6, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+
+      Object.keys(visible).forEach(function (id) {
+        var n = graph.nodes[id];
+        var type = NODE_TYPES[n.type];
+        var p = toScreen(pos[id]);
+        var r = type.radius * Math.max(0.6, Math.min(view.k, 1.6));
+        var dim = focus && id !== focus && near.indexOf(id) === -1;
+        ctx.globalAlpha = dim ? 0.3 : 1;
+        ctx.fillStyle = type.color;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+        ctx.fill();
+        // Nodes with hidden neighbours get a ring: double-click to expand
+        if (around(id).some(function (other) { return !visible[other]; })) {
+          ctx.strokeStyle = type.color;
+          ctx.lineWidth = 1;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, r + 3, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+        if (id === selected) {
+          ctx.strokeStyle = "#e5e7eb";
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, r + 5, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+        if (view.k >= 0.7 || id === focus || near.indexOf(id) !== -1 || n.type === "subject") {
+          ctx.fillStyle = dim ? "#6b7280" : "#e5e7eb";
+          ctx.font = (n.type === "subject" ? "600 " : "") + "11px Inter, sans-serif";
+          ctx.textAlign = "center";
+          ctx.fillText(n.label, p.x, p.y + r + 13);
+        }
+      });
+      ctx.globalAlpha = 1;
+    }
+
+    // ---- Interaction ----
+
+    function nodeAt(x, y) {
+      var hit = null;
+      Object.keys(visible).forEach(function (id) {
+        var p = toScreen(pos[id]);
+        var r = NODE_TYPES[graph.nodes[id].type].radius * Math.max(0.6, Math.min(view.k, 1.6)) + 4;
+        if ((p.x - x) * (p.x - x) + (p.y - y) * (p.y - y) <= r * r) hit = id;
+      });
+      return hit;
+    }
+
+    function pointer(e) {
+      var rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    function onDown(e) {
+      var p = pointer(e);
+      var id = nodeAt(p.x, p.y);
+      canvas.setPointerCapture(e.pointerId);
+      drag = id
+        ? { node: id, startX: p.x, startY: p.y, moved: false }
+        : { pan: true, startX: p.x, startY: p.y, viewX: view.x, viewY: view.y, moved: false };
+    }
+
+    function onMove(e) {
+      var p = pointer(e);
+      if (!drag) {
+        var over = nodeAt(p.x, p.y);
+        canvas.style.cursor = over ? "pointer" : "grab";
+        if (over !== hovered) {
+          hovered = over;
+          draw();
+        }
+        return;
+      }
+      if (Math.abs(p.x - drag.startX) + Math.abs(p.y - drag.startY) > 3) drag.moved = true;
+      if (!drag.moved) return;
+      if (drag.pan) {
+        view.x = drag.viewX + p.x - drag.startX;
+        view.y = drag.viewY + p.y - drag.startY;
+        draw();
+      } else {
+        var w = toWorld(p.x, p.y);
+        var node = pos[drag.node];
+        node.x = w.x;
+        node.y = w.y;
+        node.fixed = true;
+        reheat();
+      }
+    }
+
+    function onUp() {
+      if (drag && !drag.moved) select(drag.node || null);
+      else if (drag && drag.node) pos[drag.node].fixed = false;
+      drag = null;
+    }
+
+    function onDoubleClick(e) {
+      var p = pointer(e);
+      var id = nodeAt(p.x, p.y);
+      if (id) expand(id);
+    }
+
+    function onWheel(e) {
+      e.preventDefault();
+      var p = pointer(e);
+      var before = toWorld(p.x, p.y);
+      view.k = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.k * Math.exp(-e.deltaY * 0.0015)));
+      // Keep the point under the cursor in place
+      view.x = p.x - width / 2 - before.x * view.k;
+      view.y = p.y - height / 2 - before.y * view.k;
+      draw();
+    }
+
+    canvas.addEventListener("pointerdown", onDown);
+    canvas.addEventListener("pointermove", onMove);
+    canvas.addEventListener("pointerup", onUp);
+    canvas.addEventListener("pointercancel", onUp);
+    canvas.addEventListener("dblclick", onDoubleClick);
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    var observer = new ResizeObserver(resize);
+    observer.observe(canvas.parentNode);
+
+    // ---- API ----
+
+    function setGraph(next, visibleIds) {
+      graph = next;
+      adjacency = {};
+      graph.edges.forEach(function (e) {
+        (adjacency[e.source] = adjacency[e.source] || []).push(e.target);
+        (adjacency[e.target] = adjacency[e.target] || []).push(e.source);
+      });
+      visible = {};
+      (visibleIds || Object.keys(graph.nodes)).forEach(function (id) {
+        if (graph.nodes[id]) visible[id] = true;
+      });
+      Object.keys(pos).forEach(function (id) { if (!graph.nodes[id]) delete pos[id]; });
+      Object.keys(visible).forEach(place);
+      if (selected && !visible[selected]) select(null);
+      reheat();
+    }
+
+    /**
+     * Show the hidden neighbours of a node; returns how many were added.
+     */
+    function expand(id) {
+      var added = around(id).filter(function (n) { return !visible[n]; });
+      added.forEach(function (n) {
+        visible[n] = true;
+        place(n);
+      });
+      if (added.length) reheat();
+      return added.length;
+    }
+
+    function expandAll() {
+      Object.keys(graph.nodes).forEach(function (id) {
+        visible[id] = true;
+        place(id);
+      });
+      reheat();
+    }
+
+    function select(id) {
+      selected = id && visible[id] ? id : null;
+      draw();
+      if (options.onSelect) options.onSelect(selected ? graph.nodes[selected] : null);
+    }
+
+    // Zoom and pan so every visible node is on screen
+    function fit() {
+      var ids = Object.keys(visible);
+      if (!ids.length || !width) return;
+      var xs = ids.map(function (id) { return pos[id].x; });
+      var ys = ids.map(function (id) { return pos[id].y; });
+      var minX = Math.min.apply(null, xs);
+      var maxX = Math.max.apply(null, xs);
+      var minY = Math.min.apply(null, ys);
+      var maxY = Math.max.apply(null, ys);
+      view.k = Math.max(MIN_ZOOM, Math.min(1.5, Math.min(width / (maxX - minX + 120), height / (maxY - minY + 120))));
+      view.x = -(minX + maxX) / 2 * view.k;
+      view.y = -(minY + maxY) / 2 * view.k;
+      draw();
+    }
+
+    function destroy() {
+      if (frame) cancelAnimationFrame(frame);
+      frame = null;
+      observer.disconnect();
+      canvas.removeEventListener("pointerdown", onDown);
+      canvas.removeEventListener("pointermove", onMove);
+      canvas.removeEventListener("pointerup", onUp);
+      canvas.removeEventListener("pointercancel", onUp);
+      canvas.removeEventListener("dblclick", onDoubleClick);
+      canvas.removeEventListener("wheel", onWheel);
+    }
+
+    return {
+      setGraph: setGraph,
+      expand: expand,
+      expandAll: expandAll,
+      select: select,
+      fit: fit,
+      visibleIds: function () { return Object.keys(visible); },
+      destroy: destroy,
+    };
+  }
+
+  return {
+    NODE_TYPES: NODE_TYPES,
+    EDGE_KINDS: EDGE_KINDS,
+    COLOCATED_KM: COLOCATED_KM,
+    build: build,
+    neighbors: neighbors,
+    createView: createView,
+  };
+})();
@@ -0,0 +1,202 @@
+/**
+ * map-tiles.js — Base map layers from STORAGE_CONFIG.maps
+ *
+ * addTo() gives a Leaflet map every configured layer (imagery, streets,
+ * terrain, ...) with a layer switcher. Each layer tries its sources in
+ * order: URL templates (online or a local tile server) and MBTiles
+ * packages read in the browser with sql.js. When a source keeps failing
+ * the layer swaps in the next one.
+ */
+
+const MapTiles = (function () {
+  "use strict";
+
+  // Used when the config has no maps section
+  var FALLBACK_LAYERS = [
+    {
+      id: "imagery",
+      label: "Imagery",
+      sources: [{
+        url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+        attribution: "&copy; Esri, Maxar, Earthstar Geographics",
+        maxZoom: 19,
+      }],
+    },
+  ];
+
+  var MIME = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", webp: "image/webp" };
+
+  var sqlReady = null; // sql.js, loaded with the first MBTiles source
+  var packages = {}; // MBTiles url -> Promise<{ db, type }>
+
+  function config() {
+    return (typeof STORAGE_CONFIG !== "undefined" && STORAGE_CONFIG.maps) || {};
+  }
+
+  function layers() {
+    return (config().layers || FALLBACK_LAYERS).filter(function (l) { return l.sources && l.sources.length; });
+  }
+
+  function loadScript(url) {
+    return new Promise(function (resolve, reject) {
+      var s = document.createElement("script");
+      s.src = url;
+      s.onload = resolve;
+      s.onerror = function () { reject(new Error("Could not load " + url)); };
+      document.head.appendChild(s);
+    });
+  }
+
+  function loadSql() {
+    if (!sqlReady) {
+      var base = config().sqlJsUrl || "https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/";
+      sqlReady = loadScript(base + "sql-wasm.js").then(function () {
+        return initSqlJs({ locateFile: function (file) { return base + file; } });
+      });
+      sqlReady.catch(function () { sqlReady = null; });
+    }
+    return sqlReady;
+  }
+
+  function openPackage(url) {
+    if (!packages[url]) {
+      var download = fetch(url).then(function (res) {
+        if (!res.ok) throw new Error(url + ": HTTP " + res.status);
+        return res.arrayBuffer();
+      });
+      packages[url] = Promise.all([loadSql(), download]).then(function (loaded) {
+        var db = new loaded[0].Database(new Uint8Array(loaded[1]));
+        var format = "png";
+        var rows = db.exec("SELECT value FROM metadata WHERE name = 'format'");
+        if (rows.length && rows[0].values.length) format = String(rows[0].values[0][0]).toLowerCase();
+        if (format === "pbf") throw new Error(url + ": vector tiles are not supported");
+        return { db: db, type: MIME[format] || "image/png" };
+      });
+      // Let the next map try again
+      packages[url].catch(function () { delete packages[url]; });
+    }
+    return packages[url];
+  }
+
+  // MBTiles rows count from the bottom (TMS); Leaflet counts from the top
+  function mbtilesLayer(source) {
+    var MBTilesLayer = L.GridLayer.extend({
+      createTile: function (coords, done) {
+        var img = document.createElement("img");
+        img.alt = "";
+        openPackage(source.mbtiles).then(function (pkg) {
+          var stmt = pkg.db.prepare("SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?");
+          stmt.bind([coords.z, coords.x, Math.pow(2, coords.z) - 1 - coords.y]);
+          var data = stmt.step() ? stmt.get()[0] : null;
+          stmt.free();
+          // Outside the package's area: a blank tile, not a failure
+          if (!data) {
+            done(null, img);
+            return;
+          }
+          var url = URL.createObjectURL(new Blob([data], { type: pkg.type }));
+          img.onload = function () {
+            URL.revokeObjectURL(url);
+            done(null, img);
+          };
+          img.onerror = function () {
+            URL.revokeObjectURL(url);
+            done(new Error("Unreadable tile"), img);
+          };
+          img.src = url;
+        }).catch(function (e) {
+          done(e, img);
+        });
+        return img;
+      },
+    });
+    return new MBTilesLayer({
+      attribution: source.attribution || "",
+      maxZoom: 19,
+      maxNativeZoom: source.maxZoom || 19,
+    });
+  }
+
+  function sourceLayer(source) {
+    if (source.mbtiles) return mbtilesLayer(source);
+    return L.tileLayer(source.url, {
+      attribution: source.attribution || "",
+      maxZoom: 19,
+      maxNativeZoom: source.maxZoom || 19,
+      subdomains: source.subdomains || "abc",
+      tms: !!source.tms,
+    });
+  }
+
+  function describeSource(source) {
+    return source.mbtiles || source.url;
+  }
+
+  /**
+   * One switcher entry: a layer group holding the source in use, which
+   * moves on to the next source after `threshold` failed tiles in a row.
+   * The last source stays however it fares.
+   */
+  function failoverLayer(layerConfig, threshold) {
+    var group = L.layerGroup();
+    var index = -1;
+    var current = null;
+    var misses = 0;
+
+    function use(i) {
+      if (current) group.removeLayer(current);
+      index = i;
+      misses = 0;
+      var layer = sourceLayer(layerConfig.sources[i]);
+      current = layer;
+      layer.on("tileload", function () {
+        if (layer === current) misses = 0;
+      });
+      layer.on("tileerror", function () {
+        if (layer !== current) return;
+        misses++;
+        if (misses >= threshold && index < layerConfig.sources.length - 1) {
+          console.warn("Map tiles: " + describeSource(layerConfig.sources[index]) +
+            " is failing, switching " + layerConfig.label + " to " + describeSource(layerConfig.sources[index + 1]));
+          use(index + 1);
+        }
+      });
+      group.addLayer(layer);
+    }
+
+    use(0);
+    return group;
+  }
+
+  /**
+   * Add the configured base layers to `map`: options.layer (an id) or
+   * the configured default is shown, and options.onChange(id) is called
+   * when the user picks another one in the switcher.
+   */
+  function addTo(map, options) {
+    options = options || {};
+    var threshold = config().failoverThreshold || 4;
+    var base = {}; // switcher label -> layer
+    var ids = {}; // switcher label -> layer id
+    layers().forEach(function (l) {
+      base[l.label] = failoverLayer(l, threshold);
+      ids[l.label] = l.id;
+    });
+    var labels = Object.keys(base);
+    function labelOf(id) {
+      return labels.filter(function (label) { return ids[label] === id; })[0];
+    }
+    var start = labelOf(options.layer) || labelOf(config().defaultLayer) || labels[0];
+    if (!start) return;
+    base[start].addTo(map);
+    if (labels.length > 1) L.control.layers(base, null, { position: "topleft" }).addTo(map);
+    map.on("baselayerchange", function (e) {
+      if (options.onChange) options.onChange(ids[e.name]);
+    });
+  }
+
+  return {
+    layers: layers,
+    addTo: addTo,
+  };
+})();
@@ -0,0 +1,232 @@
+/**
+ * mrz.js — Machine-readable zone parser for TD3 (passport) documents
+ *
+ * A TD3 MRZ is two lines of 44 characters from [A-Z0-9<]:
+ *
+ *   P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<
+ *   L898902C36UTO7408122F1204159ZE184226B<<<<<10
+ *
+ * parse() reads the pair out of pasted or OCR'd text and checks the ICAO
+ * 9303 check digits (7-3-1 weights) of the document number, birth date,
+ * expiry date, personal number and the composite. Nationality and issuing
+ * state are ICAO three-letter codes; countryName() and nationalityMatches()
+ * relate them to what analysts type.
+ */
+
+const MRZ = (function () {
+  "use strict";
+
+  var LINE_LENGTH = 44;
+  var LINE_RE = /^[A-Z0-9<]{44}$/;
+
+  // ICAO code -> [country, nationality]
+  var COUNTRIES = {
+    AFG: ["Afghanistan", "Afghan"], ALB: ["Albania", "Albanian"], DZA: ["Algeria", "Algerian"],
+    AGO: ["Angola", "Angolan"], ARG: ["Argentina", "Argentine"], ARM: ["Armenia", "Armenian"],
+    AUS: ["Australia", "Australian"], AUT: ["Austria", "Austrian"], AZE: ["Azerbaijan", "Azerbaijani"],
+    BHR: ["Bahrain", "Bahraini"], BGD: ["Bangladesh", "Bangladeshi"], BLR: ["Belarus", "Belarusian"],
+    BEL: ["Belgium", "Belgian"], BEN: ["Benin", "Beninese"], BOL: ["Bolivia", "Bolivian"],
+    BIH: ["Bosnia and Herzegovina", "Bosnian"], BRA: ["Brazil", "Brazilian"], BGR: ["Bulgaria", "Bulgarian"],
+    BFA: ["Burkina Faso", "Burkinabe"], BDI: ["Burundi", "Burundian"], KHM: ["Cambodia", "Cambodian"],
+    CMR: ["Cameroon", "Cameroonian"], CAN: ["Canada", "Canadian"], CAF: ["Central African Republic", "Central African"],
+    TCD: ["Chad", "Chadian"], CHL: ["Chile", "Chilean"], CHN: ["China", "Chinese"], COL: ["Colombia", "Colombian"],
+    COD: ["DR Congo", "Congolese"], COG: ["Congo", "Congolese"], CRI: ["Costa Rica", "Costa Rican"],
+    CIV: ["Ivory Coast", "Ivorian"], HRV: ["Croatia", "Croatian"], CUB: ["Cuba", "Cuban"], CYP: ["Cyprus", "Cypriot"],
+    CZE: ["Czechia", "Czech"], DNK: ["Denmark", "Danish"], DJI: ["Djibouti", "Djiboutian"],
+    DOM: ["Dominican Republic", "Dominican"], ECU: ["Ecuador", "Ecuadorian"], EGY: ["Egypt", "Egyptian"],
+    SLV: ["El Salvador", "Salvadoran"], ERI: ["Eritrea", "Eritrean"], EST: ["Estonia", "Estonian"],
+    ETH: ["Ethiopia", "Ethiopian"], FIN: ["Finland", "Finnish"], FRA: ["France", "French"], GAB: ["Gabon", "Gabonese"],
+    GMB: ["Gambia", "Gambian"], GEO: ["Georgia", "Georgian"], D: ["Germany", "German"], DEU: ["Germany", "German"],
+    GHA: ["Ghana", "Ghanaian"], GRC: ["Greece", "Greek"], GTM: ["Guatemala", "Guatemalan"], GIN: ["Guinea", "Guinean"],
+    GNB: ["Guinea-Bissau", "Bissau-Guinean"], HTI: ["Haiti", "Haitian"], HND: ["Honduras", "Honduran"],
+    HUN: ["Hungary", "Hungarian"], IND: ["India", "Indian"], IDN: ["Indonesia", "Indonesian"], IRN: ["Iran", "Iranian"],
+    IRQ: ["Iraq", "Iraqi"], IRL: ["Ireland", "Irish"], ISR: ["Israel", "Israeli"], ITA: ["Italy", "Italian"],
+    JAM: ["Jamaica", "Jamaican"], JPN: ["Japan", "Japanese"], JOR: ["Jordan", "Jordanian"],
+    KAZ: ["Kazakhstan", "Kazakh"], KEN: ["Kenya", "Kenyan"], PRK: ["North Korea", "North Korean"],
+    KOR: ["South Korea", "South Korean"], RKS: ["Kosovo", "Kosovar"], KWT: ["Kuwait", "Kuwaiti"],
+    KGZ: ["Kyrgyzstan", "Kyrgyz"], LAO: ["Laos", "Lao"], LVA: ["Latvia", "Latvian"], LBN: ["Lebanon", "Lebanese"],
+    LBR: ["Liberia", "Liberian"], LBY: ["Libya", "Libyan"], LTU: ["Lithuania", "Lithuanian"],
+    MKD: ["North Macedonia", "Macedonian"], MDG: ["Madagascar", "Malagasy"], MWI: ["Malawi", "Malawian"],
+    MYS: ["Malaysia", "Malaysian"], MLI: ["Mali", "Malian"], MRT: ["Mauritania", "Mauritanian"],
+    MEX: ["Mexico", "Mexican"], MDA: ["Moldova", "Moldovan"], MNG: ["Mongolia", "Mongolian"],
+    MNE: ["Montenegro", "Montenegrin"], MAR: ["Morocco", "Moroccan"], MOZ: ["Mozambique", "Mozambican"],
+    MMR: ["Myanmar", "Burmese"], NPL: ["Nepal", "Nepali"], NLD: ["Netherlands", "Dutch"],
+    NZL: ["New Zealand", "New Zealander"], NIC: ["Nicaragua", "Nicaraguan"], NER: ["Niger", "Nigerien"],
+    NGA: ["Nigeria", "Nigerian"], NOR: ["Norway", "Norwegian"], OMN: ["Oman", "Omani"],
+    PAK: ["Pakistan", "Pakistani"], PSE: ["Palestine", "Palestinian"], PAN: ["Panama", "Panamanian"],
+    PRY: ["Paraguay", "Paraguayan"], PER: ["Peru", "Peruvian"], PHL: ["Philippines", "Filipino"],
+    POL: ["Poland", "Polish"], PRT: ["Portugal", "Portuguese"], QAT: ["Qatar", "Qatari"],
+    ROU: ["Romania", "Romanian"], RUS: ["Russia", "Russian"], RWA: ["Rwanda", "Rwandan"],
+    SAU: ["Saudi Arabia", "Saudi"], SEN: ["Senegal", "Senegalese"], SRB: ["Serbia", "Serbian"],
+    SLE: ["Sierra Leone", "Sierra Leonean"], SGP: ["Singapore", "Singaporean"], SVK: ["Slovakia", "Slovak"],
+    SVN: ["Slovenia", "Slovenian"], SOM: ["Somalia", "Somali"], ZAF: ["South Africa", "South African"],
+    SSD: ["South Sudan", "South Sudanese"], ESP: ["Spain", "Spanish"], LKA: ["Sri Lanka", "Sri Lankan"],
+    SDN: ["Sudan", "Sudanese"], SWE: ["Sweden", "Swedish"], CHE: ["Switzerland", "Swiss"],
+    SYR: ["Syria", "Syrian"], TWN: ["Taiwan", "Taiwanese"], TJK: ["Tajikistan", "Tajik"],
+    TZA: ["Tanzania", "Tanzanian"], THA: ["Thailand", "Thai"], TGO: ["Togo", "Togolese"],
+    TUN: ["Tunisia", "Tunisian"], TUR: ["Turkey", "Turkish"], TKM: ["Turkmenistan", "Turkmen"],
+    UGA: ["Uganda", "Ugandan"], UKR: ["Ukraine", "Ukrainian"], ARE: ["United Arab Emirates", "Emirati"],
+    GBR: ["United Kingdom", "British"], USA: ["United States", "American"], URY: ["Uruguay", "Uruguayan"],
+    UZB: ["Uzbekistan", "Uzbek"], VEN: ["Venezuela", "Venezuelan"], VNM: ["Vietnam", "Vietnamese"],
+    ESH: ["Western Sahara", "Sahrawi"], YEM: ["Yemen", "Yemeni"], ZMB: ["Zambia", "Zambian"],
+    ZWE: ["Zimbabwe", "Zimbabwean"],
+    // ICAO codes for people and bodies rather than states
+    UNO: ["United Nations", "United Nations"], XXA: ["Stateless", "Stateless"],
+    XXB: ["Refugee", "Refugee"], XXC: ["Refugee", "Refugee"], XXX: ["Unspecified", "Unspecified"],
+  };
+
+  function mrzError(message) {
+    var err = new Error(message);
+    err.code = "invalid-mrz";
+    return err;
+  }
+
+  // ---- Check digits ----
+
+  function charValue(c) {
+    if (c === "<") return 0;
+    if (c >= "0" && c <= "9") return c.charCodeAt(0) - 48;
+    return c.charCodeAt(0) - 55; // A = 10 … Z = 35
+  }
+
+  /**
+   * ICAO 9303 check digit of a run of MRZ characters.
+   */
+  function checkDigit(str) {
+    var weights = [7, 3, 1];
+    var sum = 0;
+    for (var i = 0; i < str.length; i++) sum += charValue(str[i]) * weights[i % 3];
+    return sum % 10;
+  }
+
+  function checks(field, digit) {
+    // An empty optional field may carry "<" instead of 0
+    if (digit === "<") return /^<*$/.test(field);
+    return checkDigit(field) === Number(digit);
+  }
+
+  // ---- Parsing ----
+
+  /**
+   * The two TD3 lines in a piece of text, or null. Spaces inside lines
+   * (common in OCR output) are ignored.
+   */
+  function find(text) {
+    var lines = String(text || "").toUpperCase().split(/\r?\n/).map(function (l) {
+      return l.replace(/\s+/g, "").replace(/«/g, "<");
+    });
+    for (var i = 0; i + 1 < lines.length; i++) {
+      if (lines[i][0] === "P" && LINE_RE.test(lines[i]) && LINE_RE.test(lines[i + 1])) {
+        return [lines[i], lines[i + 1]];
+      }
+    }
+    return null;
+  }
+
+  function titleCase(word) {
+    return word.charAt(0) + word.slice(1).toLowerCase();
+  }
+
+  function code(field) {
+    return field.replace(/<+$/, "");
+  }
+
+  // YYMMDD -> YYYY-MM-DD. Birth dates are never in the future; expiry
+  // dates from 70 on are last century's.
+  function mrzDate(yymmdd, kind) {
+    if (!/^\d{6}$/.test(yymmdd)) return null;
+    var yy = Number(yymmdd.slice(0, 2));
+    var month = Number(yymmdd.slice(2, 4));
+    var day = Number(yymmdd.slice(4, 6));
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    var century = 2000;
+    if (kind === "birth" ? yy > new Date().getFullYear() % 100 : yy >= 70) century = 1900;
+    return String(century + yy) + "-" + yymmdd.slice(2, 4) + "-" + yymmdd.slice(4, 6);
+  }
+
+  /**
+   * Parse a TD3 MRZ found in `text`. Throws an Error with code
+   * "invalid-mrz" when there is none. Returns
+   *
+   *   { documentType, issuingState, surname, givenNames, name,
+   *     passportNumber, nationality, dateOfBirth, sex, expiryDate,
+   *     personalNumber, checks: { passportNumber, dateOfBirth, expiryDate,
+   *     personalNumber, composite }, valid, lines }
+   *
+   * where each check is true when its digit matches; dates are YYYY-MM-DD
+   * (null if unreadable) and `name` is "Given Names SURNAME".
+   */
+  function parse(text) {
+    var lines = find(text);
+    if (!lines) throw mrzError("No passport MRZ found — expected two lines of " + LINE_LENGTH + " characters, the first starting with P");
+    var l1 = lines[0];
+    var l2 = lines[1];
+
+    var names = l1.slice(5).split("<<");
+    var surname = names[0].replace(/</g, " ").trim();
+    var givenNames = names.slice(1).join(" ").replace(/</g, " ").trim().replace(/\s+/g, " ");
+
+    var number = l2.slice(0, 9);
+    var birth = l2.slice(13, 19);
+    var expiry = l2.slice(21, 27);
+    var personal = l2.slice(28, 42);
+    var result = {
+      documentType: code(l1.slice(0, 2)),
+      issuingState: code(l1.slice(2, 5)),
+      surname: surname,
+      givenNames: givenNames,
+      name: (givenNames.split(" ").filter(Boolean).map(titleCase).join(" ") + " " + surname).trim(),
+      passportNumber: code(number),
+      nationality: code(l2.slice(10, 13)),
+      dateOfBirth: mrzDate(birth, "birth"),
+      sex: l2[20] === "<" ? "X" : l2[20],
+      expiryDate: mrzDate(expiry, "expiry"),
+      personalNumber: code(personal),
+      checks: {
+        passportNumber: checks(number, l2[9]),
+        dateOfBirth: checks(birth, l2[19]),
+        expiryDate: checks(expiry, l2[27]),
+        personalNumber: checks(personal, l2[42]),
+        composite: checks(l2.slice(0, 10) + l2.slice(13, 20) + l2.slice(21, 43), l2[43]),
+      },
+      lines: lines,
+    };
+    result.valid = Object.keys(result.checks).every(function (k) { return result.checks[k]; });
+    return result;
+  }
+
+  // ---- Countries ----
+
+  /**
+   * Nationality for an ICAO code ("TUR" -> "Turkish"); the code itself
+   * when it isn't known.
+   */
+  function nationalityName(icao) {
+    return COUNTRIES[icao] ? COUNTRIES[icao][1] : icao;
+  }
+
+  function countryName(icao) {
+    return COUNTRIES[icao] ? COUNTRIES[icao][0] : icao;
+  }
+
+  /**
+   * Does a typed nationality ("Turkish", "TURKEY", "tur") stand for the
+   * ICAO code?
+   */
+  function nationalityMatches(icao, typed) {
+    var t = String(typed || "").trim().toLowerCase();
+    if (!t) return false;
+    if (t === icao.toLowerCase()) return true;
+    var names = COUNTRIES[icao] || [];
+    return names.some(function (n) { return n.toLowerCase() === t; });
+  }
+
+  return {
+    parse: parse,
+    find: find,
+    checkDigit: checkDigit,
+    nationalityName: nationalityName,
+    countryName: countryName,
+    nationalityMatches: nationalityMatches,
+  };
+})();
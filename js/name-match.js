@@ -0,0 +1,168 @@
+/**
+ * name-match.js — Fuzzy subject name matching across spellings and scripts
+ *
+ * Names are transliterated to plain Latin (Cyrillic, Arabic and Persian
+ * letters), accent-folded and split into words, so "Ok, Velat", "Velat OK"
+ * and "Велат Ок" compare equal. Each query word is scored against the
+ * closest word of the name by edit distance and by a phonetic key (a
+ * consonant skeleton that evens out kh/h, w/v, q/k, doubled letters and
+ * vowels, which transliterations disagree on most — "Mohamed", "Muhammad",
+ * "Мухаммед" and "محمد" share one). score() returns 0..1; compareNames()
+ * is its symmetric form for matching one full name against another.
+ */
+
+const NameMatch = (function () {
+  "use strict";
+
+  // Scores at or above this count as the same name
+  var THRESHOLD = 0.8;
+  // A phonetic-only match is never quite as good as a spelling match
+  var PHONETIC_WEIGHT = 0.9;
+
+  var CYRILLIC = {
+    а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "yo", ж: "zh", з: "z", и: "i", й: "y",
+    к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t", у: "u", ф: "f",
+    х: "kh", ц: "ts", ч: "ch", ш: "sh", щ: "shch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya",
+    // Ukrainian, Kazakh, Uzbek, Tajik
+    і: "i", ї: "yi", є: "ye", ґ: "g", ў: "o", қ: "q", ғ: "gh", ҳ: "h", ә: "a", ө: "o", ү: "u",
+    ұ: "u", ң: "ng", һ: "h", ӣ: "i", ӯ: "u", ҷ: "j",
+  };
+
+  var ARABIC = {
+    "ا": "a", "أ": "a", "إ": "i", "آ": "a", "ٱ": "a", "ب": "b", "ت": "t", "ث": "th", "ج": "j",
+    "ح": "h", "خ": "kh", "د": "d", "ذ": "dh", "ر": "r", "ز": "z", "س": "s", "ش": "sh", "ص": "s",
+    "ض": "d", "ط": "t", "ظ": "z", "ع": "", "غ": "gh", "ف": "f", "ق": "q", "ك": "k", "ل": "l",
+    "م": "m", "ن": "n", "ه": "h", "ة": "a", "و": "w", "ي": "y", "ى": "a", "ء": "", "ئ": "y",
+    "ؤ": "w",
+    // Persian / Urdu
+    "پ": "p", "چ": "ch", "ژ": "zh", "گ": "g", "ک": "k", "ی": "y", "ے": "e", "ٹ": "t", "ڈ": "d",
+  };
+
+  /**
+   * Plain lower-case Latin spelling of a name in any supported script.
+   */
+  function transliterate(text) {
+    var out = "";
+    var lower = String(text || "").toLowerCase();
+    for (var i = 0; i < lower.length; i++) {
+      var c = lower[i];
+      if (CYRILLIC[c] !== undefined) out += CYRILLIC[c];
+      else if (ARABIC[c] !== undefined) out += ARABIC[c];
+      else out += c;
+    }
+    // Drop accents and Arabic short-vowel marks (harakat)
+    return out.normalize("NFKD").replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, "");
+  }
+
+  function words(name) {
+    return transliterate(name).match(/[a-z0-9]+/g) || [];
+  }
+
+  /**
+   * Consonant skeleton used to compare spellings that sound alike.
+   */
+  function phoneticKey(word) {
+    // Upper-case letters stand for sounds spelled with two or more letters
+    return transliterate(word).replace(/[^a-z]/g, "")
+      .replace(/x/g, "ks")
+      .replace(/tch|ch/g, "C")
+      .replace(/sch|sh/g, "S")
+      .replace(/dzh|zh|dj|j/g, "J")
+      .replace(/kh/g, "h")
+      .replace(/gh/g, "g")
+      .replace(/ph/g, "f")
+      .replace(/th/g, "t")
+      .replace(/dh/g, "d")
+      .replace(/c(?=[eiy])/g, "s")
+      .replace(/ck|c|q/g, "k")
+      .replace(/w/g, "v")
+      .replace(/[aeiouy]/g, "")
+      .replace(/(.)\1+/g, "$1");
+  }
+
+  // Optimal string alignment distance (Levenshtein plus adjacent swaps)
+  function editDistance(a, b) {
+    var rows = [];
+    for (var i = 0; i <= a.length; i++) {
+      rows[i] = [i];
+      for (var j = 1; j <= b.length; j++) {
+        if (i === 0) {
+          rows[i][j] = j;
+          continue;
+        }
+        var cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        var d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, rows[i - 2][j - 2] + 1);
+        rows[i][j] = d;
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  function similarity(a, b) {
+    var longest = Math.max(a.length, b.length);
+    return longest === 0 ? 0 : 1 - editDistance(a, b) / longest;
+  }
+
+  // How well one query word matches one name word (both transliterated)
+  function wordScore(q, w, prefixes) {
+    if (q === w) return 1;
+    // Typing the start of a name still finds it
+    if (prefixes && q.length >= 2 && w.indexOf(q) === 0) return 1;
+    var score = similarity(q, w);
+    var kq = phoneticKey(q);
+    var kw = phoneticKey(w);
+    // Keys of one letter ("Ok", "Al") say too little to go on
+    if (kq.length >= 2 && kw.length >= 2) {
+      score = Math.max(score, PHONETIC_WEIGHT * (kq === kw ? 1 : similarity(kq, kw)));
+    }
+    return score;
+  }
+
+  /**
+   * How closely `query` matches `name`, 0..1: the average over the query's
+   * words of each one's best match among the name's words (word order and
+   * extra name words don't matter).
+   */
+  function score(query, name) {
+    return directedScore(query, name, true);
+  }
+
+  function directedScore(query, name, prefixes) {
+    var qs = words(query);
+    var ws = words(name);
+    if (qs.length === 0 || ws.length === 0) return 0;
+    var total = 0;
+    var weight = 0;
+    qs.forEach(function (q) {
+      var best = 0;
+      ws.forEach(function (w) { best = Math.max(best, wordScore(q, w, prefixes)); });
+      total += best * q.length;
+      weight += q.length;
+    });
+    return total / weight;
+  }
+
+  function matches(query, name) {
+    return score(query, name) >= THRESHOLD;
+  }
+
+  /**
+   * How closely two full names match, 0..1, the same whichever comes
+   * first: the weaker of the two directions, with whole words only (a name
+   * isn't a half-typed query, so "Ali" doesn't match "Alina").
+   */
+  function compareNames(a, b) {
+    return Math.min(directedScore(a, b, false), directedScore(b, a, false));
+  }
+
+  return {
+    THRESHOLD: THRESHOLD,
+    transliterate: transliterate,
+    phoneticKey: phoneticKey,
+    editDistance: editDistance,
+    score: score,
+    matches: matches,
+    compareNames: compareNames,
+  };
+})();
@@ -0,0 +1,300 @@
+/**
+ * report-crypto.js — Optional client-side encryption of report content
+ *
+ * Each report gets its own AES-GCM data key. Its summary, content and
+ * attachment text are stored as one encrypted `sealed` payload, and its
+ * attachment files are encrypted before upload. The data key is wrapped with
+ * the RSA-OAEP public key of every team in STORAGE_CONFIG.encryption.teams;
+ * a team's private key sits in the config encrypted under the team
+ * passphrase, so only users who unlock a team can read its reports.
+ * Nothing leaves the browser unencrypted once a report is sealed.
+ */
+
+const ReportCrypto = (function () {
+  "use strict";
+
+  var CONFIG = STORAGE_CONFIG.encryption || {};
+  var TEAMS = (CONFIG.teams || []).filter(function (t) { return t.id && t.publicKey; });
+  var ITERATIONS = CONFIG.iterations || 310000;
+  var RSA = { name: "RSA-OAEP", hash: "SHA-256" };
+
+  var unlocked = {}; // team id -> private CryptoKey (this page only)
+  var publicKeys = {}; // team id -> Promise<CryptoKey>
+  var reportKeys = {}; // report id -> { key, wrapped: JSON of encryption.keys or null }
+
+  function toBase64(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var binary = "";
+    for (var i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+  }
+
+  function fromBase64(str) {
+    var binary = atob(str);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function randomBytes(n) {
+    return crypto.getRandomValues(new Uint8Array(n));
+  }
+
+  function lockedError(reportId) {
+    var err = new Error("Report " + reportId + " is encrypted — unlock a team key to read it");
+    err.code = "locked";
+    return err;
+  }
+
+  function teamById(id) {
+    return TEAMS.filter(function (t) { return t.id === id; })[0] || null;
+  }
+
+  function publicKey(team) {
+    if (!publicKeys[team.id]) {
+      publicKeys[team.id] = crypto.subtle.importKey("spki", fromBase64(team.publicKey), RSA, false, ["wrapKey"]);
+    }
+    return publicKeys[team.id];
+  }
+
+  function passphraseKey(passphrase, salt, iterations) {
+    return crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"])
+      .then(function (base) {
+        return crypto.subtle.deriveKey(
+          { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
+          base, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+      });
+  }
+
+  // ---- Team keys ----
+
+  /**
+   * Configured teams: [{ id, label, unlocked }].
+   */
+  function teams() {
+    return TEAMS.map(function (t) {
+      return { id: t.id, label: t.label || t.id, unlocked: !!unlocked[t.id] };
+    });
+  }
+
+  function hasUnlockedTeam() {
+    return Object.keys(unlocked).length > 0;
+  }
+
+  /**
+   * Decrypt a team's private key with its passphrase and keep it for this
+   * page. Rejects with code "bad-passphrase" when the passphrase is wrong.
+   */
+  function unlockTeam(teamId, passphrase) {
+    var team = teamById(teamId);
+    if (!team || !team.privateKey) return Promise.reject(new Error("Unknown team key " + teamId));
+    var sealed = team.privateKey;
+    return passphraseKey(passphrase, fromBase64(sealed.salt), sealed.iterations || ITERATIONS).then(function (key) {
+      return crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+    }).then(function (pkcs8) {
+      return crypto.subtle.importKey("pkcs8", pkcs8, RSA, false, ["unwrapKey"]);
+    }, function () {
+      var err = new Error("Wrong passphrase for " + (team.label || team.id));
+      err.code = "bad-passphrase";
+      throw err;
+    }).then(function (privateKey) {
+      unlocked[team.id] = privateKey;
+    });
+  }
+
+  /**
+   * Generate a team key pair. Resolves with the entry to paste into
+   * STORAGE_CONFIG.encryption.teams — the private half is encrypted with
+   * `passphrase`, which is what team members type to unlock it.
+   */
+  function createTeamKey(id, label, passphrase) {
+    var salt = randomBytes(16);
+    var iv = randomBytes(12);
+    var pair;
+    return crypto.subtle.generateKey(
+      Object.assign({ modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]) }, RSA),
+      true, ["wrapKey", "unwrapKey"]
+    ).then(function (generated) {
+      pair = generated;
+      return Promise.all([
+        crypto.subtle.exportKey("spki", pair.publicKey),
+        crypto.subtle.exportKey("pkcs8", pair.privateKey),
+        passphraseKey(passphrase, salt, ITERATIONS),
+      ]);
+    }).then(function (results) {
+      return crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, results[2], results[1]).then(function (data) {
+        return {
+          id: id,
+          label: label,
+          publicKey: toBase64(results[0]),
+          privateKey: { salt: toBase64(salt), iv: toBase64(iv), iterations: ITERATIONS, data: toBase64(data) },
+        };
+      });
+    });
+  }
+
+  // ---- Report data keys ----
+
+  function unwrap(reportId, keys) {
+    var teamIds = Object.keys(keys || {}).filter(function (id) { return unlocked[id]; });
+    if (teamIds.length === 0) return Promise.reject(lockedError(reportId));
+    return crypto.subtle.unwrapKey("raw", fromBase64(keys[teamIds[0]]), unlocked[teamIds[0]], RSA,
+      { name: "AES-GCM" }, true, ["encrypt", "decrypt"]).catch(function () {
+        throw new Error("Could not unwrap the data key of " + reportId + " with team " + teamIds[0]);
+      });
+  }
+
+  /**
+   * The data key for a report. `stored` is the report as currently stored
+   * (or null): its wrapped key is used when it is encrypted; otherwise a new
+   * key is made when encryption is enabled, and null means store plaintext.
+   * Keys are kept per report ID so attachments uploaded before the report is
+   * first saved use the same key.
+   */
+  function keyFor(reportId, stored) {
+    var cached = reportKeys[reportId];
+    var encryption = stored && stored.encryption;
+    if (encryption) {
+      var wrapped = JSON.stringify(encryption.keys);
+      if (cached && cached.wrapped === wrapped) return Promise.resolve(cached.key);
+      return unwrap(reportId, encryption.keys).then(function (key) {
+        reportKeys[reportId] = { key: key, wrapped: wrapped };
+        return key;
+      });
+    }
+    if (cached) return Promise.resolve(cached.key);
+    if (!CONFIG.enabled) return Promise.resolve(null);
+    if (TEAMS.length === 0) return Promise.reject(new Error("Encryption is enabled but no team keys are configured"));
+    return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]).then(function (key) {
+      reportKeys[reportId] = { key: key, wrapped: null };
+      return key;
+    });
+  }
+
+  /**
+   * Use fromId's data key for toId too (a new report that had to take a
+   * different ID after its attachments were uploaded).
+   */
+  function carryKey(fromId, toId) {
+    if (reportKeys[fromId]) reportKeys[toId] = { key: reportKeys[fromId].key, wrapped: null };
+  }
+
+  // Wrapped keys already stored are kept; teams added to the config since get one
+  function wrapKeys(key, previous) {
+    var keys = {};
+    return Promise.all(TEAMS.map(function (team) {
+      if (previous && previous[team.id]) {
+        keys[team.id] = previous[team.id];
+        return null;
+      }
+      return publicKey(team).then(function (pub) {
+        return crypto.subtle.wrapKey("raw", key, pub, RSA);
+      }).then(function (wrapped) {
+        keys[team.id] = toBase64(wrapped);
+      });
+    })).then(function () {
+      if (Object.keys(keys).length === 0) throw new Error("No team keys configured to wrap the data key for");
+      return keys;
+    });
+  }
+
+  // ---- Reports ----
+
+  function isSealed(doc) {
+    return !!(doc && doc.sealed);
+  }
+
+  /**
+   * Encrypted copy of a plaintext report for storage: summary, content and
+   * attachment text move into `sealed`, and `encryption` carries the data
+   * key wrapped for every team.
+   */
+  function seal(doc, key) {
+    var payload = { summary: doc.summary || "", content: doc.content == null ? null : doc.content, textContent: {} };
+    var out = Object.assign({}, doc);
+    out.summary = "";
+    out.content = null;
+    if (out.attachments) {
+      out.attachments = out.attachments.map(function (att) {
+        if (att.textContent) payload.textContent[att.name] = att.textContent;
+        return Object.assign({}, att, { textContent: null });
+      });
+    }
+    var iv = randomBytes(12);
+    var previous = doc.encryption && doc.encryption.keys;
+    return Promise.all([
+      crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, key, new TextEncoder().encode(JSON.stringify(payload))),
+      wrapKeys(key, previous),
+    ]).then(function (results) {
+      out.sealed = { iv: toBase64(iv), data: toBase64(results[0]) };
+      out.encryption = { version: 1, keys: results[1] };
+      reportKeys[doc.id] = { key: key, wrapped: JSON.stringify(results[1]) };
+      return out;
+    });
+  }
+
+  /**
+   * Plaintext copy of a sealed report (`encryption` is kept so saving it
+   * again reuses the same key). Other documents are returned as they are.
+   * Rejects with code "locked" when no unlocked team can read it.
+   */
+  function open(doc) {
+    if (!isSealed(doc)) return Promise.resolve(doc);
+    return keyFor(doc.id, doc).then(function (key) {
+      return crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(doc.sealed.iv) }, key, fromBase64(doc.sealed.data))
+        .catch(function () {
+          throw new Error("Could not decrypt " + doc.id + " — its content is damaged or was sealed with another key");
+        });
+    }).then(function (plain) {
+      var payload = JSON.parse(new TextDecoder().decode(plain));
+      var out = Object.assign({}, doc);
+      delete out.sealed;
+      out.summary = payload.summary;
+      out.content = payload.content;
+      if (out.attachments) {
+        out.attachments = out.attachments.map(function (att) {
+          return Object.assign({}, att, { textContent: payload.textContent[att.name] || null });
+        });
+      }
+      return out;
+    });
+  }
+
+  // ---- Attachment files ----
+
+  /**
+   * Encrypt a File or Blob. Resolves { data: Blob, iv } — the iv is stored
+   * on the attachment.
+   */
+  function encryptBlob(key, blob) {
+    var iv = randomBytes(12);
+    return blob.arrayBuffer().then(function (buf) {
+      return crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, key, buf);
+    }).then(function (data) {
+      return { data: new Blob([data], { type: "application/octet-stream" }), iv: toBase64(iv) };
+    });
+  }
+
+  function decryptBlob(key, blob, iv, type) {
+    return blob.arrayBuffer().then(function (buf) {
+      return crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, buf);
+    }).then(function (data) {
+      return new Blob([data], { type: type || "application/octet-stream" });
+    });
+  }
+
+  return {
+    enabled: !!CONFIG.enabled,
+    teams: teams,
+    hasUnlockedTeam: hasUnlockedTeam,
+    unlockTeam: unlockTeam,
+    createTeamKey: createTeamKey,
+    keyFor: keyFor,
+    carryKey: carryKey,
+    isSealed: isSealed,
+    seal: seal,
+    open: open,
+    encryptBlob: encryptBlob,
+    decryptBlob: decryptBlob,
+  };
+})();
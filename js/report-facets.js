@@ -0,0 +1,209 @@
+/**
+ * report-facets.js — Facet filters for the report sidebar
+ *
+ * A facet state maps facet keys to a selection: a list of values for value
+ * facets (a report matches when it has any of them) or { from, to } for the
+ * date range. Facets combine with each other, the country filter and the
+ * search box (AND). counts() gives every value's live count the usual
+ * faceted-search way: against the reports matching all *other* active
+ * facets, so picking a second value in the same facet is never a dead end.
+ */
+
+const ReportFacets = (function () {
+  "use strict";
+
+  var CLASSIFICATIONS = [
+    { value: "top-secret", label: "Top Secret" },
+    { value: "secret", label: "Secret" },
+    { value: "confidential", label: "Confidential" },
+  ];
+
+  var ATTACHMENT_KINDS = [
+    { value: "pdf", label: "PDF", test: /^application\/pdf$|\.pdf$/i },
+    { value: "image", label: "Images", test: /^image\/|\.(png|jpe?g|gif|webp|tiff?)$/i },
+    { value: "text", label: "Text", test: /^text\/(plain|markdown)$|\.(txt|md)$/i },
+    { value: "spreadsheet", label: "Spreadsheets", test: /csv|spreadsheet|excel|\.xlsx?$/i },
+    { value: "document", label: "Word documents", test: /msword|wordprocessing|\.docx?$/i },
+  ];
+
+  function attachmentKind(att) {
+    var kind = ATTACHMENT_KINDS.filter(function (k) {
+      return k.test.test(att.type || "") || k.test.test(att.name || "");
+    })[0];
+    return kind ? kind.value : "other";
+  }
+
+  // "Campo, CA" -> "CA"; a name without a comma is its own area
+  function recoveryArea(report) {
+    if (report.locationName && report.locationName.trim()) {
+      var parts = report.locationName.split(",");
+      return parts[parts.length - 1].trim();
+    }
+    return report.lat != null && report.lng != null ? "Unnamed site" : null;
+  }
+
+  function yesNo(yes, no) {
+    return { yes: yes, no: no };
+  }
+
+  // values(report, context) -> the facet values a report has
+  var FACETS = [
+    {
+      key: "classification",
+      label: "Classification",
+      values: function (r) { return [r.classification]; },
+      labels: CLASSIFICATIONS.reduce(function (m, c) { m[c.value] = c.label; return m; }, {}),
+      order: CLASSIFICATIONS.map(function (c) { return c.value; }),
+    },
+    { key: "date", label: "Report date", range: true },
+    {
+      key: "area",
+      label: "Recovery area",
+      values: function (r) { var a = recoveryArea(r); return a ? [a] : []; },
+    },
+    {
+      key: "borderPost",
+      label: "Border post",
+      values: function (r, context) { return context.entities ? context.entities(r, "borderPost") : []; },
+    },
+    {
+      key: "assessment",
+      label: "Intel assessment",
+      values: function (r, context) { return [context.hasAssessment && context.hasAssessment(r) ? "yes" : "no"]; },
+      labels: yesNo("Has assessment", "No assessment"),
+      order: ["yes", "no"],
+    },
+    {
+      key: "location",
+      label: "Location",
+      values: function (r) { return [r.lat != null && r.lng != null ? "yes" : "no"]; },
+      labels: yesNo("Has coordinates", "No coordinates"),
+      order: ["yes", "no"],
+    },
+    {
+      key: "attachmentType",
+      label: "Attachment type",
+      values: function (r) {
+        var atts = r.attachments || [];
+        if (atts.length === 0) return ["none"];
+        return atts.map(attachmentKind).filter(function (k, i, all) { return all.indexOf(k) === i; });
+      },
+      labels: ATTACHMENT_KINDS.reduce(function (m, k) { m[k.value] = k.label; return m; }, { other: "Other files", none: "No attachments" }),
+    },
+    {
+      key: "creator",
+      label: "Created by",
+      values: function (r) { return [r.createdBy || "unknown"]; },
+      labels: { unknown: "Unknown" },
+    },
+  ];
+
+  function isActive(facet, selection) {
+    if (!selection) return false;
+    if (facet.range) return !!(selection.from || selection.to);
+    return selection.length > 0;
+  }
+
+  function matchesFacet(facet, report, selection, context) {
+    if (facet.range) {
+      var date = report.date || "";
+      if (selection.from && date < selection.from) return false;
+      if (selection.to && date > selection.to) return false;
+      return true;
+    }
+    return facet.values(report, context).some(function (v) { return selection.indexOf(v) !== -1; });
+  }
+
+  /**
+   * Does `report` pass every active facet in `state` (but `exceptKey`)?
+   * context.hasAssessment(report) answers the assessment facet and
+   * context.entities(report, type) the border post facet (entities.js).
+   */
+  function matches(report, state, context, exceptKey) {
+    context = context || {};
+    return FACETS.every(function (facet) {
+      if (facet.key === exceptKey || !isActive(facet, state[facet.key])) return true;
+      return matchesFacet(facet, report, state[facet.key], context);
+    });
+  }
+
+  function valueLabel(facet, value) {
+    return (facet.labels && facet.labels[value]) || value;
+  }
+
+  /**
+   * Live counts for the panel, one entry per facet:
+   *   { key, label, range: true, count }  (reports inside the date range)
+   *   { key, label, values: [{ value, label, count, selected }] }
+   * Selected values are always listed, even when nothing has them now.
+   */
+  function counts(reports, state, context) {
+    context = context || {};
+    return FACETS.map(function (facet) {
+      var selection = state[facet.key];
+      var pool = reports.filter(function (r) { return matches(r, state, context, facet.key); });
+      if (facet.range) {
+        var inRange = isActive(facet, selection)
+          ? pool.filter(function (r) { return matchesFacet(facet, r, selection, context); }).length
+          : pool.length;
+        return { key: facet.key, label: facet.label, range: true, count: inRange };
+      }
+      var tally = {};
+      pool.forEach(function (r) {
+        facet.values(r, context).forEach(function (v) { tally[v] = (tally[v] || 0) + 1; });
+      });
+      (selection || []).forEach(function (v) { if (!tally[v]) tally[v] = 0; });
+      var values = Object.keys(tally).map(function (v) {
+        return { value: v, label: valueLabel(facet, v), count: tally[v], selected: !!selection && selection.indexOf(v) !== -1 };
+      });
+      values.sort(function (a, b) {
+        if (facet.order) return facet.order.indexOf(a.value) - facet.order.indexOf(b.value);
+        return b.count - a.count || a.label.localeCompare(b.label);
+      });
+      return { key: facet.key, label: facet.label, values: values };
+    });
+  }
+
+  /**
+   * Readable summary of a state ("Classification: Secret; Report date:
+   * 2026-01-01 – …"), e.g. for a tooltip.
+   */
+  function describe(state) {
+    return FACETS.filter(function (f) { return isActive(f, state[f.key]); }).map(function (facet) {
+      var sel = state[facet.key];
+      if (facet.range) return facet.label + ": " + (sel.from || "\u2026") + " \u2013 " + (sel.to || "\u2026");
+      return facet.label + ": " + sel.map(function (v) { return valueLabel(facet, v); }).join(", ");
+    }).join("; ");
+  }
+
+  /**
+   * Number of facets with a selection.
+   */
+  function activeCount(state) {
+    return FACETS.filter(function (f) { return isActive(f, state[f.key]); }).length;
+  }
+
+  /**
+   * A clean copy of a stored state: known facets with a selection only.
+   */
+  function normalize(state) {
+    var out = {};
+    FACETS.forEach(function (facet) {
+      var sel = state && state[facet.key];
+      if (facet.range) {
+        if (sel && (sel.from || sel.to)) out.date = { from: sel.from || "", to: sel.to || "" };
+      } else if (Array.isArray(sel) && sel.length) {
+        out[facet.key] = sel.filter(function (v) { return typeof v === "string"; });
+      }
+    });
+    return out;
+  }
+
+  return {
+    matches: matches,
+    counts: counts,
+    activeCount: activeCount,
+    normalize: normalize,
+    describe: describe,
+  };
+})();
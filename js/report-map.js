@@ -0,0 +1,322 @@
+/**
+ * report-map.js — Map of every report's recovery location
+ *
+ * create() puts the located reports on a Leaflet map as markers colored by
+ * classification, clustered with Leaflet.markercluster when it loaded, and
+ * lets the user draw one rectangle or polygon (Leaflet.draw) as an area
+ * filter. Areas are plain objects so the report list can test them without
+ * Leaflet:
+ *   { type: "rectangle", south, west, north, east }
+ *   { type: "polygon", points: [[lat, lng], ...] }
+ * The same map can show recovery density instead (Leaflet.heat) for a
+ * period of months, and sync() ties two maps together for comparing periods.
+ */
+
+const ReportMap = (function () {
+  "use strict";
+
+  var CLASSIFICATIONS = {
+    "top-secret": { label: "Top Secret", color: "#ef4444", rank: 0 },
+    secret: { label: "Secret", color: "#fbbf24", rank: 1 },
+    confidential: { label: "Confidential", color: "#34d399", rank: 2 },
+  };
+  var UNCLASSIFIED = { label: "Unclassified", color: "#9ca3af", rank: 3 };
+
+  var HEAT_OPTIONS = {
+    radius: 25,
+    blur: 18,
+    maxZoom: 11,
+    minOpacity: 0.35,
+    gradient: { 0.2: "#1e3a8a", 0.45: "#34d399", 0.7: "#fbbf24", 1: "#ef4444" },
+  };
+
+  function classification(report) {
+    return CLASSIFICATIONS[report.classification] || UNCLASSIFIED;
+  }
+
+  function isLocated(report) {
+    return typeof report.lat === "number" && typeof report.lng === "number" &&
+      isFinite(report.lat) && isFinite(report.lng);
+  }
+
+  function located(reports) {
+    return reports.filter(isLocated);
+  }
+
+  /**
+   * Every month ("YYYY-MM") from the earliest to the latest dated report,
+   * gaps included, so a slider over them moves at a steady pace.
+   */
+  function monthRange(reports) {
+    var dated = reports.map(function (r) { return (r.date || "").slice(0, 7); })
+      .filter(function (m) { return /^\d{4}-\d{2}$/.test(m); })
+      .sort();
+    if (!dated.length) return [];
+    var months = [];
+    var year = Number(dated[0].slice(0, 4));
+    var month = Number(dated[0].slice(5, 7));
+    var last = dated[dated.length - 1];
+    for (;;) {
+      var key = year + "-" + (month < 10 ? "0" : "") + month;
+      months.push(key);
+      if (key >= last) break;
+      month++;
+      if (month > 12) { month = 1; year++; }
+    }
+    return months;
+  }
+
+  // Inclusive month bounds ("YYYY-MM"); undated reports are in no period
+  function inMonths(report, from, to) {
+    var month = (report.date || "").slice(0, 7);
+    return month.length === 7 && month >= from && month <= to;
+  }
+
+  function heatAvailable() {
+    return typeof L !== "undefined" && typeof L.heatLayer === "function";
+  }
+
+  // Ray casting; good enough at the scales an analyst draws
+  function insidePolygon(points, lat, lng) {
+    var inside = false;
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+      var yi = points[i][0], xi = points[i][1];
+      var yj = points[j][0], xj = points[j][1];
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  /**
+   * Whether a point lies in an area. A missing area contains everything;
+   * a missing point is never inside an area.
+   */
+  function contains(area, lat, lng) {
+    if (!area) return true;
+    if (typeof lat !== "number" || typeof lng !== "number") return false;
+    if (area.type === "rectangle") {
+      return lat >= area.south && lat <= area.north && lng >= area.west && lng <= area.east;
+    }
+    if (area.type === "polygon") return insidePolygon(area.points, lat, lng);
+    return false;
+  }
+
+  // An area can carry a label (the globe names its hotspots)
+  function describe(area) {
+    if (!area) return "";
+    if (area.label) return area.label;
+    return area.type === "rectangle" ? "Rectangle" : "Polygon (" + area.points.length + " points)";
+  }
+
+  function areaFromLayer(layer) {
+    if (layer instanceof L.Rectangle) {
+      var b = layer.getBounds();
+      return { type: "rectangle", south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() };
+    }
+    var ring = layer.getLatLngs()[0];
+    return { type: "polygon", points: ring.map(function (p) { return [p.lat, p.lng]; }) };
+  }
+
+  function layerFromArea(area) {
+    var style = { color: "#34d399", weight: 2, fillOpacity: 0.08 };
+    if (area.type === "rectangle") return L.rectangle([[area.south, area.west], [area.north, area.east]], style);
+    return L.polygon(area.points, style);
+  }
+
+  function markerIcon(report) {
+    return L.divIcon({
+      className: "report-map-marker",
+      html: '<span style="background:' + classification(report).color + '"></span>',
+      iconSize: [16, 16],
+      iconAnchor: [8, 8],
+      popupAnchor: [0, -8],
+    });
+  }
+
+  // A cluster takes the color of the most sensitive report in it
+  function clusterIcon(cluster) {
+    var top = UNCLASSIFIED;
+    cluster.getAllChildMarkers().forEach(function (m) {
+      var c = classification(m.options.report);
+      if (c.rank < top.rank) top = c;
+    });
+    var count = cluster.getChildCount();
+    var size = count < 10 ? 30 : count < 100 ? 36 : 44;
+    return L.divIcon({
+      className: "report-map-cluster",
+      html: '<span style="border-color:' + top.color + ';color:' + top.color + '">' + count + "</span>",
+      iconSize: [size, size],
+    });
+  }
+
+  /**
+   * Show reports on a map in `container`. options.onOpen(reportId) is
+   * called from a marker popup, options.onArea(area | null) when the user
+   * draws or deletes the area filter, options.area is drawn initially;
+   * options.draw: false leaves out the draw tools, options.tiles is passed
+   * to MapTiles.addTo. Returns
+   *   { map, setReports(reports), setArea(area), setMode("markers" | "heat"),
+   *     setHeat(reports), fit() }
+   * and the caller removes it with map.remove().
+   */
+  function create(container, options) {
+    options = options || {};
+    var map = L.map(container, { worldCopyJump: true }).setView([20, 0], 2);
+    MapTiles.addTo(map, options.tiles);
+
+    var markers = L.markerClusterGroup
+      ? L.markerClusterGroup({ iconCreateFunction: clusterIcon, showCoverageOnHover: false, maxClusterRadius: 50 })
+      : L.layerGroup();
+    markers.addTo(map);
+
+    var heat = heatAvailable() ? L.heatLayer([], HEAT_OPTIONS) : null;
+
+    var drawn = new L.FeatureGroup().addTo(map);
+    if (L.Control.Draw && options.draw !== false) {
+      map.addControl(new L.Control.Draw({
+        position: "topright",
+        draw: {
+          rectangle: { showArea: false, shapeOptions: { color: "#34d399", weight: 2 } },
+          polygon: { allowIntersection: false, shapeOptions: { color: "#34d399", weight: 2 } },
+          polyline: false,
+          circle: false,
+          circlemarker: false,
+          marker: false,
+        },
+        edit: { featureGroup: drawn },
+      }));
+      // One area at a time: a new shape replaces the old one
+      map.on(L.Draw.Event.CREATED, function (e) {
+        drawn.clearLayers();
+        drawn.addLayer(e.layer);
+        if (options.onArea) options.onArea(areaFromLayer(e.layer));
+      });
+      map.on(L.Draw.Event.EDITED, function () {
+        var layer = drawn.getLayers()[0];
+        if (layer && options.onArea) options.onArea(areaFromLayer(layer));
+      });
+      map.on(L.Draw.Event.DELETED, function () {
+        if (!drawn.getLayers().length && options.onArea) options.onArea(null);
+      });
+    }
+
+    function popup(report) {
+      var el = document.createElement("div");
+      el.className = "report-map-popup";
+      var title = document.createElement("strong");
+      title.textContent = report.subjectName || report.id;
+      el.appendChild(title);
+      var meta = document.createElement("div");
+      meta.className = "report-map-popup-meta";
+      var c = classification(report);
+      var badge = document.createElement("span");
+      badge.style.color = c.color;
+      badge.textContent = c.label;
+      meta.appendChild(document.createTextNode(report.id + " \u2022 "));
+      meta.appendChild(badge);
+      el.appendChild(meta);
+      var place = document.createElement("div");
+      place.textContent = (report.locationName || "Recovery site") + (report.date ? " \u2022 " + report.date : "");
+      el.appendChild(place);
+      var open = document.createElement("button");
+      open.type = "button";
+      open.className = "btn-action";
+      open.textContent = "Open report";
+      open.addEventListener("click", function () {
+        if (options.onOpen) options.onOpen(report.id);
+      });
+      el.appendChild(open);
+      return el;
+    }
+
+    var shown = [];
+
+    function setReports(reports) {
+      shown = located(reports);
+      markers.clearLayers();
+      var layers = shown.map(function (r) {
+        return L.marker([r.lat, r.lng], { icon: markerIcon(r), report: r, title: r.id })
+          .bindPopup(function () { return popup(r); });
+      });
+      if (markers.addLayers) markers.addLayers(layers);
+      else layers.forEach(function (m) { markers.addLayer(m); });
+    }
+
+    function setMode(mode) {
+      if (mode === "heat" && heat) {
+        map.removeLayer(markers);
+        heat.addTo(map);
+      } else {
+        if (heat) map.removeLayer(heat);
+        markers.addTo(map);
+      }
+    }
+
+    function setHeat(reports) {
+      if (!heat) return;
+      heat.setLatLngs(located(reports).map(function (r) { return [r.lat, r.lng, 1]; }));
+    }
+
+    function setArea(area) {
+      drawn.clearLayers();
+      if (area) drawn.addLayer(layerFromArea(area));
+    }
+
+    function fit() {
+      var layer = drawn.getLayers()[0];
+      if (layer) {
+        map.fitBounds(layer.getBounds(), { padding: [30, 30] });
+      } else if (shown.length) {
+        map.fitBounds(L.latLngBounds(shown.map(function (r) { return [r.lat, r.lng]; })), { padding: [30, 30], maxZoom: 13 });
+      }
+    }
+
+    if (options.area) setArea(options.area);
+
+    return {
+      map: map,
+      setReports: setReports,
+      setArea: setArea,
+      setMode: setMode,
+      setHeat: setHeat,
+      fit: fit,
+    };
+  }
+
+  /**
+   * Keep two Leaflet maps on the same center and zoom. Returns a function
+   * that unties them.
+   */
+  function sync(a, b) {
+    var moving = false;
+    function follow(from, to) {
+      return function () {
+        if (moving) return;
+        moving = true;
+        to.setView(from.getCenter(), from.getZoom(), { animate: false });
+        moving = false;
+      };
+    }
+    var aToB = follow(a, b);
+    var bToA = follow(b, a);
+    a.on("move", aToB);
+    b.on("move", bToA);
+    b.setView(a.getCenter(), a.getZoom(), { animate: false });
+    return function () {
+      a.off("move", aToB);
+      b.off("move", bToA);
+    };
+  }
+
+  return {
+    CLASSIFICATIONS: CLASSIFICATIONS,
+    located: located,
+    contains: contains,
+    describe: describe,
+    monthRange: monthRange,
+    inMonths: inMonths,
+    heatAvailable: heatAvailable,
+    create: create,
+    sync: sync,
+  };
+})();
@@ -0,0 +1,371 @@
+/**
+ * report-query.js — Structured query syntax for the dashboard search box
+ *
+ *   nationality:turkey classification:secret date:2026-01..2026-03
+ *   has:assessment attachments>2 "border post" (serakhs OR artyk) -transit
+ *   border:artyk person:"velat ok" docnum:F00179638 entity:2022-10
+ *
+ * Terms next to each other must all match (AND is implied); OR, NOT / a
+ * leading "-" and parentheses combine them, and "quoted phrases" match words
+ * in sequence. Bare words and phrases are full-text terms, looked up by the
+ * caller (see search-index.js). parse() throws an Error with code
+ * "invalid-query" and the offending `position` in the input.
+ */
+
+const ReportQuery = (function () {
+  "use strict";
+
+  // field name (and aliases) -> kind
+  var FIELDS = {
+    id: "text",
+    passport: "text",
+    name: "text",
+    subject: "text",
+    nationality: "text",
+    country: "text",
+    location: "text",
+    classification: "classification",
+    class: "classification",
+    date: "date",
+    has: "has",
+    attachments: "count",
+    entity: "entity",
+    mentions: "entity",
+    person: "entity",
+    place: "entity",
+    border: "entity",
+    docnum: "entity",
+    doc: "entity",
+  };
+  var ALIASES = { subject: "name", country: "nationality", class: "classification", mentions: "entity", doc: "docnum" };
+  // Entity fields -> entity type (entities.js); entity: matches any type
+  var ENTITY_TYPES = { entity: null, person: "person", place: "place", border: "borderPost", docnum: "document" };
+  var HAS_VALUES = ["assessment", "attachments", "attachment", "location", "content", "encryption"];
+
+  function queryError(message, position) {
+    var err = new Error(message);
+    err.code = "invalid-query";
+    err.position = position;
+    return err;
+  }
+
+  // ---- Lexer ----
+  //
+  // Tokens: { type: "(" | ")" | "word" | "phrase" | "not", value, pos }.
+  // A field term is one word token whose value may carry a quoted part
+  // (location:"San Diego").
+
+  function readQuoted(input, start) {
+    var value = "";
+    for (var i = start + 1; i < input.length; i++) {
+      var c = input[i];
+      if (c === "\\" && i + 1 < input.length) {
+        value += input[++i];
+      } else if (c === '"') {
+        return { value: value, end: i + 1 };
+      } else {
+        value += c;
+      }
+    }
+    throw queryError("Unclosed quote", start);
+  }
+
+  function lex(input) {
+    var tokens = [];
+    var i = 0;
+    while (i < input.length) {
+      var c = input[i];
+      if (/\s/.test(c)) {
+        i++;
+      } else if (c === "(" || c === ")") {
+        tokens.push({ type: c, pos: i });
+        i++;
+      } else if (c === '"') {
+        var quoted = readQuoted(input, i);
+        tokens.push({ type: "phrase", value: quoted.value, pos: i });
+        i = quoted.end;
+      } else if (c === "-" && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+        tokens.push({ type: "not", pos: i });
+        i++;
+      } else {
+        var start = i;
+        var word = "";
+        while (i < input.length && !/[\s()]/.test(input[i])) {
+          if (input[i] === '"') {
+            // field:"quoted value"
+            var part = readQuoted(input, i);
+            word += '"' + part.value + '"';
+            i = part.end;
+          } else {
+            word += input[i++];
+          }
+        }
+        tokens.push({ type: "word", value: word, pos: start });
+      }
+    }
+    return tokens;
+  }
+
+  // ---- Field terms ----
+
+  function splitField(word) {
+    var m = /^([A-Za-z]+)(>=|<=|>|<|=|:)(.*)$/.exec(word);
+    if (!m) return null;
+    var value = m[3];
+    var quoted = /^"(.*)"$/.exec(value);
+    return { name: m[1].toLowerCase(), op: m[2], value: quoted ? quoted[1] : value };
+  }
+
+  var DATE_RE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+  // Inclusive bounds of a partial date, compared as strings against
+  // YYYY-MM-DD: "2026-01" covers "2026-01" up to "2026-01\uffff"
+  function dateBounds(value, pos) {
+    if (!DATE_RE.test(value)) throw queryError("Dates are YYYY, YYYY-MM or YYYY-MM-DD (got \u201c" + value + "\u201d)", pos);
+    return { from: value, to: value + "\uffff" };
+  }
+
+  function fieldTerm(token, parts) {
+    var kind = FIELDS[parts.name];
+    var field = ALIASES[parts.name] || parts.name;
+    var pos = token.pos;
+    if (!kind) throw queryError("Unknown field \u201c" + parts.name + "\u201d", pos);
+    if (parts.value === "") throw queryError(field + ": needs a value", pos);
+    var node = { type: "field", field: field, op: parts.op, value: parts.value, pos: pos };
+
+    if (kind === "count") {
+      if (!/^\d+$/.test(parts.value)) throw queryError(field + " compares with a whole number", pos);
+      node.number = parseInt(parts.value, 10);
+      return node;
+    }
+    if (kind === "date") {
+      var range = /^(.*)\.\.(.*)$/.exec(parts.value);
+      if (range) {
+        if (parts.op !== ":") throw queryError("Use date:from..to for a range", pos);
+        node.from = range[1] ? dateBounds(range[1], pos).from : null;
+        node.to = range[2] ? dateBounds(range[2], pos).to : null;
+        if (node.from === null && node.to === null) throw queryError("date: range needs a start or an end", pos);
+      } else {
+        var bounds = dateBounds(parts.value, pos);
+        node.from = parts.op === ">" ? bounds.to : parts.op === "<" || parts.op === "<=" ? null : bounds.from;
+        node.to = parts.op === "<" ? bounds.from : parts.op === ">" || parts.op === ">=" ? null : bounds.to;
+        node.exclusive = parts.op === ">" || parts.op === "<";
+      }
+      return node;
+    }
+    if (parts.op !== ":" && parts.op !== "=") throw queryError(field + " only supports " + field + ":value", pos);
+    if (kind === "has") {
+      var what = parts.value.toLowerCase();
+      if (HAS_VALUES.indexOf(what) === -1) {
+        throw queryError("has: takes " + HAS_VALUES.filter(function (v) { return v !== "attachment"; }).join(", "), pos);
+      }
+      node.value = what === "attachment" ? "attachments" : what;
+    }
+    return node;
+  }
+
+  // ---- Parser ----
+  //
+  //   or      := and ("OR" and)*
+  //   and     := unary (["AND"] unary)*
+  //   unary   := ("NOT" | "-") unary | primary
+  //   primary := "(" or ")" | phrase | word | field term
+
+  function parse(input) {
+    var tokens = lex(input || "");
+    var i = 0;
+
+    function peek() { return tokens[i]; }
+    function isKeyword(token, word) { return token && token.type === "word" && token.value === word; }
+
+    function parseOr() {
+      var items = [parseAnd()];
+      while (isKeyword(peek(), "OR")) {
+        var orToken = tokens[i++];
+        if (!peek() || peek().type === ")") throw queryError("OR needs a term after it", orToken.pos);
+        items.push(parseAnd());
+      }
+      return items.length === 1 ? items[0] : { type: "or", items: items };
+    }
+
+    function parseAnd() {
+      var items = [parseUnary()];
+      while (peek() && peek().type !== ")" && !isKeyword(peek(), "OR")) {
+        if (isKeyword(peek(), "AND")) {
+          var andToken = tokens[i++];
+          if (!peek() || peek().type === ")" || isKeyword(peek(), "OR")) throw queryError("AND needs a term after it", andToken.pos);
+        }
+        items.push(parseUnary());
+      }
+      return items.length === 1 ? items[0] : { type: "and", items: items };
+    }
+
+    function parseUnary() {
+      var token = peek();
+      if (token && (token.type === "not" || isKeyword(token, "NOT"))) {
+        i++;
+        if (!peek() || peek().type === ")") throw queryError("NOT needs a term after it", token.pos);
+        return { type: "not", item: parseUnary() };
+      }
+      return parsePrimary();
+    }
+
+    function parsePrimary() {
+      var token = tokens[i++];
+      if (!token) throw queryError("Query ends too early", input.length);
+      if (token.type === "(") {
+        if (peek() && peek().type === ")") throw queryError("Empty parentheses", token.pos);
+        var inner = parseOr();
+        if (!peek() || peek().type !== ")") throw queryError("Missing closing parenthesis", token.pos);
+        i++;
+        return inner;
+      }
+      if (token.type === ")") throw queryError("Unexpected \u201c)\u201d", token.pos);
+      if (token.type === "phrase") {
+        if (!token.value.trim()) throw queryError("Empty phrase", token.pos);
+        return { type: "text", value: token.value, phrase: true, pos: token.pos };
+      }
+      if (token.value === "AND" || token.value === "OR") throw queryError(token.value + " needs a term before it", token.pos);
+      var parts = splitField(token.value);
+      if (parts) return fieldTerm(token, parts);
+      return { type: "text", value: token.value, phrase: false, pos: token.pos };
+    }
+
+    if (tokens.length === 0) return null;
+    var ast = parseOr();
+    if (i < tokens.length) throw queryError("Unexpected \u201c)\u201d", tokens[i].pos);
+    return ast;
+  }
+
+  // ---- Evaluation ----
+
+  function fold(value) {
+    return String(value == null ? "" : value).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  }
+
+  function compact(value) {
+    return fold(value).replace(/[^a-z0-9]/g, "");
+  }
+
+  var TEXT_FIELDS = {
+    id: "id",
+    passport: "passportNumber",
+    nationality: "nationality",
+    location: "locationName",
+  };
+
+  function matchField(node, report, context) {
+    switch (node.field) {
+      case "classification":
+        return compact(report.classification).indexOf(compact(node.value)) === 0;
+      case "date": {
+        var date = report.date || "";
+        if (!date) return false;
+        if (node.from !== null && (node.exclusive ? date <= node.from : date < node.from)) return false;
+        if (node.to !== null && (node.exclusive ? date >= node.to : date > node.to)) return false;
+        return true;
+      }
+      case "attachments": {
+        var n = (report.attachments || []).length;
+        var v = node.number;
+        return node.op === ">" ? n > v : node.op === ">=" ? n >= v : node.op === "<" ? n < v : node.op === "<=" ? n <= v : n === v;
+      }
+      case "has":
+        if (node.value === "attachments") return (report.attachments || []).length > 0;
+        if (node.value === "location") return report.lat != null && report.lng != null;
+        if (node.value === "content" && report.content) return true;
+        if (node.value === "encryption") return !!report.encryption;
+        return context.has ? !!context.has(report, node.value) : false;
+      case "name":
+        if (context.name) return !!context.name(report, node.value);
+        return fold(report.subjectName).indexOf(fold(node.value)) !== -1;
+      case "entity":
+      case "person":
+      case "place":
+      case "border":
+      case "docnum":
+        return context.entity ? !!context.entity(report, ENTITY_TYPES[node.field], node.value) : false;
+      default:
+        return fold(report[TEXT_FIELDS[node.field]]).indexOf(fold(node.value)) !== -1;
+    }
+  }
+
+  /**
+   * Does `report` satisfy the parsed query? context.text(report, node)
+   * decides full-text terms; context.has(report, what) answers has: values
+   * StorageDB doesn't know about (has:assessment); context.name(report,
+   * value), when given, replaces the substring test for name: terms;
+   * context.entity(report, type, value) answers the entity fields (type
+   * null for entity:).
+   */
+  function matches(ast, report, context) {
+    if (!ast) return true;
+    context = context || {};
+    switch (ast.type) {
+      case "and": return ast.items.every(function (item) { return matches(item, report, context); });
+      case "or": return ast.items.some(function (item) { return matches(item, report, context); });
+      case "not": return !matches(ast.item, report, context);
+      case "field": return matchField(ast, report, context);
+      default: return context.text ? !!context.text(report, ast) : false;
+    }
+  }
+
+  // Values of the terms accepted by test, skipping those under a NOT
+  function collect(ast, test) {
+    var out = [];
+    (function walk(node) {
+      if (!node || node.type === "not") return;
+      if (test(node)) out.push(node.value);
+      else if (node.items) node.items.forEach(walk);
+    })(ast);
+    return out;
+  }
+
+  /**
+   * Full-text terms that count towards ranking and highlighting (those not
+   * under a NOT).
+   */
+  function textTerms(ast) {
+    return collect(ast, function (node) { return node.type === "text"; });
+  }
+
+  /**
+   * Values of name: terms not under a NOT.
+   */
+  function nameTerms(ast) {
+    return collect(ast, function (node) { return node.type === "field" && node.field === "name"; });
+  }
+
+  // ---- Formatting (canonical form, for the URL) ----
+
+  function quoteIfNeeded(value) {
+    return /[\s()"]/.test(value) || value === "" ? '"' + value.replace(/(["\\])/g, "\\$1") + '"' : value;
+  }
+
+  function format(ast) {
+    if (!ast) return "";
+    switch (ast.type) {
+      case "and":
+        return ast.items.map(function (item) {
+          return item.type === "or" ? "(" + format(item) + ")" : format(item);
+        }).join(" ");
+      case "or":
+        return ast.items.map(format).join(" OR ");
+      case "not":
+        return "-" + (ast.item.type === "and" || ast.item.type === "or" ? "(" + format(ast.item) + ")" : format(ast.item));
+      case "field":
+        return ast.field + ast.op + quoteIfNeeded(ast.value);
+      default:
+        return ast.phrase ? '"' + ast.value.replace(/(["\\])/g, "\\$1") + '"' : ast.value;
+    }
+  }
+
+  return {
+    FIELDS: Object.keys(FIELDS),
+    parse: parse,
+    matches: matches,
+    textTerms: textTerms,
+    nameTerms: nameTerms,
+    format: format,
+  };
+})();
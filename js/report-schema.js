@@ -0,0 +1,305 @@
+/**
+ * report-schema.js — Report document schema, validation and migrations
+ *
+ * Every stored report carries `schemaVersion`. Documents written before a
+ * step in MIGRATIONS existed are upgraded by running the missing steps in
+ * order — StorageDB does this on read, on save, on import and in the batch
+ * run on the Admin page — and are then checked against FIELDS.
+ */
+
+const ReportSchema = (function () {
+  "use strict";
+
+  var CLASSIFICATIONS = ["confidential", "secret", "top-secret"];
+
+  // ---- Schema ----
+  //
+  // type: "string" | "number" | "boolean" | "object" | "array"
+  // required: must be present (not undefined/null); nonEmpty: strings only
+  // nullable: null allowed; min/max: numbers; pattern/oneOf: strings
+
+  var ATTACHMENT_FIELDS = {
+    name: { type: "string", required: true, nonEmpty: true },
+    type: { type: "string", required: true },
+    size: { type: "number", required: true, min: 0 },
+    storageUrl: { type: "string", nullable: true },
+    storagePath: { type: "string", nullable: true },
+    sha256: { type: "string", nullable: true, pattern: /^[0-9a-f]{64}$/ },
+    textContent: { type: "string", nullable: true },
+    // Exported without its data (see migration 1); nothing to download
+    missing: { type: "boolean" },
+    missingReason: { type: "string", nullable: true },
+    // File is encrypted with the report's data key (see report-crypto.js)
+    iv: { type: "string", nullable: true },
+  };
+
+  // Another report about the same subject (see duplicates.js)
+  var LINK_FIELDS = {
+    id: { type: "string", required: true, nonEmpty: true },
+    // "linked": kept side by side; "merged": folded into this report and trashed
+    relation: { type: "string", required: true, oneOf: ["linked", "merged"] },
+    at: { type: "string", nullable: true },
+    by: { type: "string", nullable: true },
+  };
+
+  var FIELDS = {
+    id: { type: "string", required: true, nonEmpty: true, pattern: /^[^\/\s]+$/ },
+    passportNumber: { type: "string", required: true },
+    subjectName: { type: "string", required: true, nonEmpty: true },
+    nationality: { type: "string", required: true },
+    // Read from the passport MRZ or typed (see mrz.js)
+    dateOfBirth: { type: "string", nullable: true, pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    passportExpiry: { type: "string", nullable: true, pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    date: { type: "string", required: true, pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    classification: { type: "string", required: true, oneOf: CLASSIFICATIONS },
+    summary: { type: "string", required: true },
+    content: { type: "string", nullable: true },
+    locationName: { type: "string", nullable: true },
+    lat: { type: "number", nullable: true, min: -90, max: 90 },
+    lng: { type: "number", nullable: true, min: -180, max: 180 },
+    // Coordinates that could not be repaired (see migration 2)
+    legacyLocation: { type: "object", nullable: true },
+    attachments: { type: "array", items: ATTACHMENT_FIELDS },
+    linkedReports: { type: "array", items: LINK_FIELDS },
+    // Subject entity this report is about (subjects/{id}, see subjects.js)
+    subjectId: { type: "string", nullable: true, pattern: /^[^\/\s]+$/ },
+    fieldOverrides: { type: "object", nullable: true },
+    // Encrypted reports: wrapped data keys, and summary/content/attachment
+    // text while stored (see report-crypto.js)
+    encryption: { type: "object", nullable: true },
+    sealed: { type: "object", nullable: true },
+    // Maintained by StorageDB
+    schemaVersion: { type: "number", required: true },
+    revision: { type: "number" },
+    createdAt: { type: "string", nullable: true },
+    createdBy: { type: "string", nullable: true },
+    updatedAt: { type: "string", nullable: true },
+    updatedBy: { type: "string", nullable: true },
+  };
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+
+  function checkFields(obj, fields, prefix, errors) {
+    Object.keys(obj).forEach(function (key) {
+      if (!fields[key]) errors.push(prefix + key + ": unknown field");
+    });
+    Object.keys(fields).forEach(function (key) {
+      var rule = fields[key];
+      var value = obj[key];
+      var path = prefix + key;
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push(path + ": required");
+        else if (value === null && !rule.nullable) errors.push(path + ": must not be null");
+        return;
+      }
+      if (typeOf(value) !== rule.type) {
+        errors.push(path + ": expected " + rule.type + ", got " + typeOf(value));
+        return;
+      }
+      if (rule.type === "number") {
+        if (!isFinite(value)) errors.push(path + ": must be a finite number");
+        else if (rule.min != null && value < rule.min) errors.push(path + ": below " + rule.min);
+        else if (rule.max != null && value > rule.max) errors.push(path + ": above " + rule.max);
+      }
+      if (rule.type === "string") {
+        if (rule.nonEmpty && !value.trim()) errors.push(path + ": must not be empty");
+        else if (rule.pattern && !rule.pattern.test(value)) errors.push(path + ": invalid format");
+        else if (rule.oneOf && rule.oneOf.indexOf(value) === -1) errors.push(path + ": must be one of " + rule.oneOf.join(", "));
+      }
+      if (rule.type === "array" && rule.items) {
+        value.forEach(function (item, i) {
+          if (typeOf(item) !== "object") {
+            errors.push(path + "[" + i + "]: expected object");
+            return;
+          }
+          checkFields(item, rule.items, path + "[" + i + "].", errors);
+        });
+      }
+    });
+  }
+
+  /**
+   * Check a report document against the schema. Returns a list of problems
+   * ("field: reason"); empty when the document is valid.
+   * options.pending: the report is about to be saved, so attachments may
+   * still carry a `file` to upload and schemaVersion isn't set yet.
+   */
+  function validate(doc, options) {
+    options = options || {};
+    var errors = [];
+    if (!doc || typeOf(doc) !== "object") return ["report: expected object"];
+
+    if (options.pending) {
+      var copy = Object.assign({}, doc);
+      copy.schemaVersion = VERSION;
+      if (copy.attachments) {
+        copy.attachments = copy.attachments.map(function (att) {
+          var a = Object.assign({}, att);
+          delete a.file;
+          return a;
+        });
+      }
+      doc = copy;
+    }
+
+    checkFields(doc, FIELDS, "", errors);
+    if ((doc.lat == null) !== (doc.lng == null)) {
+      errors.push("lat/lng: both or neither must be set");
+    }
+    return errors;
+  }
+
+  // ---- Migrations ----
+  //
+  // Each step upgrades a document from version - 1 to `version`. Steps get a
+  // shallow copy they may modify (attachments copied too) and the context
+  // StorageDB passes in — { upload(reportId, name, blob) -> { storageUrl,
+  // storagePath, sha256, iv } }, or { inline: true } when nothing may be
+  // written — and may return a promise.
+
+  // Hand-verified corrections for specific reports, keyed by ID
+  var KNOWN_LOCATION_FIXES = {
+    // Seeded with a longitude far outside ±180
+    "RPT-2026-0013": { lat: 32.607553, lng: -116.243793, locationName: "Campo, CA" },
+  };
+
+  function dataUrlToBlob(dataUrl, fallbackType) {
+    var comma = dataUrl.indexOf(",");
+    var header = dataUrl.slice(0, comma);
+    var mimeMatch = /^data:([^;,]+)/.exec(header);
+    var body = dataUrl.slice(comma + 1);
+    var bytes;
+    if (/;base64$/.test(header)) {
+      var binary = atob(body);
+      bytes = new Uint8Array(binary.length);
+      for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    } else {
+      bytes = new TextEncoder().encode(decodeURIComponent(body));
+    }
+    return new Blob([bytes], { type: (mimeMatch && mimeMatch[1]) || fallbackType || "application/octet-stream" });
+  }
+
+  var MIGRATIONS = [
+    {
+      version: 1,
+      description: "Mark attachments exported without their data (TOO_LARGE_ placeholders) as missing",
+      migrate: function (doc) {
+        (doc.attachments || []).forEach(function (att) {
+          var m = typeof att.dataUrl === "string" && /^TOO_LARGE_(\d+)_CHARS$/.exec(att.dataUrl);
+          if (m) {
+            delete att.dataUrl;
+            att.missing = true;
+            att.missingReason = "Left out of the export this report was imported from (" +
+              Math.round(parseInt(m[1], 10) * 0.75 / 1024) + " KB)";
+          } else if (att.dataUrl === "" || att.dataUrl === null) {
+            delete att.dataUrl;
+          }
+        });
+        return doc;
+      },
+    },
+    {
+      version: 2,
+      description: "Repair out-of-range coordinates; keep ones that can't be repaired in legacyLocation",
+      migrate: function (doc) {
+        var lat = typeof doc.lat === "string" && doc.lat.trim() ? Number(doc.lat) : doc.lat;
+        var lng = typeof doc.lng === "string" && doc.lng.trim() ? Number(doc.lng) : doc.lng;
+        if (lat === undefined || lat === "") lat = null;
+        if (lng === undefined || lng === "") lng = null;
+        var valid = typeof lat === "number" && typeof lng === "number" &&
+          isFinite(lat) && isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+        if (valid || (lat === null && lng === null)) {
+          doc.lat = lat;
+          doc.lng = lng;
+          return doc;
+        }
+        var fix = KNOWN_LOCATION_FIXES[doc.id];
+        if (fix) {
+          doc.lat = fix.lat;
+          doc.lng = fix.lng;
+          doc.locationName = fix.locationName;
+        } else {
+          doc.legacyLocation = { lat: doc.lat == null ? null : doc.lat, lng: doc.lng == null ? null : doc.lng };
+          doc.lat = null;
+          doc.lng = null;
+        }
+        return doc;
+      },
+    },
+    {
+      version: 3,
+      description: "Move inline dataUrl attachments into attachment storage",
+      migrate: function (doc, context) {
+        // Reads upgrade in memory and can't upload; the data stays inline until a save
+        if (context.inline) return doc;
+        return Promise.all((doc.attachments || []).map(function (att) {
+          if (!att.dataUrl) return null;
+          if (att.storageUrl || att.storagePath) {
+            delete att.dataUrl;
+            return null;
+          }
+          var blob = dataUrlToBlob(att.dataUrl, att.type);
+          return context.upload(doc.id, att.name, blob).then(function (stored) {
+            att.storageUrl = stored.storageUrl;
+            att.storagePath = stored.storagePath;
+            att.sha256 = stored.sha256;
+            if (stored.iv) att.iv = stored.iv;
+            att.size = blob.size;
+            delete att.dataUrl;
+          });
+        })).then(function () {
+          return doc;
+        });
+      },
+    },
+  ];
+
+  var VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  function versionOf(doc) {
+    return (doc && doc.schemaVersion) || 0;
+  }
+
+  function needsUpgrade(doc) {
+    return versionOf(doc) < VERSION;
+  }
+
+  /**
+   * Run every migration newer than doc.schemaVersion. Resolves with
+   * { doc, applied: [versions] }; the input object is left untouched.
+   */
+  function upgrade(doc, context) {
+    var copy = Object.assign({}, doc);
+    if (Array.isArray(copy.attachments)) {
+      copy.attachments = copy.attachments.map(function (att) { return Object.assign({}, att); });
+    }
+    var from = versionOf(doc);
+    var applied = [];
+    return MIGRATIONS.filter(function (step) {
+      return step.version > from;
+    }).reduce(function (prev, step) {
+      return prev.then(function (current) {
+        return Promise.resolve(step.migrate(current, context || {})).then(function (next) {
+          applied.push(step.version);
+          next.schemaVersion = step.version;
+          return next;
+        });
+      });
+    }, Promise.resolve(copy)).then(function (result) {
+      return { doc: result, applied: applied };
+    });
+  }
+
+  return {
+    VERSION: VERSION,
+    CLASSIFICATIONS: CLASSIFICATIONS,
+    MIGRATIONS: MIGRATIONS,
+    validate: validate,
+    needsUpgrade: needsUpgrade,
+    upgrade: upgrade,
+  };
+})();
@@ -0,0 +1,273 @@
+/**
+ * search-index.js — In-browser full-text index for the report list
+ *
+ * Each document (a report) is a list of sections — { key, label, text,
+ * weight } — such as its metadata, Markdown body, attachment text and
+ * assessment page. Terms are case- and accent-folded; every query term must
+ * occur in a document, either as a word or as the start of one (so results
+ * follow the search box as it is typed). Documents are ranked with BM25 over
+ * the weighted term counts and come back with highlighted snippets.
+ */
+
+const SearchIndex = (function () {
+  "use strict";
+
+  var K1 = 1.2;
+  var B = 0.75;
+  var SNIPPET_RADIUS = 60;
+  var MAX_SNIPPETS = 3;
+  var TOKEN_RE = /[\p{L}\p{N}]+/gu;
+
+  /**
+   * Lower-case and strip accents without changing the length of the text,
+   * so positions found in the folded text apply to the original.
+   */
+  function fold(text) {
+    var out = "";
+    for (var i = 0; i < text.length; i++) {
+      var c = text[i];
+      var f = c.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+      out += f.length === 1 ? f : c;
+    }
+    return out;
+  }
+
+  function tokenize(text) {
+    return fold(text || "").match(TOKEN_RE) || [];
+  }
+
+  /**
+   * Query terms, folded, without duplicates.
+   */
+  function parseQuery(query) {
+    return tokenize(query).filter(function (t, i, all) { return all.indexOf(t) === i; });
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /**
+   * Regex matching any of the terms at the start of a word (global, unicode).
+   */
+  function termPattern(terms) {
+    var alternatives = terms.slice().sort(function (a, b) { return b.length - a.length; }).map(escapeRegExp);
+    return new RegExp("(?<![\\p{L}\\p{N}])(?:" + alternatives.join("|") + ")[\\p{L}\\p{N}]*", "gu");
+  }
+
+  /**
+   * Highlight ranges [start, end) of the terms in text.
+   */
+  function matchRanges(text, terms) {
+    if (!terms.length || !text) return [];
+    var re = termPattern(terms);
+    var folded = fold(text);
+    var ranges = [];
+    var m;
+    while ((m = re.exec(folded)) !== null) ranges.push([m.index, m.index + m[0].length]);
+    return ranges;
+  }
+
+  function makeSnippet(text, ranges) {
+    var first = ranges[0];
+    var start = Math.max(0, first[0] - SNIPPET_RADIUS);
+    var end = Math.min(text.length, first[1] + SNIPPET_RADIUS * 2);
+    // Don't cut words in half
+    if (start > 0) {
+      var space = text.indexOf(" ", start);
+      if (space !== -1 && space < first[0]) start = space + 1;
+    }
+    if (end < text.length) {
+      var lastSpace = text.lastIndexOf(" ", end);
+      if (lastSpace > first[1]) end = lastSpace;
+    }
+    var body = text.slice(start, end);
+    var prefix = start > 0 ? "…" : "";
+    var shift = prefix.length - start;
+    return {
+      text: prefix + body + (end < text.length ? "…" : ""),
+      ranges: ranges.filter(function (r) { return r[0] >= start && r[1] <= end; }).map(function (r) {
+        return [r[0] + shift, r[1] + shift];
+      }),
+    };
+  }
+
+  function create() {
+    var docs = {}; // id -> { sections, length, terms: { term: weighted count } }
+    var postings = {}; // term -> { id: weighted count }
+    var vocabulary = null; // sorted terms, rebuilt on demand
+    var totalLength = 0;
+    var count = 0;
+
+    function remove(id) {
+      var doc = docs[id];
+      if (!doc) return;
+      Object.keys(doc.terms).forEach(function (term) {
+        delete postings[term][id];
+        if (Object.keys(postings[term]).length === 0) {
+          delete postings[term];
+          vocabulary = null;
+        }
+      });
+      totalLength -= doc.length;
+      count--;
+      delete docs[id];
+    }
+
+    /**
+     * Index (or re-index) a document from its sections.
+     */
+    function set(id, sections) {
+      remove(id);
+      var terms = {};
+      var length = 0;
+      sections = sections.filter(function (s) { return s.text; }).map(function (s) { return Object.assign({}, s); });
+      sections.forEach(function (section) {
+        var weight = section.weight || 1;
+        tokenize(section.text).forEach(function (term) {
+          terms[term] = (terms[term] || 0) + weight;
+          length += weight;
+        });
+      });
+      Object.keys(terms).forEach(function (term) {
+        if (!postings[term]) {
+          postings[term] = {};
+          vocabulary = null;
+        }
+        postings[term][id] = terms[term];
+      });
+      docs[id] = { sections: sections, length: length, terms: terms };
+      totalLength += length;
+      count++;
+    }
+
+    function has(id) {
+      return !!docs[id];
+    }
+
+    // Indexed terms starting with prefix
+    function expand(prefix) {
+      if (!vocabulary) vocabulary = Object.keys(postings).sort();
+      var lo = 0;
+      var hi = vocabulary.length;
+      while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        if (vocabulary[mid] < prefix) lo = mid + 1;
+        else hi = mid;
+      }
+      var out = [];
+      for (var i = lo; i < vocabulary.length && vocabulary[i].indexOf(prefix) === 0; i++) out.push(vocabulary[i]);
+      return out;
+    }
+
+    // { id: weighted count } for a query term — exact matches count fully,
+    // longer words it prefixes count a little less (single letters match exactly)
+    function termCounts(term) {
+      var counts = {};
+      var words = term.length < 2 ? (postings[term] ? [term] : []) : expand(term);
+      words.forEach(function (word) {
+        var factor = word === term ? 1 : 0.8;
+        Object.keys(postings[word]).forEach(function (id) {
+          counts[id] = (counts[id] || 0) + postings[word][id] * factor;
+        });
+      });
+      return counts;
+    }
+
+    /**
+     * Documents containing a term (as a word or the start of one).
+     */
+    function lookup(term) {
+      return Object.keys(termCounts(term));
+    }
+
+    /**
+     * Whether a document has these (folded) words in sequence, e.g. a
+     * quoted phrase. The last word may be the start of a longer one.
+     */
+    function containsPhrase(id, words) {
+      var doc = docs[id];
+      if (!doc || !words.length) return false;
+      var re = new RegExp("(?<![\\p{L}\\p{N}])" + words.map(escapeRegExp).join("[^\\p{L}\\p{N}]+"), "u");
+      return doc.sections.some(function (section) {
+        if (section.folded === undefined) section.folded = fold(section.text);
+        return re.test(section.folded);
+      });
+    }
+
+    /**
+     * Order documents by BM25 score for the given (folded) terms, keeping
+     * the input order between equal scores:
+     * [{ id, score, snippets: [{ key, label, text, ranges }] }].
+     */
+    function rank(ids, terms) {
+      var avgLength = totalLength / count || 1;
+      var scores = {};
+      ids.forEach(function (id) { scores[id] = 0; });
+      terms.forEach(function (term) {
+        var counts = termCounts(term);
+        var matched = Object.keys(counts).length;
+        var idf = Math.log(1 + (count - matched + 0.5) / (matched + 0.5));
+        ids.forEach(function (id) {
+          var tf = counts[id];
+          if (!tf) return;
+          var norm = tf + K1 * (1 - B + B * docs[id].length / avgLength);
+          scores[id] += idf * tf * (K1 + 1) / norm;
+        });
+      });
+      return ids.slice().sort(function (a, b) {
+        return scores[b] - scores[a];
+      }).map(function (id) {
+        return { id: id, score: scores[id], snippets: docs[id] && terms.length ? snippets(id, terms) : [] };
+      });
+    }
+
+    /**
+     * Documents containing every term of `query`, best first (see rank).
+     * options: { ids (restrict to these), limit }.
+     */
+    function search(query, options) {
+      options = options || {};
+      var terms = parseQuery(query);
+      if (!terms.length || count === 0) return [];
+      var matched = null;
+      terms.forEach(function (term) {
+        var ids = lookup(term);
+        matched = matched ? matched.filter(function (id) { return ids.indexOf(id) !== -1; }) : ids;
+      });
+      if (options.ids) matched = matched.filter(function (id) { return options.ids.indexOf(id) !== -1; });
+      var results = rank(matched, terms);
+      return options.limit ? results.slice(0, options.limit) : results;
+    }
+
+    function snippets(id, terms) {
+      var out = [];
+      docs[id].sections.forEach(function (section) {
+        if (out.length >= MAX_SNIPPETS) return;
+        var ranges = matchRanges(section.text, terms);
+        if (!ranges.length) return;
+        var snippet = makeSnippet(section.text, ranges);
+        out.push({ key: section.key, label: section.label, text: snippet.text, ranges: snippet.ranges });
+      });
+      return out;
+    }
+
+    return {
+      set: set,
+      remove: remove,
+      has: has,
+      lookup: lookup,
+      containsPhrase: containsPhrase,
+      rank: rank,
+      search: search,
+      size: function () { return count; },
+    };
+  }
+
+  return {
+    create: create,
+    tokenize: tokenize,
+    parseQuery: parseQuery,
+    matchRanges: matchRanges,
+  };
+})();
@@ -0,0 +1,961 @@
+/**
+ * storage-adapters.js — Swappable persistence backends behind StorageDB
+ *
+ * Every adapter exposes the same promise-based interface:
+ *   getDoc(collection, id)            -> doc object or null
+ *   setDoc(collection, id, data)      -> overwrite the doc
+ *   deleteDoc(collection, id)
+ *   listDocs(collection, options)     -> array of docs; options { orderBy, direction,
+ *                                        where: { field, contains } (only docs whose array
+ *                                        `field` holds `contains`) }
+ *   listPage(collection, options)     -> next page of docs; options { orderBy, direction,
+ *                                        limit, after: { value, id } of the last doc seen }
+ *   watch(collection, range, onChange)
+ *                                     -> live view of the docs in range { orderBy, direction,
+ *                                        start: { value, id }, end: { value, id, inclusive } }
+ *                                        (either bound optional). onChange([{ type: "added" |
+ *                                        "modified" | "removed", id, data }]) fires first with
+ *                                        the current docs, then on every change; returns an
+ *                                        unwatch function
+ *   batchSet(collection, entries)     -> write [{ id, data }] in as few round trips as
+ *                                        the backend allows (not atomic across chunks)
+ *   createDoc(collection, id, data)   -> atomic create; rejects with code
+ *                                        "already-exists" if the doc is there
+ *   updateDoc(collection, id, mutate) -> atomic read-modify-write: mutate(current or
+ *                                        null) returns the new doc, or null to delete
+ *                                        it (may run more than once — keep it pure)
+ *   increment(collection, id, field, initial)
+ *                                     -> atomically add 1 to doc[field] (starting
+ *                                        from `initial` if missing); new value
+ *   putFile(path, blob)               -> { storageUrl } (storageUrl may be null)
+ *   startUpload(path, blob, onProgress)
+ *                                     -> upload task { promise, pause(), resume(), cancel() };
+ *                                        promise resolves like putFile, rejects with
+ *                                        code "canceled" after cancel(). onProgress is
+ *                                        called with (bytesTransferred, totalBytes).
+ *   deleteFile(path)                  -> resolves even if the file is already gone
+ *   fileUrl(path, storedUrl)          -> URL the browser can load the file from
+ *
+ * Paging and watching break ties on each doc's own `id` field.
+ */
+
+const StorageAdapters = (function () {
+  "use strict";
+
+  function alreadyExists(collection, id) {
+    var err = new Error(collection + "/" + id + " already exists");
+    err.code = "already-exists";
+    return err;
+  }
+
+  function canceledError() {
+    var err = new Error("Upload canceled");
+    err.code = "canceled";
+    return err;
+  }
+
+  function compareDocs(a, b, options) {
+    var field = options.orderBy;
+    var dir = options.direction === "desc" ? -1 : 1;
+    var av = a[field], bv = b[field];
+    if (av == null && bv != null) return 1;
+    if (bv == null && av != null) return -1;
+    if (av < bv) return -dir;
+    if (av > bv) return dir;
+    var ai = String(a.id), bi = String(b.id);
+    return ai < bi ? -dir : ai > bi ? dir : 0;
+  }
+
+  function filterDocs(docs, options) {
+    var where = options && options.where;
+    if (!where) return docs;
+    return docs.filter(function (doc) {
+      return Array.isArray(doc[where.field]) && doc[where.field].indexOf(where.contains) !== -1;
+    });
+  }
+
+  function sortDocs(docs, options) {
+    if (!options || !options.orderBy) return docs;
+    return docs.sort(function (a, b) { return compareDocs(a, b, options); });
+  }
+
+  // A cursor or range bound as a doc compareDocs understands
+  function boundDoc(field, bound) {
+    var doc = { id: bound.id };
+    doc[field] = bound.value;
+    return doc;
+  }
+
+  function inRange(doc, range) {
+    if (range.start && compareDocs(doc, boundDoc(range.orderBy, range.start), range) < 0) return false;
+    if (range.end) {
+      var c = compareDocs(doc, boundDoc(range.orderBy, range.end), range);
+      if (c > 0 || (c === 0 && !range.end.inclusive)) return false;
+    }
+    return true;
+  }
+
+  // The span covering every range (all ordered alike)
+  function rangeUnion(ranges) {
+    var union = Object.assign({}, ranges[0]);
+    for (var i = 1; i < ranges.length; i++) {
+      var r = ranges[i];
+      if (!r.start || (union.start &&
+          compareDocs(boundDoc(r.orderBy, r.start), boundDoc(r.orderBy, union.start), r) < 0)) {
+        union.start = r.start;
+      }
+      if (!union.end) continue;
+      var c = r.end ? compareDocs(boundDoc(r.orderBy, r.end), boundDoc(r.orderBy, union.end), r) : 1;
+      if (c > 0) union.end = r.end;
+      else if (c === 0 && r.end.inclusive) union.end = r.end;
+    }
+    return union;
+  }
+
+  // Watchers grouped by how their ranges are ordered
+  function byOrder(watchers) {
+    var orders = {};
+    watchers.forEach(function (w) {
+      var key = w.range.orderBy + " " + (w.range.direction || "asc");
+      (orders[key] = orders[key] || []).push(w);
+    });
+    return Object.keys(orders).map(function (key) { return orders[key]; });
+  }
+
+  /**
+   * Paging and live updates for adapters whose server can't push changes:
+   * pages are sliced from the sorted listing, and watch() re-lists the
+   * watched ranges of a collection (not all of it, where the adapter has
+   * listRange; one span per ordering) after every write through this adapter, on a timer
+   * (options.interval ms) and when another tab announces a write on the
+   * BroadcastChannel options.channel.
+   */
+  function withPolling(adapter, options) {
+    var groups = {}; // collection -> { watchers, timer, busy, again }
+    var channel = options.channel && typeof BroadcastChannel !== "undefined"
+      ? new BroadcastChannel(options.channel)
+      : null;
+
+    function listRange(collection, range) {
+      if (adapter.listRange) return adapter.listRange(collection, range);
+      return adapter.listDocs(collection).then(function (docs) {
+        return docs.filter(function (doc) { return inRange(doc, range); });
+      });
+    }
+
+    function refresh(collection) {
+      var group = groups[collection];
+      if (!group) return;
+      if (group.busy) {
+        group.again = true;
+        return;
+      }
+      group.busy = true;
+      Promise.all(byOrder(group.watchers).map(function (watchers) {
+        var union = rangeUnion(watchers.map(function (w) { return w.range; }));
+        return listRange(collection, union).then(function (docs) {
+          watchers.forEach(function (w) { w.update(docs); });
+        });
+      })).catch(function (err) {
+        console.error("Refreshing " + collection + " failed:", err);
+      }).then(function () {
+        group.busy = false;
+        if (group.again) {
+          group.again = false;
+          refresh(collection);
+        }
+      });
+    }
+
+    if (channel) {
+      channel.onmessage = function (e) { refresh(e.data); };
+    }
+
+    ["setDoc", "deleteDoc", "batchSet", "createDoc", "updateDoc", "increment"].forEach(function (method) {
+      var write = adapter[method];
+      adapter[method] = function (collection) {
+        return write.apply(adapter, arguments).then(function (result) {
+          refresh(collection);
+          if (channel) channel.postMessage(collection);
+          return result;
+        });
+      };
+    });
+
+    if (!adapter.listPage) {
+      adapter.listPage = function (collection, opts) {
+        return adapter.listDocs(collection, opts).then(function (docs) {
+          if (opts.after) {
+            var after = boundDoc(opts.orderBy, opts.after);
+            docs = docs.filter(function (doc) { return compareDocs(doc, after, opts) > 0; });
+          }
+          return docs.slice(0, opts.limit);
+        });
+      };
+    }
+
+    adapter.watch = function (collection, range, onChange) {
+      var seen = {}; // id -> JSON of the doc as last reported
+      var watcher = {
+        range: range,
+        update: function (docs) {
+          var changes = [];
+          var current = {};
+          docs.forEach(function (doc) {
+            if (!inRange(doc, range)) return;
+            var json = JSON.stringify(doc);
+            current[doc.id] = json;
+            if (!(doc.id in seen)) changes.push({ type: "added", id: doc.id, data: doc });
+            else if (seen[doc.id] !== json) changes.push({ type: "modified", id: doc.id, data: doc });
+          });
+          Object.keys(seen).forEach(function (id) {
+            if (!(id in current)) changes.push({ type: "removed", id: id, data: null });
+          });
+          seen = current;
+          if (changes.length) onChange(changes);
+        },
+      };
+
+      var group = groups[collection];
+      if (!group) {
+        group = groups[collection] = { watchers: [], timer: null, busy: false, again: false };
+        if (options.interval) {
+          group.timer = setInterval(function () { refresh(collection); }, options.interval);
+        }
+      }
+      group.watchers.push(watcher);
+      listRange(collection, range).then(watcher.update).catch(function (err) {
+        console.error("Watching " + collection + " failed:", err);
+      });
+
+      return function unwatch() {
+        group.watchers = group.watchers.filter(function (w) { return w !== watcher; });
+        if (group.watchers.length === 0) {
+          if (group.timer) clearInterval(group.timer);
+          delete groups[collection];
+        }
+      };
+    };
+
+    return adapter;
+  }
+
+  // ---- Firestore + Firebase Storage ----
+
+  var FIRESTORE_BATCH_LIMIT = 500;
+
+  function firestoreAdapter() {
+    function col(collection) {
+      return fbDb.collection(collection);
+    }
+
+    // Order by the field, then document ID, so cursors are unambiguous
+    function ordered(collection, options) {
+      var dir = options.direction || "asc";
+      return col(collection)
+        .orderBy(options.orderBy, dir)
+        .orderBy(firebase.firestore.FieldPath.documentId(), dir);
+    }
+
+    // The SDK already uploads large files in resumable chunks and retries
+    // transient failures; we add pause while the browser is offline.
+    function startUpload(path, blob, onProgress) {
+      var ref = fbStorage.ref(path);
+      var task = ref.put(blob);
+      var pausedByUser = false;
+
+      function onOffline() { task.pause(); }
+      function onOnline() { if (!pausedByUser) task.resume(); }
+      window.addEventListener("offline", onOffline);
+      window.addEventListener("online", onOnline);
+      function cleanup() {
+        window.removeEventListener("offline", onOffline);
+        window.removeEventListener("online", onOnline);
+      }
+
+      var promise = new Promise(function (resolve, reject) {
+        task.on("state_changed", function (snap) {
+          if (onProgress) onProgress(snap.bytesTransferred, snap.totalBytes);
+        }, function (err) {
+          cleanup();
+          reject(err.code === "storage/canceled" ? canceledError() : err);
+        }, function () {
+          cleanup();
+          resolve();
+        });
+      }).then(function () {
+        return ref.getDownloadURL();
+      }).then(function (url) {
+        return { storageUrl: url };
+      });
+
+      return {
+        promise: promise,
+        pause: function () { pausedByUser = true; task.pause(); },
+        resume: function () { pausedByUser = false; task.resume(); },
+        cancel: function () { task.cancel(); },
+      };
+    }
+
+    return {
+      name: "firestore",
+
+      getDoc: function (collection, id) {
+        return col(collection).doc(id).get().then(function (doc) {
+          return doc.exists ? doc.data() : null;
+        });
+      },
+
+      setDoc: function (collection, id, data) {
+        return col(collection).doc(id).set(data);
+      },
+
+      deleteDoc: function (collection, id) {
+        return col(collection).doc(id).delete();
+      },
+
+      listDocs: function (collection, options) {
+        var query = col(collection);
+        var where = options && options.where;
+        // A filtered query is sorted here: ordering it too would need a composite index
+        if (where) {
+          query = query.where(where.field, "array-contains", where.contains);
+        } else if (options && options.orderBy) {
+          query = query.orderBy(options.orderBy, options.direction || "asc");
+        }
+        return query.get().then(function (snap) {
+          var docs = [];
+          snap.forEach(function (doc) { docs.push(doc.data()); });
+          return where ? sortDocs(docs, options) : docs;
+        });
+      },
+
+      listPage: function (collection, options) {
+        var query = ordered(collection, options);
+        if (options.after) query = query.startAfter(options.after.value, options.after.id);
+        return query.limit(options.limit).get().then(function (snap) {
+          return snap.docs.map(function (doc) { return doc.data(); });
+        });
+      },
+
+      watch: function (collection, range, onChange) {
+        var query = ordered(collection, range);
+        if (range.start) query = query.startAt(range.start.value, range.start.id);
+        if (range.end) {
+          query = range.end.inclusive
+            ? query.endAt(range.end.value, range.end.id)
+            : query.endBefore(range.end.value, range.end.id);
+        }
+        return query.onSnapshot(function (snap) {
+          var changes = snap.docChanges().map(function (change) {
+            return { type: change.type, id: change.doc.id, data: change.doc.data() };
+          });
+          if (changes.length) onChange(changes);
+        }, function (err) {
+          console.error("Watching " + collection + " failed:", err);
+        });
+      },
+
+      // A Firestore batch takes at most 500 writes — commit in chunks
+      batchSet: function (collection, entries) {
+        var chunks = [];
+        for (var i = 0; i < entries.length; i += FIRESTORE_BATCH_LIMIT) {
+          chunks.push(entries.slice(i, i + FIRESTORE_BATCH_LIMIT));
+        }
+        return chunks.reduce(function (prev, chunk) {
+          return prev.then(function () {
+            var batch = fbDb.batch();
+            chunk.forEach(function (entry) {
+              batch.set(col(collection).doc(entry.id), entry.data);
+            });
+            return batch.commit();
+          });
+        }, Promise.resolve());
+      },
+
+      createDoc: function (collection, id, data) {
+        var ref = col(collection).doc(id);
+        return fbDb.runTransaction(function (tx) {
+          return tx.get(ref).then(function (doc) {
+            if (doc.exists) throw alreadyExists(collection, id);
+            tx.set(ref, data);
+          });
+        });
+      },
+
+      updateDoc: function (collection, id, mutate) {
+        var ref = col(collection).doc(id);
+        return fbDb.runTransaction(function (tx) {
+          return tx.get(ref).then(function (doc) {
+            var next = mutate(doc.exists ? doc.data() : null);
+            if (next === null) tx.delete(ref);
+            else tx.set(ref, next);
+            return next;
+          });
+        });
+      },
+
+      increment: function (collection, id, field, initial) {
+        var ref = col(collection).doc(id);
+        return fbDb.runTransaction(function (tx) {
+          return tx.get(ref).then(function (doc) {
+            var current = doc.exists && typeof doc.data()[field] === "number" ? doc.data()[field] : (initial || 0);
+            var next = current + 1;
+            var update = {};
+            update[field] = next;
+            tx.set(ref, update, { merge: true });
+            return next;
+          });
+        });
+      },
+
+      putFile: function (path, blob) {
+        return startUpload(path, blob).promise;
+      },
+
+      startUpload: startUpload,
+
+      deleteFile: function (path) {
+        return fbStorage.ref(path).delete().catch(function (err) {
+          // Ignore "not found" errors (file may already be deleted)
+          if (err.code === "storage/object-not-found") return;
+          throw err;
+        });
+      },
+
+      fileUrl: function (path, storedUrl) {
+        if (storedUrl) return Promise.resolve(storedUrl);
+        return fbStorage.ref(path).getDownloadURL();
+      },
+    };
+  }
+
+  // ---- IndexedDB (this browser only) ----
+
+  function indexedDbAdapter(options) {
+    var dbName = (options && options.name) || "intel_portal_store";
+    var dbPromise = null;
+    var objectUrls = {}; // path -> object URL, so repeated reads don't leak blobs
+
+    function open() {
+      if (dbPromise) return dbPromise;
+      dbPromise = new Promise(function (resolve, reject) {
+        var req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = function () {
+          var db = req.result;
+          var docs = db.createObjectStore("docs", { keyPath: "key" });
+          docs.createIndex("collection", "collection");
+          db.createObjectStore("files", { keyPath: "path" });
+        };
+        req.onsuccess = function () { resolve(req.result); };
+        req.onerror = function () { reject(req.error); };
+      });
+      return dbPromise;
+    }
+
+    // Run `fn(store)` in a transaction; resolves with the result of the
+    // request `fn` returns (if any) once the transaction completes.
+    function withStore(storeName, mode, fn) {
+      return open().then(function (db) {
+        return new Promise(function (resolve, reject) {
+          var tx = db.transaction(storeName, mode);
+          var req = fn(tx.objectStore(storeName));
+          tx.oncomplete = function () { resolve(req ? req.result : undefined); };
+          tx.onerror = function () { reject(tx.error); };
+          tx.onabort = function () { reject(tx.error); };
+        });
+      });
+    }
+
+    function docKey(collection, id) {
+      return collection + "/" + id;
+    }
+
+    function putFile(path, blob) {
+      return withStore("files", "readwrite", function (store) {
+        store.put({ path: path, blob: blob });
+      }).then(function () {
+        if (objectUrls[path]) {
+          URL.revokeObjectURL(objectUrls[path]);
+          delete objectUrls[path];
+        }
+        // Object URLs only live as long as the page, so resolve on read
+        return { storageUrl: null };
+      });
+    }
+
+    return withPolling({
+      name: "indexeddb",
+
+      getDoc: function (collection, id) {
+        return withStore("docs", "readonly", function (store) {
+          return store.get(docKey(collection, id));
+        }).then(function (rec) {
+          return rec ? rec.data : null;
+        });
+      },
+
+      setDoc: function (collection, id, data) {
+        return withStore("docs", "readwrite", function (store) {
+          store.put({ key: docKey(collection, id), collection: collection, id: id, data: data });
+        });
+      },
+
+      deleteDoc: function (collection, id) {
+        return withStore("docs", "readwrite", function (store) {
+          store.delete(docKey(collection, id));
+        });
+      },
+
+      listDocs: function (collection, options) {
+        return withStore("docs", "readonly", function (store) {
+          return store.index("collection").getAll(collection);
+        }).then(function (recs) {
+          return sortDocs(filterDocs((recs || []).map(function (rec) { return rec.data; }), options), options);
+        });
+      },
+
+      batchSet: function (collection, entries) {
+        return withStore("docs", "readwrite", function (store) {
+          entries.forEach(function (entry) {
+            store.put({ key: docKey(collection, entry.id), collection: collection, id: entry.id, data: entry.data });
+          });
+        });
+      },
+
+      createDoc: function (collection, id, data) {
+        var failed = null;
+        return withStore("docs", "readwrite", function (store) {
+          var key = docKey(collection, id);
+          // get + put in one readwrite transaction is atomic in IndexedDB
+          store.get(key).onsuccess = function (e) {
+            if (e.target.result) {
+              failed = alreadyExists(collection, id);
+              return;
+            }
+            store.put({ key: key, collection: collection, id: id, data: data });
+          };
+        }).then(function () {
+          if (failed) throw failed;
+        });
+      },
+
+      updateDoc: function (collection, id, mutate) {
+        var next;
+        return withStore("docs", "readwrite", function (store) {
+          var key = docKey(collection, id);
+          store.get(key).onsuccess = function (e) {
+            next = mutate(e.target.result ? e.target.result.data : null);
+            if (next === null) store.delete(key);
+            else store.put({ key: key, collection: collection, id: id, data: next });
+          };
+        }).then(function () {
+          return next;
+        });
+      },
+
+      increment: function (collection, id, field, initial) {
+        var next;
+        return withStore("docs", "readwrite", function (store) {
+          var key = docKey(collection, id);
+          store.get(key).onsuccess = function (e) {
+            var data = e.target.result ? e.target.result.data : {};
+            var current = typeof data[field] === "number" ? data[field] : (initial || 0);
+            next = current + 1;
+            data[field] = next;
+            store.put({ key: key, collection: collection, id: id, data: data });
+          };
+        }).then(function () {
+          return next;
+        });
+      },
+
+      putFile: putFile,
+
+      // A local write has nothing to resume — run it and report it whole
+      startUpload: function (path, blob, onProgress) {
+        var canceled = false;
+        var promise = putFile(path, blob).then(function (result) {
+          if (canceled) {
+            return withStore("files", "readwrite", function (store) {
+              store.delete(path);
+            }).then(function () { throw canceledError(); });
+          }
+          if (onProgress) onProgress(blob.size, blob.size);
+          return result;
+        });
+        return {
+          promise: promise,
+          pause: function () {},
+          resume: function () {},
+          cancel: function () { canceled = true; },
+        };
+      },
+
+      deleteFile: function (path) {
+        return withStore("files", "readwrite", function (store) {
+          store.delete(path);
+        }).then(function () {
+          if (objectUrls[path]) {
+            URL.revokeObjectURL(objectUrls[path]);
+            delete objectUrls[path];
+          }
+        });
+      },
+
+      fileUrl: function (path) {
+        if (!path) return Promise.resolve(null);
+        if (objectUrls[path]) return Promise.resolve(objectUrls[path]);
+        return withStore("files", "readonly", function (store) {
+          return store.get(path);
+        }).then(function (rec) {
+          if (!rec) return null;
+          objectUrls[path] = URL.createObjectURL(rec.blob);
+          return objectUrls[path];
+        });
+      },
+    }, { channel: dbName });
+  }
+
+  // ---- Local REST/file server ----
+
+  function restAdapter(options) {
+    var baseUrl = ((options && options.baseUrl) || "").replace(/\/+$/, "");
+
+    function encodePath(path) {
+      return path.split("/").map(encodeURIComponent).join("/");
+    }
+
+    function docUrl(collection, id) {
+      return baseUrl + "/collections/" + encodePath(collection) + "/" + encodeURIComponent(id);
+    }
+
+    function request(method, url, body, contentType) {
+      var init = { method: method, headers: {} };
+      if (body !== undefined) {
+        init.body = body;
+        if (contentType) init.headers["Content-Type"] = contentType;
+      }
+      return fetch(url, init).then(function (resp) {
+        if (!resp.ok) {
+          var err = new Error(method + " " + url + " failed (" + resp.status + ")");
+          err.status = resp.status;
+          throw err;
+        }
+        return resp;
+      });
+    }
+
+    function sendJson(method, url, data) {
+      return request(method, url, JSON.stringify(data), "application/json");
+    }
+
+    var CHUNK_SIZE = (options && options.chunkSize) || 4 * 1024 * 1024;
+    var MAX_RETRIES = 8;
+
+    /**
+     * Chunked, resumable PUT: each chunk carries "Content-Range: bytes a-b/total"
+     * and the server answers 308 until the last one. After a failure we send
+     * an empty PUT with "*" in place of the byte range to ask how much arrived
+     * (308 with "Range: bytes=0-n") and carry on from there.
+     */
+    function startUpload(path, blob, onProgress) {
+      var url = baseUrl + "/files/" + encodePath(path);
+      var type = blob.type || "application/octet-stream";
+      var total = blob.size;
+      var offset = 0;
+      var retries = 0;
+      var paused = false;
+      var canceled = false;
+      var controller = null;
+      var wake = null;
+
+      function report() {
+        if (onProgress) onProgress(offset, total);
+      }
+
+      // Resolves on resume() or when the browser comes back online
+      function waitForResume() {
+        return new Promise(function (resolve) { wake = resolve; });
+      }
+      function onOnline() { if (wake && !paused) { var w = wake; wake = null; w(); } }
+      window.addEventListener("online", onOnline);
+
+      // Any other answer is an error (offset stays as it was), retried like a failed chunk
+      function queryOffset() {
+        return fetch(url, { method: "PUT", headers: { "Content-Range": "bytes */" + total } }).then(function (resp) {
+          if (resp.ok) return total;
+          if (resp.status === 308) {
+            var range = resp.headers.get("Range");
+            return range ? parseInt(range.split("-")[1], 10) + 1 : 0;
+          }
+          var err = new Error("PUT " + url + " (upload status) failed (" + resp.status + ")");
+          err.status = resp.status;
+          throw err;
+        });
+      }
+
+      function sendChunk() {
+        var end = Math.min(offset + CHUNK_SIZE, total);
+        controller = new AbortController();
+        return fetch(url, {
+          method: "PUT",
+          body: blob.slice(offset, end),
+          signal: controller.signal,
+          headers: {
+            "Content-Type": type,
+            "Content-Range": "bytes " + offset + "-" + (end - 1) + "/" + total,
+          },
+        }).then(function (resp) {
+          if (!resp.ok && resp.status !== 308) {
+            var err = new Error("PUT " + url + " failed (" + resp.status + ")");
+            err.status = resp.status;
+            throw err;
+          }
+          offset = end;
+          retries = 0;
+          report();
+        });
+      }
+
+      // Ask the server how much arrived and carry on from there
+      function resync() {
+        if (canceled) throw canceledError();
+        return queryOffset().then(function (o) {
+          if (canceled) throw canceledError();
+          offset = o;
+          return step();
+        }, retry);
+      }
+
+      // Back off, then resync; a resync that fails too (still offline) uses up
+      // another retry rather than failing the upload
+      function retry(err) {
+        if (canceled) throw canceledError();
+        // 4xx means the server rejected the upload — retrying won't help
+        if (err.status && err.status < 500) throw err;
+        if (retries >= MAX_RETRIES) throw err;
+        retries++;
+        var delay = Math.min(30000, 1000 * Math.pow(2, retries - 1));
+        return new Promise(function (resolve) { setTimeout(resolve, delay); }).then(function () {
+          // Went offline meanwhile — wait for the connection instead of spending retries
+          if (!navigator.onLine && !canceled) return waitForResume();
+        }).then(resync);
+      }
+
+      function step() {
+        if (canceled) throw canceledError();
+        if (offset >= total) return;
+        if (paused || !navigator.onLine) return waitForResume().then(resync);
+        return sendChunk().then(step, retry);
+      }
+
+      var upload = total === 0
+        ? request("PUT", url, blob, type)
+        : Promise.resolve().then(step);
+
+      var promise = upload.then(function () {
+        window.removeEventListener("online", onOnline);
+        report();
+        return { storageUrl: url };
+      }, function (err) {
+        window.removeEventListener("online", onOnline);
+        throw err;
+      });
+
+      return {
+        promise: promise,
+        pause: function () { paused = true; },
+        resume: function () {
+          paused = false;
+          if (wake) { var w = wake; wake = null; w(); }
+        },
+        cancel: function () {
+          canceled = true;
+          if (controller) controller.abort();
+          if (wake) { var w = wake; wake = null; w(); }
+        },
+      };
+    }
+
+    return withPolling({
+      name: "rest",
+
+      getDoc: function (collection, id) {
+        return request("GET", docUrl(collection, id)).then(function (resp) {
+          return resp.json();
+        }).catch(function (err) {
+          if (err.status === 404) return null;
+          throw err;
+        });
+      },
+
+      setDoc: function (collection, id, data) {
+        return sendJson("PUT", docUrl(collection, id), data);
+      },
+
+      deleteDoc: function (collection, id) {
+        return request("DELETE", docUrl(collection, id)).catch(function (err) {
+          if (err.status === 404) return;
+          throw err;
+        });
+      },
+
+      listDocs: function (collection, options) {
+        var url = baseUrl + "/collections/" + encodePath(collection);
+        var params = [];
+        if (options && options.orderBy) {
+          params.push("orderBy=" + encodeURIComponent(options.orderBy),
+            "direction=" + encodeURIComponent(options.direction || "asc"));
+        }
+        if (options && options.where) {
+          params.push("whereField=" + encodeURIComponent(options.where.field),
+            "arrayContains=" + encodeURIComponent(options.where.contains));
+        }
+        if (params.length) url += "?" + params.join("&");
+        return request("GET", url).then(function (resp) {
+          return resp.json();
+        }).then(function (docs) {
+          // Server ordering and filtering are optional — repeat them so every backend agrees
+          return sortDocs(filterDocs(docs || [], options), options);
+        });
+      },
+
+      // Bounds are optional server-side; the docs are filtered here either way
+      listRange: function (collection, range) {
+        var url = baseUrl + "/collections/" + encodePath(collection) +
+          "?orderBy=" + encodeURIComponent(range.orderBy) +
+          "&direction=" + encodeURIComponent(range.direction || "asc");
+        if (range.start) {
+          url += "&startValue=" + encodeURIComponent(range.start.value) +
+            "&startId=" + encodeURIComponent(range.start.id);
+        }
+        if (range.end) {
+          url += "&endValue=" + encodeURIComponent(range.end.value) +
+            "&endId=" + encodeURIComponent(range.end.id) +
+            "&endInclusive=" + !!range.end.inclusive;
+        }
+        return request("GET", url).then(function (resp) {
+          return resp.json();
+        }).then(function (docs) {
+          return sortDocs((docs || []).filter(function (doc) { return inRange(doc, range); }), range);
+        });
+      },
+
+      // limit/after are optional server-side; the slice is repeated here either way
+      listPage: function (collection, opts) {
+        var url = baseUrl + "/collections/" + encodePath(collection) +
+          "?orderBy=" + encodeURIComponent(opts.orderBy) +
+          "&direction=" + encodeURIComponent(opts.direction || "asc") +
+          "&limit=" + opts.limit;
+        if (opts.after) {
+          url += "&afterValue=" + encodeURIComponent(opts.after.value) +
+            "&afterId=" + encodeURIComponent(opts.after.id);
+        }
+        return request("GET", url).then(function (resp) {
+          return resp.json();
+        }).then(function (docs) {
+          docs = sortDocs(docs || [], opts);
+          if (opts.after) {
+            var after = boundDoc(opts.orderBy, opts.after);
+            docs = docs.filter(function (doc) { return compareDocs(doc, after, opts) > 0; });
+          }
+          return docs.slice(0, opts.limit);
+        });
+      },
+
+      batchSet: function (collection, entries) {
+        return sendJson("POST", baseUrl + "/collections/" + encodePath(collection) + "/_batch", entries);
+      },
+
+      createDoc: function (collection, id, data) {
+        return sendJson("POST", docUrl(collection, id) + "/_create", data).catch(function (err) {
+          if (err.status === 409) throw alreadyExists(collection, id);
+          throw err;
+        });
+      },
+
+      // Optimistic concurrency: write back with If-Match on the ETag we read
+      // (If-None-Match: * when creating) and start over on 412.
+      updateDoc: function (collection, id, mutate) {
+        var url = docUrl(collection, id);
+        function attempt(n) {
+          return fetch(url).then(function (resp) {
+            if (resp.status === 404) return { data: null, etag: null };
+            if (!resp.ok) throw new Error("GET " + url + " failed (" + resp.status + ")");
+            return resp.json().then(function (data) {
+              return { data: data, etag: resp.headers.get("ETag") };
+            });
+          }).then(function (current) {
+            var next = mutate(current.data);
+            var headers = {};
+            if (current.etag) headers["If-Match"] = current.etag;
+            else headers["If-None-Match"] = "*";
+            var init = { method: next === null ? "DELETE" : "PUT", headers: headers };
+            if (next !== null) {
+              headers["Content-Type"] = "application/json";
+              init.body = JSON.stringify(next);
+            }
+            return fetch(url, init).then(function (resp) {
+              if (resp.status === 412 && n < 5) return attempt(n + 1);
+              if (!resp.ok && !(next === null && resp.status === 404)) {
+                throw new Error(init.method + " " + url + " failed (" + resp.status + ")");
+              }
+              return next;
+            });
+          });
+        }
+        return attempt(0);
+      },
+
+      increment: function (collection, id, field, initial) {
+        return sendJson("POST", docUrl(collection, id) + "/_increment", { field: field, initial: initial || 0 })
+          .then(function (resp) { return resp.json(); })
+          .then(function (body) { return body.value; });
+      },
+
+      putFile: function (path, blob) {
+        return startUpload(path, blob).promise;
+      },
+
+      startUpload: startUpload,
+
+      deleteFile: function (path) {
+        return request("DELETE", baseUrl + "/files/" + encodePath(path)).catch(function (err) {
+          if (err.status === 404) return;
+          throw err;
+        });
+      },
+
+      fileUrl: function (path, storedUrl) {
+        if (!path) return Promise.resolve(storedUrl || null);
+        return Promise.resolve(baseUrl + "/files/" + encodePath(path));
+      },
+    }, { interval: (options && options.pollInterval) || 5000 });
+  }
+
+  var factories = {
+    firestore: firestoreAdapter,
+    indexeddb: indexedDbAdapter,
+    rest: restAdapter,
+  };
+
+  /**
+   * Build the adapter named by config.backend (defaults to Firestore).
+   */
+  function create(config) {
+    var backend = (config && config.backend) || "firestore";
+    var factory = factories[backend];
+    if (!factory) throw new Error("Unknown storage backend: " + backend);
+    if (backend === "indexeddb") return factory(config.indexedDb);
+    if (backend === "rest") return factory(config.rest);
+    return factory();
+  }
+
+  return {
+    create: create,
+    firestore: firestoreAdapter,
+    indexeddb: indexedDbAdapter,
+    rest: restAdapter,
+  };
+})();
@@ -0,0 +1,153 @@
+/**
+ * storage-config.js — Storage backend selection for Intel Portal
+ *
+ * backend:
+ *   "firestore" — Firestore + Firebase Storage (live project, or the local
+ *                 emulator when FIREBASE_EMULATOR.enabled in firebase-config.js)
+ *   "indexeddb" — reports and files kept in this browser only (offline use)
+ *   "rest"      — plain local REST/file server (air-gapped hosts)
+ */
+
+const STORAGE_CONFIG = {
+  backend: "firestore",
+
+  indexedDb: {
+    name: "intel_portal_store",
+  },
+
+  // Expected routes (relative to baseUrl):
+  //   GET    /collections/{collection}?orderBy=&direction=   -> JSON array of docs
+  //          (&limit=&afterValue=&afterId= page it, &whereField=&arrayContains= keep the
+  //          docs whose array field holds the value, &startValue=&startId=&endValue=
+  //          &endId=&endInclusive= bound the range a live list re-reads; all optional,
+  //          the client does them too)
+  //   GET    /collections/{collection}/{id}                  -> doc, 404 if missing
+  //   PUT    /collections/{collection}/{id}                  <- JSON doc
+  //   DELETE /collections/{collection}/{id}
+  //          (GET returns an ETag; PUT/DELETE honour If-Match / If-None-Match
+  //          and answer 412 when the doc changed in between)
+  //   POST   /collections/{collection}/_batch                <- [{ id, data }]
+  //   POST   /collections/{collection}/{id}/_create          <- JSON doc, 409 if it exists
+  //   POST   /collections/{collection}/{id}/_increment       <- { field, initial } -> { value }
+  //   PUT    /files/{path}                                   <- raw bytes, in chunks with
+  //          Content-Range: bytes a-b/total (308 until complete;
+  //          "bytes */total" asks for the received Range)
+  //   GET    /files/{path}
+  //   DELETE /files/{path}
+  rest: {
+    baseUrl: "http://localhost:8787/api",
+    chunkSize: 4 * 1024 * 1024,
+    // The server can't push changes, so live views re-list this often (ms)
+    pollInterval: 5000,
+  },
+
+  // Reports fetched per page as the report list scrolls
+  pageSize: 25,
+
+  // Bulk import (migrate.html): documents per write batch (Firestore caps
+  // a batch at 500) and attachments uploaded at the same time
+  import: {
+    batchSize: 400,
+    uploadConcurrency: 4,
+  },
+
+  // Deleted reports and removed attachments stay restorable (Admin > Trash)
+  // for this many days before they are purged for good
+  trash: {
+    retentionDays: 30,
+  },
+
+  // Client-side encryption (report-crypto.js). When enabled, new and edited
+  // reports are sealed with a per-report key wrapped for every team below;
+  // reports already sealed stay sealed either way. Generate a team entry in
+  // the browser console with
+  //   ReportCrypto.createTeamKey("ops", "Operations", "<passphrase>").then(console.log)
+  // and give the passphrase to that team's analysts.
+  encryption: {
+    enabled: false,
+    // PBKDF2 rounds for passphrases of newly generated team keys
+    iterations: 310000,
+    teams: [
+      // { id, label, publicKey, privateKey: { salt, iv, iterations, data } }
+    ],
+  },
+
+  // New report IDs. {prefix}, {year} and {seq} are substituted; seq is
+  // zero-padded to `padding` digits and counted per prefix per year.
+  reportIds: {
+    pattern: "{prefix}-{year}-{seq}",
+    padding: 4,
+    // First entry is the default; add one per team or office
+    prefixes: [
+      { value: "RPT", label: "Default" },
+    ],
+  },
+
+  // Map tiles (map-tiles.js) for every map in the portal. Each layer is an
+  // entry in the map's layer switcher; its sources are tried in order, and
+  // when `failoverThreshold` tiles in a row fail to load the map moves on
+  // to the next source. A source is a tile URL template
+  //   { url: "https://{s}.example.org/{z}/{x}/{y}.png", attribution, maxZoom,
+  //     subdomains, tms }
+  // (a locally hosted tile server is just another URL), or an MBTiles
+  // package served as a static file
+  //   { mbtiles: "tiles/border-region.mbtiles", attribution, maxZoom }
+  // which the browser downloads whole and reads with sql.js from
+  // `sqlJsUrl` — keep packages to a region. `libraries` are the folders the
+  // dashboard loads Leaflet and its plugins from; on isolated networks copy
+  // each package's dist/ folder (and sql.js) to the site and point these at it.
+  maps: {
+    defaultLayer: "imagery",
+    failoverThreshold: 4,
+    sqlJsUrl: "https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/",
+    libraries: {
+      leaflet: "https://cdn.jsdelivr.net/npm/leaflet@1.9.4/dist/", // e.g. "vendor/leaflet/"
+      markercluster: "https://cdn.jsdelivr.net/npm/leaflet.markercluster@1.5.3/dist/",
+      draw: "https://cdn.jsdelivr.net/npm/leaflet-draw@1.0.4/dist/",
+      heat: "https://cdn.jsdelivr.net/npm/leaflet.heat@0.2.0/dist/",
+    },
+    layers: [
+      {
+        id: "imagery",
+        label: "Imagery",
+        sources: [
+          // { mbtiles: "tiles/imagery.mbtiles", attribution: "Local imagery", maxZoom: 16 },
+          {
+            url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+            attribution: "&copy; Esri, Maxar, Earthstar Geographics",
+            maxZoom: 19,
+          },
+        ],
+      },
+      {
+        id: "streets",
+        label: "Streets",
+        sources: [
+          // { url: "http://localhost:8080/tiles/streets/{z}/{x}/{y}.png", attribution: "&copy; OpenStreetMap contributors", maxZoom: 18 },
+          {
+            url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+            attribution: "&copy; OpenStreetMap contributors",
+            maxZoom: 19,
+          },
+        ],
+      },
+      {
+        id: "terrain",
+        label: "Terrain",
+        sources: [
+          {
+            url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+            attribution: "&copy; OpenStreetMap contributors, SRTM | &copy; OpenTopoMap (CC-BY-SA)",
+            subdomains: "abc",
+            maxZoom: 17,
+          },
+          {
+            url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Topo_Map/MapServer/tile/{z}/{y}/{x}",
+            attribution: "&copy; Esri",
+            maxZoom: 19,
+          },
+        ],
+      },
+    ],
+  },
+};
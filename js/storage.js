@@ -1,45 +1,287 @@
 /**
- * storage.js — Firestore + Firebase Storage persistence for Intel Portal
- * Reports metadata stored in Firestore; attachment files in Firebase Storage.
+ * storage.js — Report persistence for Intel Portal
+ * Reports metadata and attachment files go through the adapter chosen in
+ * storage-config.js (Firestore + Firebase Storage, IndexedDB or a local REST server).
  */
 
 const StorageDB = (function () {
   "use strict";
 
   var COLLECTION = "reports";
+  // Fields StorageDB maintains itself; never reported as user changes
+  var META_FIELDS = ["schemaVersion", "revision", "createdAt", "createdBy", "updatedAt", "updatedBy"];
+  // Key material and ciphertext of encrypted reports; never diffed either
+  var CRYPTO_FIELDS = ["encryption", "sealed"];
+  var adapter = StorageAdapters.create(STORAGE_CONFIG);
+
+  // ---- Attachment content (content-addressed, deduplicated) ----
+  //
+  // Files are stored once per SHA-256 under attachments/blobs/{sha256}; the
+  // blobs/{sha256} doc lists every { reportId, name } that refers to them, and
+  // the file is deleted only when the last reference goes away.
+
+  var BLOBS = "blobs";
+  var BLOB_PREFIX = "attachments/blobs/";
+
+  function toHex(buffer) {
+    return Array.prototype.map.call(new Uint8Array(buffer), function (b) {
+      return b.toString(16).padStart(2, "0");
+    }).join("");
+  }
+
+  /**
+   * Hex SHA-256 of a File or Blob.
+   */
+  function hashBlob(blob) {
+    return blob.arrayBuffer().then(function (buf) {
+      return crypto.subtle.digest("SHA-256", buf);
+    }).then(toHex);
+  }
 
   /**
-   * Upload a File or Blob to Firebase Storage.
-   * Returns { storageUrl, storagePath }.
+   * Reports already referring to this content: [{ reportId, name }].
    */
-  function uploadAttachment(reportId, fileName, fileData) {
-    var path = "attachments/" + reportId + "/" + fileName;
-    var ref = fbStorage.ref(path);
-    return ref.put(fileData).then(function () {
-      return ref.getDownloadURL().then(function (url) {
-        return { storageUrl: url, storagePath: path };
+  function findAttachmentsByHash(sha256) {
+    return adapter.getDoc(BLOBS, sha256).then(function (doc) {
+      return doc && doc.refs ? doc.refs : [];
+    });
+  }
+
+  function sameRef(ref, reportId, name) {
+    return ref.reportId === reportId && ref.name === name;
+  }
+
+  function addBlobRef(sha256, stored, reportId, name, fileData) {
+    return adapter.updateDoc(BLOBS, sha256, function (doc) {
+      doc = doc ? Object.assign({}, doc) : {
+        sha256: sha256,
+        size: fileData.size,
+        type: fileData.type || null,
+        storagePath: stored.storagePath,
+        storageUrl: stored.storageUrl && stored.storageUrl.indexOf("blob:") !== 0 ? stored.storageUrl : null,
+        createdAt: new Date().toISOString(),
+        refs: [],
+      };
+      var refs = doc.refs || [];
+      if (!refs.some(function (r) { return sameRef(r, reportId, name); })) {
+        refs = refs.concat([{ reportId: reportId, name: name }]);
+      }
+      doc.refs = refs;
+      return doc;
+    });
+  }
+
+  function canceledError() {
+    var err = new Error("Upload canceled");
+    err.code = "canceled";
+    return err;
+  }
+
+  /**
+   * Upload a File or Blob to attachment storage.
+   * Returns { storageUrl, storagePath, sha256, iv, deduplicated }.
+   */
+  function uploadAttachment(reportId, fileName, fileData, sha256, key) {
+    return startAttachmentUpload(reportId, fileName, fileData, { sha256: sha256, key: key }).promise;
+  }
+
+  /**
+   * Start a resumable upload of one attachment. Returns a task handle
+   * ({ promise, pause, resume, cancel }); the promise resolves with
+   * { storageUrl, storagePath, sha256, iv, deduplicated }. When the same
+   * content is already stored no bytes are sent and only a reference is added.
+   * Attachments of encrypted reports are encrypted first; `iv` is then set
+   * and `sha256` is the hash of the encrypted bytes.
+   * options: { sha256 (skip re-hashing), key (report data key, looked up
+   * when omitted), onProgress(bytesTransferred, totalBytes) }.
+   */
+  function startAttachmentUpload(reportId, fileName, fileData, options) {
+    options = options || {};
+    var inner = null;
+    var paused = false;
+    var canceled = false;
+    var iv = null;
+    var keyed = options.key !== undefined ? Promise.resolve(options.key) : reportKey(reportId);
+    var hashed = keyed.then(function (key) {
+      if (!key) return options.sha256 || hashBlob(fileData);
+      return ReportCrypto.encryptBlob(key, fileData).then(function (encrypted) {
+        fileData = encrypted.data;
+        iv = encrypted.iv;
+        return hashBlob(fileData);
       });
     });
+
+    var promise = hashed.then(function (sha256) {
+      return adapter.getDoc(BLOBS, sha256).then(function (existing) {
+        if (canceled) throw canceledError();
+        if (existing) {
+          if (options.onProgress) options.onProgress(fileData.size, fileData.size);
+          return { storageUrl: existing.storageUrl || null, storagePath: existing.storagePath, deduplicated: true };
+        }
+        var path = BLOB_PREFIX + sha256;
+        inner = adapter.startUpload(path, fileData, options.onProgress);
+        if (paused) inner.pause();
+        return inner.promise.then(function (result) {
+          return { storageUrl: result.storageUrl, storagePath: path, deduplicated: false };
+        });
+      }).then(function (stored) {
+        if (canceled) throw canceledError();
+        stored.sha256 = sha256;
+        stored.iv = iv;
+        return addBlobRef(sha256, stored, reportId, fileName, fileData).then(function () {
+          return stored;
+        });
+      });
+    });
+
+    return {
+      promise: promise,
+      pause: function () {
+        paused = true;
+        if (inner) inner.pause();
+      },
+      resume: function () {
+        paused = false;
+        if (inner) inner.resume();
+      },
+      cancel: function () {
+        canceled = true;
+        if (inner) inner.cancel();
+      },
+    };
   }
 
   /**
-   * Delete a file from Firebase Storage by its path.
+   * Delete a file from attachment storage by its path.
    */
   function deleteAttachment(storagePath) {
     if (!storagePath) return Promise.resolve();
-    return fbStorage.ref(storagePath).delete().catch(function (err) {
-      // Ignore "not found" errors (file may already be deleted)
-      if (err.code === "storage/object-not-found") return;
-      throw err;
+    return adapter.deleteFile(storagePath);
+  }
+
+  /**
+   * Drop one report's reference to an attachment; the stored file is only
+   * deleted once nothing else refers to its content. Attachments stored
+   * before hashing (per-report paths) are deleted directly.
+   */
+  function removeAttachment(reportId, att) {
+    if (!att || !att.storagePath) return Promise.resolve();
+    if (!att.sha256 || att.storagePath.indexOf(BLOB_PREFIX) !== 0) {
+      return deleteAttachment(att.storagePath);
+    }
+    var remaining = 0;
+    return adapter.updateDoc(BLOBS, att.sha256, function (doc) {
+      if (!doc) {
+        remaining = 0;
+        return null;
+      }
+      var refs = (doc.refs || []).filter(function (r) { return !sameRef(r, reportId, att.name); });
+      remaining = refs.length;
+      return refs.length ? Object.assign({}, doc, { refs: refs }) : null;
+    }).then(function () {
+      if (remaining === 0) return deleteAttachment(att.storagePath);
+    });
+  }
+
+  function fetchAttachment(att) {
+    return fetch(att.storageUrl).then(function (resp) {
+      if (!resp.ok) throw new Error("Download failed (" + resp.status + ")");
+      return resp.blob();
+    }, function (err) {
+      // Usually a bucket that doesn't allow this origin (CORS); a plain link still works
+      var failed = new Error("Could not fetch " + att.name + ": " + err.message);
+      failed.code = "fetch-failed";
+      throw failed;
+    });
+  }
+
+  function decryptAttachment(report, att, blob) {
+    if (!att.iv) return Promise.resolve(blob);
+    return ReportCrypto.keyFor(report.id, report).then(function (key) {
+      return ReportCrypto.decryptBlob(key, blob, att.iv, att.type);
+    });
+  }
+
+  /**
+   * Fetch an attachment and check it against its recorded SHA-256.
+   * Resolves { blob, sha256, verified } — verified is null when the
+   * attachment predates hashing. Encrypted attachments are checked as
+   * stored, then decrypted with `report`'s key. Rejects with code
+   * "fetch-failed" when the browser can't read the file from script.
+   */
+  function verifyAttachment(att, report) {
+    return fetchAttachment(att).then(function (blob) {
+      return hashBlob(blob).then(function (sha256) {
+        var verified = att.sha256 ? sha256 === att.sha256 : null;
+        var plain = verified === false ? Promise.resolve(blob) : decryptAttachment(report, att, blob);
+        return plain.then(function (plainBlob) {
+          return { blob: plainBlob, sha256: sha256, verified: verified };
+        });
+      });
+    });
+  }
+
+  /**
+   * An attachment's file contents as a Blob, decrypted if need be.
+   */
+  function readAttachment(report, att) {
+    return fetchAttachment(att).then(function (blob) {
+      return decryptAttachment(report, att, blob);
+    });
+  }
+
+  // Attachment metadata as it is persisted (no File objects or page-local URLs)
+  function storedAttachment(att) {
+    var stored = {
+      name: att.name,
+      type: att.type,
+      size: att.size,
+      // blob: URLs are per-page (IndexedDB backend) — never persist them
+      storageUrl: att.storageUrl && att.storageUrl.indexOf("blob:") !== 0 ? att.storageUrl : null,
+      storagePath: att.storagePath || null,
+      sha256: att.sha256 || null,
+      textContent: att.textContent || null,
+    };
+    if (att.missing) {
+      stored.missing = true;
+      stored.missingReason = att.missingReason || null;
+    }
+    if (att.iv) stored.iv = att.iv;
+    return stored;
+  }
+
+  /**
+   * Attachments kept from the stored version can arrive without their `iv`
+   * or extracted text (list entries carry neither); copy them back by name
+   * and storage path so an edit doesn't strip what decrypts and indexes them.
+   */
+  function carryAttachmentDetails(report, previous) {
+    if (!previous || !previous.attachments || !report.attachments) return report;
+    var clone = Object.assign({}, report);
+    clone.attachments = report.attachments.map(function (att) {
+      if (att.file) return att;
+      var before = previous.attachments.filter(function (p) {
+        return p.name === att.name && (p.storagePath || null) === (att.storagePath || null);
+      })[0];
+      if (!before) return att;
+      var merged = Object.assign({}, att);
+      if (!merged.iv && before.iv) merged.iv = before.iv;
+      if (merged.textContent == null && before.textContent) merged.textContent = before.textContent;
+      return merged;
     });
+    return clone;
   }
 
   /**
-   * Before saving to Firestore, upload any attachment that has a raw `file`
-   * (File object) to Firebase Storage. Replace the `file` with `storageUrl`
-   * and `storagePath`. Also handles legacy `dataUrl` by uploading it.
+   * Before saving, upload any attachment that has a raw `file` (File object)
+   * to attachment storage and replace the `file` with `storageUrl`,
+   * `storagePath` and `sha256` (and `iv` when `key` encrypts it). (Legacy
+   * inline `dataUrl` attachments are moved by the schema migrations before
+   * this runs.)
    */
-  function prepareForFirestore(report) {
+  function prepareForStorage(report, limit, key) {
+    // limit(task) queues uploads when many reports are prepared at once
+    limit = limit || function (task) { return task(); };
     var clone = Object.assign({}, report);
     if (!clone.attachments || clone.attachments.length === 0) {
       return Promise.resolve(clone);
@@ -51,136 +293,1424 @@ const StorageDB = (function () {
     });
 
     var uploadPromises = clone.attachments.map(function (attClone) {
-      if (attClone.file) {
-        // New attachment with a File object — upload to Storage
-        return uploadAttachment(report.id, attClone.name, attClone.file)
-          .then(function (result) {
-            attClone.storageUrl = result.storageUrl;
-            attClone.storagePath = result.storagePath;
-            delete attClone.file;
-            delete attClone.dataUrl;
+      if (!attClone.file) return Promise.resolve();
+      // New attachment with a File object — upload to Storage
+      return limit(function () {
+        return uploadAttachment(report.id, attClone.name, attClone.file, attClone.sha256, key || null);
+      }).then(function (result) {
+        attClone.storageUrl = result.storageUrl;
+        attClone.storagePath = result.storagePath;
+        attClone.sha256 = result.sha256;
+        if (result.iv) attClone.iv = result.iv;
+      });
+    });
+
+    return Promise.all(uploadPromises).then(function () {
+      // Final safety pass: strip any non-serializable fields
+      clone.attachments = clone.attachments.map(storedAttachment);
+      return clone;
+    });
+  }
+
+  // ---- Encryption (see report-crypto.js) ----
+
+  // Data key of a report as stored (null: stored in plaintext)
+  function reportKey(reportId) {
+    return adapter.getDoc(COLLECTION, reportId).then(function (stored) {
+      return ReportCrypto.keyFor(reportId, stored);
+    });
+  }
+
+  function sealForStorage(doc, key) {
+    return key ? ReportCrypto.seal(doc, key) : Promise.resolve(doc);
+  }
+
+  // ---- Schema (see report-schema.js) ----
+
+  function invalidReport(id, errors) {
+    var err = new Error("Report " + (id || "(no id)") + " is malformed: " + errors.join("; "));
+    err.code = "invalid-report";
+    err.errors = errors;
+    return err;
+  }
+
+  /**
+   * Bring a report up to the current schema and check it before anything is
+   * uploaded. Resolves with the upgraded copy; rejects with code
+   * "invalid-report" listing the problems.
+   */
+  function upgradeForSave(report, limit, key) {
+    limit = limit || function (task) { return task(); };
+    var context = {
+      upload: function (reportId, name, blob) {
+        return limit(function () { return uploadAttachment(reportId, name, blob, null, key || null); });
+      },
+    };
+    return ReportSchema.upgrade(report, context).then(function (result) {
+      var errors = ReportSchema.validate(result.doc, { pending: true });
+      if (errors.length) throw invalidReport(report.id, errors);
+      return result.doc;
+    });
+  }
+
+  // ---- Revisions (reports/{id}/revisions/{nnnnnn}, append-only) ----
+
+  function revisionsCollection(reportId) {
+    return COLLECTION + "/" + reportId + "/revisions";
+  }
+
+  function revisionDocId(revision) {
+    return String(revision).padStart(6, "0");
+  }
+
+  function currentAuthor() {
+    var session = typeof getSession === "function" ? getSession() : null;
+    return session ? session.username : "unknown";
+  }
+
+  function comparable(value) {
+    if (value === undefined) value = null;
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Field-level diff between two report snapshots.
+   * Returns [{ field, before, after }] for every user-visible field that differs.
+   */
+  function diffReports(before, after) {
+    before = before || {};
+    after = after || {};
+    var fields = Object.keys(before).concat(Object.keys(after)).filter(function (f, i, all) {
+      return all.indexOf(f) === i && META_FIELDS.indexOf(f) === -1 && CRYPTO_FIELDS.indexOf(f) === -1;
+    });
+    fields.sort();
+    var changes = [];
+    fields.forEach(function (field) {
+      if (comparable(before[field]) !== comparable(after[field])) {
+        changes.push({
+          field: field,
+          before: before[field] === undefined ? null : before[field],
+          after: after[field] === undefined ? null : after[field],
+        });
+      }
+    });
+    return changes;
+  }
+
+  var MAX_REVISION_ATTEMPTS = 10;
+
+  function revisionEntry(reportId, snapshot, info) {
+    return {
+      reportId: reportId,
+      revision: snapshot.revision,
+      action: info.action,
+      author: info.author,
+      timestamp: info.timestamp,
+      changedFields: info.changedFields,
+      restoredFrom: info.restoredFrom != null ? info.restoredFrom : null,
+      snapshot: snapshot,
+    };
+  }
+
+  /**
+   * Append `snapshot` to the report's history under the first free revision
+   * number from snapshot.revision on. Numbers are claimed with createDoc, so
+   * when two analysts save the same report at once one gets N and the other
+   * N+1 instead of overwriting it. Resolves with the number claimed.
+   */
+  function claimRevision(reportId, snapshot, info) {
+    function attempt(n) {
+      var revision = snapshot.revision + n;
+      var entry = revisionEntry(reportId, Object.assign({}, snapshot, { revision: revision }), info);
+      return adapter.createDoc(revisionsCollection(reportId), revisionDocId(revision), entry).then(function () {
+        return revision;
+      }, function (err) {
+        if (err.code !== "already-exists") throw err;
+        if (n + 1 < MAX_REVISION_ATTEMPTS) return attempt(n + 1);
+        var busy = new Error(reportId + " is being saved by someone else — try again");
+        busy.code = "revision-conflict";
+        throw busy;
+      });
+    }
+    return attempt(0);
+  }
+
+  // Revision 1 of a report from before revision history; a concurrent save
+  // may have written it already, which is just as good
+  function writeBaseline(reportId, snapshot, info) {
+    return adapter.createDoc(revisionsCollection(reportId), revisionDocId(snapshot.revision),
+      revisionEntry(reportId, snapshot, info)).catch(function (err) {
+      if (err.code !== "already-exists") throw err;
+    });
+  }
+
+  /**
+   * Save a report and append an immutable revision describing the change.
+   * The report is upgraded to the current schema and validated first; a
+   * malformed one is rejected (code "invalid-report") before anything is written.
+   * Encrypted reports (and every report while encryption is enabled) are
+   * sealed before they are written; `report` may be sealed or plaintext.
+   * options.action / options.restoredFrom label the revision (default "create"/"edit").
+   * Resolves with the saved report in plaintext.
+   */
+  function saveReport(report, options) {
+    options = options || {};
+    var author = currentAuthor();
+    var now = new Date().toISOString();
+    var previous = null; // as stored
+    var key = null;
+
+    var loaded = adapter.getDoc(COLLECTION, report.id).then(function (existing) {
+      // Creating: refuse before uploading anything if the ID is already taken
+      if (options.create && existing) throw idTaken(report.id);
+      previous = existing;
+      return ReportCrypto.keyFor(report.id, existing || report);
+    }).then(function (reportKeyValue) {
+      key = reportKeyValue;
+      return Promise.all([ReportCrypto.open(report), previous ? ReportCrypto.open(previous) : null]);
+    }).then(function (opened) {
+      return upgradeForSave(carryAttachmentDetails(opened[0], opened[1]), null, key).then(function (upgraded) {
+        return Promise.all([prepareForStorage(upgraded, null, key), opened[1]]);
+      });
+    });
+
+    return loaded.then(function (results) {
+      var cleaned = results[0];
+      var previousPlain = results[1];
+      var changes = diffReports(previousPlain, cleaned);
+
+      // Nothing changed (and no schema upgrade or encryption to store) — don't mint an empty revision
+      if (previous && changes.length === 0 && previous.schemaVersion === ReportSchema.VERSION &&
+          !!previous.encryption === !!key) return previousPlain;
+
+      var baseline = Promise.resolve();
+      var nextRevision = 1;
+      if (previous) {
+        if (previous.revision) {
+          nextRevision = previous.revision + 1;
+        } else {
+          // Report predates revision history — keep its current state as revision 1
+          previous.revision = 1;
+          baseline = writeBaseline(report.id, previous, {
+            action: "baseline",
+            author: previous.updatedBy || previous.createdBy || "unknown",
+            timestamp: previous.updatedAt || previous.createdAt || now,
+            changedFields: [],
           });
-      } else if (attClone.dataUrl && !attClone.storageUrl) {
-        // Legacy inline base64 — convert to Storage
-        var byteString = atob(attClone.dataUrl.split(",")[1]);
-        var mimeType = attClone.type || "application/octet-stream";
-        var ab = new ArrayBuffer(byteString.length);
-        var ia = new Uint8Array(ab);
-        for (var j = 0; j < byteString.length; j++) {
-          ia[j] = byteString.charCodeAt(j);
+          nextRevision = 2;
         }
-        var blob = new Blob([ab], { type: mimeType });
-        return uploadAttachment(report.id, attClone.name, blob)
-          .then(function (result) {
-            attClone.storageUrl = result.storageUrl;
-            attClone.storagePath = result.storagePath;
-            delete attClone.dataUrl;
+        cleaned.createdAt = previous.createdAt || null;
+        cleaned.createdBy = previous.createdBy || null;
+      } else {
+        cleaned.createdAt = now;
+        cleaned.createdBy = author;
+      }
+      cleaned.schemaVersion = ReportSchema.VERSION;
+      cleaned.revision = nextRevision;
+      cleaned.updatedAt = now;
+      cleaned.updatedBy = author;
+
+      var errors = ReportSchema.validate(cleaned);
+      if (errors.length) throw invalidReport(report.id, errors);
+
+      // Keep the wrapped keys already stored for this data key
+      if (previous && previous.encryption) cleaned.encryption = previous.encryption;
+      else delete cleaned.encryption;
+
+      var stored;
+      var info = {
+        action: options.action || (previous ? "edit" : "create"),
+        author: author,
+        timestamp: now,
+        changedFields: changes.map(function (c) { return c.field; }),
+        restoredFrom: options.restoredFrom,
+      };
+      function claimed(revision) {
+        // The revision number is stored in plaintext, also in sealed reports
+        cleaned.revision = revision;
+        stored = Object.assign({}, stored, { revision: revision });
+      }
+      return Promise.all([sealForStorage(cleaned, key), baseline]).then(function (sealed) {
+        stored = sealed[0];
+        if (stored.encryption) cleaned.encryption = stored.encryption;
+        // createDoc fails atomically if another analyst claimed the ID meanwhile;
+        // the ID is claimed before the history so a taken one leaves none behind
+        if (options.create) {
+          return adapter.createDoc(COLLECTION, report.id, stored).then(function () {
+            return claimRevision(report.id, stored, info);
+          }).then(function (revision) {
+            // History left under a reused ID pushes the number on
+            if (revision === stored.revision) return;
+            claimed(revision);
+            return adapter.setDoc(COLLECTION, report.id, stored);
+          });
+        }
+        // Claim the revision first: the report is only written under a number
+        // nobody else holds, and a newer save that landed meanwhile stays current
+        return claimRevision(report.id, stored, info).then(function (revision) {
+          claimed(revision);
+          return adapter.updateDoc(COLLECTION, report.id, function (current) {
+            return current && current.revision > revision ? current : stored;
+          }).catch(function (err) {
+            // Don't leave a revision behind for a save that didn't happen
+            return adapter.deleteDoc(revisionsCollection(report.id), revisionDocId(revision)).then(function () {
+              throw err;
+            }, function () {
+              throw err;
+            });
+          });
+        });
+      }).then(function () {
+        // Keep the caller's in-memory copy in step with what was stored
+        META_FIELDS.forEach(function (f) { report[f] = cleaned[f]; });
+        if (cleaned.encryption) report.encryption = cleaned.encryption;
+        return cleaned;
+      });
+    });
+  }
+
+  /**
+   * All revisions of a report, newest first.
+   */
+  function getRevisions(reportId) {
+    return adapter.listDocs(revisionsCollection(reportId), { orderBy: "revision", direction: "desc" })
+      .then(function (revisions) {
+        return Promise.all(revisions.map(function (rev) {
+          return ReportCrypto.open(rev.snapshot).then(function (snapshot) {
+            return Object.assign({}, rev, { snapshot: snapshot });
           });
+        }));
+      });
+  }
+
+  /**
+   * Save an older revision's snapshot as the new current state.
+   */
+  function restoreRevision(reportId, revision) {
+    return adapter.getDoc(revisionsCollection(reportId), revisionDocId(revision)).then(function (entry) {
+      if (!entry) throw new Error("Revision " + revision + " of " + reportId + " not found");
+      var snapshot = Object.assign({}, entry.snapshot);
+      return saveReport(snapshot, { action: "restore", restoredFrom: revision });
+    });
+  }
+
+  // ---- Report ID allocation ----
+
+  var ID_CONFIG = STORAGE_CONFIG.reportIds || {};
+  var ID_PATTERN = ID_CONFIG.pattern || "{prefix}-{year}-{seq}";
+  var ID_PADDING = ID_CONFIG.padding || 4;
+  var MAX_ID_ATTEMPTS = 10;
+
+  function idTaken(id) {
+    var err = new Error("Report ID " + id + " is already taken");
+    err.code = "already-exists";
+    return err;
+  }
+
+  function defaultPrefix() {
+    var prefixes = ID_CONFIG.prefixes || [];
+    return prefixes.length ? prefixes[0].value : "RPT";
+  }
+
+  function formatReportId(prefix, year, seq) {
+    return ID_PATTERN
+      .replace("{prefix}", prefix)
+      .replace("{year}", String(year))
+      .replace("{seq}", String(seq).padStart(ID_PADDING, "0"));
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /**
+   * Highest sequence number already used for prefix/year, so a brand-new
+   * counter starts after the reports created before counters existed.
+   */
+  function highestExistingSeq(prefix, year) {
+    var re = new RegExp("^" + escapeRegExp(ID_PATTERN)
+      .replace(escapeRegExp("{prefix}"), escapeRegExp(prefix))
+      .replace(escapeRegExp("{year}"), String(year))
+      .replace(escapeRegExp("{seq}"), "(\\d+)") + "$");
+    return Promise.all([adapter.listDocs(COLLECTION), adapter.listDocs(TRASH)]).then(function (results) {
+      var ids = results[0].map(function (doc) { return doc.id; });
+      results[1].forEach(function (entry) {
+        if (entry.kind === "report") ids.push(entry.reportId);
+      });
+      var max = 0;
+      ids.forEach(function (id) {
+        var m = re.exec(id || "");
+        if (m) max = Math.max(max, parseInt(m[1], 10));
+      });
+      return max;
+    });
+  }
+
+  /**
+   * Reserve the next free report ID from the per-prefix, per-year counter
+   * (counters/{prefix}-{year}). IDs that already exist (or sit in the trash)
+   * are skipped.
+   */
+  function allocateReportId(prefix, year) {
+    prefix = prefix || defaultPrefix();
+    year = year || new Date().getFullYear();
+    var counterId = prefix + "-" + year;
+
+    return adapter.getDoc("counters", counterId).then(function (counter) {
+      return counter ? 0 : highestExistingSeq(prefix, year);
+    }).then(function (seed) {
+      function attempt(n) {
+        if (n >= MAX_ID_ATTEMPTS) {
+          return Promise.reject(new Error("Could not allocate a free report ID for " + counterId));
+        }
+        return adapter.increment("counters", counterId, "seq", seed).then(function (seq) {
+          var id = formatReportId(prefix, year, seq);
+          return Promise.all([
+            adapter.getDoc(COLLECTION, id),
+            adapter.getDoc(TRASH, "report-" + id),
+          ]).then(function (found) {
+            return found[0] || found[1] ? attempt(n + 1) : id;
+          });
+        });
       }
-      // Already has storageUrl or no data — leave as-is
-      delete attClone.file;
-      delete attClone.dataUrl;
-      return Promise.resolve();
+      return attempt(0);
     });
+  }
 
-    return Promise.all(uploadPromises).then(function () {
-      // Final safety pass: strip any non-serializable fields
-      clone.attachments = clone.attachments.map(function (att) {
+  /**
+   * Allocate an ID and save `report` under it, retrying with a fresh ID if
+   * another save claims it first. `build(id)` may fill in ID-dependent fields.
+   */
+  function createReport(report, options) {
+    options = options || {};
+    function attempt(n) {
+      return allocateReportId(options.prefix).then(function (id) {
+        // Attachments already encrypted under the old ID keep their data key
+        if (report.id) ReportCrypto.carryKey(report.id, id);
+        report.id = id;
+        if (options.build) options.build(report);
+        return saveReport(report, { create: true });
+      }).catch(function (err) {
+        if (err.code === "already-exists" && n + 1 < MAX_ID_ATTEMPTS) return attempt(n + 1);
+        throw err;
+      });
+    }
+    return attempt(0);
+  }
+
+  // ---- Trash (soft delete, purged after the retention window) ----
+  //
+  // trash/{id} holds { kind: "report" | "attachment", reportId, name, data,
+  // deletedAt, deletedBy, purgeAfter }. Files, blob references and revisions
+  // are only released when an item is purged.
+
+  var TRASH = "trash";
+  var RETENTION_DAYS = (STORAGE_CONFIG.trash && STORAGE_CONFIG.trash.retentionDays) || 30;
+
+  function trashEntry(kind, reportId, name, data) {
+    var now = new Date();
+    return {
+      id: kind === "report" ? "report-" + reportId : "attachment-" + reportId + "-" + now.getTime(),
+      kind: kind,
+      reportId: reportId,
+      name: name,
+      data: data,
+      deletedAt: now.toISOString(),
+      deletedBy: currentAuthor(),
+      purgeAfter: new Date(now.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Move a report to the trash. Resolves with the trash entry, or null if
+   * the report doesn't exist.
+   */
+  function deleteReport(id) {
+    return adapter.getDoc(COLLECTION, id).then(function (data) {
+      if (!data) return null;
+      var entry = trashEntry("report", id, data.subjectName || id, data);
+      return adapter.setDoc(TRASH, entry.id, entry).then(function () {
+        return adapter.deleteDoc(COLLECTION, id);
+      }).then(function () {
+        return entry;
+      });
+    });
+  }
+
+  /**
+   * Keep a copy of an attachment being removed from a report so it can be
+   * restored; the caller saves the report without it.
+   */
+  function trashAttachment(reportId, att) {
+    var data = storedAttachment(att);
+    // Text of an encrypted file is only kept sealed inside its report
+    if (data.iv) data.textContent = null;
+    var entry = trashEntry("attachment", reportId, att.name, data);
+    return adapter.setDoc(TRASH, entry.id, entry).then(function () {
+      return entry;
+    });
+  }
+
+  /**
+   * Trash entries, most recently deleted first.
+   */
+  function listTrash() {
+    return adapter.listDocs(TRASH, { orderBy: "deletedAt", direction: "desc" });
+  }
+
+  function restoreAttachmentEntry(entry) {
+    return adapter.getDoc(COLLECTION, entry.reportId).then(function (report) {
+      if (!report) throw new Error(entry.reportId + " is not an active report — restore the report first");
+      var attachments = report.attachments || [];
+      if (attachments.some(function (a) { return a.name === entry.data.name; })) {
+        throw new Error(entry.reportId + " already has an attachment named " + entry.data.name);
+      }
+      report.attachments = attachments.concat([entry.data]);
+      return saveReport(report);
+    });
+  }
+
+  /**
+   * Put a trashed report (as it was, history intact) or attachment back.
+   */
+  function restoreTrashItem(entryId) {
+    return adapter.getDoc(TRASH, entryId).then(function (entry) {
+      if (!entry) throw new Error("Trash item " + entryId + " not found");
+      var restored = entry.kind === "report"
+        ? adapter.createDoc(COLLECTION, entry.reportId, entry.data)
+        : restoreAttachmentEntry(entry);
+      return restored.then(function () {
+        return adapter.deleteDoc(TRASH, entryId);
+      }).then(function () {
+        return entry;
+      });
+    });
+  }
+
+  function purgeReportData(entry) {
+    var revisions = revisionsCollection(entry.reportId);
+    return Promise.all((entry.data.attachments || []).map(function (att) {
+      return removeAttachment(entry.reportId, att);
+    })).then(function () {
+      return adapter.listDocs(revisions);
+    }).then(function (docs) {
+      return Promise.all(docs.map(function (rev) {
+        return adapter.deleteDoc(revisions, revisionDocId(rev.revision));
+      }));
+    }).then(function () {
+      return adapter.deleteDoc(ENTITIES, entry.reportId);
+    });
+  }
+
+  /**
+   * Permanently delete a trash item: its files (unless other reports share
+   * them) and, for reports, the revision history.
+   */
+  function purgeTrashItem(entryId) {
+    return adapter.getDoc(TRASH, entryId).then(function (entry) {
+      if (!entry) return null;
+      var purged = entry.kind === "report"
+        ? purgeReportData(entry)
+        : removeAttachment(entry.reportId, entry.data);
+      return purged.then(function () {
+        return adapter.deleteDoc(TRASH, entryId);
+      }).then(function () {
+        return entry;
+      });
+    });
+  }
+
+  /**
+   * Purge everything past its retention window. Resolves with the purged entries.
+   */
+  function purgeExpiredTrash() {
+    var now = new Date().toISOString();
+    return listTrash().then(function (entries) {
+      var expired = entries.filter(function (e) { return e.purgeAfter && e.purgeAfter <= now; });
+      return Promise.all(expired.map(function (e) { return purgeTrashItem(e.id); }));
+    });
+  }
+
+  // Strip heavy fields; keep metadata + storage references
+  function listEntry(data) {
+    // Encrypted reports list without summary/content; getReport decrypts them
+    delete data.sealed;
+    if (data.attachments) {
+      data.attachments = data.attachments.map(function (att) {
         return {
           name: att.name,
           type: att.type,
           size: att.size,
           storageUrl: att.storageUrl || null,
           storagePath: att.storagePath || null,
-          textContent: att.textContent || null,
+          sha256: att.sha256 || null,
+          missing: att.missing || false,
+          // Needed to decrypt the stored file
+          iv: att.iv || null,
         };
       });
-      return clone;
+    }
+    return data;
+  }
+
+  /**
+   * One report's list entry (never decrypted, so it works for locked
+   * reports too), or null if it doesn't exist.
+   */
+  function getReportEntry(id) {
+    return adapter.getDoc(COLLECTION, id).then(function (data) {
+      return data ? listEntry(data) : null;
     });
   }
 
-  function saveReport(report) {
-    return prepareForFirestore(report).then(function (cleaned) {
-      return fbDb.collection(COLLECTION).doc(report.id).set(cleaned).then(function () {
-        return cleaned;
+  function getAllReports() {
+    return adapter.listDocs(COLLECTION, { orderBy: "date", direction: "desc" })
+      .then(function (docs) {
+        return docs.map(listEntry);
       });
+  }
+
+  // ---- Live, paginated report list ----
+
+  var PAGE_SIZE = STORAGE_CONFIG.pageSize || 25;
+  var FEED_ORDER = { orderBy: "date", direction: "desc" };
+
+  function cursorOf(doc) {
+    return { value: doc.date != null ? doc.date : null, id: doc.id };
+  }
+
+  /**
+   * Reports newest first, a page at a time, with every loaded page kept live.
+   * onChange([{ type: "added" | "modified" | "removed", id, report }]) gets
+   * each page as it loads and every later change, by this user or another.
+   * Returns { loadMore() -> Promise<true while more pages remain>, close() }.
+   *
+   * Each page watches the range from its first report up to the next page's
+   * first report, and a head watch covers anything newer than page one, so
+   * inserts, edits and deletes anywhere in the loaded window come through.
+   */
+  function openReportFeed(onChange) {
+    var head = { unwatch: null };
+    var pages = []; // { first, last, unwatch }
+    var owner = {}; // report id -> head/page whose range currently holds it
+    var seen = {}; // report id -> JSON of what was last passed to onChange
+    var exhausted = false;
+    var closed = false;
+    var loading = null;
+
+    function emit(source, changes) {
+      var out = [];
+      changes.forEach(function (change) {
+        if (change.type === "removed") {
+          // Moved into another range (e.g. its date changed) — already re-added there
+          if (owner[change.id] !== source) return;
+          delete owner[change.id];
+          delete seen[change.id];
+          out.push({ type: "removed", id: change.id, report: null });
+          return;
+        }
+        var report = listEntry(change.data);
+        var json = JSON.stringify(report);
+        owner[change.id] = source;
+        if (seen[change.id] === json) return;
+        out.push({ type: change.id in seen ? "modified" : "added", id: change.id, report: report });
+        seen[change.id] = json;
+      });
+      if (out.length && !closed) onChange(out);
+    }
+
+    function watchRange(source, start, end) {
+      if (source.unwatch) source.unwatch();
+      var range = Object.assign({ start: start, end: end }, FEED_ORDER);
+      source.unwatch = adapter.watch(COLLECTION, range, function (changes) {
+        emit(source, changes);
+      });
+    }
+
+    function watchHead() {
+      var first = pages[0];
+      watchRange(head, null, first ? { value: first.first.value, id: first.first.id, inclusive: false } : null);
+    }
+
+    function watchPage(index) {
+      var page = pages[index];
+      var next = pages[index + 1];
+      var end = null;
+      if (next) end = { value: next.first.value, id: next.first.id, inclusive: false };
+      else if (!exhausted) end = { value: page.last.value, id: page.last.id, inclusive: true };
+      watchRange(page, page.first, end);
+    }
+
+    function loadMore() {
+      if (closed || exhausted) return Promise.resolve(false);
+      if (loading) return loading;
+      var prev = pages[pages.length - 1];
+      var options = Object.assign({ limit: PAGE_SIZE, after: prev ? prev.last : null }, FEED_ORDER);
+
+      loading = adapter.listPage(COLLECTION, options).then(function (docs) {
+        loading = null;
+        if (closed) return false;
+        if (docs.length < PAGE_SIZE) exhausted = true;
+
+        if (docs.length === 0) {
+          // Nothing further — the last range (or the head) stays open-ended
+          if (prev) watchPage(pages.length - 1);
+          else watchHead();
+          return false;
+        }
+
+        var page = { first: cursorOf(docs[0]), last: cursorOf(docs[docs.length - 1]), unwatch: null };
+        pages.push(page);
+        emit(page, docs.map(function (doc) {
+          return { type: "added", id: doc.id, data: doc };
+        }));
+        if (prev) watchPage(pages.length - 2);
+        else watchHead();
+        watchPage(pages.length - 1);
+        return !exhausted;
+      }, function (err) {
+        loading = null;
+        throw err;
+      });
+      return loading;
+    }
+
+    function close() {
+      closed = true;
+      [head].concat(pages).forEach(function (source) {
+        if (source.unwatch) source.unwatch();
+        source.unwatch = null;
+      });
+    }
+
+    return { loadMore: loadMore, close: close };
+  }
+
+  /**
+   * Every report created or edited since `since` (an ISO time), wherever it
+   * falls in the paged list, kept live: onChange([{ type, id, report }]) as
+   * for openReportFeed. Returns an unwatch function.
+   */
+  function watchChangedSince(since, onChange) {
+    var range = { orderBy: "updatedAt", direction: "asc", start: { value: since, id: "" }, end: null };
+    return adapter.watch(COLLECTION, range, function (changes) {
+      onChange(changes.map(function (change) {
+        return { type: change.type, id: change.id, report: change.data ? listEntry(change.data) : null };
+      }));
     });
   }
 
-  function deleteReport(id) {
-    // Delete all Storage files under attachments/{id}/ then the Firestore doc
-    return fbDb.collection(COLLECTION).doc(id).get().then(function (doc) {
-      var promises = [];
-      if (doc.exists) {
-        var data = doc.data();
-        if (data.attachments) {
-          data.attachments.forEach(function (att) {
-            if (att.storagePath) {
-              promises.push(deleteAttachment(att.storagePath));
-            }
-          });
+  /**
+   * A report stored under an older schema, upgraded in memory for showing.
+   * Nothing is written: "Run Migrations" or the next save stores the
+   * upgrade, so the copy keeps the stored schemaVersion (and inline
+   * attachment data, which only a save uploads).
+   */
+  function upgradeForRead(data) {
+    if (!ReportSchema.needsUpgrade(data)) return Promise.resolve(data);
+    return ReportSchema.upgrade(data, { inline: true }).then(function (result) {
+      if (data.schemaVersion == null) delete result.doc.schemaVersion;
+      else result.doc.schemaVersion = data.schemaVersion;
+      return result.doc;
+    }, function (err) {
+      console.error("Could not upgrade " + data.id + " to schema v" + ReportSchema.VERSION + ":", err);
+      return data;
+    });
+  }
+
+  /**
+   * A report with everything needed to show it: decrypted (rejects with
+   * code "locked" if no unlocked team key can read it) and with download
+   * URLs for its attachments.
+   */
+  function getReport(id) {
+    return adapter.getDoc(COLLECTION, id).then(function (data) {
+      return data ? upgradeForRead(data) : null;
+    }).then(function (data) {
+      return data ? ReportCrypto.open(data) : null;
+    }).then(function (data) {
+      if (!data) return null;
+      if (!data.attachments || data.attachments.length === 0) return data;
+      // Backends that can't store a permanent download URL resolve one on read
+      return Promise.all(data.attachments.map(function (att) {
+        if (!att.storagePath) return Promise.resolve(att);
+        return adapter.fileUrl(att.storagePath, att.storageUrl).then(function (url) {
+          att.storageUrl = url;
+          return att;
+        });
+      })).then(function () {
+        return data;
+      });
+    });
+  }
+
+  // ---- Bulk import (chunked, resumable) ----
+
+  var IMPORT_CONFIG = STORAGE_CONFIG.import || {};
+  var IMPORT_BATCH_SIZE = Math.min(IMPORT_CONFIG.batchSize || 400, 500);
+  var IMPORT_CONCURRENCY = IMPORT_CONFIG.uploadConcurrency || 4;
+
+  /**
+   * Returns limit(task): runs task() (a promise-returning function) with at
+   * most `max` running at once.
+   */
+  function concurrencyLimit(max) {
+    var running = 0;
+    var queue = [];
+    function next() {
+      if (running >= max || queue.length === 0) return;
+      var item = queue.shift();
+      running++;
+      Promise.resolve().then(item.task).then(item.resolve, item.reject).then(function () {
+        running--;
+        next();
+      });
+    }
+    return function (task) {
+      return new Promise(function (resolve, reject) {
+        queue.push({ task: task, resolve: resolve, reject: reject });
+        next();
+      });
+    };
+  }
+
+  /**
+   * Import many reports: attachments upload a few at a time, documents are
+   * written in batches of at most batchSize, and progress is saved to
+   * imports/{jobId} after every batch so re-running the same job skips
+   * reports already imported.
+   * options: { jobId, restart (ignore saved progress), onProgress(progress) }
+   * where progress is { total, done, failed, skipped }.
+   * Resolves with [{ id, status: "done" | "failed" | "skipped", error }] in input order.
+   */
+  function importReports(reports, options) {
+    options = options || {};
+    var limit = concurrencyLimit(IMPORT_CONCURRENCY);
+    var jobId = options.jobId || null;
+    var job = null;
+    var results = {};
+    var progress = { total: reports.length, done: 0, failed: 0, skipped: 0 };
+
+    function record(id, status, error) {
+      results[id] = { status: status, error: error || null };
+      progress[status]++;
+    }
+
+    function notify() {
+      if (options.onProgress) options.onProgress(Object.assign({}, progress));
+    }
+
+    function saveJob() {
+      if (!jobId) return Promise.resolve();
+      job.results = {};
+      Object.keys(results).forEach(function (id) {
+        // "skipped" means done in an earlier run
+        job.results[id] = results[id].status === "skipped" ? { status: "done", error: null } : results[id];
+      });
+      job.updatedAt = new Date().toISOString();
+      return adapter.setDoc("imports", jobId, job);
+    }
+
+    var loaded = jobId && !options.restart ? adapter.getDoc("imports", jobId) : Promise.resolve(null);
+
+    return loaded.then(function (saved) {
+      job = saved || { total: reports.length, startedAt: new Date().toISOString(), startedBy: currentAuthor(), results: {} };
+      var previous = job.results || {};
+
+      var pending = [];
+      reports.forEach(function (report) {
+        if (!report || !report.id) {
+          progress.failed++;
+          return;
         }
+        if (previous[report.id] && previous[report.id].status === "done") record(report.id, "skipped");
+        else pending.push(report);
+      });
+      notify();
+
+      var chunks = [];
+      for (var i = 0; i < pending.length; i += IMPORT_BATCH_SIZE) {
+        chunks.push(pending.slice(i, i + IMPORT_BATCH_SIZE));
       }
-      promises.push(fbDb.collection(COLLECTION).doc(id).delete());
-      return Promise.all(promises);
+
+      return chunks.reduce(function (prev, chunk) {
+        return prev.then(function () {
+          var entries = [];
+          return Promise.all(chunk.map(function (report) {
+            // Reports exported already sealed are stored as they are
+            var key = null;
+            var keyed = ReportCrypto.isSealed(report) ? Promise.resolve(null) : ReportCrypto.keyFor(report.id, null);
+            return keyed.then(function (reportKeyValue) {
+              key = reportKeyValue;
+              return upgradeForSave(report, limit, key);
+            }).then(function (upgraded) {
+              return prepareForStorage(upgraded, limit, key);
+            }).then(function (cleaned) {
+              cleaned.schemaVersion = ReportSchema.VERSION;
+              if (!key) return cleaned;
+              delete cleaned.encryption;
+              return ReportCrypto.seal(cleaned, key);
+            }).then(function (stored) {
+              entries.push({ id: report.id, data: stored });
+            }, function (err) {
+              record(report.id, "failed", err.code === "invalid-report"
+                ? "Invalid: " + err.errors.join("; ")
+                : "Attachment upload failed: " + err.message);
+              notify();
+            });
+          })).then(function () {
+            if (entries.length === 0) return;
+            return adapter.batchSet(COLLECTION, entries).then(function () {
+              entries.forEach(function (e) { record(e.id, "done"); });
+            }, function () {
+              // One bad document fails the whole batch — retry one by one to find it
+              return Promise.all(entries.map(function (e) {
+                return adapter.setDoc(COLLECTION, e.id, e.data).then(function () {
+                  record(e.id, "done");
+                }, function (err) {
+                  record(e.id, "failed", "Write failed: " + err.message);
+                });
+              }));
+            });
+          }).then(function () {
+            notify();
+            return saveJob();
+          });
+        });
+      }, Promise.resolve()).then(function () {
+        return saveJob();
+      });
+    }).then(function () {
+      return reports.map(function (report) {
+        if (!report || !report.id) return { id: null, status: "failed", error: "Report has no id" };
+        return Object.assign({ id: report.id }, results[report.id]);
+      });
     });
   }
 
-  function getAllReports() {
-    return fbDb.collection(COLLECTION).orderBy("date", "desc").get()
-      .then(function (snap) {
-        var reports = [];
-        snap.forEach(function (doc) {
-          var data = doc.data();
-          // Strip heavy fields; keep metadata + storage references
-          if (data.attachments) {
-            data.attachments = data.attachments.map(function (att) {
-              return {
-                name: att.name,
-                type: att.type,
-                size: att.size,
-                storageUrl: att.storageUrl || null,
-                storagePath: att.storagePath || null,
-              };
+  /**
+   * Reports still on an older schema version (admin overview).
+   */
+  function listOutdatedReports() {
+    return adapter.listDocs(COLLECTION).then(function (docs) {
+      return docs.filter(ReportSchema.needsUpgrade).map(function (doc) {
+        return { id: doc.id, schemaVersion: doc.schemaVersion || 0 };
+      });
+    });
+  }
+
+  /**
+   * Upgrade every outdated report, one at a time. onProgress(done, total).
+   * Resolves with { upgraded: [ids], failed: [{ id, error }] }.
+   */
+  function migrateAllReports(onProgress) {
+    var summary = { upgraded: [], failed: [] };
+    return listOutdatedReports().then(function (outdated) {
+      return outdated.reduce(function (prev, item, i) {
+        return prev.then(function () {
+          return adapter.getDoc(COLLECTION, item.id).then(function (data) {
+            if (!data || !ReportSchema.needsUpgrade(data)) return;
+            return saveReport(data, { action: "migrate" }).then(function () {
+              summary.upgraded.push(item.id);
             });
-          }
-          reports.push(data);
+          }).catch(function (err) {
+            summary.failed.push({ id: item.id, error: err.message });
+          }).then(function () {
+            if (onProgress) onProgress(i + 1, outdated.length);
+          });
+        });
+      }, Promise.resolve());
+    }).then(function () {
+      return summary;
+    });
+  }
+
+  function saveAllReports(reports) {
+    return importReports(reports).then(function (results) {
+      var failed = results.filter(function (r) { return r.status === "failed"; });
+      if (failed.length > 0) {
+        throw new Error(failed.length + " of " + results.length + " reports failed to save: " +
+          failed.map(function (r) { return r.id + " (" + r.error + ")"; }).join(", "));
+      }
+      return results;
+    });
+  }
+
+  // ---- Saved searches (savedSearches/{username}/searches/{id}) ----
+  //
+  // { id, name, query, filters: { country }, createdAt, updatedAt, lastSeenAt }.
+  // `query` is in ReportQuery.format() form; reports that start matching
+  // after lastSeenAt count as unread.
+
+  function savedSearchesCollection() {
+    return "savedSearches/" + currentAuthor() + "/searches";
+  }
+
+  /**
+   * The current user's saved searches, by name.
+   */
+  function listSavedSearches() {
+    return adapter.listDocs(savedSearchesCollection(), { orderBy: "name" });
+  }
+
+  /**
+   * Create (no id) or update a saved search. Resolves with the stored doc.
+   */
+  function saveSearch(search) {
+    var now = new Date().toISOString();
+    var doc = Object.assign({ createdAt: now, lastSeenAt: now }, search, { updatedAt: now });
+    if (!doc.id) doc.id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    return adapter.setDoc(savedSearchesCollection(), doc.id, doc).then(function () {
+      return doc;
+    });
+  }
+
+  function deleteSavedSearch(id) {
+    return adapter.deleteDoc(savedSearchesCollection(), id);
+  }
+
+  /**
+   * Record that the user has looked at a saved search's results, clearing
+   * its unread count. Resolves with the updated doc (null if it is gone).
+   */
+  function markSearchSeen(id) {
+    var now = new Date().toISOString();
+    return adapter.updateDoc(savedSearchesCollection(), id, function (doc) {
+      return doc ? Object.assign({}, doc, { lastSeenAt: now }) : null;
+    });
+  }
+
+  // ---- Subjects (subjects/{id}; reports refer to theirs by subjectId) ----
+  //
+  // Document shape and matching rules are in subjects.js.
+
+  var SUBJECTS = "subjects";
+
+  /**
+   * All subjects, by name.
+   */
+  function listSubjects() {
+    return adapter.listDocs(SUBJECTS, { orderBy: "name" });
+  }
+
+  function getSubject(id) {
+    return adapter.getDoc(SUBJECTS, id);
+  }
+
+  /**
+   * Create (no id) or update a subject. Resolves with the stored doc.
+   */
+  function saveSubject(subject) {
+    var now = new Date().toISOString();
+    var author = currentAuthor();
+    var doc = Object.assign({ createdAt: now, createdBy: author }, subject, { updatedAt: now, updatedBy: author });
+    if (!doc.id) doc.id = "SUBJ-" + (Date.now().toString(36) + Math.random().toString(36).slice(2, 6)).toUpperCase();
+    return adapter.setDoc(SUBJECTS, doc.id, doc).then(function () {
+      return doc;
+    });
+  }
+
+  /**
+   * Point `report` (before it is saved) at its subject: the one it already
+   * names, else the one holding its passport number, else a new one. The
+   * report's name and passport are added to that subject. Sets
+   * report.subjectId and resolves with the subject.
+   */
+  function assignSubject(report) {
+    var named = report.subjectId ? getSubject(report.subjectId) : Promise.resolve(null);
+    return named.then(function (subject) {
+      if (subject) return subject;
+      return listSubjects().then(function (subjects) {
+        return Subjects.findForReport(report, subjects) || Subjects.fromReport(report);
+      });
+    }).then(function (subject) {
+      var folded = Subjects.absorb(subject, report);
+      var stored = !subject.id || folded.changed ? saveSubject(folded.subject) : Promise.resolve(subject);
+      return stored.then(function (doc) {
+        report.subjectId = doc.id;
+        return doc;
+      });
+    });
+  }
+
+  /**
+   * Reports (list entries) about a subject.
+   */
+  function subjectReports(subjectId) {
+    return getAllReports().then(function (reports) {
+      return reports.filter(function (r) { return r.subjectId === subjectId; });
+    });
+  }
+
+  /**
+   * Fold subject `dropId` into `keepId`: its names and passports move over,
+   * its reports are pointed at `keepId` (a revision each) and it is deleted.
+   * Resolves with the kept subject.
+   */
+  function mergeSubjects(keepId, dropId) {
+    if (!dropId || keepId === dropId) return getSubject(keepId);
+    return Promise.all([getSubject(keepId), getSubject(dropId), subjectReports(dropId)]).then(function (loaded) {
+      if (!loaded[0]) throw new Error("Subject " + keepId + " not found");
+      var folded = loaded[1] ? Subjects.absorb(loaded[0], loaded[1]).subject : loaded[0];
+      return saveSubject(folded).then(function (kept) {
+        // One report at a time: each is read back in full before it is saved
+        return loaded[2].reduce(function (chain, entry) {
+          return chain.then(function () {
+            return getReport(entry.id);
+          }).then(function (report) {
+            if (!report) return null;
+            report.subjectId = keepId;
+            return saveReport(report);
+          });
+        }, Promise.resolve()).then(function () {
+          return adapter.deleteDoc(SUBJECTS, dropId);
+        }).then(function () {
+          return kept;
         });
-        return reports;
       });
+    });
   }
 
-  function getReport(id) {
-    return fbDb.collection(COLLECTION).doc(id).get().then(function (doc) {
-      if (!doc.exists) return null;
-      return doc.data();
+  // ---- Duplicate flags (duplicates/{idA}__{idB}) and linking / merging ----
+  //
+  // { id, reportIds: [idA, idB] (sorted), reports: [{ id, subjectName,
+  // classification }], confidence, reasons, status, detectedAt, detectedBy,
+  // resolvedAt, resolvedBy } — pairs found by Duplicates (duplicates.js).
+  // status: "open" | "linked" | "merged" | "dismissed"; a resolved pair
+  // keeps its status when it is found again.
+
+  var DUPLICATES = "duplicates";
+  var MERGED_FIELDS = ["passportNumber", "nationality", "dateOfBirth", "passportExpiry", "summary"];
+
+  function duplicateId(idA, idB) {
+    return [idA, idB].sort().join("__");
+  }
+
+  /**
+   * Every duplicate flag, most recently detected first.
+   */
+  function listDuplicates() {
+    return adapter.listDocs(DUPLICATES, { orderBy: "detectedAt", direction: "desc" });
+  }
+
+  /**
+   * Flags involving one report.
+   */
+  function duplicatesFor(reportId) {
+    return adapter.listDocs(DUPLICATES, {
+      where: { field: "reportIds", contains: reportId },
+      orderBy: "detectedAt",
+      direction: "desc",
     });
   }
 
-  function saveAllReports(reports) {
-    var batch = fbDb.batch();
-    var prepPromises = [];
+  /**
+   * Store the pairs from Duplicates.findFor / findAll. `reports` (list
+   * entries) supply the names shown with each flag. Open flags that were not
+   * found again are dropped: those involving options.reportId after a
+   * findFor, all of them after a findAll (no reportId). Resolves with the
+   * flags for `pairs`.
+   */
+  function recordDuplicates(pairs, reports, options) {
+    options = options || {};
+    var now = new Date().toISOString();
+    var author = currentAuthor();
+    var byId = {};
+    reports.forEach(function (r) { byId[r.id] = r; });
+    var found = {};
 
-    reports.forEach(function (report) {
-      prepPromises.push(
-        prepareForFirestore(report).then(function (cleaned) {
-          var ref = fbDb.collection(COLLECTION).doc(report.id);
-          batch.set(ref, cleaned);
-        })
-      );
+    var recorded = Promise.all(pairs.map(function (p) {
+      var id = duplicateId(p.reportIds[0], p.reportIds[1]);
+      found[id] = true;
+      return adapter.updateDoc(DUPLICATES, id, function (doc) {
+        var fresh = {
+          id: id,
+          reportIds: p.reportIds,
+          reports: p.reportIds.map(function (rid) {
+            var r = byId[rid] || {};
+            return { id: rid, subjectName: r.subjectName || null, classification: r.classification || null };
+          }),
+          confidence: p.confidence,
+          reasons: p.reasons,
+        };
+        if (doc) return Object.assign({}, doc, fresh);
+        return Object.assign(fresh, {
+          status: "open", detectedAt: now, detectedBy: author, resolvedAt: null, resolvedBy: null,
+        });
+      });
+    }));
+
+    return recorded.then(function (flags) {
+      var existing = options.reportId ? duplicatesFor(options.reportId) : listDuplicates();
+      return existing.then(function (all) {
+        var stale = all.filter(function (f) { return f.status === "open" && !found[f.id]; });
+        return Promise.all(stale.map(function (f) { return adapter.deleteDoc(DUPLICATES, f.id); }));
+      }).then(function () {
+        return flags;
+      });
+    });
+  }
+
+  /**
+   * Mark a flag linked, merged or dismissed (or open again). Resolves with
+   * the updated flag, or null if there is none for the pair.
+   */
+  function resolveDuplicate(idA, idB, status) {
+    var now = new Date().toISOString();
+    var author = currentAuthor();
+    return adapter.updateDoc(DUPLICATES, duplicateId(idA, idB), function (doc) {
+      if (!doc) return null;
+      return Object.assign({}, doc, {
+        status: status,
+        resolvedAt: status === "open" ? null : now,
+        resolvedBy: status === "open" ? null : author,
+      });
+    });
+  }
+
+  function addLink(report, otherId, relation, now, author) {
+    var links = (report.linkedReports || []).filter(function (l) { return l.id !== otherId; });
+    report.linkedReports = links.concat([{ id: otherId, relation: relation, at: now, by: author }]);
+  }
+
+  function loadPair(idA, idB) {
+    return Promise.all([getReport(idA), getReport(idB)]).then(function (reports) {
+      [idA, idB].forEach(function (id, i) {
+        if (!reports[i]) throw new Error("Report " + id + " not found");
+      });
+      return reports;
+    });
+  }
+
+  /**
+   * Record on both reports that they are about the same subject, keeping
+   * both, and put them on one subject entity. Resolves with the two saved
+   * reports.
+   */
+  function linkReports(idA, idB) {
+    var now = new Date().toISOString();
+    var author = currentAuthor();
+    var subjectIds;
+    return loadPair(idA, idB).then(function (reports) {
+      subjectIds = reports.map(function (r) { return r.subjectId || null; });
+      addLink(reports[0], idB, "linked", now, author);
+      addLink(reports[1], idA, "linked", now, author);
+      // A report without a subject joins the other's
+      var shared = subjectIds[0] || subjectIds[1];
+      reports.forEach(function (r) { if (!r.subjectId && shared) r.subjectId = shared; });
+      return assignSubject(reports[0]).then(function () {
+        return assignSubject(reports[1]);
+      }).then(function () {
+        return Promise.all(reports.map(function (r) { return saveReport(r, { action: "link" }); }));
+      });
+    }).then(function (saved) {
+      return resolveDuplicate(idA, idB, "linked").then(function () {
+        if (subjectIds[0] && subjectIds[1]) return mergeSubjects(subjectIds[0], subjectIds[1]);
+      }).then(function () {
+        return saved;
+      });
+    });
+  }
+
+  function isBlank(value) {
+    return value == null || (typeof value === "string" && !value.trim());
+  }
+
+  // "photo.jpg" taken -> "photo (RPT-2026-0003).jpg"
+  function mergedName(name, fromId, taken) {
+    if (taken.indexOf(name) === -1) return name;
+    var dot = name.lastIndexOf(".");
+    return dot > 0
+      ? name.slice(0, dot) + " (" + fromId + ")" + name.slice(dot)
+      : name + " (" + fromId + ")";
+  }
+
+  // A copy of one of `from`'s attachments for `into`: the file is read (and
+  // decrypted) and stored again under `into`, which may use another key
+  function carryAttachment(from, att, taken) {
+    var name = mergedName(att.name, from.id, taken);
+    taken.push(name);
+    if (att.missing || !att.storageUrl) {
+      return Promise.resolve(Object.assign(storedAttachment(att), { name: name, storageUrl: null, storagePath: null }));
+    }
+    return readAttachment(from, att).then(function (blob) {
+      return {
+        name: name,
+        type: att.type,
+        size: blob.size,
+        file: blob,
+        sha256: null,
+        textContent: att.textContent || null,
+      };
+    });
+  }
+
+  /**
+   * Fold report `dropId` into `keepId`: empty fields are filled from it,
+   * its content is appended under a heading, its attachments are copied over
+   * and its links carried across, and its subject is folded into `keepId`'s.
+   * `dropId` then goes to the trash (so the merge can be undone there) and
+   * `keepId` records it as merged.
+   * Resolves with the saved report.
+   */
+  function mergeReports(keepId, dropId) {
+    var now = new Date().toISOString();
+    var author = currentAuthor();
+    var subjectIds;
+    return loadPair(keepId, dropId).then(function (reports) {
+      var keep = reports[0];
+      var drop = reports[1];
+      var taken = (keep.attachments || []).map(function (a) { return a.name; });
+      return Promise.all((drop.attachments || []).map(function (att) {
+        return carryAttachment(drop, att, taken);
+      })).then(function (carried) {
+        MERGED_FIELDS.forEach(function (f) {
+          if (isBlank(keep[f]) && !isBlank(drop[f])) keep[f] = drop[f];
+        });
+        // Coordinates and their place name move together
+        if (keep.lat == null && drop.lat != null) {
+          keep.lat = drop.lat;
+          keep.lng = drop.lng;
+          if (isBlank(keep.locationName)) keep.locationName = drop.locationName || null;
+        }
+        if (!isBlank(drop.content)) {
+          keep.content = (keep.content || "").replace(/\s+$/, "") + "\n\n---\n\n## Merged from " + drop.id +
+            " (" + drop.subjectName + ")\n\n" + drop.content.trim() + "\n";
+        }
+        keep.attachments = (keep.attachments || []).concat(carried);
+        (drop.linkedReports || []).forEach(function (link) {
+          var known = (keep.linkedReports || []).some(function (l) { return l.id === link.id; });
+          if (link.id !== keep.id && !known) keep.linkedReports = (keep.linkedReports || []).concat([link]);
+        });
+        addLink(keep, drop.id, "merged", now, author);
+        subjectIds = [keep.subjectId || null, drop.subjectId || null];
+        if (!keep.subjectId) keep.subjectId = drop.subjectId || null;
+        return assignSubject(keep).then(function () {
+          return saveReport(keep, { action: "merge" });
+        });
+      });
+    }).then(function (saved) {
+      // Fold the subjects while the dropped report is still live, so it is
+      // pointed at the kept subject too and still has a profile if restored
+      var folded = subjectIds[0] && subjectIds[1]
+        ? mergeSubjects(subjectIds[0], subjectIds[1])
+        : Promise.resolve();
+      return folded.then(function () {
+        return deleteReport(dropId);
+      }).then(function () {
+        return resolveDuplicate(keepId, dropId, "merged");
+      }).then(function () {
+        // Other flags on the trashed report no longer apply
+        return duplicatesFor(dropId);
+      }).then(function (flags) {
+        return Promise.all(flags.filter(function (f) { return f.status === "open"; }).map(function (f) {
+          return adapter.deleteDoc(DUPLICATES, f.id);
+        }));
+      }).then(function () {
+        return saved;
+      });
     });
+  }
 
-    return Promise.all(prepPromises).then(function () {
-      return batch.commit();
+  // ---- Extracted entities (entities/{reportId}) ----
+  //
+  // { id: reportId, entities: [{ type, value, key, sources }], extractedAt,
+  // extractedBy } — see entities.js. Kept apart from the report so
+  // re-extracting never adds a revision.
+
+  var ENTITIES = "entities";
+  // Sources that are stored in plaintext even when the report is encrypted
+  var PLAIN_SOURCES = ["report", "assessment"];
+
+  /**
+   * Entity docs of every report that has been through extraction.
+   */
+  function listEntities() {
+    return adapter.listDocs(ENTITIES);
+  }
+
+  function getEntities(reportId) {
+    return adapter.getDoc(ENTITIES, reportId);
+  }
+
+  /**
+   * Replace a report's entities. For an encrypted report only those found
+   * in its plaintext fields or its assessment are kept, so the index never
+   * reveals sealed content. Resolves with the stored doc.
+   */
+  function saveEntities(reportId, entities) {
+    return adapter.getDoc(COLLECTION, reportId).then(function (stored) {
+      if (stored && stored.encryption) {
+        entities = entities.filter(function (e) {
+          return e.sources.some(function (s) { return PLAIN_SOURCES.indexOf(s) !== -1; });
+        }).map(function (e) {
+          return Object.assign({}, e, {
+            sources: e.sources.filter(function (s) { return PLAIN_SOURCES.indexOf(s) !== -1; }),
+          });
+        });
+      }
+      var doc = {
+        id: reportId,
+        entities: entities,
+        extractedAt: new Date().toISOString(),
+        extractedBy: currentAuthor(),
+      };
+      return adapter.setDoc(ENTITIES, reportId, doc).then(function () {
+        return doc;
+      });
     });
   }
 
   return {
     saveReport: saveReport,
     deleteReport: deleteReport,
+    trashAttachment: trashAttachment,
+    listTrash: listTrash,
+    restoreTrashItem: restoreTrashItem,
+    purgeTrashItem: purgeTrashItem,
+    purgeExpiredTrash: purgeExpiredTrash,
+    trashRetentionDays: RETENTION_DAYS,
+    readAttachment: readAttachment,
     deleteAttachment: deleteAttachment,
+    removeAttachment: removeAttachment,
+    startAttachmentUpload: startAttachmentUpload,
+    hashBlob: hashBlob,
+    findAttachmentsByHash: findAttachmentsByHash,
+    verifyAttachment: verifyAttachment,
     getAllReports: getAllReports,
+    getReportEntry: getReportEntry,
+    openReportFeed: openReportFeed,
+    watchChangedSince: watchChangedSince,
     getReport: getReport,
     saveAllReports: saveAllReports,
+    importReports: importReports,
+    listOutdatedReports: listOutdatedReports,
+    migrateAllReports: migrateAllReports,
+    getRevisions: getRevisions,
+    restoreRevision: restoreRevision,
+    allocateReportId: allocateReportId,
+    createReport: createReport,
+    formatReportId: formatReportId,
+    diffReports: diffReports,
+    listSavedSearches: listSavedSearches,
+    saveSearch: saveSearch,
+    deleteSavedSearch: deleteSavedSearch,
+    markSearchSeen: markSearchSeen,
+    listSubjects: listSubjects,
+    getSubject: getSubject,
+    saveSubject: saveSubject,
+    assignSubject: assignSubject,
+    subjectReports: subjectReports,
+    mergeSubjects: mergeSubjects,
+    listDuplicates: listDuplicates,
+    duplicatesFor: duplicatesFor,
+    recordDuplicates: recordDuplicates,
+    resolveDuplicate: resolveDuplicate,
+    linkReports: linkReports,
+    mergeReports: mergeReports,
+    listEntities: listEntities,
+    getEntities: getEntities,
+    saveEntities: saveEntities,
+    backend: adapter.name,
   };
 })();
@@ -0,0 +1,151 @@
+/**
+ * subjects.js — Subject entities: one record per person, linked from reports
+ *
+ * A subject is { id, name, aliases, passportNumbers, nationality,
+ * dateOfBirth, createdAt, createdBy, updatedAt, updatedBy }, stored by
+ * StorageDB under subjects/{id}; reports point at theirs with `subjectId`.
+ * A new report joins the subject that already holds its passport number
+ * (names alone are too ambiguous — link the reports as duplicates to put
+ * them on one subject). This module does the matching, folds each
+ * report's name and passport into its subject, and builds the profile
+ * timeline.
+ */
+
+const Subjects = (function () {
+  "use strict";
+
+  // Same day: report first, then where it was recovered, files, assessment
+  var KIND_ORDER = { report: 0, location: 1, attachment: 2, assessment: 3 };
+
+  function passportKey(number) {
+    return String(number || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  }
+
+  function sameName(a, b) {
+    return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+  }
+
+  /**
+   * The subject among `subjects` holding the report's passport number, or null.
+   */
+  function findForReport(report, subjects) {
+    var key = passportKey(report.passportNumber);
+    if (!key) return null;
+    return subjects.filter(function (s) {
+      return (s.passportNumbers || []).some(function (p) { return passportKey(p) === key; });
+    })[0] || null;
+  }
+
+  /**
+   * A new subject (without id) for the person a report is about.
+   */
+  function fromReport(report) {
+    return {
+      name: report.subjectName,
+      aliases: [],
+      passportNumbers: report.passportNumber ? [report.passportNumber] : [],
+      nationality: report.nationality || null,
+      dateOfBirth: report.dateOfBirth || null,
+    };
+  }
+
+  /**
+   * Fold a report's (or another subject's) name, aliases and passports into
+   * `subject`. Returns { subject (a copy), changed }.
+   */
+  function absorb(subject, other) {
+    var next = Object.assign({}, subject, {
+      aliases: (subject.aliases || []).slice(),
+      passportNumbers: (subject.passportNumbers || []).slice(),
+    });
+    var names = [other.subjectName || other.name].concat(other.aliases || []);
+    names.forEach(function (name) {
+      if (!name || sameName(name, next.name)) return;
+      if (!next.aliases.some(function (a) { return sameName(a, name); })) next.aliases.push(name);
+    });
+    var passports = other.passportNumbers || (other.passportNumber ? [other.passportNumber] : []);
+    passports.forEach(function (number) {
+      var key = passportKey(number);
+      if (key && !next.passportNumbers.some(function (p) { return passportKey(p) === key; })) {
+        next.passportNumbers.push(number);
+      }
+    });
+    if (!next.nationality && other.nationality) next.nationality = other.nationality;
+    if (!next.dateOfBirth && other.dateOfBirth) next.dateOfBirth = other.dateOfBirth;
+    return { subject: next, changed: JSON.stringify(next) !== JSON.stringify(subject) };
+  }
+
+  /**
+   * Key findings of a reports/{id}.html assessment: the label/value rows of
+   * its "Subject Assessment" table ([{ label, value }], empty if it has none).
+   */
+  function assessmentFindings(html) {
+    var doc = new DOMParser().parseFromString(html, "text/html");
+    var heading = Array.prototype.filter.call(doc.querySelectorAll("h1, h2, h3, h4"), function (h) {
+      return /subject assessment/i.test(h.textContent);
+    })[0];
+    if (!heading) return [];
+    var table = heading.nextElementSibling;
+    while (table && table.tagName !== "TABLE" && !/^H[1-4]$/.test(table.tagName)) table = table.nextElementSibling;
+    if (!table || table.tagName !== "TABLE") return [];
+    return Array.prototype.map.call(table.querySelectorAll("tr"), function (tr) {
+      var cells = tr.querySelectorAll("td, th");
+      if (cells.length < 2) return null;
+      return {
+        label: cells[0].textContent.replace(/\s+/g, " ").trim(),
+        value: cells[1].textContent.replace(/\s+/g, " ").trim(),
+      };
+    }).filter(function (row) { return row && row.label && row.value; });
+  }
+
+  /**
+   * One timeline for a subject's reports, newest first:
+   * [{ date, kind, reportId, title, detail, findings? }] where kind is
+   * "report", "location", "attachment" or "assessment". `findings` maps
+   * report id -> assessmentFindings() for reports with an assessment.
+   */
+  function timeline(reports, findings) {
+    findings = findings || {};
+    var events = [];
+    reports.forEach(function (r) {
+      var date = r.date || "";
+      events.push({
+        date: date, kind: "report", reportId: r.id,
+        title: r.id + " — " + r.subjectName,
+        detail: [r.classification ? r.classification.replace("-", " ").toUpperCase() : "", r.summary || ""]
+          .filter(Boolean).join(" • "),
+      });
+      if (r.lat != null && r.lng != null || r.locationName) {
+        events.push({
+          date: date, kind: "location", reportId: r.id,
+          title: "Recovered at " + (r.locationName || "an unnamed site"),
+          detail: r.lat != null && r.lng != null ? r.lat.toFixed(4) + ", " + r.lng.toFixed(4) : "",
+        });
+      }
+      (r.attachments || []).forEach(function (att) {
+        events.push({ date: date, kind: "attachment", reportId: r.id, title: att.name, detail: att.type || "" });
+      });
+      if (findings[r.id]) {
+        events.push({
+          date: date, kind: "assessment", reportId: r.id,
+          title: "Intel assessment for " + r.id,
+          detail: findings[r.id].length ? "" : "No subject assessment table",
+          findings: findings[r.id],
+        });
+      }
+    });
+    return events.sort(function (a, b) {
+      if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+      return a.reportId.localeCompare(b.reportId) || KIND_ORDER[a.kind] - KIND_ORDER[b.kind];
+    });
+  }
+
+  return {
+    passportKey: passportKey,
+    findForReport: findForReport,
+    fromReport: fromReport,
+    absorb: absorb,
+    assessmentFindings: assessmentFindings,
+    timeline: timeline,
+  };
+})();